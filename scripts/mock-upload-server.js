@@ -0,0 +1,199 @@
+// scripts/mock-upload-server.js
+// Servidor local para probar el progreso, la cancelación, la subida por partes y los
+// trabajos asíncronos (/jobs/) sin el backend de Django. Uso: npm run mock-server
+// Variables: PORT (8000), MOCK_FAILURE_RATE (0.2), MOCK_LATENCY_MS (300) y MOCK_JOB_MS (20000)
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT || 8000);
+const FAILURE_RATE = Number(process.env.MOCK_FAILURE_RATE ?? 0.2);
+const LATENCY_MS = Number(process.env.MOCK_LATENCY_MS ?? 300);
+const JOB_MS = Number(process.env.MOCK_JOB_MS ?? 20000);
+
+const uploads = new Map();
+const jobs = new Map();
+let nextAnalysisId = 1;
+
+const sampleAnalysis = (name, size) => ({
+  name,
+  analysis: {
+    basic_info: {
+      total_rows: 1000,
+      total_columns: 4,
+      file_size: `${(size / 1024 / 1024).toFixed(2)} MB`,
+      data_types: { int64: 2, float64: 1, object: 1 },
+    },
+    missing_data: {
+      columns_with_missing: [{ column: 'edad', count: 40, percentage: 4 }],
+      total_missing_percentage: 1,
+    },
+    duplicates: { total_duplicates: 12, percentage: 1.2, columns_contributing: ['id'] },
+    data_quality: { completeness: 99, consistency: 92, validity: 88, uniqueness: 98.8 },
+    outliers: { columns_with_outliers: [{ column: 'ingreso', outlier_count: 17, percentage: 1.7 }] },
+    correlation_matrix: [{ var1: 'edad', var2: 'ingreso', correlation: 0.42 }],
+    column_statistics: {},
+    recommendations: { critical: [], moderate: [], optional: [] },
+    analysis_status: 'completed',
+  },
+});
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
+  });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+// Extrae un campo de texto de un cuerpo multipart sin dependencias externas
+const readMultipartField = (body, field) => {
+  const match = body.toString('latin1').match(new RegExp(`name="${field}"\\r\\n\\r\\n([^\\r]*)`));
+  return match ? match[1] : null;
+};
+
+// El progreso de un trabajo avanza con el reloj; a mitad de camino hay resultados parciales
+const jobState = (job) => {
+  const base = { job_id: job.id, name: job.name };
+  if (job.cancelled) return { ...base, status: 'cancelled', progress: job.progress };
+  const progress = Math.min(100, Math.round(((Date.now() - job.createdAt) / JOB_MS) * 100));
+  if (progress >= 100) {
+    if (!job.analysisId) job.analysisId = nextAnalysisId++;
+    return { ...base, status: 'completed', progress: 100, analysis_id: job.analysisId, result: { id: job.analysisId, ...sampleAnalysis(job.name, job.size) } };
+  }
+  return {
+    ...base,
+    status: progress > 0 ? 'running' : 'queued',
+    progress,
+    eta_seconds: Math.ceil(((100 - progress) / 100) * (JOB_MS / 1000)),
+    partial: progress >= 50 ? { rows_processed: Math.round(progress * 10) } : null,
+  };
+};
+
+// Server-Sent Events con el estado del trabajo cada medio segundo hasta que termina
+const streamJob = (req, res, job) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'Access-Control-Allow-Origin': '*',
+  });
+  const timer = setInterval(() => {
+    const state = jobState(job);
+    res.write(`data: ${JSON.stringify(state)}\n\n`);
+    if (['completed', 'cancelled'].includes(state.status)) {
+      clearInterval(timer);
+      res.end();
+    }
+  }, 500);
+  req.on('close', () => clearInterval(timer));
+};
+
+const handle = async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const path = url.pathname.replace(/^\/api/, '');
+
+  if (req.method === 'OPTIONS') {
+    return send(res, 204, {});
+  }
+
+  await new Promise((resolve) => setTimeout(resolve, LATENCY_MS));
+
+  if (req.method === 'GET' && path === '/health/') {
+    return send(res, 200, { status: 'ok', version: 'mock' });
+  }
+
+  if (req.method === 'POST' && path === '/upload/') {
+    const body = await readBody(req);
+    return send(res, 201, sampleAnalysis(readMultipartField(body, 'name') || 'dataset.csv', body.length));
+  }
+
+  if (req.method === 'POST' && path === '/upload/chunked/') {
+    const meta = JSON.parse((await readBody(req)).toString() || '{}');
+    const uploadId = crypto.randomUUID();
+    uploads.set(uploadId, { ...meta, received: new Set() });
+    return send(res, 201, { upload_id: uploadId });
+  }
+
+  const chunked = path.match(/^\/upload\/chunked\/([^/]+)\/(complete\/)?$/);
+  if (chunked) {
+    const upload = uploads.get(chunked[1]);
+    if (!upload) {
+      return send(res, 404, { error: 'Subida no encontrada' });
+    }
+
+    if (req.method === 'GET' && !chunked[2]) {
+      return send(res, 200, { upload_id: chunked[1], received_chunks: Array.from(upload.received) });
+    }
+
+    if (req.method === 'PUT' && !chunked[2]) {
+      const body = await readBody(req);
+      // Fallos aleatorios para simular una conexión inestable
+      if (Math.random() < FAILURE_RATE) {
+        return send(res, 503, { error: 'Fallo simulado de red' });
+      }
+      upload.received.add(Number(readMultipartField(body, 'index')));
+      return send(res, 200, { received: upload.received.size, total: upload.total_chunks });
+    }
+
+    if (req.method === 'POST' && chunked[2]) {
+      if (upload.received.size < upload.total_chunks) {
+        return send(res, 400, { error: `Faltan partes: ${upload.received.size}/${upload.total_chunks}` });
+      }
+      uploads.delete(chunked[1]);
+      return send(res, 201, sampleAnalysis(upload.name, upload.file_size));
+    }
+  }
+
+  if (req.method === 'POST' && path === '/jobs/') {
+    const body = await readBody(req);
+    const job = {
+      id: crypto.randomUUID(),
+      name: readMultipartField(body, 'name') || 'dataset.csv',
+      size: body.length,
+      createdAt: Date.now(),
+      cancelled: false,
+    };
+    jobs.set(job.id, job);
+    return send(res, 202, jobState(job));
+  }
+
+  const jobRoute = path.match(/^\/jobs\/([^/]+)\/(events\/)?$/);
+  if (jobRoute) {
+    const job = jobs.get(jobRoute[1]);
+    if (!job) {
+      return send(res, 404, { error: 'Trabajo no encontrado' });
+    }
+    if (req.method === 'GET' && jobRoute[2]) {
+      return streamJob(req, res, job);
+    }
+    if (req.method === 'GET') {
+      return send(res, 200, jobState(job));
+    }
+    if (req.method === 'DELETE') {
+      const state = jobState(job);
+      if (state.status === 'completed') {
+        return send(res, 409, { error: 'El trabajo ya terminó' });
+      }
+      job.progress = state.progress;
+      job.cancelled = true;
+      return send(res, 200, jobState(job));
+    }
+  }
+
+  return send(res, 404, { error: `Ruta no encontrada: ${req.method} ${path}` });
+};
+
+http.createServer((req, res) => {
+  handle(req, res).catch((error) => send(res, 500, { error: error.message }));
+}).listen(PORT, () => {
+  console.log(`Servidor mock escuchando en http://localhost:${PORT}/api`);
+});
@@ -1,13 +1,38 @@
 import React from 'react';
+import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
+import AppLayout from './components/AppLayout';
 import Dashboard from './components/Dashboard';
+import HistoryPage from './pages/HistoryPage';
+import AnalysisDetailPage from './pages/AnalysisDetailPage';
+import ComparePage from './pages/ComparePage';
+import SettingsPage from './pages/SettingsPage';
+import StoragePage from './pages/StoragePage';
+import { I18nProvider } from './hooks/useI18n';
+import { ThemeProvider } from './hooks/useTheme';
 import './App.css';
 
 function App() {
   return (
     <div className="App">
-      <Dashboard />
+      <I18nProvider>
+        <ThemeProvider>
+          <BrowserRouter>
+            <Routes>
+              <Route element={<AppLayout />}>
+                <Route index element={<Dashboard />} />
+                <Route path="history" element={<HistoryPage />} />
+                <Route path="analyses/:id" element={<AnalysisDetailPage />} />
+                <Route path="compare" element={<ComparePage />} />
+                <Route path="storage" element={<StoragePage />} />
+                <Route path="settings" element={<SettingsPage />} />
+                <Route path="*" element={<Navigate to="/" replace />} />
+              </Route>
+            </Routes>
+          </BrowserRouter>
+        </ThemeProvider>
+      </I18nProvider>
     </div>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -0,0 +1,40 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import App from './App';
+import { saveLanguage } from './services/i18n';
+
+// Los servicios que crean Web Workers con import.meta.url no se cargan en jest
+jest.mock('./services/conversion', () => ({}));
+jest.mock('./services/piiEngine', () => ({}));
+jest.mock('./services/localEngine', () => ({}));
+jest.mock('./services/preview', () => ({}));
+jest.mock('./services/cleaningEngine', () => ({}));
+
+const renderAt = (path) => {
+  window.history.pushState({}, '', path);
+  return render(<App />);
+};
+
+// Sin servidor el health check falla; React Router avisa de sus cambios de la v7
+beforeEach(() => {
+  localStorage.clear();
+  saveLanguage('es'); // jsdom anuncia el navegador en inglés
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('muestra la navegación y la página de la ruta', async () => {
+  renderAt('/settings');
+  expect(screen.getByRole('link', { name: /Historial/ })).toBeInTheDocument();
+  expect(await screen.findByRole('heading', { name: /Ajustes/ })).toBeInTheDocument();
+});
+
+test('las rutas desconocidas vuelven al inicio', async () => {
+  renderAt('/no-existe');
+  expect(window.location.pathname).toBe('/');
+  expect(await screen.findByRole('link', { name: /Analizar/ })).toHaveAttribute('aria-current', 'page');
+});
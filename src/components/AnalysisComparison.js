@@ -0,0 +1,216 @@
+import React, { useMemo } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { GitCompare, ArrowLeftRight, X } from 'lucide-react';
+import { compareAnalyses } from '../services/comparison';
+import { comparisonQualityTable } from '../services/chartTables';
+import { describeQualityMetric } from '../services/i18n';
+import useI18n from '../hooks/useI18n';
+import useTheme from '../hooks/useTheme';
+import ChartFrame from './ChartFrame';
+
+// percent: el valor es un porcentaje (0-100); sign: se antepone + a las subidas
+const formatValue = (formatNumber, value, { percent = false, sign = false } = {}) => (value == null
+  ? '—'
+  : formatNumber(percent ? value / 100 : value, {
+    style: percent ? 'percent' : 'decimal',
+    signDisplay: sign ? 'exceptZero' : 'auto',
+  }));
+
+// higherIsBetter indica si un aumento es una mejora (calidad) o un empeoramiento (faltantes, duplicados)
+const DeltaBadge = ({ value, higherIsBetter = true, percent = false }) => {
+  const { formatNumber } = useI18n();
+  if (value == null) {
+    return <span className="text-slate-400">—</span>;
+  }
+  if (value === 0) {
+    return <span className="text-slate-400">{formatValue(formatNumber, 0, { percent })}</span>;
+  }
+  const improved = higherIsBetter ? value > 0 : value < 0;
+  return (
+    <span className={improved ? 'text-green-400 font-medium' : 'text-red-400 font-medium'}>
+      {formatValue(formatNumber, value, { percent, sign: true })}
+    </span>
+  );
+};
+
+const DeltaTable = ({ title, rows, labelKey, percent = false, higherIsBetter }) => {
+  const { t, formatNumber } = useI18n();
+  return (
+    <div className="bg-fg/10 backdrop-blur-lg rounded-xl p-6 border border-fg/20">
+      <h4 className="text-lg font-medium text-fg mb-3">{title}</h4>
+      {rows.length === 0 ? (
+        <p className="text-slate-400 text-sm">{t('comparison.noData')}</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-slate-400 text-left border-b border-fg/10">
+              <th className="py-1 pr-2 font-medium">{t(labelKey === 'pair' ? 'comparison.pair' : 'comparison.column')}</th>
+              <th className="py-1 pr-2 font-medium text-right">A</th>
+              <th className="py-1 pr-2 font-medium text-right">B</th>
+              <th className="py-1 font-medium text-right">Δ</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row[labelKey]} className="border-b border-fg/5">
+                <td className="py-1 pr-2 text-slate-300">{row[labelKey]}</td>
+                <td className="py-1 pr-2 text-right text-fg">{formatValue(formatNumber, row.before, { percent })}</td>
+                <td className="py-1 pr-2 text-right text-fg">{formatValue(formatNumber, row.after, { percent })}</td>
+                <td className="py-1 text-right">
+                  {higherIsBetter === null ? (
+                    <span className="text-slate-300">{formatValue(formatNumber, row.delta)}</span>
+                  ) : (
+                    <DeltaBadge value={row.delta} higherIsBetter={higherIsBetter} percent={percent} />
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+const AnalysisComparison = ({ base, target, onSwap, onClose }) => {
+  const { chart } = useTheme();
+  const { t, formatNumber } = useI18n();
+  const comparison = useMemo(() => compareAnalyses(base.data, target.data), [base, target]);
+  const { schema } = comparison;
+  const hasSchemaChanges = schema.added.length + schema.removed.length + schema.retyped.length > 0;
+
+  const metricLabel = (metric) => describeQualityMetric(t, metric);
+
+  const qualityChart = comparison.quality.map((row) => ({
+    metric: metricLabel(row.metric),
+    A: row.before,
+    B: row.after,
+  }));
+
+  return (
+    <div className="mb-8">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-2xl font-semibold text-fg flex items-center">
+          <GitCompare className="w-6 h-6 mr-2" />
+          {t('comparison.title')}
+        </h3>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={onSwap}
+            className="bg-fg/10 hover:bg-fg/20 text-slate-200 px-3 py-2 rounded-lg text-sm flex items-center space-x-1"
+          >
+            <ArrowLeftRight className="w-4 h-4" />
+            <span>{t('comparison.swap')}</span>
+          </button>
+          <button
+            onClick={onClose}
+            className="bg-fg/10 hover:bg-fg/20 text-slate-200 p-2 rounded-lg"
+            title={t('comparison.close')}
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+        <div className="bg-purple-500/20 border border-purple-500/40 rounded-lg p-3">
+          <p className="text-purple-300 text-xs uppercase">{t('comparison.base')}</p>
+          <p className="text-fg font-medium">{base.label}</p>
+          <p className="text-slate-300 text-sm">{t('comparison.rows', { rows: formatNumber(comparison.rows.before) })}</p>
+        </div>
+        <div className="bg-teal-500/20 border border-teal-500/40 rounded-lg p-3">
+          <p className="text-teal-300 text-xs uppercase">{t('comparison.target')}</p>
+          <p className="text-fg font-medium">{target.label}</p>
+          <p className="text-slate-300 text-sm">{t('comparison.rows', { rows: formatNumber(comparison.rows.after) })}</p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Calidad */}
+        <div className="bg-fg/10 backdrop-blur-lg rounded-xl p-6 border border-fg/20 lg:col-span-2">
+          <h4 className="text-lg font-medium text-fg mb-3">{t('results.qualityMetrics')}</h4>
+          <ChartFrame
+            label={t('charts.titles.comparisonQuality')}
+            table={comparisonQualityTable(comparison, metricLabel)}
+          >
+            <ResponsiveContainer width="100%" height={220}>
+              <BarChart data={qualityChart}>
+                <CartesianGrid strokeDasharray="3 3" stroke={chart.grid} />
+                <XAxis dataKey="metric" tick={{ ...chart.tick, fontSize: 12 }} />
+                <YAxis tick={chart.tick} domain={[0, 100]} />
+                <Tooltip contentStyle={chart.tooltip} />
+                <Legend />
+                <Bar dataKey="A" fill={chart.primary} radius={[4, 4, 0, 0]} />
+                <Bar dataKey="B" fill={chart.secondary} radius={[4, 4, 0, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </ChartFrame>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-2 mt-4">
+            {comparison.quality.map((row) => (
+              <div key={row.metric} className="bg-fg/5 rounded-lg p-2 text-center">
+                <p className="text-slate-400 text-xs capitalize">{metricLabel(row.metric)}</p>
+                <DeltaBadge value={row.delta} percent />
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Resumen */}
+        <div className="bg-fg/10 backdrop-blur-lg rounded-xl p-6 border border-fg/20">
+          <h4 className="text-lg font-medium text-fg mb-3">{t('comparison.summary')}</h4>
+          <div className="space-y-3 text-sm">
+            <div className="flex justify-between">
+              <span className="text-slate-300">{t('comparison.totalMissing')}</span>
+              <span>
+                <span className="text-fg mr-2">
+                  {formatValue(formatNumber, comparison.totalMissing.before, { percent: true })}
+                  {' → '}
+                  {formatValue(formatNumber, comparison.totalMissing.after, { percent: true })}
+                </span>
+                <DeltaBadge value={comparison.totalMissing.delta} higherIsBetter={false} percent />
+              </span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-slate-300">{t('comparison.duplicates')}</span>
+              <span>
+                <span className="text-fg mr-2">
+                  {formatValue(formatNumber, comparison.duplicates.before)} → {formatValue(formatNumber, comparison.duplicates.after)}
+                </span>
+                <DeltaBadge value={comparison.duplicates.delta} higherIsBetter={false} />
+              </span>
+            </div>
+          </div>
+
+          <h4 className="text-lg font-medium text-fg mt-6 mb-3">{t('comparison.schemaChanges')}</h4>
+          {!hasSchemaChanges ? (
+            <p className="text-green-400 text-sm">{t('comparison.sameSchema')}</p>
+          ) : (
+            <div className="space-y-2 text-sm">
+              {schema.added.map((column) => (
+                <div key={`added-${column}`} className="bg-green-500/20 border border-green-500/40 rounded-lg px-2 py-1 text-green-300">
+                  + {column}
+                </div>
+              ))}
+              {schema.removed.map((column) => (
+                <div key={`removed-${column}`} className="bg-red-500/20 border border-red-500/40 rounded-lg px-2 py-1 text-red-300 line-through">
+                  − {column}
+                </div>
+              ))}
+              {schema.retyped.map(({ column, before, after }) => (
+                <div key={`retyped-${column}`} className="bg-yellow-500/20 border border-yellow-500/40 rounded-lg px-2 py-1 text-yellow-300">
+                  ~ {column}: {before} → {after}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <DeltaTable title={t('comparison.missing')} rows={comparison.missing} labelKey="column" percent higherIsBetter={false} />
+        <DeltaTable title={t('results.outliers')} rows={comparison.outliers} labelKey="column" higherIsBetter={false} />
+        <DeltaTable title={t('results.correlations')} rows={comparison.correlations} labelKey="pair" higherIsBetter={null} />
+      </div>
+    </div>
+  );
+};
+
+export default AnalysisComparison;
@@ -0,0 +1,199 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { History, Search, RefreshCw, ChevronLeft, ChevronRight, ArrowUp, ArrowDown } from 'lucide-react';
+import { getAnalysesList } from '../services/api';
+import {
+  normalizeAnalysisSummary,
+  extractAnalysesList,
+  filterAndSortAnalyses,
+  paginate,
+} from '../services/history';
+import { getWorkspaceStore } from '../services/workspaceStore';
+import useUrlParams from '../hooks/useUrlParams';
+import useI18n from '../hooks/useI18n';
+
+const PAGE_SIZE = 8;
+
+// Búsqueda, orden y página van en la URL (?q=&sort=&dir=&page=)
+const VIEW_DEFAULTS = { q: '', sort: 'date', dir: 'desc', page: 1 };
+
+const SORT_OPTIONS = ['date', 'name', 'rows', 'columns', 'quality'];
+
+const getQualityColor = (score) => {
+  if (score >= 90) return 'text-green-400';
+  if (score >= 70) return 'text-yellow-400';
+  return 'text-red-400';
+};
+
+const AnalysisHistory = ({ onSelect, disabled = false, selectedId = null }) => {
+  const [analyses, setAnalyses] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [cachedAt, setCachedAt] = useState(null); // Fecha de la copia local si la API no responde
+  const { t, translateError, formatDate, formatNumber, formatPercent } = useI18n();
+  const [view, updateView] = useUrlParams(VIEW_DEFAULTS);
+  const { q: search, sort: sortBy, dir: direction, page } = view;
+  // Al cambiar los filtros se vuelve a la primera página
+  const setSearch = (value) => updateView({ q: value, page: 1 });
+  const setSortBy = (value) => updateView({ sort: value, page: 1 });
+  const setDirection = (value) => updateView({ dir: value, page: 1 });
+  const setPage = (value) => updateView({ page: value });
+
+  // Última copia del historial guardada en este navegador; false si no hay ninguna
+  const loadCachedAnalyses = useCallback(async () => {
+    const cached = await getWorkspaceStore().getRemote('list');
+    if (!cached) return false;
+    setAnalyses(extractAnalysesList(cached.data).map(normalizeAnalysisSummary));
+    setCachedAt(cached.cachedAt);
+    return true;
+  }, []);
+
+  const loadAnalyses = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await getAnalysesList();
+      setAnalyses(extractAnalysesList(response).map(normalizeAnalysisSummary));
+      setCachedAt(null);
+      getWorkspaceStore().cacheRemote('list', response)
+        .catch((err) => console.warn('No se pudo guardar la copia del historial:', err));
+    } catch (err) {
+      const hasCopy = await loadCachedAnalyses().catch(() => false);
+      if (!hasCopy) {
+        setError(err.message ? err : { code: 'history.loadError' });
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [loadCachedAnalyses]);
+
+  useEffect(() => {
+    if (!disabled) {
+      loadAnalyses();
+    } else {
+      loadCachedAnalyses().catch((err) => console.warn('No se pudo leer la copia del historial:', err));
+    }
+  }, [disabled, loadAnalyses, loadCachedAnalyses]);
+
+  const visible = useMemo(
+    () => paginate(filterAndSortAnalyses(analyses, { search, sortBy, direction }), page, PAGE_SIZE),
+    [analyses, search, sortBy, direction, page]
+  );
+
+  return (
+    <div className="bg-fg/10 backdrop-blur-lg rounded-xl p-6 mb-8 border border-fg/20">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-semibold text-fg flex items-center">
+          <History className="w-6 h-6 mr-2" />
+          {t('history.title')}
+        </h3>
+        <button
+          onClick={loadAnalyses}
+          disabled={loading || disabled}
+          className="text-slate-300 hover:text-fg disabled:opacity-50"
+          title={t('history.refresh')}
+        >
+          <RefreshCw className={`w-5 h-5 ${loading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      <div className="flex flex-col md:flex-row md:items-center gap-3 mb-4">
+        <div className="flex items-center flex-1 bg-fg/5 rounded-lg px-3 py-2">
+          <Search className="w-4 h-4 text-slate-400 mr-2" />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder={t('history.search')}
+            className="bg-transparent text-fg text-sm flex-1 outline-none placeholder-slate-400"
+          />
+        </div>
+        <div className="flex items-center space-x-2">
+          <select
+            value={sortBy}
+            onChange={(e) => setSortBy(e.target.value)}
+            className="bg-slate-800 text-fg text-sm rounded-lg px-3 py-2 border border-fg/20"
+          >
+            {SORT_OPTIONS.map((option) => (
+              <option key={option} value={option}>{t(`history.columns.${option}`)}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => setDirection(direction === 'asc' ? 'desc' : 'asc')}
+            className="bg-fg/5 hover:bg-fg/10 text-slate-300 rounded-lg p-2"
+            title={t(direction === 'asc' ? 'history.ascending' : 'history.descending')}
+          >
+            {direction === 'asc' ? <ArrowUp className="w-4 h-4" /> : <ArrowDown className="w-4 h-4" />}
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-red-300 text-sm mb-3">{translateError(error)}</p>}
+      {cachedAt && <p className="text-amber-300 text-xs mb-3">{t('history.offlineCopy', { date: formatDate(cachedAt) })}</p>}
+
+      {disabled && !cachedAt ? (
+        <p className="text-slate-400 text-sm">{t('history.offline')}</p>
+      ) : visible.items.length === 0 ? (
+        <p className="text-slate-400 text-sm">
+          {loading ? t('history.loading') : t('history.empty')}
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-slate-400 text-left border-b border-fg/10">
+                <th className="py-2 pr-4 font-medium">{t('history.columns.name')}</th>
+                <th className="py-2 pr-4 font-medium">{t('history.columns.date')}</th>
+                <th className="py-2 pr-4 font-medium text-right">{t('history.columns.rows')}</th>
+                <th className="py-2 pr-4 font-medium text-right">{t('history.columns.columns')}</th>
+                <th className="py-2 font-medium text-right">{t('history.columns.quality')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.items.map((entry) => (
+                <tr
+                  key={entry.id}
+                  onClick={() => onSelect(entry)}
+                  className={`cursor-pointer border-b border-fg/5 hover:bg-fg/10 ${
+                    entry.id === selectedId ? 'bg-purple-500/20' : ''
+                  }`}
+                >
+                  <td className="py-2 pr-4 text-fg">{entry.name}</td>
+                  <td className="py-2 pr-4 text-slate-300">{formatDate(entry.date)}</td>
+                  <td className="py-2 pr-4 text-slate-300 text-right">
+                    {formatNumber(entry.rows)}
+                  </td>
+                  <td className="py-2 pr-4 text-slate-300 text-right">{formatNumber(entry.columns)}</td>
+                  <td className={`py-2 text-right font-medium ${entry.quality != null ? getQualityColor(entry.quality) : 'text-slate-400'}`}>
+                    {formatPercent(entry.quality)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {visible.totalPages > 1 && (
+        <div className="flex items-center justify-end space-x-3 mt-4 text-sm text-slate-300">
+          <button
+            onClick={() => setPage(visible.page - 1)}
+            disabled={visible.page === 1}
+            className="p-1 rounded hover:bg-fg/10 disabled:opacity-40"
+          >
+            <ChevronLeft className="w-4 h-4" />
+          </button>
+          <span>{t('history.page', { page: visible.page, total: visible.totalPages })}</span>
+          <button
+            onClick={() => setPage(visible.page + 1)}
+            disabled={visible.page === visible.totalPages}
+            className="p-1 rounded hover:bg-fg/10 disabled:opacity-40"
+          >
+            <ChevronRight className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AnalysisHistory;
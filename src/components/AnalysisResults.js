@@ -0,0 +1,360 @@
+import React, { useState, useRef, useCallback, useId } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
+import { AlertTriangle, CheckCircle, Info, GitCompare, Cpu, Link, Check } from 'lucide-react';
+import ColumnExplorer from './ColumnExplorer';
+import ExportMenu from './ExportMenu';
+import CorrelationHeatmap from './CorrelationHeatmap';
+import OutlierInspector from './OutlierInspector';
+import CleaningWorkbench from './CleaningWorkbench';
+import CodeExport from './CodeExport';
+import QualityRules from './QualityRules';
+import SectionBoundary from './SectionBoundary';
+import SchemaReport from './SchemaReport';
+import SamplingNotice from './SamplingNotice';
+import PiiReport from './PiiReport';
+import MetricBadge from './MetricBadge';
+import ChartFrame from './ChartFrame';
+import DriftMonitor from './DriftMonitor';
+import useUrlParams from '../hooks/useUrlParams';
+import useI18n from '../hooks/useI18n';
+import useTheme from '../hooks/useTheme';
+import { samplePairLocally, columnValuesLocally } from '../services/localEngine';
+import { getRuleSetName } from '../services/rules';
+import { buildShareUrl } from '../services/urlState';
+import { dataTypesTable, qualityTable, missingTable, outliersTable, correlationsTable } from '../services/chartTables';
+import { describeQualityMetric } from '../services/i18n';
+
+const TABS = ['columnas', 'calidad', 'limpieza'];
+
+const VIEW_DEFAULTS = { tab: 'columnas' };
+
+const getQualityColor = (score) => {
+  if (score >= 90) return 'text-green-600';
+  if (score >= 70) return 'text-yellow-600';
+  return 'text-red-600';
+};
+
+const getQualityIcon = (score) => {
+  if (score >= 90) return <CheckCircle className="w-5 h-5 text-green-600" />;
+  if (score >= 70) return <AlertTriangle className="w-5 h-5 text-yellow-600" />;
+  return <AlertTriangle className="w-5 h-5 text-red-600" />;
+};
+
+// Resultados de un análisis: resumen con gráficos y pestañas de columnas, reglas y limpieza.
+// Con file (análisis recién subido) los detalles se recalculan en el navegador;
+// con savedAnalysis ({ id, name, date }) se muestran los datos guardados en la API.
+const AnalysisResults = ({
+  datasetInfo,
+  file = null,
+  savedAnalysis = null,
+  apiStatus,
+  comparison,
+  onPin,
+  onAnalyzeCleaned = null,
+}) => {
+  const chartsRef = useRef(null); // Contenedor de gráficos para incrustarlos en los reportes
+  const [view, updateView] = useUrlParams(VIEW_DEFAULTS);
+  const [searchParams] = useSearchParams();
+  const [copied, setCopied] = useState(false);
+  const { t, formatNumber, formatPercent, formatFileSize } = useI18n();
+  const { chart } = useTheme();
+  const headingId = useId();
+  // Cada tarjeta del resumen es una región alcanzable con Tab y nombrada por su título
+  const cardProps = (key) => ({ tabIndex: 0, 'aria-labelledby': `${headingId}-${key}` });
+
+  const datasetName = savedAnalysis?.name || file?.name;
+  const displayName = datasetName || 'dataset';
+  const metricLabel = (metric) => describeQualityMetric(t, metric);
+  // Secciones que la respuesta no trajo o que no cumplen el esquema (ver analysisSchema)
+  const isInvalid = (section) => Boolean(datasetInfo.schema_report?.invalidSections.includes(section));
+  // Modo de archivo grande: cada métrica indica si es exacta o estimada con la muestra
+  const badge = (metric) => <MetricBadge sampling={datasetInfo.sampling} metric={metric} />;
+  const shareId = savedAnalysis?.id ?? (datasetInfo.source === 'local' ? null : datasetInfo.analysis_id);
+
+  // Muestra de filas del archivo seleccionado para el detalle de un par de correlación
+  const samplePair = useCallback((var1, var2) => samplePairLocally(file, var1, var2), [file]);
+  const loadColumnValues = useCallback((column) => columnValuesLocally(file, column), [file]);
+
+  // El enlace abre el análisis guardado con la misma pestaña, columna y filtros
+  const copyShareLink = async () => {
+    await navigator.clipboard.writeText(buildShareUrl(`/analyses/${shareId}`, searchParams));
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <>
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-4">
+        <div className="flex items-center space-x-2 text-slate-300 text-sm">
+          {datasetInfo.source === 'local' && (
+            <span className="flex items-center space-x-1 bg-amber-500/20 border border-amber-500/40 text-amber-300 rounded-lg px-2 py-1">
+              <Cpu className="w-4 h-4" />
+              <span>{t('results.computedLocally')}</span>
+            </span>
+          )}
+          {savedAnalysis && (
+            <>
+              <Info className="w-4 h-4" />
+              <span>{t('results.showingSaved')} <span className="text-fg font-medium">{savedAnalysis.name}</span></span>
+            </>
+          )}
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          {shareId != null && (
+            <button
+              onClick={copyShareLink}
+              className="flex items-center space-x-1 bg-fg/10 hover:bg-fg/20 text-fg px-3 py-1 rounded-lg"
+              title={t('share.viewTitle')}
+            >
+              {copied ? <Check className="w-4 h-4 text-green-400" /> : <Link className="w-4 h-4" />}
+              <span>{copied ? t('share.copied') : t('share.copy')}</span>
+            </button>
+          )}
+          <ExportMenu
+            datasetInfo={datasetInfo}
+            chartsRef={chartsRef}
+            title={t('results.reportTitle', { name: displayName })}
+            baseName={`reporte_${displayName}`}
+          />
+          <GitCompare className="w-4 h-4 text-slate-300" />
+          <button
+            onClick={() => onPin('base', { label: displayName, data: datasetInfo, id: shareId })}
+            className="bg-purple-600/60 hover:bg-purple-600 text-white px-3 py-1 rounded-lg"
+          >
+            {t('results.pinA')}{comparison.base ? ` (${comparison.base.label})` : ''}
+          </button>
+          <button
+            onClick={() => onPin('target', { label: displayName, data: datasetInfo, id: shareId })}
+            className="bg-teal-600/60 hover:bg-teal-600 text-white px-3 py-1 rounded-lg"
+          >
+            {t('results.pinB')}{comparison.target ? ` (${comparison.target.label})` : ''}
+          </button>
+        </div>
+      </div>
+
+      <SchemaReport report={datasetInfo.schema_report} />
+      <SamplingNotice sampling={datasetInfo.sampling} />
+      {datasetInfo.pii && (
+        <SectionBoundary title={t('pii.title')} resetKey={datasetInfo}>
+          <PiiReport pii={datasetInfo.pii} />
+        </SectionBoundary>
+      )}
+
+      <div ref={chartsRef} className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Información Básica */}
+        <SectionBoundary title={t('results.basicInfo')} invalid={isInvalid('basic_info')} resetKey={datasetInfo}>
+          <section {...cardProps('basic')} className="bg-fg/10 backdrop-blur-lg rounded-xl p-6 border border-fg/20">
+            <h3 id={`${headingId}-basic`} className="text-xl font-semibold text-fg mb-4 flex items-center">
+              <Info className="w-6 h-6 mr-2" />
+              {t('results.basicInfo')}
+            </h3>
+            <div className="space-y-3">
+              <div className="flex justify-between">
+                <span className="text-slate-300">{t('results.rows')}{badge('total_rows')}</span>
+                <span className="text-fg font-medium">{formatNumber(datasetInfo.basic_info.total_rows)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-slate-300">{t('results.columns')}{badge('total_columns')}</span>
+                <span className="text-fg font-medium">{formatNumber(datasetInfo.basic_info.total_columns)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-slate-300">{t('results.size')}{badge('file_size')}</span>
+                <span className="text-fg font-medium">{formatFileSize(datasetInfo.basic_info.file_size)}</span>
+              </div>
+            </div>
+          
+            <div className="mt-6" data-report-chart="basic">
+              <h4 className="text-lg font-medium text-fg mb-3">{t('results.dataTypes')}{badge('data_types')}</h4>
+              <ChartFrame label={t('results.dataTypes')} table={dataTypesTable(datasetInfo)}>
+                <ResponsiveContainer width="100%" height={200}>
+                  <PieChart>
+                    <Pie
+                      data={Object.entries(datasetInfo.basic_info.data_types).map(([key, value]) => ({ name: key, value }))}
+                      cx="50%"
+                      cy="50%"
+                      outerRadius={70}
+                      fill={chart.series[0]}
+                      dataKey="value"
+                      label
+                    >
+                      {Object.entries(datasetInfo.basic_info.data_types).map((entry, index) => (
+                        <Cell key={`cell-${index}`} fill={chart.series[index % chart.series.length]} />
+                      ))}
+                    </Pie>
+                    <Tooltip contentStyle={chart.tooltip} />
+                  </PieChart>
+                </ResponsiveContainer>
+              </ChartFrame>
+            </div>
+          </section>
+        </SectionBoundary>
+
+        {/* Calidad de Datos */}
+        <SectionBoundary title={t('results.qualityMetrics')} invalid={isInvalid('data_quality')} resetKey={datasetInfo}>
+          <section {...cardProps('quality')} className="bg-fg/10 backdrop-blur-lg rounded-xl p-6 border border-fg/20">
+            <h3 id={`${headingId}-quality`} className="text-xl font-semibold text-fg mb-4">{t('results.qualityMetrics')}</h3>
+            <div className="space-y-4">
+              {Object.entries(datasetInfo.data_quality).map(([metric, score]) => (
+                <div key={metric} className="flex items-center justify-between">
+                  <div className="flex items-center space-x-2">
+                    {getQualityIcon(score)}
+                    <span className="text-slate-300 capitalize">{metricLabel(metric)}</span>
+                    {badge(metric)}
+                  </div>
+                  <span className={`font-bold ${getQualityColor(score)}`}>
+                    {formatPercent(score)}
+                  </span>
+                </div>
+              ))}
+            </div>
+          
+            <div className="mt-6" data-report-chart="quality">
+              <h4 className="text-lg font-medium text-fg mb-3">{t('results.qualityDistribution')}</h4>
+              <ChartFrame label={t('results.qualityDistribution')} table={qualityTable(datasetInfo, metricLabel)}>
+                <ResponsiveContainer width="100%" height={200}>
+                  <BarChart data={Object.entries(datasetInfo.data_quality).map(([key, value]) => ({ metric: metricLabel(key), score: value }))}>
+                    <CartesianGrid strokeDasharray="3 3" stroke={chart.grid} />
+                    <XAxis dataKey="metric" tick={{ ...chart.tick, fontSize: 12 }} />
+                    <YAxis tick={chart.tick} />
+                    <Tooltip contentStyle={chart.tooltip} />
+                    <Bar dataKey="score" fill={chart.primary} radius={[4, 4, 0, 0]} />
+                  </BarChart>
+                </ResponsiveContainer>
+              </ChartFrame>
+            </div>
+          </section>
+        </SectionBoundary>
+
+        {/* Valores Faltantes */}
+        <SectionBoundary title={t('results.missingValues')} invalid={isInvalid('missing_data')} resetKey={datasetInfo}>
+          <section {...cardProps('missing')} className="bg-fg/10 backdrop-blur-lg rounded-xl p-6 border border-fg/20" data-report-chart="missing">
+            <h3 id={`${headingId}-missing`} className="text-xl font-semibold text-fg mb-4">{t('results.missingValues')}{badge('missing_data')}</h3>
+            <div className="mb-4">
+              <div className="flex items-center justify-between mb-2">
+                <span className="text-slate-300">{t('results.totalMissing')}</span>
+                <span className="text-red-400 font-bold">{formatPercent(datasetInfo.missing_data.total_missing_percentage)}</span>
+              </div>
+            </div>
+          
+            <ChartFrame label={t('results.missingValues')} table={missingTable(datasetInfo)}>
+              <ResponsiveContainer width="100%" height={250}>
+                <BarChart data={datasetInfo.missing_data.columns_with_missing} layout="horizontal">
+                  <CartesianGrid strokeDasharray="3 3" stroke={chart.grid} />
+                  <XAxis type="number" tick={chart.tick} />
+                  <YAxis dataKey="column" type="category" tick={{ ...chart.tick, fontSize: 12 }} width={60} />
+                  <Tooltip contentStyle={chart.tooltip} />
+                  <Bar dataKey="percentage" fill={chart.bad} radius={[0, 4, 4, 0]} />
+                </BarChart>
+              </ResponsiveContainer>
+            </ChartFrame>
+          </section>
+        </SectionBoundary>
+
+        {/* Duplicados */}
+        <SectionBoundary title={t('results.duplicates')} invalid={isInvalid('duplicates')} resetKey={datasetInfo}>
+          <section {...cardProps('duplicates')} className="bg-fg/10 backdrop-blur-lg rounded-xl p-6 border border-fg/20">
+            <h3 id={`${headingId}-duplicates`} className="text-xl font-semibold text-fg mb-4">{t('results.duplicates')}{badge('duplicates')}</h3>
+            <div className="text-center mb-6">
+              <div className="text-4xl font-bold text-orange-400 mb-2">
+                {formatNumber(datasetInfo.duplicates.total_duplicates)}
+              </div>
+              <div className="text-slate-300">
+                {t('results.ofDataset', { percent: formatPercent(datasetInfo.duplicates.percentage) })}
+              </div>
+            </div>
+          
+            <div className="space-y-2">
+              <h4 className="text-lg font-medium text-fg">{t('results.contributingColumns')}</h4>
+              {datasetInfo.duplicates.columns_contributing.map((col, index) => (
+                <div key={index} className="bg-fg/5 rounded-lg p-2 text-slate-300">
+                  {col}
+                </div>
+              ))}
+            </div>
+          </section>
+        </SectionBoundary>
+
+        {/* Outliers */}
+        <SectionBoundary title={t('results.outliers')} invalid={isInvalid('outliers')} resetKey={datasetInfo} className="lg:col-span-2">
+          <section {...cardProps('outliers')} className="bg-fg/10 backdrop-blur-lg rounded-xl p-6 border border-fg/20 lg:col-span-2" data-report-chart="outliers">
+            <h3 id={`${headingId}-outliers`} className="text-xl font-semibold text-fg mb-4">{t('results.outliers')}{badge('outliers')}</h3>
+            <ChartFrame label={t('results.outliers')} table={outliersTable(datasetInfo)}>
+              <OutlierInspector
+                datasetInfo={datasetInfo}
+                analysisId={savedAnalysis?.id}
+                loadValues={file ? loadColumnValues : null}
+              />
+            </ChartFrame>
+          </section>
+        </SectionBoundary>
+
+        {/* Correlaciones */}
+        <SectionBoundary title={t('results.correlations')} invalid={isInvalid('correlation_matrix')} resetKey={datasetInfo} className="lg:col-span-3">
+          <section {...cardProps('correlations')} className="bg-fg/10 backdrop-blur-lg rounded-xl p-6 border border-fg/20 lg:col-span-3" data-report-chart="correlations">
+            <h3 id={`${headingId}-correlations`} className="text-xl font-semibold text-fg mb-4">{t('results.correlations')}{badge('correlation_matrix')}</h3>
+            <ChartFrame label={t('results.correlations')} table={correlationsTable(datasetInfo)}>
+              <CorrelationHeatmap
+                correlations={datasetInfo.correlation_matrix}
+                onSamplePair={file ? samplePair : null}
+              />
+            </ChartFrame>
+          </section>
+        </SectionBoundary>
+      </div>
+      <div className="mt-8 flex flex-wrap gap-2 border-b border-fg/10" role="tablist">
+        {TABS.map((tab) => (
+          <button
+            key={tab}
+            role="tab"
+            aria-selected={view.tab === tab}
+            onClick={() => updateView({ tab })}
+            className={`px-4 py-2 rounded-t-lg text-sm ${
+              view.tab === tab ? 'bg-fg/20 text-fg font-medium' : 'text-slate-300 hover:bg-fg/10'
+            }`}
+          >
+            {t(`results.tabs.${tab}`)}
+          </button>
+        ))}
+      </div>
+
+      {/* Pestañas: un fallo en una no deja en blanco el resto del análisis */}
+      <SectionBoundary key={view.tab} title={t(`results.tabs.${view.tab}`)} resetKey={datasetInfo} className="mt-8">
+        {view.tab === 'columnas' && <ColumnExplorer datasetInfo={datasetInfo} />}
+
+        {view.tab === 'calidad' && (
+          <>
+            <QualityRules
+              datasetInfo={datasetInfo}
+              file={file}
+              datasetName={getRuleSetName(datasetName)}
+            />
+            <DriftMonitor
+              datasetInfo={datasetInfo}
+              datasetName={datasetName}
+              currentId={savedAnalysis?.id}
+              currentDate={savedAnalysis?.date}
+              disabled={apiStatus !== 'online'}
+            />
+          </>
+        )}
+
+        {view.tab === 'limpieza' && (
+          <>
+            <div className="mt-8 bg-fg/10 backdrop-blur-lg rounded-xl p-6 border border-fg/20">
+              <h3 className="text-xl font-semibold text-fg mb-4">{t('results.recommendations')}</h3>
+              <CleaningWorkbench
+                datasetInfo={datasetInfo}
+                file={file}
+                onAnalyzeCleaned={onAnalyzeCleaned}
+              />
+            </div>
+            <CodeExport datasetInfo={datasetInfo} fileName={datasetName || 'dataset.csv'} />
+          </>
+        )}
+      </SectionBoundary>
+    </>
+  );
+};
+
+export default AnalysisResults;
@@ -0,0 +1,60 @@
+import React, { useState, useEffect } from 'react';
+import { Wifi, WifiOff, RefreshCw, Sunrise } from 'lucide-react';
+import useI18n from '../hooks/useI18n';
+
+const STATUS_STYLES = {
+  online: { icon: Wifi, className: 'text-green-400' },
+  waking: { icon: Sunrise, className: 'text-yellow-400 animate-pulse' },
+  offline: { icon: WifiOff, className: 'text-red-400' },
+  unknown: { icon: RefreshCw, className: 'text-yellow-400 animate-spin' },
+};
+
+// Indicador de conexión con latencia, versión del backend y hora de la última comprobación
+const ApiHealthStatus = ({ health }) => {
+  const [now, setNow] = useState(Date.now());
+  const { t, formatNumber, formatTime } = useI18n();
+  const status = STATUS_STYLES[health.status] ? health.status : 'unknown';
+  const style = STATUS_STYLES[status];
+  const Icon = style.icon;
+
+  // El contador solo hace falta mientras se espera al servidor
+  useEffect(() => {
+    if (health.status === 'online' || health.status === 'unknown') {
+      return undefined;
+    }
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [health.status]);
+
+  const secondsUntilCheck = health.nextCheck ? Math.max(0, Math.ceil((health.nextCheck - now) / 1000)) : null;
+
+  return (
+    <div className="flex flex-col items-center">
+      <div className="flex items-center space-x-2">
+        <Icon className={`w-6 h-6 ${style.className}`} />
+        <span className={`text-sm ${style.className.split(' ')[0]}`}>{t(`health.status.${status}`)}</span>
+      </div>
+      <div className="text-xs text-slate-400 mt-1 space-x-2">
+        {health.latency != null && health.status === 'online' && <span>{formatNumber(health.latency)} ms</span>}
+        {health.version && <span>v{health.version}</span>}
+        <span>{t('health.checked', { time: formatTime(health.lastChecked) })}</span>
+        {health.status === 'waking' && health.wakingSince && (
+          <span>{t('health.waiting', { seconds: Math.round((now - health.wakingSince) / 1000) })}</span>
+        )}
+        {health.status === 'offline' && secondsUntilCheck != null && (
+          <span>{t('health.nextRetry', { seconds: secondsUntilCheck })}</span>
+        )}
+      </div>
+      {health.status === 'waking' && (
+        <p className="text-xs text-yellow-300/80 mt-1">
+          {t('health.wakingHint')}
+        </p>
+      )}
+      {health.wokeUp && health.status === 'online' && (
+        <p className="text-xs text-green-300/80 mt-1">{t('health.ready')}</p>
+      )}
+    </div>
+  );
+};
+
+export default ApiHealthStatus;
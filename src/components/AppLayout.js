@@ -0,0 +1,203 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { NavLink, Outlet, useNavigate, useLocation } from 'react-router-dom';
+import { Upload, History, GitCompare, Settings, HardDrive, Languages, SunMoon, Eye } from 'lucide-react';
+import ApiHealthStatus from './ApiHealthStatus';
+import JobQueue from './JobQueue';
+import SectionBoundary from './SectionBoundary';
+import useApiHealth from '../hooks/useApiHealth';
+import useJobQueue from '../hooks/useJobQueue';
+import useI18n from '../hooks/useI18n';
+import useTheme from '../hooks/useTheme';
+import useWorkspaceSync from '../hooks/useWorkspaceSync';
+import { setApiAuth, enableMockBackend, disableMockBackend } from '../services/api';
+import { loadSettings, saveSettings, settingsToAuth } from '../services/settings';
+import { LANGUAGES } from '../services/i18n';
+import { THEMES } from '../services/theme';
+
+const NAV_ITEMS = [
+  { to: '/', key: 'upload', icon: Upload, end: true },
+  { to: '/history', key: 'history', icon: History },
+  { to: '/compare', key: 'compare', icon: GitCompare },
+  { to: '/storage', key: 'storage', icon: HardDrive },
+  { to: '/settings', key: 'settings', icon: Settings },
+];
+
+// Estructura común de todas las rutas: cabecera con el estado de la API, navegación y
+// cola de trabajos. El estado compartido llega a las páginas por el contexto del Outlet.
+const AppLayout = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { t, language, setLanguage } = useI18n();
+  const { theme, setTheme, colorBlind, setColorBlind } = useTheme();
+  const [settings, setSettings] = useState(loadSettings);
+  const health = useApiHealth(); // Monitor de conexión en segundo plano
+  const { checkNow } = health;
+  const jobQueue = useJobQueue();
+  const workspaceSync = useWorkspaceSync(health.status); // Almacenamiento local <-> /analyses/
+  const [comparison, setComparison] = useState({ base: null, target: null }); // Análisis fijados como A y B
+  const [openedJob, setOpenedJob] = useState(null); // Trabajo de la cola sin análisis guardado
+
+  // Credenciales y backend simulado de los ajustes; la API se vuelve a comprobar con ellos
+  useEffect(() => {
+    setApiAuth(settingsToAuth(settings));
+    if (settings.useMockBackend) {
+      enableMockBackend();
+    } else {
+      disableMockBackend();
+    }
+    checkNow();
+  }, [settings, checkNow]);
+
+  const updateSettings = (next) => {
+    saveSettings(next);
+    setSettings(next);
+  };
+
+  // Fijar un análisis como base (A) o comparación (B): { label, data, id }
+  const pinForComparison = useCallback((slot, entry) => {
+    setComparison((current) => ({ ...current, [slot]: entry }));
+  }, []);
+
+  const swapComparison = useCallback(() => {
+    setComparison(({ base, target }) => ({ base: target, target: base }));
+  }, []);
+
+  const clearComparison = useCallback(() => {
+    setComparison({ base: null, target: null });
+  }, []);
+
+  // Un trabajo guardado en la API tiene su propia URL; si no, se muestra en la vista de subida
+  const openJob = (job) => {
+    if (job.analysisId != null) {
+      navigate(`/analyses/${job.analysisId}`);
+      return;
+    }
+    setOpenedJob(job);
+    navigate('/');
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900 p-6">
+      <a
+        href="#contenido"
+        className="sr-only focus:not-sr-only focus:absolute focus:top-2 focus:left-2 bg-purple-600 text-white px-4 py-2 rounded-lg z-50"
+      >
+        {t('app.skipToContent')}
+      </a>
+      <div className="max-w-7xl mx-auto">
+        {/* Header con indicador de estado de API */}
+        <header className="text-center mb-8">
+          <div className="flex justify-center items-center space-x-4 mb-4">
+            <h1 className="text-4xl font-bold text-fg">
+              {t('app.title')}
+            </h1>
+            <ApiHealthStatus health={health} />
+          </div>
+          <p className="text-slate-300">
+            {t('app.subtitle')}
+          </p>
+          {health.status === 'offline' && (
+            <div className="mt-4">
+              <button
+                onClick={checkNow}
+                className="bg-yellow-600 hover:bg-yellow-700 text-white px-4 py-2 rounded-lg text-sm"
+              >
+                {t('app.retryConnection')}
+              </button>
+            </div>
+          )}
+        </header>
+
+        <nav aria-label={t('app.navigation')} className="flex flex-wrap justify-center items-center gap-2 mb-8">
+          {NAV_ITEMS.map(({ to, key, icon: Icon, end }) => (
+            <NavLink
+              key={to}
+              to={to}
+              end={end}
+              className={({ isActive }) => `flex items-center space-x-2 rounded-lg px-4 py-2 text-sm transition-colors ${
+                isActive ? 'bg-purple-600 text-white' : 'bg-fg/10 hover:bg-fg/20 text-slate-300'
+              }`}
+            >
+              <Icon className="w-4 h-4" />
+              <span>{t(`nav.${key}`)}</span>
+              {to === '/compare' && (comparison.base || comparison.target) && (
+                <span className="text-xs opacity-75">
+                  ({[comparison.base, comparison.target].filter(Boolean).length}/2)
+                </span>
+              )}
+            </NavLink>
+          ))}
+          <label className="flex items-center space-x-2 text-slate-300 text-sm md:ml-4">
+            <Languages className="w-4 h-4" />
+            <span className="sr-only">{t('app.language')}</span>
+            <select
+              value={language}
+              onChange={(e) => setLanguage(e.target.value)}
+              className="bg-slate-800 text-fg rounded-lg px-2 py-1 border border-fg/20"
+            >
+              {LANGUAGES.map((entry) => (
+                <option key={entry.id} value={entry.id}>{entry.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center space-x-2 text-slate-300 text-sm">
+            <SunMoon className="w-4 h-4" />
+            <span className="sr-only">{t('app.theme')}</span>
+            <select
+              value={theme}
+              onChange={(e) => setTheme(e.target.value)}
+              className="bg-slate-800 text-fg rounded-lg px-2 py-1 border border-fg/20"
+            >
+              {THEMES.map((id) => (
+                <option key={id} value={id}>{t(`app.themes.${id}`)}</option>
+              ))}
+            </select>
+          </label>
+          <button
+            onClick={() => setColorBlind(!colorBlind)}
+            aria-pressed={colorBlind}
+            title={t('app.colorBlindPalette')}
+            className={`flex items-center space-x-1 rounded-lg px-2 py-1 text-sm border border-fg/20 ${
+              colorBlind ? 'bg-purple-600 text-white' : 'bg-fg/10 hover:bg-fg/20 text-slate-300'
+            }`}
+          >
+            <Eye className="w-4 h-4" />
+            <span className="sr-only md:not-sr-only">{t('app.colorBlindShort')}</span>
+          </button>
+        </nav>
+
+        <JobQueue
+          jobs={jobQueue.jobs}
+          onOpen={openJob}
+          onCancel={jobQueue.cancel}
+          onRetry={jobQueue.retry}
+          onDismiss={jobQueue.dismiss}
+          openKey={openedJob?.key}
+        />
+
+        <main id="contenido" tabIndex={-1} className="focus:outline-none">
+          {/* Un error inesperado en una página no deja la aplicación en blanco */}
+          <SectionBoundary resetKey={location.pathname}>
+            <Outlet
+              context={{
+                health,
+                jobQueue,
+                settings,
+                updateSettings,
+                comparison,
+                pinForComparison,
+                swapComparison,
+                clearComparison,
+                openedJob,
+                setOpenedJob,
+                workspaceSync,
+              }}
+            />
+          </SectionBoundary>
+        </main>
+      </div>
+    </div>
+  );
+};
+
+export default AppLayout;
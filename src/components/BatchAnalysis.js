@@ -0,0 +1,214 @@
+import React, { useMemo } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Cell } from 'recharts';
+import { Layers, Loader2, XCircle, X, FolderOpen, CheckCircle, AlertTriangle, Cpu } from 'lucide-react';
+import { summarizeBatch } from '../services/batch';
+import { getOverallQuality } from '../services/history';
+import { qualityColor } from '../services/theme';
+import { batchQualityTable } from '../services/chartTables';
+import useI18n from '../hooks/useI18n';
+import useTheme from '../hooks/useTheme';
+import ChartFrame from './ChartFrame';
+
+const STATUS_STYLES = {
+  pending: 'bg-slate-500/20 text-slate-300',
+  uploading: 'bg-blue-500/20 text-blue-300',
+  analyzing: 'bg-purple-500/20 text-purple-300',
+  completed: 'bg-green-500/20 text-green-300',
+  failed: 'bg-red-500/20 text-red-300',
+  cancelled: 'bg-yellow-500/20 text-yellow-300',
+};
+
+// Resumen conjunto del lote: calidad por archivo, peores columnas y consistencia del esquema
+const BatchSummary = ({ summary }) => {
+  const { chart } = useTheme();
+  const { t, formatNumber, formatPercent } = useI18n();
+  const chartData = summary.files.map((file) => ({ name: file.name, quality: file.quality ?? 0 }));
+
+  return (
+    <div className="mt-6 grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div className="bg-fg/5 rounded-lg p-4">
+        <h4 className="text-lg font-medium text-fg mb-1">{t('batch.summary.qualityByFile')}</h4>
+        <p className="text-slate-400 text-sm mb-3">
+          {t('batch.summary.overview', {
+            count: summary.files.length,
+            rows: formatNumber(summary.totalRows),
+            quality: formatPercent(summary.averageQuality),
+          })}
+        </p>
+        <ChartFrame label={t('charts.titles.batchQuality')} table={batchQualityTable(summary)}>
+          <ResponsiveContainer width="100%" height={Math.max(160, chartData.length * 28)}>
+            <BarChart data={chartData} layout="vertical" margin={{ left: 20 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke={chart.grid} />
+              <XAxis type="number" domain={[0, 100]} tick={chart.tick} />
+              <YAxis dataKey="name" type="category" tick={{ ...chart.tick, fontSize: 11 }} width={140} />
+              <Tooltip contentStyle={chart.tooltip} formatter={(value) => formatPercent(value)} />
+              <Bar dataKey="quality" radius={[0, 4, 4, 0]}>
+                {chartData.map((entry, index) => (
+                  <Cell key={index} fill={qualityColor(chart, entry.quality)} />
+                ))}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        </ChartFrame>
+      </div>
+
+      <div className="bg-fg/5 rounded-lg p-4">
+        <h4 className="text-lg font-medium text-fg mb-3">{t('batch.summary.worstColumns')}</h4>
+        {summary.worstColumns.length === 0 ? (
+          <p className="text-slate-400 text-sm">{t('batch.summary.noProblems')}</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-slate-400 text-left border-b border-fg/10">
+                <th className="py-1 pr-2 font-medium">{t('batch.summary.column')}</th>
+                <th className="py-1 pr-2 font-medium text-right">{t('batch.summary.affected')}</th>
+                <th className="py-1 pr-2 font-medium text-right">{t('batch.summary.avgMissing')}</th>
+                <th className="py-1 pr-2 font-medium text-right">{t('batch.summary.maxMissing')}</th>
+                <th className="py-1 font-medium text-right">{t('batch.summary.avgOutliers')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.worstColumns.map((column) => (
+                <tr key={column.column} className="border-b border-fg/5">
+                  <td className="py-1 pr-2 text-fg">{column.column}</td>
+                  <td className="py-1 pr-2 text-right text-slate-300">{column.affectedFiles} / {column.files}</td>
+                  <td className="py-1 pr-2 text-right text-red-300">{formatPercent(column.avgMissing)}</td>
+                  <td className="py-1 pr-2 text-right text-slate-300">{formatPercent(column.maxMissing)}</td>
+                  <td className="py-1 text-right text-orange-300">{formatPercent(column.avgOutliers)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="bg-fg/5 rounded-lg p-4 lg:col-span-2">
+        <h4 className="text-lg font-medium text-fg mb-3 flex items-center">
+          {summary.schema.consistent
+            ? <CheckCircle className="w-5 h-5 mr-2 text-green-400" />
+            : <AlertTriangle className="w-5 h-5 mr-2 text-yellow-400" />}
+          {summary.schema.consistent ? t('batch.summary.schemaConsistent') : t('batch.summary.schemaDiffers', { count: summary.schema.groups.length })}
+        </h4>
+        <p className="text-slate-400 text-sm mb-3">
+          {t('batch.summary.commonColumns', { count: summary.schema.commonColumns.length })}
+          {summary.schema.commonColumns.length > 0 && `: ${summary.schema.commonColumns.join(', ')}`}
+        </p>
+        {!summary.schema.consistent && (
+          <ul className="space-y-2 text-sm">
+            {summary.files.filter((file) => !file.schema.matches).map((file, index) => (
+              <li key={index} className="bg-yellow-500/10 border border-yellow-500/30 rounded-lg px-3 py-2 text-yellow-200">
+                <span className="font-medium text-fg">{file.name}</span>
+                {file.schema.missing.length > 0 && <span> · {t('batch.summary.missingColumns', { columns: file.schema.missing.join(', ') })}</span>}
+                {file.schema.extra.length > 0 && <span> · {t('batch.summary.extraColumns', { columns: file.schema.extra.join(', ') })}</span>}
+                {file.schema.retyped.length > 0 && (
+                  <span>
+                    {' · '}
+                    {t('batch.summary.retypedColumns', {
+                      columns: file.schema.retyped.map(({ column, before, after }) => `${column} (${before} → ${after})`).join(', '),
+                    })}
+                  </span>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Lista de archivos del lote con su estado y, al terminar, el resumen conjunto
+const BatchAnalysis = ({ items, skipped, running, onCancel, onClear, onOpen }) => {
+  const { t, translateError, formatPercent } = useI18n();
+  // El resumen aparece cuando el lote termina
+  const summary = useMemo(() => {
+    const completed = items.filter((item) => item.status === 'completed');
+    return running || completed.length === 0
+      ? null
+      : summarizeBatch(completed.map(({ name, datasetInfo }) => ({ name, datasetInfo })));
+  }, [items, running]);
+
+  if (items.length === 0 && skipped.length === 0) {
+    return null;
+  }
+
+  const finished = items.filter((item) => ['completed', 'failed', 'cancelled'].includes(item.status)).length;
+
+  return (
+    <div className="bg-fg/10 backdrop-blur-lg rounded-xl p-6 border border-fg/20 mb-8">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h3 className="text-xl font-semibold text-fg flex items-center">
+          <Layers className="w-6 h-6 mr-2" />
+          {t('batch.title')}
+          <span className="text-slate-400 text-sm font-normal ml-2">
+            ({t('batch.progress', { done: finished, total: items.length })})
+          </span>
+        </h3>
+        <div className="flex items-center gap-2 text-sm">
+          {running ? (
+            <button
+              onClick={onCancel}
+              className="flex items-center space-x-1 bg-red-600/70 hover:bg-red-600 text-white rounded-lg px-3 py-1"
+            >
+              <XCircle className="w-4 h-4" />
+              <span>{t('common.cancel')}</span>
+            </button>
+          ) : (
+            <button
+              onClick={onClear}
+              className="flex items-center space-x-1 bg-fg/10 hover:bg-fg/20 text-fg rounded-lg px-3 py-1"
+            >
+              <X className="w-4 h-4" />
+              <span>{t('batch.clear')}</span>
+            </button>
+          )}
+        </div>
+      </div>
+
+      {skipped.length > 0 && (
+        <p className="text-yellow-300 text-xs mb-3">
+          {t('batch.skipped', { count: skipped.length, files: skipped.join(', ') })}
+        </p>
+      )}
+
+      <ul className="space-y-2 max-h-80 overflow-y-auto">
+        {items.map((item) => (
+          <li key={item.key} className="rounded-lg px-4 py-2 bg-fg/5 flex flex-wrap items-center justify-between gap-2 text-sm">
+            <div className="flex items-center space-x-2 min-w-0">
+              {['uploading', 'analyzing'].includes(item.status) && <Loader2 className="w-4 h-4 text-slate-300 animate-spin shrink-0" />}
+              <span className="text-fg truncate">{item.name}</span>
+              <span className={`text-xs rounded-full px-2 py-0.5 ${STATUS_STYLES[item.status]}`}>{t(`batch.status.${item.status}`)}</span>
+              {item.local && (
+                <span title={t('batch.local')}>
+                  <Cpu className="w-4 h-4 text-amber-300 shrink-0" />
+                </span>
+              )}
+            </div>
+            <div className="flex items-center gap-3">
+              {item.status === 'uploading' && <span className="text-slate-400 text-xs">{item.progress}%</span>}
+              {item.status === 'completed' && (
+                <>
+                  <span className="text-slate-300 text-xs">
+                    {t('batch.quality', { quality: formatPercent(getOverallQuality(item.datasetInfo.data_quality)) })}
+                  </span>
+                  <button
+                    onClick={() => onOpen(item)}
+                    className="flex items-center space-x-1 bg-purple-600 hover:bg-purple-700 text-white rounded-lg px-3 py-1"
+                  >
+                    <FolderOpen className="w-4 h-4" />
+                    <span>{t('common.open')}</span>
+                  </button>
+                </>
+              )}
+              {item.error && <span className="text-red-300 text-xs">{translateError(item.error)}</span>}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {summary && <BatchSummary summary={summary} />}
+    </div>
+  );
+};
+
+export default BatchAnalysis;
@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { Table, BarChart3, Copy, Check } from 'lucide-react';
+import { tableToTsv } from '../services/chartTables';
+import useI18n from '../hooks/useI18n';
+
+// Gráfico con alternativa en texto: el botón alterna entre el gráfico y una tabla con los
+// mismos datos (table = { columns, rows } de services/chartTables), que se puede copiar
+const ChartFrame = ({ label, table, children }) => {
+  const [showTable, setShowTable] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const { t, formatNumber, formatPercent } = useI18n();
+
+  const formatCell = (value, format) => {
+    if (format === 'number') return formatNumber(value);
+    if (format === 'percent') return formatPercent(value);
+    if (format === 'decimal') return formatNumber(value, { maximumFractionDigits: 3 });
+    return value ?? '—';
+  };
+
+  const headers = table.columns.map((column) => t(column.label));
+
+  const copyTable = async () => {
+    await navigator.clipboard.writeText(tableToTsv(headers, table.columns, table.rows));
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <figure>
+      <figcaption className="flex items-center justify-end gap-2 mb-2 text-xs">
+        <span className="sr-only">{label}</span>
+        {showTable && (
+          <button
+            onClick={copyTable}
+            className="flex items-center space-x-1 bg-fg/10 hover:bg-fg/20 text-fg rounded-lg px-2 py-1"
+          >
+            {copied ? <Check className="w-3 h-3 text-green-400" /> : <Copy className="w-3 h-3" />}
+            <span>{copied ? t('share.copied') : t('charts.copy')}</span>
+          </button>
+        )}
+        <button
+          onClick={() => setShowTable((current) => !current)}
+          aria-pressed={showTable}
+          className="flex items-center space-x-1 bg-fg/10 hover:bg-fg/20 text-fg rounded-lg px-2 py-1"
+        >
+          {showTable ? <BarChart3 className="w-3 h-3" /> : <Table className="w-3 h-3" />}
+          <span>{showTable ? t('charts.showChart') : t('charts.showTable')}</span>
+        </button>
+      </figcaption>
+
+      {showTable ? (
+        <div className="overflow-auto max-h-72">
+          <table className="w-full text-sm text-left">
+            <caption className="sr-only">{label}</caption>
+            <thead>
+              <tr className="text-slate-400 border-b border-fg/10">
+                {table.columns.map((column, index) => (
+                  <th
+                    key={column.key}
+                    scope="col"
+                    className={`py-1 pr-2 font-medium ${column.format === 'text' ? '' : 'text-right'}`}
+                  >
+                    {headers[index]}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {table.rows.length === 0 ? (
+                <tr>
+                  <td colSpan={table.columns.length} className="py-2 text-slate-400">{t('charts.empty')}</td>
+                </tr>
+              ) : (
+                table.rows.map((row, rowIndex) => (
+                  <tr key={rowIndex} className="border-b border-fg/5">
+                    {table.columns.map((column) => (
+                      <td
+                        key={column.key}
+                        className={`py-1 pr-2 ${column.format === 'text' ? 'text-fg' : 'text-right text-slate-300'}`}
+                      >
+                        {formatCell(row[column.key], column.format)}
+                      </td>
+                    ))}
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        children
+      )}
+    </figure>
+  );
+};
+
+export default ChartFrame;
@@ -0,0 +1,324 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Plus, ArrowUp, ArrowDown, Trash2, Undo2, Download, Play, RefreshCw, Wand2 } from 'lucide-react';
+import { CLEANING_OPERATIONS, getOperation, createStep, describeStep, buildSuggestions } from '../services/cleaning';
+import { getOutlierMethod } from '../services/outliers';
+import { previewCleaning, exportCleanedFile } from '../services/cleaningEngine';
+import { downloadFile } from '../services/report';
+import useI18n from '../hooks/useI18n';
+
+// Nombres en el catálogo: cleaning.priorities.<key>
+const PRIORITIES = [
+  { key: 'critical', className: 'from-red-500/20 to-orange-500/20 border-red-500/30', title: 'text-red-300' },
+  { key: 'moderate', className: 'from-yellow-500/20 to-orange-500/20 border-yellow-500/30', title: 'text-yellow-300' },
+  { key: 'optional', className: 'from-green-500/20 to-emerald-500/20 border-green-500/30', title: 'text-green-300' },
+];
+
+const sameStep = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const StepResult = ({ result }) => {
+  const { t, translateMessage } = useI18n();
+  if (!result) return null;
+  if (result.error) return <span className="text-red-300">{translateMessage(result.error)}</span>;
+  const { rowsRemoved, changedCells, addedColumns, detail } = result.summary;
+  const parts = [];
+  if (rowsRemoved) parts.push(translateMessage({ code: 'cleaning.summary.rowsRemoved', params: { count: rowsRemoved, rows: rowsRemoved } }));
+  if (changedCells) parts.push(translateMessage({ code: 'cleaning.summary.changedCells', params: { count: changedCells, cells: changedCells } }));
+  if (addedColumns.length) parts.push(t('cleaning.summary.addedColumns', { count: addedColumns.length }));
+  if (detail) parts.push(translateMessage(detail));
+  return <span className="text-slate-400">{parts.length ? parts.join(' · ') : t('cleaning.summary.noChanges')}</span>;
+};
+
+const StepBuilder = ({ columns, onAdd }) => {
+  const { t } = useI18n();
+  const [type, setType] = useState('impute');
+  const [draft, setDraft] = useState(() => createStep('impute', columns[0] || ''));
+  const operation = getOperation(type);
+
+  // Un paso anterior puede haber eliminado la columna elegida (p. ej. one-hot)
+  useEffect(() => {
+    if (draft.column && !columns.includes(draft.column)) {
+      setDraft((current) => ({ ...current, column: columns[0] || '' }));
+    }
+  }, [columns, draft.column]);
+
+  const changeType = (nextType) => {
+    setType(nextType);
+    setDraft(createStep(nextType, getOperation(nextType).column === 'none' ? '' : draft.column || columns[0] || ''));
+  };
+
+  const changeOption = (option) => {
+    setDraft((current) => (type === 'cap_outliers'
+      ? { ...current, option, value: getOutlierMethod(option).defaultThreshold }
+      : { ...current, option }));
+  };
+
+  const needsValue = type === 'cap_outliers' || (type === 'impute' && draft.option === 'constant');
+  const canAdd = operation.column !== 'required' || Boolean(draft.column);
+  const selectClass = 'bg-slate-800 text-fg rounded-lg px-2 py-1 border border-fg/20';
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <select value={type} onChange={(e) => changeType(e.target.value)} className={selectClass}>
+        {CLEANING_OPERATIONS.map((item) => (
+          <option key={item.id} value={item.id}>{t(`cleaning.operations.${item.id}`)}</option>
+        ))}
+      </select>
+      {operation.column !== 'none' && (
+        <select value={draft.column} onChange={(e) => setDraft({ ...draft, column: e.target.value })} className={selectClass}>
+          {operation.column === 'optional' && <option value="">{t('cleaning.workbench.allColumns')}</option>}
+          {columns.map((column) => (
+            <option key={column} value={column}>{column}</option>
+          ))}
+        </select>
+      )}
+      {operation.options.length > 0 && (
+        <select value={draft.option} onChange={(e) => changeOption(e.target.value)} className={selectClass}>
+          {operation.options.map((option) => (
+            <option key={option} value={option}>{t(`cleaning.options.${type}.${option}`)}</option>
+          ))}
+        </select>
+      )}
+      {needsValue && (
+        <input
+          type={type === 'cap_outliers' ? 'number' : 'text'}
+          step="0.1"
+          value={draft.value ?? ''}
+          onChange={(e) => setDraft({ ...draft, value: type === 'cap_outliers' ? Number(e.target.value) : e.target.value })}
+          placeholder={t(type === 'cap_outliers' ? 'cleaning.workbench.threshold' : 'cleaning.workbench.value')}
+          className="bg-slate-800 text-fg rounded-lg px-2 py-1 border border-fg/20 w-24"
+        />
+      )}
+      <button
+        onClick={() => onAdd([draft])}
+        disabled={!canAdd}
+        className="flex items-center space-x-1 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 text-white rounded-lg px-3 py-1"
+      >
+        <Plus className="w-4 h-4" />
+        <span>{t('cleaning.workbench.addStep')}</span>
+      </button>
+    </div>
+  );
+};
+
+const CleaningWorkbench = ({ datasetInfo, file = null, onAnalyzeCleaned }) => {
+  const i18n = useI18n();
+  const { t, translateError, formatNumber } = i18n;
+  const [pipeline, setPipeline] = useState([]);
+  const [history, setHistory] = useState([]); // Pipelines anteriores para deshacer
+  const [preview, setPreview] = useState({ data: null, loading: false, error: null });
+  const [exporting, setExporting] = useState(null); // 'download' | 'analyze'
+
+  const suggestions = useMemo(() => buildSuggestions(datasetInfo, i18n), [datasetInfo, i18n]);
+  const columns = preview.data?.headers || Object.keys(datasetInfo.column_statistics || {});
+
+  useEffect(() => {
+    setPipeline([]);
+    setHistory([]);
+  }, [datasetInfo]);
+
+  // Cada cambio del pipeline se previsualiza sobre el archivo completo en un worker
+  useEffect(() => {
+    if (!file) {
+      setPreview({ data: null, loading: false, error: null });
+      return undefined;
+    }
+    const request = previewCleaning(file, pipeline);
+    setPreview((current) => ({ ...current, loading: true, error: null }));
+    request
+      .then((data) => setPreview({ data, loading: false, error: null }))
+      .catch((err) => err.name !== 'AbortError' && setPreview({ data: null, loading: false, error: err }));
+    return () => request.cancel();
+  }, [file, pipeline]);
+
+  const updatePipeline = (next) => {
+    setHistory((previous) => [...previous, pipeline]);
+    setPipeline(next);
+  };
+
+  const addSteps = (steps) => {
+    const fresh = steps.filter((step) => !pipeline.some((existing) => sameStep(existing, step)));
+    if (fresh.length > 0) updatePipeline([...pipeline, ...fresh]);
+  };
+
+  const moveStep = (index, offset) => {
+    const next = [...pipeline];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    updatePipeline(next);
+  };
+
+  const undo = () => {
+    setPipeline(history[history.length - 1]);
+    setHistory(history.slice(0, -1));
+  };
+
+  const exportCleaned = async (mode) => {
+    setExporting(mode);
+    try {
+      const cleaned = await exportCleanedFile(file, pipeline);
+      if (mode === 'download') {
+        downloadFile(cleaned, cleaned.name, 'text/csv');
+      } else {
+        onAnalyzeCleaned(cleaned);
+      }
+    } catch (err) {
+      setPreview((current) => ({ ...current, error: err }));
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const results = preview.data?.results || [];
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {PRIORITIES.map((priority) => (
+          <div key={priority.key} className={`bg-gradient-to-r ${priority.className} rounded-lg p-4 border`}>
+            <h4 className={`${priority.title} font-medium mb-2`}>{t(`cleaning.priorities.${priority.key}`)}</h4>
+            <ul className="text-slate-300 text-sm space-y-1">
+              {suggestions[priority.key].map((suggestion, index) => (
+                <li key={index} className="flex items-start justify-between gap-2">
+                  <span>• {suggestion.description}</span>
+                  {suggestion.steps.length > 0 && (
+                    <button
+                      onClick={() => addSteps(suggestion.steps)}
+                      className="shrink-0 text-slate-300 hover:text-fg"
+                      title={suggestion.steps.map((step) => describeStep(step, i18n)).join('\n')}
+                    >
+                      <Plus className="w-4 h-4" />
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+
+      <div className="bg-fg/5 rounded-lg p-4 mt-6 border border-fg/10">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+          <h4 className="text-lg font-medium text-fg flex items-center">
+            <Wand2 className="w-5 h-5 mr-2" />
+            {t('cleaning.workbench.pipeline')}
+          </h4>
+          <div className="flex items-center gap-2 text-sm">
+            <button
+              onClick={undo}
+              disabled={history.length === 0}
+              className="flex items-center space-x-1 text-slate-300 hover:text-fg disabled:opacity-40"
+            >
+              <Undo2 className="w-4 h-4" />
+              <span>{t('cleaning.workbench.undo')}</span>
+            </button>
+            <button
+              onClick={() => updatePipeline([])}
+              disabled={pipeline.length === 0}
+              className="flex items-center space-x-1 text-slate-300 hover:text-fg disabled:opacity-40"
+            >
+              <Trash2 className="w-4 h-4" />
+              <span>{t('cleaning.workbench.clear')}</span>
+            </button>
+          </div>
+        </div>
+
+        <StepBuilder columns={columns} onAdd={addSteps} />
+
+        {pipeline.length === 0 ? (
+          <p className="text-slate-400 text-sm mt-3">{t('cleaning.workbench.empty')}</p>
+        ) : (
+          <ol className="mt-3 space-y-2">
+            {pipeline.map((step, index) => (
+              <li key={index} className="flex items-center justify-between gap-2 bg-fg/5 rounded-lg px-3 py-2 text-sm">
+                <div>
+                  <span className="text-fg">{index + 1}. {describeStep(step, i18n)}</span>
+                  <div className="text-xs"><StepResult result={results[index]} /></div>
+                </div>
+                <div className="flex items-center gap-1 text-slate-300">
+                  <button onClick={() => moveStep(index, -1)} disabled={index === 0} className="hover:text-fg disabled:opacity-30" title={t('cleaning.workbench.moveUp')}>
+                    <ArrowUp className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => moveStep(index, 1)} disabled={index === pipeline.length - 1} className="hover:text-fg disabled:opacity-30" title={t('cleaning.workbench.moveDown')}>
+                    <ArrowDown className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => updatePipeline(pipeline.filter((_, position) => position !== index))}
+                    className="hover:text-red-300"
+                    title={t('cleaning.workbench.removeStep')}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ol>
+        )}
+
+        {!file ? (
+          <p className="text-slate-400 text-sm mt-4">{t('cleaning.workbench.noFile')}</p>
+        ) : (
+          <div className="mt-4">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-2 text-sm">
+              <span className="text-slate-300 flex items-center space-x-2">
+                {preview.loading && <RefreshCw className="w-4 h-4 animate-spin" />}
+                {preview.data && (
+                  <span>
+                    {t('cleaning.workbench.size', {
+                      rows: formatNumber(preview.data.totalRows),
+                      columns: formatNumber(preview.data.headers.length),
+                      original: formatNumber(preview.data.originalRows),
+                    })}
+                  </span>
+                )}
+              </span>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => exportCleaned('download')}
+                  disabled={pipeline.length === 0 || exporting !== null}
+                  className="flex items-center space-x-1 bg-fg/10 hover:bg-fg/20 disabled:opacity-40 text-fg rounded-lg px-3 py-1"
+                >
+                  {exporting === 'download' ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+                  <span>{t('cleaning.workbench.download')}</span>
+                </button>
+                <button
+                  onClick={() => exportCleaned('analyze')}
+                  disabled={pipeline.length === 0 || exporting !== null || !onAnalyzeCleaned}
+                  className="flex items-center space-x-1 bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-700 hover:to-pink-700 disabled:from-gray-600 disabled:to-gray-600 text-white rounded-lg px-3 py-1"
+                >
+                  {exporting === 'analyze' ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
+                  <span>{t('cleaning.workbench.analyze')}</span>
+                </button>
+              </div>
+            </div>
+
+            {preview.error && <p className="text-red-300 text-sm mb-2">{translateError(preview.error)}</p>}
+
+            {preview.data && (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm text-left">
+                  <thead>
+                    <tr className="text-slate-400 border-b border-fg/10">
+                      {preview.data.headers.map((header) => (
+                        <th key={header} className="px-2 py-1 font-medium whitespace-nowrap">{header}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.data.rows.map((row, rowIndex) => (
+                      <tr key={rowIndex} className="border-b border-fg/5 text-slate-300">
+                        {preview.data.headers.map((header, columnIndex) => (
+                          <td key={header} className="px-2 py-1 whitespace-nowrap">{row[columnIndex]}</td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CleaningWorkbench;
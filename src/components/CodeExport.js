@@ -0,0 +1,111 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { Code, Copy, Check, Download } from 'lucide-react';
+import { buildSuggestions } from '../services/cleaning';
+import { CODE_LANGUAGES, collectSteps, generateCleaningCode } from '../services/codegen';
+import { downloadFile } from '../services/report';
+import useI18n from '../hooks/useI18n';
+
+const CodeExport = ({ datasetInfo, fileName = 'dataset.csv' }) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [language, setLanguage] = useState('pandas');
+  const [selected, setSelected] = useState(new Set());
+  const [copied, setCopied] = useState(false);
+
+  // Solo las recomendaciones que se pueden traducir a pasos
+  const options = useMemo(() => {
+    const suggestions = buildSuggestions(datasetInfo, i18n);
+    return Object.keys(suggestions).flatMap((priority) => suggestions[priority]
+      .filter((suggestion) => suggestion.steps.length > 0)
+      .map((suggestion, index) => ({ ...suggestion, priority, key: `${priority}-${index}` })));
+  }, [datasetInfo, i18n]);
+
+  // Por defecto se incluyen las recomendaciones críticas y moderadas
+  useEffect(() => {
+    setSelected(new Set(options.filter((option) => option.priority !== 'optional').map((option) => option.key)));
+  }, [options]);
+
+  const code = useMemo(() => {
+    const steps = collectSteps(options.filter((option) => selected.has(option.key)));
+    return generateCleaningCode(language, steps, datasetInfo, { fileName, i18n });
+  }, [options, selected, language, datasetInfo, fileName, i18n]);
+
+  const toggle = (key) => {
+    const next = new Set(selected);
+    if (next.has(key)) next.delete(key);
+    else next.add(key);
+    setSelected(next);
+  };
+
+  const copyCode = async () => {
+    await navigator.clipboard.writeText(code);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  const target = CODE_LANGUAGES.find((item) => item.id === language);
+  const baseName = fileName.replace(/\.[^.]+$/, '');
+
+  return (
+    <div className="mt-8 bg-fg/10 backdrop-blur-lg rounded-xl p-6 border border-fg/20">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h3 className="text-xl font-semibold text-fg flex items-center">
+          <Code className="w-6 h-6 mr-2" />
+          {t('cleaning.code.title')}
+        </h3>
+        <div className="flex bg-slate-800 rounded-lg p-1 border border-fg/20 text-sm">
+          {CODE_LANGUAGES.map((item) => (
+            <button
+              key={item.id}
+              onClick={() => setLanguage(item.id)}
+              className={`px-3 py-1 rounded-md ${language === item.id ? 'bg-purple-600 text-white' : 'text-slate-300 hover:text-fg'}`}
+            >
+              {item.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        <div className="space-y-2">
+          <p className="text-slate-300 text-sm">{t('cleaning.code.include')}</p>
+          {options.length === 0 && <p className="text-slate-400 text-sm">{t('cleaning.code.none')}</p>}
+          {options.map((option) => (
+            <label key={option.key} className="flex items-start space-x-2 text-sm text-slate-300 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={selected.has(option.key)}
+                onChange={() => toggle(option.key)}
+                className="accent-purple-500 mt-1"
+              />
+              <span>
+                <span className="text-slate-400">[{t(`cleaning.priorities.${option.priority}`)}]</span> {option.description}
+              </span>
+            </label>
+          ))}
+        </div>
+
+        <div className="lg:col-span-2">
+          <div className="flex justify-end gap-2 mb-2 text-sm">
+            <button onClick={copyCode} className="flex items-center space-x-1 bg-fg/10 hover:bg-fg/20 text-fg rounded-lg px-3 py-1">
+              {copied ? <Check className="w-4 h-4 text-green-400" /> : <Copy className="w-4 h-4" />}
+              <span>{t(copied ? 'cleaning.code.copied' : 'cleaning.code.copy')}</span>
+            </button>
+            <button
+              onClick={() => downloadFile(code, `limpieza_${baseName}.${target.extension}`, target.type)}
+              className="flex items-center space-x-1 bg-fg/10 hover:bg-fg/20 text-fg rounded-lg px-3 py-1"
+            >
+              <Download className="w-4 h-4" />
+              <span>{t('cleaning.code.download', { extension: target.extension })}</span>
+            </button>
+          </div>
+          <pre className="bg-slate-900/80 rounded-lg p-4 text-xs text-slate-200 overflow-auto max-h-96 border border-fg/10">
+            <code>{code}</code>
+          </pre>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CodeExport;
@@ -0,0 +1,194 @@
+import React, { useState, useMemo } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { Columns, ArrowUp, ArrowDown, X } from 'lucide-react';
+import { getColumnRows, sortColumnRows, getHistogramData, getColumnContext } from '../services/columns';
+import { distributionTable } from '../services/chartTables';
+import useI18n from '../hooks/useI18n';
+import useUrlParams from '../hooks/useUrlParams';
+import useTheme from '../hooks/useTheme';
+import ChartFrame from './ChartFrame';
+
+// La columna seleccionada va en la URL (?col=) para compartir el detalle
+const VIEW_DEFAULTS = { col: '' };
+
+// Encabezados en el catálogo: columns.table.<key>
+const TABLE_COLUMNS = ['column', 'dtype', 'nullPercentage', 'unique', 'min', 'max', 'mean', 'std'];
+
+// Los mínimos y máximos pueden ser texto (fechas); los números se formatean en el idioma activo
+const formatStat = (value, formatNumber) => {
+  if (value == null) return '—';
+  if (typeof value === 'number') return formatNumber(value, { maximumFractionDigits: 3 });
+  return String(value);
+};
+
+const ColumnDetail = ({ row, context, onClose }) => {
+  const { chart } = useTheme();
+  const i18n = useI18n();
+  const { t, formatNumber, formatPercent } = i18n;
+  const chartData = row.numeric && row.histogram
+    ? getHistogramData(row.histogram, i18n)
+    : row.topValues.slice(0, 15).map(({ value, count }) => ({ bin: value, count }));
+
+  return (
+    <div className="bg-fg/5 rounded-lg p-4 mt-4 border border-fg/10">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="text-lg font-medium text-fg">
+          {row.column} <span className="text-slate-400 text-sm">({row.dtype})</span>
+        </h4>
+        <button onClick={onClose} className="text-slate-300 hover:text-fg" title={t('common.closeDetail')}>
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        <div className="lg:col-span-2">
+          <p className="text-slate-300 text-sm mb-2">
+            {t(row.numeric && row.histogram ? 'columns.histogram' : 'columns.frequency')}
+          </p>
+          {chartData.length === 0 ? (
+            <p className="text-slate-400 text-sm">{t('columns.noDistribution')}</p>
+          ) : (
+            <ChartFrame label={t('charts.titles.distribution', { column: row.column })} table={distributionTable(chartData)}>
+              <ResponsiveContainer width="100%" height={220}>
+                <BarChart data={chartData}>
+                  <CartesianGrid strokeDasharray="3 3" stroke={chart.grid} />
+                  <XAxis dataKey="bin" tick={{ ...chart.tick, fontSize: 10 }} />
+                  <YAxis tick={chart.tick} />
+                  <Tooltip contentStyle={chart.tooltip} />
+                  <Bar dataKey="count" fill={chart.primary} radius={[4, 4, 0, 0]} />
+                </BarChart>
+              </ResponsiveContainer>
+            </ChartFrame>
+          )}
+        </div>
+
+        <div className="space-y-4 text-sm">
+          <div>
+            <p className="text-fg font-medium mb-1">{t('columns.missing')}</p>
+            {context.missing ? (
+              <p className="text-red-300">
+                {t('columns.missingCount', {
+                  records: formatNumber(context.missing.count ?? row.nullCount),
+                  percent: formatPercent(context.missing.percentage),
+                })}
+              </p>
+            ) : (
+              <p className="text-green-400">{t('columns.noMissing')}</p>
+            )}
+          </div>
+          <div>
+            <p className="text-fg font-medium mb-1">{t('columns.outliers')}</p>
+            {context.outliers ? (
+              <p className="text-yellow-300">
+                {t('columns.outlierCount', { count: context.outliers.outlier_count, values: formatNumber(context.outliers.outlier_count) })}
+                {context.outliers.percentage != null && ` (${formatPercent(context.outliers.percentage)})`}
+              </p>
+            ) : (
+              <p className="text-slate-400">{t('columns.noOutliers')}</p>
+            )}
+          </div>
+          <div>
+            <p className="text-fg font-medium mb-1">{t('columns.correlations')}</p>
+            {context.correlations.length === 0 ? (
+              <p className="text-slate-400">{t('columns.noCorrelations')}</p>
+            ) : (
+              <ul className="space-y-1">
+                {context.correlations.map(({ other, correlation }) => (
+                  <li key={other} className="flex justify-between text-slate-300">
+                    <span>{other}</span>
+                    <span className={correlation >= 0 ? 'text-cyan-300' : 'text-pink-300'}>{formatStat(correlation, formatNumber)}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const ColumnExplorer = ({ datasetInfo }) => {
+  const { t, formatNumber } = useI18n();
+  const [sortBy, setSortBy] = useState('column');
+  const [direction, setDirection] = useState('asc');
+  const [view, updateView] = useUrlParams(VIEW_DEFAULTS);
+  const selectedColumn = view.col || null;
+  const setSelectedColumn = (column) => updateView({ col: column });
+
+  const rows = useMemo(() => getColumnRows(datasetInfo), [datasetInfo]);
+  const sortedRows = useMemo(() => sortColumnRows(rows, sortBy, direction), [rows, sortBy, direction]);
+  const selectedRow = rows.find((row) => row.column === selectedColumn);
+
+  const toggleSort = (key) => {
+    if (key === sortBy) {
+      setDirection(direction === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortBy(key);
+      setDirection('asc');
+    }
+  };
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-8 bg-fg/10 backdrop-blur-lg rounded-xl p-6 border border-fg/20">
+      <h3 className="text-xl font-semibold text-fg mb-4 flex items-center">
+        <Columns className="w-6 h-6 mr-2" />
+        {t('columns.title')}
+      </h3>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-slate-400 text-left border-b border-fg/10">
+              {TABLE_COLUMNS.map((key) => (
+                <th key={key} className="py-2 pr-4 font-medium">
+                  <button onClick={() => toggleSort(key)} className="flex items-center space-x-1 hover:text-fg">
+                    <span>{t(`columns.table.${key}`)}</span>
+                    {sortBy === key && (direction === 'asc' ? <ArrowUp className="w-3 h-3" /> : <ArrowDown className="w-3 h-3" />)}
+                  </button>
+                </th>
+              ))}
+              <th className="py-2 font-medium">{t('columns.table.topValues')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sortedRows.map((row) => (
+              <tr
+                key={row.column}
+                onClick={() => setSelectedColumn(row.column === selectedColumn ? null : row.column)}
+                className={`cursor-pointer border-b border-fg/5 hover:bg-fg/10 ${
+                  row.column === selectedColumn ? 'bg-purple-500/20' : ''
+                }`}
+              >
+                <td className="py-2 pr-4 text-fg font-medium">{row.column}</td>
+                <td className="py-2 pr-4 text-slate-300">{row.dtype}</td>
+                <td className="py-2 pr-4 text-slate-300">{formatStat(row.nullPercentage, formatNumber)}</td>
+                <td className="py-2 pr-4 text-slate-300">{formatStat(row.unique, formatNumber)}</td>
+                <td className="py-2 pr-4 text-slate-300">{formatStat(row.min, formatNumber)}</td>
+                <td className="py-2 pr-4 text-slate-300">{formatStat(row.max, formatNumber)}</td>
+                <td className="py-2 pr-4 text-slate-300">{formatStat(row.mean, formatNumber)}</td>
+                <td className="py-2 pr-4 text-slate-300">{formatStat(row.std, formatNumber)}</td>
+                <td className="py-2 text-slate-300">
+                  {row.numeric ? '—' : row.topValues.slice(0, 3).map(({ value }) => value).join(', ') || '—'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {selectedRow && (
+        <ColumnDetail
+          row={selectedRow}
+          context={getColumnContext(datasetInfo, selectedRow.column)}
+          onClose={() => setSelectedColumn(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ColumnExplorer;
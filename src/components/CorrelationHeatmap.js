@@ -0,0 +1,239 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { X, RefreshCw } from 'lucide-react';
+import { buildCorrelationMatrix, orderMatrix, divergingColor, describeCorrelation } from '../services/correlation';
+import { scatterTable } from '../services/chartTables';
+import useI18n from '../hooks/useI18n';
+import useTheme from '../hooks/useTheme';
+import ChartFrame from './ChartFrame';
+
+// Nombres en el catálogo: correlation.orders.<id>
+const ORDER_OPTIONS = ['original', 'alphabetical', 'cluster'];
+
+const LABEL_SPACE = 90;
+const MAX_GRID_SIZE = 480;
+
+const truncate = (label, length = 12) => (label.length > length ? `${label.slice(0, length - 1)}…` : label);
+
+const PairDetail = ({ pair, onSamplePair, onClose }) => {
+  const { chart } = useTheme();
+  const i18n = useI18n();
+  const { t, translateError, formatNumber } = i18n;
+  const [sample, setSample] = useState({ data: null, loading: false, error: null });
+
+  useEffect(() => {
+    if (!onSamplePair) {
+      return undefined;
+    }
+    let cancelled = false;
+    setSample({ data: null, loading: true, error: null });
+    onSamplePair(pair.var1, pair.var2)
+      .then((data) => !cancelled && setSample({ data, loading: false, error: null }))
+      .catch((err) => !cancelled && setSample({ data: null, loading: false, error: err }));
+    return () => {
+      cancelled = true;
+    };
+  }, [pair, onSamplePair]);
+
+  return (
+    <div className="bg-fg/5 rounded-lg p-4 mt-4 border border-fg/10">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-fg font-medium">{pair.var1} ↔ {pair.var2}</h4>
+        <button onClick={onClose} className="text-slate-300 hover:text-fg" title={t('common.closeDetail')}>
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+      <p className="text-3xl font-bold" style={{ color: divergingColor(pair.correlation) }}>
+        {formatNumber(pair.correlation, { minimumFractionDigits: 3, maximumFractionDigits: 3 })}
+      </p>
+      <p className="text-slate-300 text-sm mb-3">{describeCorrelation(pair.correlation, i18n)}</p>
+
+      {!onSamplePair ? (
+        <p className="text-slate-400 text-sm">{t('correlation.noFile')}</p>
+      ) : sample.loading ? (
+        <div className="flex items-center space-x-2 text-slate-300 text-sm">
+          <RefreshCw className="w-4 h-4 animate-spin" />
+          <span>{t('correlation.sampling')}</span>
+        </div>
+      ) : sample.error ? (
+        <p className="text-red-300 text-sm">{translateError(sample.error)}</p>
+      ) : sample.data && (
+        <>
+          <ChartFrame
+            label={t('charts.titles.scatter', { var1: pair.var1, var2: pair.var2 })}
+            table={scatterTable(sample.data.points)}
+          >
+            <ResponsiveContainer width="100%" height={260}>
+              <ScatterChart>
+                <CartesianGrid strokeDasharray="3 3" stroke={chart.grid} />
+                <XAxis type="number" dataKey="x" name={pair.var1} tick={{ ...chart.tick, fontSize: 11 }} />
+                <YAxis type="number" dataKey="y" name={pair.var2} tick={{ ...chart.tick, fontSize: 11 }} />
+                <Tooltip contentStyle={chart.tooltip} cursor={{ strokeDasharray: '3 3' }} />
+                <Scatter data={sample.data.points} fill={chart.info} fillOpacity={0.6} />
+              </ScatterChart>
+            </ResponsiveContainer>
+          </ChartFrame>
+          <p className="text-slate-400 text-xs">
+            {t('correlation.sample', {
+              shown: formatNumber(sample.data.points.length),
+              total: formatNumber(sample.data.total),
+              seed: sample.data.seed,
+            })}
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+const CorrelationHeatmap = ({ correlations, onSamplePair = null }) => {
+  const { chart } = useTheme();
+  const { t, formatNumber } = useI18n();
+  const fixed = (value, digits) => formatNumber(value, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+  const [threshold, setThreshold] = useState(0);
+  const [absolute, setAbsolute] = useState(false);
+  const [order, setOrder] = useState('original');
+  const [selectedPair, setSelectedPair] = useState(null);
+  const [hovered, setHovered] = useState(null);
+
+  const matrix = useMemo(() => orderMatrix(buildCorrelationMatrix(correlations), order), [correlations, order]);
+  const size = matrix.variables.length;
+
+  if (size === 0) {
+    return <p className="text-slate-400 text-sm">{t('correlation.empty')}</p>;
+  }
+
+  const cell = Math.max(14, Math.min(40, Math.floor(MAX_GRID_SIZE / size)));
+  const width = LABEL_SPACE + size * cell;
+  const height = LABEL_SPACE + size * cell;
+  const showValues = cell >= 32;
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-4 mb-3 text-sm text-slate-300">
+        <label className="flex items-center space-x-2">
+          <span>{t('correlation.threshold', { value: fixed(threshold, 2) })}</span>
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={threshold}
+            onChange={(e) => setThreshold(Number(e.target.value))}
+            className="accent-cyan-500"
+          />
+        </label>
+        <label className="flex items-center space-x-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={absolute}
+            onChange={(e) => setAbsolute(e.target.checked)}
+            className="accent-cyan-500"
+          />
+          <span>{t('correlation.absolute')}</span>
+        </label>
+        <label className="flex items-center space-x-2">
+          <span>{t('correlation.order')}</span>
+          <select
+            value={order}
+            onChange={(e) => setOrder(e.target.value)}
+            className="bg-slate-800 text-fg rounded-lg px-2 py-1 border border-fg/20"
+          >
+            {ORDER_OPTIONS.map((option) => (
+              <option key={option} value={option}>{t(`correlation.orders.${option}`)}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="overflow-x-auto">
+        <svg data-chart-svg width={width} height={height} role="img" aria-label={t('correlation.heatmapLabel')}>
+          {matrix.variables.map((variable, index) => (
+            <g key={variable}>
+              <text
+                x={LABEL_SPACE - 6}
+                y={LABEL_SPACE + index * cell + cell / 2}
+                textAnchor="end"
+                dominantBaseline="middle"
+                fill={hovered && hovered.row === index ? chart.text : chart.axis}
+                fontSize={11}
+              >
+                {truncate(variable)}
+              </text>
+              <text
+                transform={`translate(${LABEL_SPACE + index * cell + cell / 2}, ${LABEL_SPACE - 6}) rotate(-45)`}
+                fill={hovered && hovered.column === index ? chart.text : chart.axis}
+                fontSize={11}
+              >
+                {truncate(variable)}
+              </text>
+            </g>
+          ))}
+          {matrix.values.map((row, rowIndex) => row.map((value, columnIndex) => {
+            const displayed = value == null ? null : absolute ? Math.abs(value) : value;
+            const belowThreshold = value == null || (rowIndex !== columnIndex && Math.abs(value) < threshold);
+            const clickable = value != null && rowIndex !== columnIndex;
+            return (
+              <g
+                key={`${rowIndex}-${columnIndex}`}
+                onClick={() => clickable && setSelectedPair({
+                  var1: matrix.variables[rowIndex],
+                  var2: matrix.variables[columnIndex],
+                  correlation: value,
+                })}
+                onMouseEnter={() => setHovered({ row: rowIndex, column: columnIndex })}
+                onMouseLeave={() => setHovered(null)}
+                style={{ cursor: clickable ? 'pointer' : 'default' }}
+              >
+                <rect
+                  x={LABEL_SPACE + columnIndex * cell}
+                  y={LABEL_SPACE + rowIndex * cell}
+                  width={cell - 1}
+                  height={cell - 1}
+                  fill={divergingColor(displayed)}
+                  opacity={belowThreshold ? 0.15 : 1}
+                >
+                  <title>
+                    {`${matrix.variables[rowIndex]} × ${matrix.variables[columnIndex]}: ${value == null ? t('correlation.noValue') : fixed(value, 3)}`}
+                  </title>
+                </rect>
+                {showValues && value != null && !belowThreshold && (
+                  <text
+                    x={LABEL_SPACE + columnIndex * cell + cell / 2}
+                    y={LABEL_SPACE + rowIndex * cell + cell / 2}
+                    textAnchor="middle"
+                    dominantBaseline="middle"
+                    fill="#ffffff"
+                    fontSize={10}
+                    pointerEvents="none"
+                  >
+                    {fixed(displayed, 2)}
+                  </text>
+                )}
+              </g>
+            );
+          }))}
+        </svg>
+      </div>
+
+      <div className="flex items-center space-x-2 mt-2 text-xs text-slate-400">
+        <span>{absolute ? '0' : '-1'}</span>
+        <div
+          className="h-2 w-40 rounded"
+          style={{
+            background: absolute
+              ? `linear-gradient(to right, ${divergingColor(0)}, ${divergingColor(1)})`
+              : `linear-gradient(to right, ${divergingColor(-1)}, ${divergingColor(0)}, ${divergingColor(1)})`,
+          }}
+        />
+        <span>+1</span>
+      </div>
+
+      {selectedPair && (
+        <PairDetail pair={selectedPair} onSamplePair={onSamplePair} onClose={() => setSelectedPair(null)} />
+      )}
+    </div>
+  );
+};
+
+export default CorrelationHeatmap;
@@ -0,0 +1,123 @@
+import React from 'react';
+import { FileText, AlertTriangle, XCircle, CheckCircle, RefreshCw } from 'lucide-react';
+import useI18n from '../hooks/useI18n';
+
+const TYPE_COLORS = {
+  entero: 'bg-blue-500/20 text-blue-300',
+  decimal: 'bg-cyan-500/20 text-cyan-300',
+  booleano: 'bg-pink-500/20 text-pink-300',
+  fecha: 'bg-amber-500/20 text-amber-300',
+  texto: 'bg-purple-500/20 text-purple-300',
+  vacío: 'bg-slate-500/20 text-slate-300',
+};
+
+const DELIMITER_KEYS = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' };
+
+const CsvPreview = ({ preview, loading, error }) => {
+  const { t, formatNumber, translateMessage } = useI18n();
+
+  if (loading) {
+    return (
+      <div className="bg-fg/10 backdrop-blur-lg rounded-xl p-6 mb-8 border border-fg/20 flex items-center space-x-2 text-slate-300">
+        <RefreshCw className="w-5 h-5 animate-spin" />
+        <span>{t('preview.loading')}</span>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-500/20 border border-red-500/50 rounded-lg p-4 mb-8 text-red-300 text-sm">
+        {t('preview.error', { error })}
+      </div>
+    );
+  }
+
+  if (!preview) {
+    return null;
+  }
+
+  return (
+    <div className="bg-fg/10 backdrop-blur-lg rounded-xl p-6 mb-8 border border-fg/20">
+      <h3 className="text-xl font-semibold text-fg mb-4 flex items-center">
+        <FileText className="w-6 h-6 mr-2" />
+        {t('preview.title')}
+      </h3>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4 text-sm">
+        <div className="bg-fg/5 rounded-lg p-3">
+          <p className="text-slate-400">{t('preview.delimiter')}</p>
+          <p className="text-fg font-medium">
+            {DELIMITER_KEYS[preview.delimiter] ? t(`preview.delimiters.${DELIMITER_KEYS[preview.delimiter]}`) : preview.delimiter}
+          </p>
+        </div>
+        <div className="bg-fg/5 rounded-lg p-3">
+          <p className="text-slate-400">{t('preview.encoding')}</p>
+          <p className="text-fg font-medium">{translateMessage(preview.encoding)}</p>
+        </div>
+        <div className="bg-fg/5 rounded-lg p-3">
+          <p className="text-slate-400">{t('preview.header')}</p>
+          <p className="text-fg font-medium">{preview.hasHeader ? t('preview.firstRow') : t('preview.notDetected')}</p>
+        </div>
+        <div className="bg-fg/5 rounded-lg p-3">
+          <p className="text-slate-400">{t('preview.rowsColumns')}</p>
+          <p className="text-fg font-medium">
+            {formatNumber(preview.totalRows)}{preview.partial && '+'} / {formatNumber(preview.headers.length)}
+          </p>
+          {preview.partial && <p className="text-slate-400 text-xs mt-1">{t('preview.partial')}</p>}
+        </div>
+      </div>
+
+      {preview.issues.length === 0 ? (
+        <div className="flex items-center space-x-2 text-green-400 text-sm mb-4">
+          <CheckCircle className="w-4 h-4" />
+          <span>{t('preview.noIssues')}</span>
+        </div>
+      ) : (
+        <ul className="space-y-2 mb-4">
+          {preview.issues.map((issue) => (
+            <li
+              key={issue.type}
+              className={`flex items-start space-x-2 rounded-lg p-2 text-sm ${
+                issue.severity === 'error'
+                  ? 'bg-red-500/20 border border-red-500/40 text-red-300'
+                  : 'bg-yellow-500/20 border border-yellow-500/40 text-yellow-300'
+              }`}
+            >
+              {issue.severity === 'error'
+                ? <XCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                : <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />}
+              <span>{translateMessage(issue.message)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="overflow-x-auto max-h-80">
+        <table className="w-full text-xs">
+          <thead className="sticky top-0 bg-slate-800">
+            <tr>
+              {preview.columnTypes.map(({ column, type }, index) => (
+                <th key={index} className="py-2 px-2 text-left font-medium text-fg whitespace-nowrap">
+                  <div>{column || <span className="text-red-400 italic">{t('preview.emptyHeader')}</span>}</div>
+                  <span className={`inline-block mt-1 px-1.5 rounded ${TYPE_COLORS[type]}`}>{t(`preview.types.${type}`)}</span>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {preview.rows.map((row, rowIndex) => (
+              <tr key={rowIndex} className="border-b border-fg/5">
+                {preview.headers.map((_, index) => (
+                  <td key={index} className="py-1 px-2 text-slate-300 whitespace-nowrap">{row[index] ?? ''}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default CsvPreview;
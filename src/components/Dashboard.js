@@ -1,40 +1,205 @@
-import React, { useState, useEffect } from 'react';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell, LineChart, Line, ScatterChart, Scatter } from 'recharts';
-import { Upload, RefreshCw, AlertTriangle, CheckCircle, Info, Database, Wifi, WifiOff } from 'lucide-react';
-import { uploadAndAnalyzeDataset, formatAnalysisData, testConnection } from '../services/api';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useOutletContext } from 'react-router-dom';
+import { Upload, RefreshCw, AlertTriangle, Database, XCircle, Cpu, FolderUp, HardDrive, RotateCcw, Clock } from 'lucide-react';
+import { uploadAndAnalyzeDataset, uploadDatasetInChunks, formatAnalysisData, getResumeKey } from '../services/api';
+import { NetworkError, TimeoutError } from '../services/client/errors';
+import CsvPreview from './CsvPreview';
+import AnalysisResults from './AnalysisResults';
+import BatchAnalysis from './BatchAnalysis';
+import LargeFileOptions from './LargeFileOptions';
+import PiiReview from './PiiReview';
+import useI18n from '../hooks/useI18n';
+import useBatchAnalysis from '../hooks/useBatchAnalysis';
+import { previewCsvFile } from '../services/preview';
+import { analyzeDatasetLocally, profileLargeFileLocally } from '../services/localEngine';
+import { applyExactCounts, DEFAULT_SAMPLE_SIZE, DEFAULT_SEED } from '../services/streamProfile';
+import { inspectInputFile, convertToCsvFile } from '../services/conversion';
+import { isSupportedFileName, isCsvFileName, getAcceptAttribute } from '../services/formats/extensions';
+import { collectDroppedFiles, submitBatchJobs } from '../services/batch';
+import { getWorkspaceStore, hashFile, analysisVariant } from '../services/workspaceStore';
+import { createMaskingPlan, requiresMasking, summarizePii } from '../services/pii';
+import { maskPiiInFile, maskFileForUpload, resolveMaskingPlan } from '../services/piiEngine';
 
-const COLORS = ['#8884d8', '#82ca9d', '#ffc658', '#ff7300', '#00ff88', '#ff0088'];
+const MAX_FILE_SIZE = 50 * 1024 * 1024;
+// Bytes que lee la vista previa de un archivo que supera MAX_FILE_SIZE
+const LARGE_FILE_PREVIEW_BYTES = 5 * 1024 * 1024;
 
+// Vista de subida y análisis de un archivo o de un lote de archivos (ruta /)
 const DatasetDashboard = () => {
+  const { health, jobQueue, settings, comparison, pinForComparison, openedJob, setOpenedJob } = useOutletContext();
+  const { t, translateError, formatFileSize, formatDate } = useI18n();
   const [datasetInfo, setDatasetInfo] = useState(null);
   const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
+  const [error, setError] = useState(null); // Error de la API o { code, params } para traducir al mostrarlo
   const [file, setFile] = useState(null);
-  const [apiStatus, setApiStatus] = useState('unknown'); // 'online', 'offline', 'unknown'
+  const apiStatus = health.status; // 'online', 'waking', 'offline', 'unknown'
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [loadedAnalysis, setLoadedAnalysis] = useState(null); // Resultado de un trabajo de la cola
+  const [chunkedUpload, setChunkedUpload] = useState(settings.chunkedUpload); // Subida por partes reanudable
+  const abortControllerRef = useRef(null);
+  const [preview, setPreview] = useState({ data: null, loading: false, error: null }); // Vista previa local del CSV
+  const previewRef = useRef(null);
+  const [forceLocal, setForceLocal] = useState(settings.forceLocal); // Analizar en el navegador aunque la API esté disponible
+  const [analyzingLocally, setAnalyzingLocally] = useState(false);
+  const [sourceFile, setSourceFile] = useState(null); // Archivo original si no es CSV: { file, label, sheets, sheet }
+  const [converting, setConverting] = useState(false);
+  const [backgroundJob, setBackgroundJob] = useState(settings.backgroundJob); // Analizar como trabajo en el servidor, sin límite de 30 s
+  const batch = useBatchAnalysis();
+  const [dragging, setDragging] = useState(false); // Archivos o carpetas arrastrados sobre la zona de subida
+  const [largeFileMode, setLargeFileMode] = useState(settings.largeFileMode); // Leer por bloques y analizar una muestra
+  const [samplingOptions, setSamplingOptions] = useState({ method: 'reservoir', strataColumn: null, sampleSize: DEFAULT_SAMPLE_SIZE, seed: DEFAULT_SEED });
+  const [streamProgress, setStreamProgress] = useState(null); // Porcentaje leído del archivo grande
+  const [sampleFile, setSampleFile] = useState(null); // Muestra analizada en modo de archivo grande
+  const [storedAnalysis, setStoredAnalysis] = useState(null); // Resultado servido desde el almacenamiento local
+  const [recentFiles, setRecentFiles] = useState([]);
+  const interactedRef = useRef(false); // El usuario actuó antes de restaurar el espacio de trabajo
+  const restoredRef = useRef(false);
+  const [piiPlan, setPiiPlan] = useState([]); // Acción elegida para cada columna con datos personales
+  const [piiReviewed, setPiiReviewed] = useState(false);
+  const [maskingPii, setMaskingPii] = useState(false);
+  // Mientras el servidor despierta no se sube nada; el botón se habilita solo al responder
+  const waitingForApi = apiStatus === 'waking' && !forceLocal;
+  // Los CSV de más de MAX_FILE_SIZE solo se pueden analizar en modo de archivo grande
+  const largeFileRequired = Boolean(file) && file.size > MAX_FILE_SIZE;
+  const largeFileActive = largeFileMode || largeFileRequired;
+  const analyzeInBrowser = apiStatus === 'offline' || forceLocal;
+  // Antes de subir un archivo con datos personales hay que revisar cómo se enmascaran
+  const piiReviewPending = !analyzeInBrowser && piiPlan.length > 0 && !piiReviewed;
 
-  // Verificar conexión con la API al cargar el componente
+  // Trabajo de la cola sin análisis guardado en la API: sus resultados se muestran aquí
   useEffect(() => {
-    checkApiConnection();
+    if (openedJob) {
+      interactedRef.current = true;
+      setStoredAnalysis(null);
+      setError(null);
+      setDatasetInfo(formatAnalysisData(openedJob.result));
+      setLoadedAnalysis({ id: null, name: openedJob.name, date: openedJob.finishedAt });
+    }
+  }, [openedJob]);
+
+  // Leer el archivo en un Web Worker para detectar problemas antes de subirlo
+  const startPreview = useCallback(async (selectedFile) => {
+    if (previewRef.current) {
+      previewRef.current.cancel();
+    }
+    const request = previewCsvFile(selectedFile, {
+      maxBytes: selectedFile.size > MAX_FILE_SIZE ? LARGE_FILE_PREVIEW_BYTES : null,
+    });
+    previewRef.current = request;
+    setPreview({ data: null, loading: true, error: null });
+
+    try {
+      const data = await request;
+      if (previewRef.current === request) {
+        setPreview({ data, loading: false, error: null });
+      }
+    } catch (err) {
+      if (previewRef.current === request) {
+        setPreview({ data: null, loading: false, error: err.message });
+      }
+    }
   }, []);
 
-  const checkApiConnection = async () => {
+  // Cada vista previa nueva se revisa con las acciones propuestas
+  useEffect(() => {
+    setPiiPlan(createMaskingPlan(preview.data?.pii || []));
+    setPiiReviewed(false);
+  }, [preview.data]);
+
+  // Análisis guardado en este navegador; storedFile es su archivo si se conservó el contenido
+  const showStoredAnalysis = useCallback((entry, storedFile = null) => {
+    setError(null);
+    setDatasetInfo(entry.datasetInfo);
+    setSampleFile(entry.sampleFile || null);
+    setStoredAnalysis({ savedAt: entry.savedAt, pendingSync: entry.pendingSync });
+    if (storedFile) {
+      setSourceFile(null);
+      setFile(storedFile);
+      startPreview(storedFile);
+    }
+  }, [startPreview]);
+
+  // Al volver a la página se restauran el último análisis, su archivo y las opciones de muestreo
+  useEffect(() => {
+    let cancelled = false;
+    const store = getWorkspaceStore();
+
+    const restore = async () => {
+      const [dashboard, workspace, recent] = await Promise.all([
+        store.getPreference('dashboard'),
+        store.getPreference('workspace'),
+        store.listRecentFiles(),
+      ]);
+      if (cancelled) return;
+      setRecentFiles(recent);
+      if (dashboard?.samplingOptions) {
+        setSamplingOptions(dashboard.samplingOptions);
+      }
+      if (!workspace?.currentKey || interactedRef.current) return;
+
+      const [entry, stored] = await Promise.all([
+        store.getAnalysis(workspace.currentKey),
+        store.getRecentFile(workspace.currentKey),
+      ]);
+      if (cancelled || !entry || interactedRef.current) return;
+      showStoredAnalysis(entry, stored?.file || null);
+      // Sin el archivo ni la muestra los detalles se muestran como un análisis guardado
+      if (!stored?.file && !entry.sampleFile) {
+        setLoadedAnalysis({ id: entry.remoteId, name: entry.name, date: entry.savedAt });
+      }
+    };
+
+    restore()
+      .catch((err) => console.warn('No se pudo restaurar el espacio de trabajo:', err))
+      .finally(() => {
+        restoredRef.current = true;
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [showStoredAnalysis]);
+
+  useEffect(() => {
+    if (restoredRef.current) {
+      getWorkspaceStore().setPreference('dashboard', { samplingOptions })
+        .catch((err) => console.warn('No se pudieron guardar las opciones de muestreo:', err));
+    }
+  }, [samplingOptions]);
+
+  // Recuerda el archivo y el análisis abiertos para restaurarlos al recargar la página
+  const rememberWorkspace = async (target, hash, key) => {
     try {
-      const isOnline = await testConnection();
-      setApiStatus(isOnline ? 'online' : 'offline');
-    } catch (error) {
-      setApiStatus('offline');
+      const store = getWorkspaceStore();
+      await store.rememberFile(target, hash);
+      await store.setPreference('workspace', { currentKey: key });
+      setRecentFiles(await store.listRecentFiles());
+    } catch (err) {
+      console.warn('No se pudo guardar el espacio de trabajo:', err);
     }
   };
 
-  const analyzeDataset = async () => {
-    if (!file) {
-      setError('Por favor, selecciona un archivo CSV');
+  // target permite analizar un archivo recién generado (p. ej. el CSV limpio) antes de que se actualice el estado
+  // ignoreCache vuelve a analizar aunque el archivo ya tenga un análisis guardado
+  const analyzeDataset = async (target = file, { ignoreCache = false } = {}) => {
+    interactedRef.current = true;
+    if (!target) {
+      setError({ code: 'upload.noFile' });
       return;
     }
 
-    if (apiStatus === 'offline') {
-      setError('No se puede conectar con la API. Verifica que el servidor esté ejecutándose.');
+    // Plan revisado del archivo de la vista previa; con null (p. ej. el CSV limpio, que puede
+    // tener otras columnas) se detectan y enmascaran con las acciones propuestas
+    let maskingPlan = target === file && preview.data ? piiPlan : null;
+
+    // En segundo plano el archivo pasa a la cola y el dashboard queda libre
+    if (backgroundJob && !largeFileActive && !analyzeInBrowser) {
+      setError(null);
+      try {
+        jobQueue.submit((await maskPiiInFile(target, maskingPlan)).file);
+      } catch (err) {
+        console.error('Error al enmascarar los datos personales:', err);
+        setError(err.message ? err : { code: 'pii.maskError' });
+      }
       return;
     }
 
@@ -42,65 +207,253 @@ const DatasetDashboard = () => {
     setError(null);
     setUploadProgress(0);
     setDatasetInfo(null); // Limpiar resultados anteriores
+    setLoadedAnalysis(null);
+    setOpenedJob(null);
+    setSampleFile(null);
+    setStoredAnalysis(null);
     
     try {
-      console.log('Iniciando análisis del dataset:', file.name);
+      console.log('Iniciando análisis del dataset:', target.name);
       
-      // Llamada real a la API con timeout extendido
-      const result = await uploadAndAnalyzeDataset(file, file.name);
+      abortControllerRef.current = new AbortController();
+      const { signal } = abortControllerRef.current;
+      const uploadOptions = {
+        onProgress: setUploadProgress,
+        signal,
+      };
+
+      const store = getWorkspaceStore();
+      const sampling = largeFileActive ? samplingOptions : null;
+      // Sin plan revisado se detectan ya las columnas: el análisis se busca, se enmascara y se
+      // guarda con el mismo plan
+      if (!analyzeInBrowser) {
+        setMaskingPii(true);
+        maskingPlan = await resolveMaskingPlan(target, maskingPlan, { signal });
+        setMaskingPii(false);
+      }
+      const variantFor = (engine) => analysisVariant({ engine, sampling, masking: maskingPlan });
+      // Un archivo sin cambios se sirve desde el almacenamiento local en vez de volver a subirlo
+      const hash = await hashFile(target).catch((err) => {
+        console.warn('No se pudo calcular el hash del archivo:', err);
+        return null;
+      });
+      if (hash && !ignoreCache) {
+        const variant = variantFor(analyzeInBrowser ? 'local' : 'api');
+        const cached = await store.findAnalysis({ hash, name: target.name, variant }).catch(() => null);
+        if (cached) {
+          console.log('Análisis servido desde el almacenamiento local:', cached.key);
+          showStoredAnalysis(cached);
+          rememberWorkspace(target, hash, cached.key);
+          return;
+        }
+      }
+
+      let result = null;
+      let profile = null;
+      let analysisTarget = target;
+      if (largeFileActive) {
+        // Filas y nulos exactos en una pasada; se analiza solo la muestra (aquí mismo si no se usa la API)
+        setStreamProgress(0);
+        const large = await profileLargeFileLocally(target, {
+          ...samplingOptions,
+          analyze: analyzeInBrowser,
+          onProgress: setStreamProgress,
+          signal,
+        });
+        setStreamProgress(null);
+        profile = large.profile;
+        analysisTarget = large.sampleFile;
+        result = large.analysis;
+        setSampleFile(large.sampleFile);
+      }
+
+      if (!result && analyzeInBrowser) {
+        setAnalyzingLocally(true);
+        result = await analyzeDatasetLocally(analysisTarget, { signal });
+      } else if (!result) {
+        // Los datos personales se enmascaran antes de que el archivo salga del navegador
+        let uploadTarget = analysisTarget;
+        if (requiresMasking(maskingPlan)) {
+          setMaskingPii(true);
+          uploadTarget = (await maskPiiInFile(analysisTarget, maskingPlan, { signal })).file;
+          setMaskingPii(false);
+        }
+        try {
+          // Llamada real a la API con timeout extendido. La muestra y el CSV enmascarado son
+          // un File nuevo en cada intento: la reanudación se identifica por el archivo original,
+          // la muestra y el plan (con la misma semilla y la misma sal el contenido es idéntico)
+          result = chunkedUpload
+            ? await uploadDatasetInChunks(uploadTarget, target.name, {
+              ...uploadOptions,
+              resumeKey: getResumeKey(target, `:${variantFor('api')}`),
+            })
+            : await uploadAndAnalyzeDataset(uploadTarget, target.name, uploadOptions);
+          health.reportSuccess();
+        } catch (err) {
+          if (!(err instanceof NetworkError)) {
+            throw err;
+          }
+          // La API no respondió: recurrir automáticamente al motor local
+          console.warn('API no disponible, analizando localmente');
+          health.reportFailure(err);
+          setAnalyzingLocally(true);
+          result = await analyzeDatasetLocally(analysisTarget, { signal });
+        }
+      }
       
       console.log('Resultado del análisis:', result);
       
       // Formatear los datos recibidos
       const formattedData = formatAnalysisData(result);
       
-      // Actualizar el estado con los datos reales
-      setDatasetInfo(formattedData);
-      setApiStatus('online');
+      // Actualizar el estado con los datos reales (con las métricas exactas del archivo grande
+      // y la sección de datos personales)
+      const exact = profile ? applyExactCounts(formattedData, profile, { fileSize: target.size }) : formattedData;
+      const analysis = maskingPlan
+        ? { ...exact, pii: summarizePii(maskingPlan, { masked: exact.source !== 'local' && requiresMasking(maskingPlan) }) }
+        : exact;
+      setDatasetInfo(analysis);
+
+      // Si se analizó en el navegador por falta de conexión, se sube al volver la API
+      if (hash) {
+        const entry = await store.saveAnalysis({
+          hash,
+          name: target.name,
+          size: target.size,
+          variant: variantFor(analysis.source === 'local' ? 'local' : 'api'),
+          datasetInfo: analysis,
+          sampleFile: profile ? analysisTarget : null,
+          profile,
+          masking: maskingPlan,
+          pendingSync: analysis.source === 'local' && !forceLocal,
+        }).catch((err) => {
+          console.warn('No se pudo guardar el análisis en el almacenamiento local:', err);
+          return null;
+        });
+        if (entry) {
+          rememberWorkspace(target, hash, entry.key);
+        }
+      }
       
       console.log('Análisis completado exitosamente');
       
     } catch (err) {
+      if (err.name === 'AbortError') {
+        setError({ code: chunkedUpload ? 'upload.cancelledResumable' : 'upload.cancelled' });
+        return;
+      }
+
       console.error('Error durante el análisis:', err);
       
-      let errorMessage = err.message || 'Error al analizar el dataset';
-      
-      // Proporcionar mensajes más específicos
-      if (errorMessage.includes('500')) {
-        errorMessage = 'Error interno del servidor. Revisa la consola del backend para más detalles.';
-      } else if (errorMessage.includes('timeout')) {
-        errorMessage = 'El análisis está tomando demasiado tiempo. Intenta con un archivo más pequeño.';
-      } else if (errorMessage.includes('decode')) {
-        errorMessage = 'Error de codificación. Guarda tu archivo CSV con codificación UTF-8.';
+      // Los errores de la API traen su clave de traducción; al de codificación se le añade el consejo
+      let displayError = err.message ? err : { code: 'upload.analysisError' };
+      if (err.code === 'errors.encoding') {
+        displayError = { code: 'upload.encodingError' };
+      } else if (err instanceof TimeoutError) {
+        displayError = { code: 'upload.timeoutHint' };
       }
       
-      setError(errorMessage);
+      setError(displayError);
       
-      // Si es error de conexión, actualizar estado de API
-      if (err.message.includes('conectar') || err.message.includes('servidor')) {
-        setApiStatus('offline');
-      }
+      // Si es error de conexión, el monitor vuelve a comprobar la API de inmediato
+      health.reportFailure(err);
     } finally {
+      abortControllerRef.current = null;
+      setStreamProgress(null);
+      setMaskingPii(false);
+      setAnalyzingLocally(false);
       setLoading(false);
       setUploadProgress(0);
     }
   };
 
+  const cancelUpload = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+  };
+
+  // Un archivo sigue el flujo normal; varios (o una carpeta) se analizan como lote
+  const handleFiles = (files) => {
+    if (files.length === 0) {
+      return;
+    }
+    if (files.length === 1) {
+      selectFile(files[0]);
+      return;
+    }
+    startBatch(files);
+  };
+
   const handleFileUpload = (event) => {
-    const uploadedFile = event.target.files[0];
-    
-    if (!uploadedFile) {
+    handleFiles(Array.from(event.target.files));
+    // Permite volver a elegir la misma carpeta o los mismos archivos
+    event.target.value = '';
+  };
+
+  const handleDragOver = (event) => {
+    event.preventDefault();
+    setDragging(true);
+  };
+
+  const handleDrop = async (event) => {
+    event.preventDefault();
+    setDragging(false);
+    try {
+      handleFiles(await collectDroppedFiles(event.dataTransfer));
+    } catch (err) {
+      console.error('Error al leer los archivos soltados:', err);
+      setError({ code: 'upload.readError' });
+    }
+  };
+
+  const startBatch = (files) => {
+    interactedRef.current = true;
+    previewRef.current?.cancel();
+    setFile(null);
+    setSourceFile(null);
+    setDatasetInfo(null);
+    setLoadedAnalysis(null);
+    setOpenedJob(null);
+    setStoredAnalysis(null);
+    setError(null);
+    setPreview({ data: null, loading: false, error: null });
+
+    // En segundo plano cada archivo es un trabajo de la cola, enmascarado antes de subirlo
+    if (backgroundJob && apiStatus !== 'offline' && !forceLocal) {
+      submitBatchJobs(files, {
+        prepare: async (batchFile) => (await maskFileForUpload(batchFile)).file,
+        submit: jobQueue.submit,
+      }).then(({ failed }) => {
+        if (failed.length > 0) {
+          setError({ code: 'pii.batchMaskError', params: { files: failed.join(', ') } });
+        }
+      });
       return;
     }
+    batch.start(files, { local: apiStatus === 'offline' || forceLocal });
+  };
+
+  // Resultado de un archivo del lote: se muestra como un análisis ya hecho
+  const openBatchItem = (item) => {
+    setStoredAnalysis(null);
+    setError(null);
+    setDatasetInfo(item.datasetInfo);
+    setLoadedAnalysis({ id: null, name: item.name, date: null });
+  };
+
+  const selectFile = (uploadedFile) => {
+    interactedRef.current = true;
 
     // Validaciones del archivo
-    if (!uploadedFile.name.toLowerCase().endsWith('.csv')) {
-      setError('Por favor, sube un archivo CSV válido');
+    if (!isSupportedFileName(uploadedFile.name)) {
+      setError({ code: 'errors.unsupportedFormat' });
       return;
     }
 
-    if (uploadedFile.size > 50 * 1024 * 1024) { // 50MB
-      setError('El archivo es demasiado grande. Máximo 50MB');
+    // Un CSV grande se lee por bloques; los demás formatos se convierten en memoria
+    if (uploadedFile.size > MAX_FILE_SIZE && !isCsvFileName(uploadedFile.name)) {
+      setError({ code: 'errors.fileTooLarge', params: { max: formatFileSize(MAX_FILE_SIZE) } });
       return;
     }
 
@@ -110,374 +463,357 @@ const DatasetDashboard = () => {
       type: uploadedFile.type
     });
 
-    setFile(uploadedFile);
     setDatasetInfo(null);
+    setLoadedAnalysis(null);
+    setSampleFile(null);
+    setStoredAnalysis(null);
     setError(null);
+
+    if (isCsvFileName(uploadedFile.name)) {
+      setSourceFile(null);
+      setFile(uploadedFile);
+      startPreview(uploadedFile);
+    } else {
+      prepareNonCsvFile(uploadedFile);
+    }
   };
 
-  // Función para reintentar conexión
-  const retryConnection = async () => {
-    setLoading(true);
-    await checkApiConnection();
-    setLoading(false);
+  // Detectar el formato (y las hojas de Excel) y convertir el archivo a CSV
+  const prepareNonCsvFile = async (uploadedFile) => {
+    setFile(null);
+    setConverting(true);
+    setPreview({ data: null, loading: false, error: null });
+
+    try {
+      const { label, sheets } = await inspectInputFile(uploadedFile);
+      const source = { file: uploadedFile, label, sheets, sheet: sheets[0] || null };
+      setSourceFile(source);
+      await convertSource(source);
+    } catch (err) {
+      console.error('Error al leer el archivo:', err);
+      setSourceFile(null);
+      setError(err.message ? err : { code: 'upload.readError' });
+    } finally {
+      setConverting(false);
+    }
+  };
+
+  const convertSource = async (source) => {
+    const csvFile = await convertToCsvFile(source.file, { sheet: source.sheet });
+    setFile(csvFile);
+    startPreview(csvFile);
   };
 
-  const getQualityColor = (score) => {
-    if (score >= 90) return 'text-green-600';
-    if (score >= 70) return 'text-yellow-600';
-    return 'text-red-600';
+  // Cambiar de hoja en un libro de Excel vuelve a convertir el archivo
+  const selectSheet = async (sheet) => {
+    const source = { ...sourceFile, sheet };
+    setSourceFile(source);
+    setDatasetInfo(null);
+    setError(null);
+    setConverting(true);
+
+    try {
+      await convertSource(source);
+    } catch (err) {
+      setError(err.message ? err : { code: 'upload.sheetError' });
+    } finally {
+      setConverting(false);
+    }
   };
 
-  const getQualityIcon = (score) => {
-    if (score >= 90) return <CheckCircle className="w-5 h-5 text-green-600" />;
-    if (score >= 70) return <AlertTriangle className="w-5 h-5 text-yellow-600" />;
-    return <AlertTriangle className="w-5 h-5 text-red-600" />;
+  const previewErrors = preview.data ? preview.data.issues.filter((issue) => issue.severity === 'error') : [];
+
+  // El CSV limpio reemplaza al archivo actual y se vuelve a analizar
+  const analyzeCleanedFile = (cleanedFile) => {
+    setSourceFile(null);
+    setFile(cleanedFile);
+    startPreview(cleanedFile);
+    analyzeDataset(cleanedFile);
   };
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900 p-6">
-      <div className="max-w-7xl mx-auto">
-        {/* Header con indicador de estado de API */}
-        <div className="text-center mb-8">
-          <div className="flex justify-center items-center space-x-4 mb-4">
-            <h1 className="text-4xl font-bold text-white">
-              Dashboard de Análisis de Datasets
-            </h1>
-            <div className="flex items-center space-x-2">
-              {apiStatus === 'online' && <Wifi className="w-6 h-6 text-green-400" />}
-              {apiStatus === 'offline' && <WifiOff className="w-6 h-6 text-red-400" />}
-              {apiStatus === 'unknown' && <RefreshCw className="w-6 h-6 text-yellow-400 animate-spin" />}
-              <span className={`text-sm ${
-                apiStatus === 'online' ? 'text-green-400' : 
-                apiStatus === 'offline' ? 'text-red-400' : 'text-yellow-400'
-              }`}>
-                {apiStatus === 'online' ? 'API Conectada' : 
-                 apiStatus === 'offline' ? 'API Desconectada' : 'Verificando...'}
-              </span>
-            </div>
-          </div>
-          <p className="text-slate-300">
-            Analiza la calidad de tus datos y toma decisiones informadas sobre el tratamiento necesario
-          </p>
-          {apiStatus === 'offline' && (
-            <div className="mt-4">
-              <button
-                onClick={retryConnection}
-                disabled={loading}
-                className="bg-yellow-600 hover:bg-yellow-700 text-white px-4 py-2 rounded-lg text-sm"
-              >
-                Reintentar Conexión
-              </button>
+    <>
+      {/* Upload Section */}
+      <section
+        aria-label={t('upload.title')}
+        onDragOver={handleDragOver}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        className={`bg-fg/10 backdrop-blur-lg rounded-xl p-6 mb-8 border transition-colors ${dragging ? 'border-purple-400 border-dashed bg-purple-500/10' : 'border-fg/20'}`}
+      >
+        <div className="flex items-center justify-center">
+          <div className="flex flex-col items-center space-y-4">
+            <Upload className="w-12 h-12 text-purple-300" />
+            <div className="flex flex-wrap items-center justify-center gap-3">
+              <label className="cursor-pointer focus-within:ring-2 focus-within:ring-purple-300 bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-700 hover:to-pink-700 text-white px-6 py-3 rounded-lg font-medium transition-all duration-200 transform hover:scale-105">
+                {t('upload.select')}
+                <input
+                  type="file"
+                  accept={getAcceptAttribute()}
+                  multiple
+                  onChange={handleFileUpload}
+                  className="sr-only"
+                />
+              </label>
+              <label className="cursor-pointer focus-within:ring-2 focus-within:ring-purple-300 flex items-center space-x-2 bg-fg/10 hover:bg-fg/20 text-fg px-4 py-3 rounded-lg font-medium transition-all duration-200">
+                <FolderUp className="w-5 h-5" />
+                <span>{t('upload.selectFolder')}</span>
+                <input
+                  type="file"
+                  webkitdirectory=""
+                  onChange={handleFileUpload}
+                  className="sr-only"
+                />
+              </label>
             </div>
-          )}
-        </div>
-
-        {/* Upload Section */}
-        <div className="bg-white/10 backdrop-blur-lg rounded-xl p-6 mb-8 border border-white/20">
-          <div className="flex items-center justify-center">
-            <div className="flex flex-col items-center space-y-4">
-              <Upload className="w-12 h-12 text-purple-300" />
-              <div>
-                <label className="cursor-pointer bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-700 hover:to-pink-700 text-white px-6 py-3 rounded-lg font-medium transition-all duration-200 transform hover:scale-105">
-                  Seleccionar CSV
-                  <input
-                    type="file"
-                    accept=".csv"
-                    onChange={handleFileUpload}
-                    className="hidden"
-                  />
-                </label>
-              </div>
-              {file && (
-                <div className="text-center">
-                  <div className="bg-white/5 rounded-lg p-3 mb-3">
-                    <p className="text-white font-medium">{file.name}</p>
-                    <p className="text-slate-300 text-sm">
-                      {(file.size / 1024 / 1024).toFixed(2)} MB
-                    </p>
-                  </div>
+            <p className="text-slate-400 text-xs">{dragging ? t('upload.dropHere') : t('upload.formats')}</p>
+            {!loading && recentFiles.some((entry) => entry.file) && (
+              <div className="flex flex-wrap items-center justify-center gap-2 text-xs">
+                <span className="flex items-center text-slate-400">
+                  <Clock className="w-3 h-3 mr-1" />
+                  {t('upload.recent')}
+                </span>
+                {recentFiles.filter((entry) => entry.file).map((entry) => (
                   <button
-                    onClick={analyzeDataset}
-                    disabled={loading || apiStatus === 'offline'}
-                    className="bg-gradient-to-r from-emerald-600 to-teal-600 hover:from-emerald-700 hover:to-teal-700 text-white px-6 py-3 rounded-lg font-medium transition-all duration-200 flex items-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed mx-auto"
+                    key={entry.key}
+                    onClick={() => selectFile(entry.file)}
+                    className="bg-fg/10 hover:bg-fg/20 text-fg rounded-lg px-2 py-1"
                   >
-                    {loading ? <RefreshCw className="w-5 h-5 animate-spin" /> : <Database className="w-5 h-5" />}
-                    <span>
-                      {loading ? 'Analizando...' : 
-                       apiStatus === 'offline' ? 'API Desconectada' : 'Analizar Dataset'}
-                    </span>
+                    {entry.name}
                   </button>
-                  {loading && (
-                    <div className="mt-3">
-                      <div className="text-slate-300 text-sm mb-2">
-                        Procesando archivo... Esto puede tomar unos momentos
-                      </div>
+                ))}
+              </div>
+            )}
+            {converting && (
+              <div className="flex items-center space-x-2 text-slate-300 text-sm">
+                <RefreshCw className="w-4 h-4 animate-spin" />
+                <span>{t('upload.converting', { name: sourceFile?.file.name || t('upload.file') })}</span>
+              </div>
+            )}
+            {sourceFile && sourceFile.sheets.length > 1 && (
+              <label className="flex items-center space-x-2 text-slate-300 text-sm">
+                <span>{t('upload.sheet')}</span>
+                <select
+                  value={sourceFile.sheet || ''}
+                  onChange={(e) => selectSheet(e.target.value)}
+                  disabled={converting || loading}
+                  className="bg-slate-800 text-fg rounded-lg px-3 py-1 border border-fg/20"
+                >
+                  {sourceFile.sheets.map((sheet) => (
+                    <option key={sheet} value={sheet}>{sheet}</option>
+                  ))}
+                </select>
+              </label>
+            )}
+            {file && (
+              <div className="text-center">
+                <div className="bg-fg/5 rounded-lg p-3 mb-3">
+                  <p className="text-fg font-medium">{file.name}</p>
+                  <p className="text-slate-300 text-sm">
+                    {formatFileSize(file.size)}
+                  </p>
+                  {sourceFile && (
+                    <p className="text-slate-400 text-xs mt-1">
+                      {t('upload.convertedFrom', { format: sourceFile.label, name: sourceFile.file.name })}
+                      {sourceFile.sheet && ` ${t('upload.sheetName', { sheet: sourceFile.sheet })}`}
+                    </p>
+                  )}
+                </div>
+                <button
+                  onClick={() => analyzeDataset()}
+                  disabled={loading || converting || preview.loading || previewErrors.length > 0 || waitingForApi || piiReviewPending}
+                  className="bg-gradient-to-r from-emerald-600 to-teal-600 hover:from-emerald-700 hover:to-teal-700 text-white px-6 py-3 rounded-lg font-medium transition-all duration-200 flex items-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed mx-auto"
+                >
+                  {loading || waitingForApi ? <RefreshCw className="w-5 h-5 animate-spin" /> :
+                   apiStatus === 'offline' || forceLocal ? <Cpu className="w-5 h-5" /> : <Database className="w-5 h-5" />}
+                  <span>
+                    {loading ? t('upload.analyzing') :
+                     previewErrors.length > 0 ? t('upload.fixFile') :
+                     piiReviewPending ? t('upload.reviewPii') :
+                     waitingForApi ? t('upload.waitingForApi') :
+                     apiStatus === 'offline' || forceLocal ? t('upload.analyzeLocally') :
+                     backgroundJob && !largeFileActive ? t('upload.addToQueue') : t('upload.analyze')}
+                  </span>
+                </button>
+                {!loading && (
+                  <div className="mt-3 space-y-1">
+                    <label className="flex items-center justify-center space-x-2 text-slate-300 text-sm cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={chunkedUpload}
+                        onChange={(e) => setChunkedUpload(e.target.checked)}
+                        disabled={forceLocal || backgroundJob}
+                        className="accent-emerald-500"
+                      />
+                      <span>{t('upload.options.chunked')}</span>
+                    </label>
+                    <label className="flex items-center justify-center space-x-2 text-slate-300 text-sm cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={backgroundJob}
+                        onChange={(e) => setBackgroundJob(e.target.checked)}
+                        disabled={forceLocal || largeFileActive}
+                        className="accent-emerald-500"
+                      />
+                      <span>{t('upload.options.background')}</span>
+                    </label>
+                    <label className="flex items-center justify-center space-x-2 text-slate-300 text-sm cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={forceLocal}
+                        onChange={(e) => setForceLocal(e.target.checked)}
+                        className="accent-emerald-500"
+                      />
+                      <span>{t('upload.options.local')}</span>
+                    </label>
+                    <label className="flex items-center justify-center space-x-2 text-slate-300 text-sm cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={largeFileActive}
+                        onChange={(e) => setLargeFileMode(e.target.checked)}
+                        disabled={largeFileRequired}
+                        className="accent-emerald-500"
+                      />
+                      <span>{t('upload.options.largeFile')}</span>
+                    </label>
+                    {largeFileRequired && (
+                      <p className="text-amber-300 text-xs">
+                        {t('upload.largeFileRequired', { max: formatFileSize(MAX_FILE_SIZE) })}
+                      </p>
+                    )}
+                    {largeFileActive && (
+                      <LargeFileOptions
+                        options={samplingOptions}
+                        onChange={setSamplingOptions}
+                        columns={preview.data?.headers || []}
+                        local={analyzeInBrowser}
+                      />
+                    )}
+                    {!analyzeInBrowser && piiPlan.length > 0 && (
+                      <PiiReview
+                        plan={piiPlan}
+                        onChange={setPiiPlan}
+                        reviewed={piiReviewed}
+                        onConfirm={() => setPiiReviewed(true)}
+                      />
+                    )}
+                  </div>
+                )}
+                {loading && abortControllerRef.current && (
+                  <div className="mt-3">
+                    <div className="flex justify-between text-slate-300 text-sm mb-2">
+                      <span>
+                        {streamProgress !== null
+                          ? t('upload.progress.streaming', { percent: streamProgress })
+                          : analyzingLocally
+                          ? t('upload.progress.local')
+                          : maskingPii
+                          ? t('upload.progress.masking')
+                          : uploadProgress < 100
+                          ? t('upload.progress.uploading', { percent: uploadProgress })
+                          : t('upload.progress.server')}
+                      </span>
+                    </div>
+                    {!analyzingLocally && (
                       <div className="w-full bg-slate-700 rounded-full h-2">
                         <div 
                           className="bg-gradient-to-r from-emerald-500 to-teal-500 h-2 rounded-full transition-all duration-300"
-                          style={{ width: `${uploadProgress}%` }}
+                          style={{ width: `${streamProgress ?? uploadProgress}%` }}
                         ></div>
                       </div>
-                    </div>
-                  )}
-                </div>
-              )}
-            </div>
-          </div>
-        </div>
-
-        {error && (
-          <div className="bg-red-500/20 border border-red-500/50 rounded-lg p-4 mb-6">
-            <div className="flex items-start space-x-3">
-              <AlertTriangle className="w-5 h-5 text-red-400 mt-0.5 flex-shrink-0" />
-              <div className="flex-1">
-                <p className="text-red-200 font-medium">Error</p>
-                <p className="text-red-300 text-sm mt-1">{error}</p>
-                {apiStatus === 'offline' && (
-                  <div className="mt-3 text-xs text-red-400">
-                    <p>• Verifica que el servidor Django esté ejecutándose en puerto 8000</p>
-                    <p>• Confirma que CORS esté configurado correctamente</p>
-                    <p>• Revisa la consola del navegador para más detalles</p>
+                    )}
+                    <button
+                      onClick={cancelUpload}
+                      className="mt-3 bg-red-600/70 hover:bg-red-600 text-white px-4 py-2 rounded-lg text-sm flex items-center space-x-2 mx-auto"
+                    >
+                      <XCircle className="w-4 h-4" />
+                      <span>{t('common.cancel')}</span>
+                    </button>
                   </div>
                 )}
               </div>
-            </div>
-          </div>
-        )}
-
-        {/* Información de debugging en desarrollo */}
-        {process.env.NODE_ENV === 'development' && (
-          <div className="bg-blue-500/10 border border-blue-500/30 rounded-lg p-4 mb-6">
-            <h4 className="text-blue-300 font-medium mb-2">Debug Info (Solo en desarrollo)</h4>
-            <div className="text-xs text-blue-400 space-y-1">
-              <p>API URL: {process.env.REACT_APP_API_URL || 'http://localhost:8000/api'}</p>
-              <p>Estado API: {apiStatus}</p>
-              <p>Archivo seleccionado: {file ? `${file.name} (${(file.size / 1024 / 1024).toFixed(2)} MB)` : 'Ninguno'}</p>
-            </div>
+            )}
           </div>
-        )}
-
-        {datasetInfo && (
-          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-            {/* Información Básica */}
-            <div className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20">
-              <h3 className="text-xl font-semibold text-white mb-4 flex items-center">
-                <Info className="w-6 h-6 mr-2" />
-                Información Básica
-              </h3>
-              <div className="space-y-3">
-                <div className="flex justify-between">
-                  <span className="text-slate-300">Filas:</span>
-                  <span className="text-white font-medium">{datasetInfo.basic_info.total_rows.toLocaleString()}</span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-slate-300">Columnas:</span>
-                  <span className="text-white font-medium">{datasetInfo.basic_info.total_columns}</span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-slate-300">Tamaño:</span>
-                  <span className="text-white font-medium">{datasetInfo.basic_info.file_size}</span>
-                </div>
-              </div>
-              
-              <div className="mt-6">
-                <h4 className="text-lg font-medium text-white mb-3">Tipos de Datos</h4>
-                <ResponsiveContainer width="100%" height={200}>
-                  <PieChart>
-                    <Pie
-                      data={Object.entries(datasetInfo.basic_info.data_types).map(([key, value]) => ({ name: key, value }))}
-                      cx="50%"
-                      cy="50%"
-                      outerRadius={70}
-                      fill="#8884d8"
-                      dataKey="value"
-                      label
-                    >
-                      {Object.entries(datasetInfo.basic_info.data_types).map((entry, index) => (
-                        <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
-                      ))}
-                    </Pie>
-                    <Tooltip />
-                  </PieChart>
-                </ResponsiveContainer>
-              </div>
-            </div>
+        </div>
+      </section>
 
-            {/* Calidad de Datos */}
-            <div className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20">
-              <h3 className="text-xl font-semibold text-white mb-4">Métricas de Calidad</h3>
-              <div className="space-y-4">
-                {Object.entries(datasetInfo.data_quality).map(([metric, score]) => (
-                  <div key={metric} className="flex items-center justify-between">
-                    <div className="flex items-center space-x-2">
-                      {getQualityIcon(score)}
-                      <span className="text-slate-300 capitalize">{metric.replace('_', ' ')}</span>
-                    </div>
-                    <span className={`font-bold ${getQualityColor(score)}`}>
-                      {score.toFixed(1)}%
-                    </span>
-                  </div>
-                ))}
-              </div>
-              
-              <div className="mt-6">
-                <h4 className="text-lg font-medium text-white mb-3">Distribución de Calidad</h4>
-                <ResponsiveContainer width="100%" height={200}>
-                  <BarChart data={Object.entries(datasetInfo.data_quality).map(([key, value]) => ({ metric: key.replace('_', ' '), score: value }))}>
-                    <CartesianGrid strokeDasharray="3 3" stroke="#ffffff20" />
-                    <XAxis dataKey="metric" tick={{ fill: '#cbd5e1', fontSize: 12 }} />
-                    <YAxis tick={{ fill: '#cbd5e1' }} />
-                    <Tooltip 
-                      contentStyle={{ 
-                        backgroundColor: 'rgba(30, 41, 59, 0.9)', 
-                        border: '1px solid rgba(255, 255, 255, 0.2)',
-                        borderRadius: '8px',
-                        color: '#ffffff'
-                      }} 
-                    />
-                    <Bar dataKey="score" fill="#8b5cf6" radius={[4, 4, 0, 0]} />
-                  </BarChart>
-                </ResponsiveContainer>
-              </div>
-            </div>
+      <BatchAnalysis
+        items={batch.items}
+        skipped={batch.skipped}
+        running={batch.running}
+        onCancel={batch.cancel}
+        onClear={batch.clear}
+        onOpen={openBatchItem}
+      />
 
-            {/* Valores Faltantes */}
-            <div className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20">
-              <h3 className="text-xl font-semibold text-white mb-4">Valores Faltantes</h3>
-              <div className="mb-4">
-                <div className="flex items-center justify-between mb-2">
-                  <span className="text-slate-300">Total Missing:</span>
-                  <span className="text-red-400 font-bold">{datasetInfo.missing_data.total_missing_percentage}%</span>
-                </div>
-              </div>
-              
-              <ResponsiveContainer width="100%" height={250}>
-                <BarChart data={datasetInfo.missing_data.columns_with_missing} layout="horizontal">
-                  <CartesianGrid strokeDasharray="3 3" stroke="#ffffff20" />
-                  <XAxis type="number" tick={{ fill: '#cbd5e1' }} />
-                  <YAxis dataKey="column" type="category" tick={{ fill: '#cbd5e1', fontSize: 12 }} width={60} />
-                  <Tooltip 
-                    contentStyle={{ 
-                      backgroundColor: 'rgba(30, 41, 59, 0.9)', 
-                      border: '1px solid rgba(255, 255, 255, 0.2)',
-                      borderRadius: '8px',
-                      color: '#ffffff'
-                    }} 
-                  />
-                  <Bar dataKey="percentage" fill="#ef4444" radius={[0, 4, 4, 0]} />
-                </BarChart>
-              </ResponsiveContainer>
-            </div>
+      {file && <CsvPreview preview={preview.data} loading={preview.loading} error={preview.error} />}
 
-            {/* Duplicados */}
-            <div className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20">
-              <h3 className="text-xl font-semibold text-white mb-4">Datos Duplicados</h3>
-              <div className="text-center mb-6">
-                <div className="text-4xl font-bold text-orange-400 mb-2">
-                  {datasetInfo.duplicates.total_duplicates}
+      {error && (
+        <div className="bg-red-500/20 border border-red-500/50 rounded-lg p-4 mb-6">
+          <div className="flex items-start space-x-3">
+            <AlertTriangle className="w-5 h-5 text-red-400 mt-0.5 flex-shrink-0" />
+            <div className="flex-1">
+              <p className="text-red-200 font-medium">{t('common.error')}</p>
+              <p className="text-red-300 text-sm mt-1">{translateError(error)}</p>
+              {apiStatus === 'offline' && (
+                <div className="mt-3 text-xs text-red-400">
+                  <p>• {t('upload.offlineHints.server')}</p>
+                  <p>• {t('upload.offlineHints.cors')}</p>
+                  <p>• {t('upload.offlineHints.console')}</p>
                 </div>
-                <div className="text-slate-300">
-                  {datasetInfo.duplicates.percentage}% del dataset
-                </div>
-              </div>
-              
-              <div className="space-y-2">
-                <h4 className="text-lg font-medium text-white">Columnas Contribuyentes:</h4>
-                {datasetInfo.duplicates.columns_contributing.map((col, index) => (
-                  <div key={index} className="bg-white/5 rounded-lg p-2 text-slate-300">
-                    {col}
-                  </div>
-                ))}
-              </div>
-            </div>
-
-            {/* Outliers */}
-            <div className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20">
-              <h3 className="text-xl font-semibold text-white mb-4">Valores Atípicos</h3>
-              <ResponsiveContainer width="100%" height={300}>
-                <ScatterChart data={datasetInfo.outliers.columns_with_outliers}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#ffffff20" />
-                  <XAxis dataKey="column" tick={{ fill: '#cbd5e1', fontSize: 12 }} />
-                  <YAxis dataKey="outlier_count" tick={{ fill: '#cbd5e1' }} />
-                  <Tooltip 
-                    contentStyle={{ 
-                      backgroundColor: 'rgba(30, 41, 59, 0.9)', 
-                      border: '1px solid rgba(255, 255, 255, 0.2)',
-                      borderRadius: '8px',
-                      color: '#ffffff'
-                    }} 
-                  />
-                  <Scatter dataKey="outlier_count" fill="#fbbf24" />
-                </ScatterChart>
-              </ResponsiveContainer>
-            </div>
-
-            {/* Correlaciones */}
-            <div className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20">
-              <h3 className="text-xl font-semibold text-white mb-4">Correlaciones Principales</h3>
-              <ResponsiveContainer width="100%" height={300}>
-                <BarChart data={datasetInfo.correlation_matrix}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#ffffff20" />
-                  <XAxis dataKey="var1" tick={{ fill: '#cbd5e1', fontSize: 10 }} />
-                  <YAxis tick={{ fill: '#cbd5e1' }} />
-                  <Tooltip 
-                    contentStyle={{ 
-                      backgroundColor: 'rgba(30, 41, 59, 0.9)', 
-                      border: '1px solid rgba(255, 255, 255, 0.2)',
-                      borderRadius: '8px',
-                      color: '#ffffff'
-                    }} 
-                  />
-                  <Bar dataKey="correlation" fill="#06b6d4" radius={[4, 4, 0, 0]} />
-                </BarChart>
-              </ResponsiveContainer>
+              )}
             </div>
           </div>
-        )}
-
-        {datasetInfo && (
-          <div className="mt-8 bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20">
-            <h3 className="text-xl font-semibold text-white mb-4">Recomendaciones de Tratamiento</h3>
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-              <div className="bg-gradient-to-r from-red-500/20 to-orange-500/20 rounded-lg p-4 border border-red-500/30">
-                <h4 className="text-red-300 font-medium mb-2">Crítico</h4>
-                <ul className="text-slate-300 text-sm space-y-1">
-                  {datasetInfo.recommendations?.critical?.map((rec, index) => (
-                    <li key={index}>• {rec.description}</li>
-                  )) || [
-                    <li key="default1">• Tratar valores faltantes ({datasetInfo.missing_data?.total_missing_percentage}%)</li>,
-                    <li key="default2">• Eliminar duplicados ({datasetInfo.duplicates?.total_duplicates} registros)</li>
-                  ]}
-                </ul>
-              </div>
-              <div className="bg-gradient-to-r from-yellow-500/20 to-orange-500/20 rounded-lg p-4 border border-yellow-500/30">
-                <h4 className="text-yellow-300 font-medium mb-2">Moderado</h4>
-                <ul className="text-slate-300 text-sm space-y-1">
-                  {datasetInfo.recommendations?.moderate?.map((rec, index) => (
-                    <li key={index}>• {rec.description}</li>
-                  )) || [
-                    <li key="default3">• Revisar outliers en columnas numéricas</li>,
-                    <li key="default4">• Validar consistencia de datos</li>
-                  ]}
-                </ul>
-              </div>
-              <div className="bg-gradient-to-r from-green-500/20 to-emerald-500/20 rounded-lg p-4 border border-green-500/30">
-                <h4 className="text-green-300 font-medium mb-2">Opcional</h4>
-                <ul className="text-slate-300 text-sm space-y-1">
-                  {datasetInfo.recommendations?.optional?.map((rec, index) => (
-                    <li key={index}>• {rec.description}</li>
-                  )) || [
-                    <li key="default5">• Normalización de columnas numéricas</li>,
-                    <li key="default6">• Encoding de variables categóricas</li>
-                  ]}
-                </ul>
-              </div>
-            </div>
+        </div>
+      )}
+
+      {/* Información de debugging en desarrollo */}
+      {process.env.NODE_ENV === 'development' && (
+        <div className="bg-blue-500/10 border border-blue-500/30 rounded-lg p-4 mb-6">
+          <h4 className="text-blue-300 font-medium mb-2">{t('debug.title')}</h4>
+          <div className="text-xs text-blue-400 space-y-1">
+            <p>{t('debug.apiUrl')}: {process.env.REACT_APP_API_URL || 'http://localhost:8000/api'}</p>
+            <p>{t('debug.apiStatus')}: {apiStatus}</p>
+            <p>{t('debug.file')}: {file ? `${file.name} (${formatFileSize(file.size)})` : t('debug.noFile')}</p>
           </div>
-        )}
-      </div>
-    </div>
+        </div>
+      )}
+
+      {datasetInfo && storedAnalysis && (
+        <div className="flex flex-wrap items-center justify-between gap-2 bg-fg/5 border border-fg/10 rounded-lg px-4 py-2 mb-4 text-sm text-slate-300">
+          <span className="flex items-center space-x-2">
+            <HardDrive className="w-4 h-4" />
+            <span>
+              {t('storage.servedFromCache', { date: formatDate(storedAnalysis.savedAt) })}
+              {storedAnalysis.pendingSync && ` ${t('storage.pendingNote')}`}
+            </span>
+          </span>
+          {file && (
+            <button
+              onClick={() => analyzeDataset(file, { ignoreCache: true })}
+              disabled={loading}
+              className="flex items-center space-x-1 bg-fg/10 hover:bg-fg/20 text-fg rounded-lg px-3 py-1 disabled:opacity-50"
+            >
+              <RotateCcw className="w-4 h-4" />
+              <span>{t('storage.reanalyze')}</span>
+            </button>
+          )}
+        </div>
+      )}
+
+      {datasetInfo && (
+        <AnalysisResults
+          datasetInfo={datasetInfo}
+          file={loadedAnalysis ? null : sampleFile || file}
+          savedAnalysis={loadedAnalysis}
+          apiStatus={apiStatus}
+          comparison={comparison}
+          onPin={pinForComparison}
+          onAnalyzeCleaned={analyzeCleanedFile}
+        />
+      )}
+    </>
   );
 };
 
-export default DatasetDashboard;
\ No newline at end of file
+export default DatasetDashboard;
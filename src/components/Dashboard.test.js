@@ -0,0 +1,69 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import App from '../App';
+import { uploadAndAnalyzeDataset } from '../services/api';
+import { maskPiiInFile } from '../services/piiEngine';
+import { analyzeCsvText } from '../services/localAnalysis';
+import { saveLanguage } from '../services/i18n';
+import { saveSettings } from '../services/settings';
+
+const mockCsv = 'id,correo\n1,ana@example.com\n2,luis@example.com\n';
+// Plan que se propone sin revisión: la columna 1 se enmascara con hash
+const mockPlan = [{ column: 'correo', index: 1, type: 'email', action: 'hash' }];
+
+// Los servicios que crean Web Workers con import.meta.url no se cargan en jest. Sin plan,
+// el enmascarado aplica el detectado y lo devuelve, como el worker.
+jest.mock('../services/conversion', () => ({}));
+jest.mock('../services/localEngine', () => ({}));
+jest.mock('../services/cleaningEngine', () => ({}));
+jest.mock('../services/preview', () => ({
+  previewCsvFile: () => Promise.reject(new Error('Sin vista previa')),
+}));
+jest.mock('../services/piiEngine', () => ({
+  resolveMaskingPlan: async (file, plan) => plan || mockPlan,
+  maskPiiInFile: jest.fn(),
+  maskFileForUpload: async (file) => ({ file, plan: mockPlan }),
+}));
+// jsdom no tiene crypto.subtle para el hash del archivo
+jest.mock('../services/workspaceStore', () => ({
+  ...jest.requireActual('../services/workspaceStore'),
+  hashFile: async () => 'hash-clientes',
+}));
+jest.mock('../services/api', () => ({
+  ...jest.requireActual('../services/api'),
+  uploadAndAnalyzeDataset: jest.fn(),
+}));
+
+beforeEach(() => {
+  localStorage.clear();
+  saveLanguage('es');
+  // El backend simulado responde al health check y la API queda en línea
+  saveSettings({ useMockBackend: true });
+  uploadAndAnalyzeDataset.mockResolvedValue({ ...analyzeCsvText(mockCsv), source: 'api', analysis_id: 7 });
+  maskPiiInFile.mockImplementation(async (file, plan) => ({ file, plan: plan || mockPlan }));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('un archivo con datos personales sin revisar se sirve desde el almacenamiento la segunda vez', async () => {
+  window.history.pushState({}, '', '/');
+  render(<App />);
+  const file = new File([mockCsv], 'clientes.csv', { type: 'text/csv' });
+  fireEvent.change(screen.getByLabelText('Seleccionar Archivo'), { target: { files: [file] } });
+
+  // El botón se habilita cuando responde el health check
+  await screen.findByText(/API Conectada/);
+  fireEvent.click(screen.getByRole('button', { name: /Analizar Dataset/ }));
+  await screen.findByText(/Información Básica/);
+  expect(uploadAndAnalyzeDataset).toHaveBeenCalledTimes(1);
+  expect(maskPiiInFile).toHaveBeenCalledWith(file, mockPlan, expect.anything());
+
+  fireEvent.click(screen.getByRole('button', { name: /Analizar Dataset/ }));
+  expect(await screen.findByText(/Resultado guardado en este navegador/)).toBeInTheDocument();
+  expect(uploadAndAnalyzeDataset).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,182 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { Activity, RefreshCw, AlertTriangle, CheckCircle } from 'lucide-react';
+import { getAnalysesList, getAnalysisDetail, formatAnalysisData } from '../services/api';
+import { normalizeAnalysisSummary, extractAnalysesList } from '../services/history';
+import {
+  DEFAULT_DRIFT_THRESHOLDS,
+  findPreviousRuns,
+  detectDrift,
+  getTrendMetrics,
+  buildTrendSeries,
+} from '../services/drift';
+import { trendTable } from '../services/chartTables';
+import { getLocale } from '../services/i18n';
+import useI18n from '../hooks/useI18n';
+import useTheme from '../hooks/useTheme';
+import ChartFrame from './ChartFrame';
+
+const SEVERITY_STYLES = {
+  critical: 'border-red-500/30 bg-red-500/10 text-red-300',
+  moderate: 'border-yellow-500/30 bg-yellow-500/10 text-yellow-300',
+};
+
+// Nombres en el catálogo: drift.thresholds.<key>
+const THRESHOLD_FIELDS = [
+  { key: 'nullRate', step: 1 },
+  { key: 'meanShift', step: 0.1 },
+  { key: 'categoryShift', step: 0.05 },
+];
+
+const formatRunLabel = (date, index, language) => {
+  if (!date) return `#${index + 1}`;
+  const parsed = new Date(date);
+  return isNaN(parsed) ? String(date) : new Intl.DateTimeFormat(getLocale(language), { dateStyle: 'medium' }).format(parsed);
+};
+
+const DriftMonitor = ({ datasetInfo, datasetName, currentId = null, currentDate = null, disabled = false }) => {
+  const { chart } = useTheme();
+  const i18n = useI18n();
+  const { t, language, translateError, translateMessage } = i18n;
+  const [previousRuns, setPreviousRuns] = useState({ data: [], loading: false, error: null });
+  const [thresholds, setThresholds] = useState(DEFAULT_DRIFT_THRESHOLDS);
+  const [metric, setMetric] = useState('quality');
+
+  // Busca ejecuciones anteriores con el mismo nombre y descarga su detalle
+  useEffect(() => {
+    if (disabled || !datasetName) {
+      setPreviousRuns({ data: [], loading: false, error: null });
+      return undefined;
+    }
+    let cancelled = false;
+    const excludeId = currentId ?? datasetInfo.analysis_id ?? null;
+    // Sin id ni fecha es una subida recién hecha; los análisis locales no llegan a /analyses/
+    const excludeLatest = excludeId === null && !currentDate && datasetInfo.source !== 'local';
+
+    const load = async () => {
+      setPreviousRuns({ data: [], loading: true, error: null });
+      try {
+        const summaries = extractAnalysesList(await getAnalysesList({ name: datasetName })).map(normalizeAnalysisSummary);
+        const runs = findPreviousRuns(summaries, datasetName, { excludeId, before: currentDate, excludeLatest });
+        const details = await Promise.all(runs.map(async (run) => ({
+          ...run,
+          data: formatAnalysisData(await getAnalysisDetail(run.id)),
+        })));
+        if (!cancelled) setPreviousRuns({ data: details, loading: false, error: null });
+      } catch (err) {
+        if (!cancelled) setPreviousRuns({ data: [], loading: false, error: err });
+      }
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [datasetInfo, datasetName, currentId, currentDate, disabled]);
+
+  const baseline = previousRuns.data[0] || null;
+  const warnings = useMemo(
+    () => (baseline ? detectDrift(baseline.data, datasetInfo, thresholds) : []),
+    [baseline, datasetInfo, thresholds]
+  );
+
+  // De la ejecución más antigua a la actual
+  const runs = useMemo(() => [
+    ...[...previousRuns.data].reverse().map((run, index) => ({ label: formatRunLabel(run.date, index, language), data: run.data })),
+    { label: t('drift.current'), data: datasetInfo },
+  ], [previousRuns.data, datasetInfo, language, t]);
+  const metrics = useMemo(() => getTrendMetrics(runs, i18n), [runs, i18n]);
+  const series = useMemo(() => buildTrendSeries(runs, metric), [runs, metric]);
+
+  if (disabled) {
+    return null;
+  }
+
+  return (
+    <div className="mt-8 bg-fg/10 backdrop-blur-lg rounded-xl p-6 border border-fg/20">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h3 className="text-xl font-semibold text-fg flex items-center">
+          <Activity className="w-6 h-6 mr-2" />
+          {t('drift.title')}
+          <span className="text-slate-400 text-sm font-normal ml-2">({datasetName})</span>
+        </h3>
+        {previousRuns.loading && <RefreshCw className="w-5 h-5 text-slate-300 animate-spin" />}
+      </div>
+
+      {previousRuns.error ? (
+        <p className="text-red-300 text-sm">{translateError(previousRuns.error, 'drift.historyError')}</p>
+      ) : !previousRuns.loading && !baseline ? (
+        <p className="text-slate-400 text-sm">{t('drift.noRuns')}</p>
+      ) : baseline && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div>
+            <p className="text-slate-300 text-sm mb-3">
+              {t('drift.baseline')} <span className="text-fg">{formatRunLabel(baseline.date, 0, language)}</span>
+              {' '}{t('drift.previousRuns', { count: previousRuns.data.length })}
+            </p>
+
+            <div className="flex flex-wrap gap-3 mb-3 text-xs text-slate-300">
+              {THRESHOLD_FIELDS.map((field) => (
+                <label key={field.key} className="flex items-center space-x-1">
+                  <span>{t(`drift.thresholds.${field.key}`)}</span>
+                  <input
+                    type="number"
+                    min="0"
+                    step={field.step}
+                    value={thresholds[field.key]}
+                    onChange={(e) => setThresholds({ ...thresholds, [field.key]: Number(e.target.value) })}
+                    className="bg-slate-800 text-fg rounded px-2 py-1 border border-fg/20 w-16"
+                  />
+                </label>
+              ))}
+            </div>
+
+            {warnings.length === 0 ? (
+              <div className="flex items-center space-x-2 text-green-300 text-sm">
+                <CheckCircle className="w-4 h-4" />
+                <span>{t('drift.noDrift')}</span>
+              </div>
+            ) : (
+              <ul className="space-y-2 max-h-72 overflow-y-auto">
+                {warnings.map((warning, index) => (
+                  <li key={index} className={`flex items-start space-x-2 rounded-lg border px-3 py-2 text-sm ${SEVERITY_STYLES[warning.severity]}`}>
+                    <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0" />
+                    <span>{translateMessage(warning.message)}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div>
+            <select
+              value={metric}
+              onChange={(e) => setMetric(e.target.value)}
+              className="bg-slate-800 text-fg rounded-lg px-2 py-1 border border-fg/20 text-sm mb-3"
+            >
+              {metrics.map((item) => (
+                <option key={item.id} value={item.id}>{item.label}</option>
+              ))}
+            </select>
+            <ChartFrame
+              label={t('charts.titles.trend', { metric: metrics.find((item) => item.id === metric)?.label ?? metric })}
+              table={trendTable(series)}
+            >
+              <ResponsiveContainer width="100%" height={240}>
+                <LineChart data={series}>
+                  <CartesianGrid strokeDasharray="3 3" stroke={chart.grid} />
+                  <XAxis dataKey="run" tick={{ ...chart.tick, fontSize: 11 }} />
+                  <YAxis tick={{ ...chart.tick, fontSize: 11 }} />
+                  <Tooltip contentStyle={chart.tooltip} />
+                  <Line type="monotone" dataKey="value" stroke={chart.info} strokeWidth={2} dot={{ r: 3 }} connectNulls />
+                </LineChart>
+              </ResponsiveContainer>
+            </ChartFrame>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DriftMonitor;
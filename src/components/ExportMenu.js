@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { Download, RefreshCw, ChevronDown } from 'lucide-react';
+import { exportReport, REPORT_FORMATS } from '../services/report';
+import useI18n from '../hooks/useI18n';
+import useTheme from '../hooks/useTheme';
+
+const ExportMenu = ({ datasetInfo, chartsRef, title, baseName }) => {
+  const [open, setOpen] = useState(false);
+  const [exporting, setExporting] = useState(null);
+  const [error, setError] = useState(null);
+  const i18n = useI18n();
+  const { t } = i18n;
+  const { chart } = useTheme();
+
+  const handleExport = async (format) => {
+    setOpen(false);
+    setExporting(format);
+    setError(null);
+
+    try {
+      await exportReport(format, datasetInfo, {
+        title,
+        chartsRoot: chartsRef.current,
+        chartBackground: chart.background,
+        baseName,
+        i18n,
+      });
+    } catch (err) {
+      // El detalle (gráfico que no se pudo convertir, fallo de jsPDF...) queda en la consola
+      console.error('Error al exportar el reporte:', err);
+      setError(t('export.error'));
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={!!exporting}
+        className="bg-fg/10 hover:bg-fg/20 text-fg px-3 py-1 rounded-lg flex items-center space-x-1 disabled:opacity-50"
+      >
+        {exporting ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+        <span>{t('export.button')}</span>
+        <ChevronDown className="w-3 h-3" />
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-48 bg-slate-800 border border-fg/20 rounded-lg shadow-lg z-10 overflow-hidden">
+          {REPORT_FORMATS.map((format) => (
+            <button
+              key={format.id}
+              onClick={() => handleExport(format.id)}
+              className="block w-full text-left px-4 py-2 text-sm text-slate-200 hover:bg-fg/10"
+            >
+              {t(`export.formats.${format.id}`)}
+            </button>
+          ))}
+        </div>
+      )}
+      {error && <p className="absolute right-0 mt-1 text-xs text-red-300 whitespace-nowrap">{error}</p>}
+    </div>
+  );
+};
+
+export default ExportMenu;
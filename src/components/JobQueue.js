@@ -0,0 +1,128 @@
+import React from 'react';
+import { ListChecks, Clock, RotateCcw, X, FolderOpen, XCircle, Loader2 } from 'lucide-react';
+import { formatEta, describePartial, isTerminalStatus } from '../services/jobs';
+import useI18n from '../hooks/useI18n';
+
+const STATUS_STYLES = {
+  uploading: 'bg-blue-500/20 text-blue-300',
+  queued: 'bg-slate-500/20 text-slate-300',
+  running: 'bg-purple-500/20 text-purple-300',
+  completed: 'bg-green-500/20 text-green-300',
+  failed: 'bg-red-500/20 text-red-300',
+  cancelled: 'bg-yellow-500/20 text-yellow-300',
+};
+
+const JobQueue = ({ jobs, onOpen, onCancel, onRetry, onDismiss, openKey = null }) => {
+  const i18n = useI18n();
+  const { t, translateError } = i18n;
+
+  if (jobs.length === 0) {
+    return null;
+  }
+
+  const active = jobs.filter((job) => !isTerminalStatus(job.status)).length;
+
+  return (
+    <div className="bg-fg/10 backdrop-blur-lg rounded-xl p-6 border border-fg/20 mb-8">
+      <h3 className="text-xl font-semibold text-fg mb-4 flex items-center">
+        <ListChecks className="w-6 h-6 mr-2" />
+        {t('jobs.title')}
+        <span className="text-slate-400 text-sm font-normal ml-2">
+          ({t('jobs.active', { active, total: jobs.length })})
+        </span>
+      </h3>
+
+      <ul className="space-y-3">
+        {jobs.map((job) => {
+          const status = STATUS_STYLES[job.status] ? job.status : 'queued';
+          const uploading = job.status === 'uploading';
+          const percent = uploading ? job.uploadProgress : job.progress;
+          const partial = describePartial(job.partial, i18n);
+
+          return (
+            <li
+              key={job.key}
+              className={`rounded-lg px-4 py-3 bg-fg/5 border ${openKey === job.key ? 'border-purple-400/60' : 'border-transparent'}`}
+            >
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <div className="flex items-center space-x-2 min-w-0">
+                  {!isTerminalStatus(job.status) && <Loader2 className="w-4 h-4 text-slate-300 animate-spin shrink-0" />}
+                  <span className="text-fg font-medium truncate">{job.name}</span>
+                  <span className={`text-xs rounded-full px-2 py-0.5 ${STATUS_STYLES[status]}`}>{t(`jobs.status.${status}`)}</span>
+                </div>
+
+                <div className="flex items-center gap-2 text-sm">
+                  {job.status === 'completed' && (
+                    <button
+                      onClick={() => onOpen(job)}
+                      className="flex items-center space-x-1 bg-purple-600 hover:bg-purple-700 text-white rounded-lg px-3 py-1"
+                    >
+                      <FolderOpen className="w-4 h-4" />
+                      <span>{t('common.open')}</span>
+                    </button>
+                  )}
+                  {!isTerminalStatus(job.status) && (
+                    <button
+                      onClick={() => onCancel(job)}
+                      className="flex items-center space-x-1 bg-red-600/70 hover:bg-red-600 text-white rounded-lg px-3 py-1"
+                    >
+                      <XCircle className="w-4 h-4" />
+                      <span>{t('common.cancel')}</span>
+                    </button>
+                  )}
+                  {(job.status === 'failed' || job.status === 'cancelled') && (
+                    <button
+                      onClick={() => onRetry(job)}
+                      className="flex items-center space-x-1 bg-fg/10 hover:bg-fg/20 text-fg rounded-lg px-3 py-1"
+                    >
+                      <RotateCcw className="w-4 h-4" />
+                      <span>{t('common.retry')}</span>
+                    </button>
+                  )}
+                  {isTerminalStatus(job.status) && (
+                    <button
+                      onClick={() => onDismiss(job)}
+                      className="text-slate-300 hover:text-fg"
+                      title={t('jobs.dismiss')}
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {!isTerminalStatus(job.status) && (
+                <div className="mt-2">
+                  <div className="w-full bg-slate-700 rounded-full h-2">
+                    <div
+                      className={`h-2 rounded-full transition-all duration-300 ${uploading ? 'bg-blue-500' : 'bg-gradient-to-r from-purple-500 to-pink-500'} ${percent == null ? 'animate-pulse w-full opacity-40' : ''}`}
+                      style={percent == null ? undefined : { width: `${percent}%` }}
+                    ></div>
+                  </div>
+                  <div className="flex justify-between text-xs text-slate-400 mt-1">
+                    <span>
+                      {uploading
+                        ? t('upload.progress.uploading', { percent: job.uploadProgress })
+                        : percent == null ? t('upload.waitingForApi') : `${Math.round(percent)}%`}
+                      {partial && ` · ${partial}`}
+                    </span>
+                    {!uploading && (
+                      <span className="flex items-center space-x-1">
+                        <Clock className="w-3 h-3" />
+                        <span>{t('jobs.remaining', { eta: formatEta(job.eta) })}</span>
+                      </span>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {job.error && <p className="text-red-300 text-xs mt-2">{translateError(job.error)}</p>}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default JobQueue;
@@ -0,0 +1,84 @@
+import React from 'react';
+import { Layers } from 'lucide-react';
+import useI18n from '../hooks/useI18n';
+import { SAMPLING_METHODS, DEFAULT_SAMPLE_SIZE, DEFAULT_SEED } from '../services/streamProfile';
+
+// Opciones del modo de archivo grande: método de muestreo, columna de estratos, tamaño y semilla.
+// columns son los encabezados de la vista previa; local indica si la muestra se analiza aquí.
+const LargeFileOptions = ({ options, onChange, columns = [], local, disabled = false }) => {
+  const { t } = useI18n();
+
+  const change = (changes) => onChange({ ...options, ...changes });
+
+  const changeMethod = (method) => {
+    // La estratificada necesita una columna: se propone la primera
+    change({ method, strataColumn: method === 'stratified' ? options.strataColumn || columns[0] || null : options.strataColumn });
+  };
+
+  return (
+    <div className="mt-3 bg-fg/5 rounded-lg p-3 text-left text-sm text-slate-300 space-y-2">
+      <p className="flex items-center text-fg font-medium">
+        <Layers className="w-4 h-4 mr-2 text-purple-300" />
+        {t('largeFile.title')}
+      </p>
+      <div className="flex flex-wrap gap-3">
+        <label className="flex items-center space-x-2">
+          <span>{t('largeFile.method')}</span>
+          <select
+            value={options.method}
+            onChange={(e) => changeMethod(e.target.value)}
+            disabled={disabled}
+            className="bg-slate-800 text-fg rounded-lg px-2 py-1 border border-fg/20"
+          >
+            {SAMPLING_METHODS.map((method) => (
+              <option key={method} value={method}>{t(`largeFile.methods.${method}`)}</option>
+            ))}
+          </select>
+        </label>
+        {options.method === 'stratified' && (
+          <label className="flex items-center space-x-2">
+            <span>{t('largeFile.strataColumn')}</span>
+            <select
+              value={options.strataColumn || ''}
+              onChange={(e) => change({ strataColumn: e.target.value })}
+              disabled={disabled}
+              className="bg-slate-800 text-fg rounded-lg px-2 py-1 border border-fg/20"
+            >
+              {columns.map((column) => (
+                <option key={column} value={column}>{column}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        <label className="flex items-center space-x-2">
+          <span>{t('largeFile.sampleSize')}</span>
+          <input
+            type="number"
+            min="100"
+            step="1000"
+            value={options.sampleSize}
+            onChange={(e) => change({ sampleSize: Math.max(1, Math.floor(Number(e.target.value))) || DEFAULT_SAMPLE_SIZE })}
+            disabled={disabled}
+            className="bg-slate-800 text-fg rounded px-2 py-1 border border-fg/20 w-24"
+          />
+        </label>
+        <label className="flex items-center space-x-2">
+          <span>{t('largeFile.seed')}</span>
+          <input
+            type="number"
+            min="0"
+            value={options.seed}
+            onChange={(e) => change({ seed: Math.max(0, Math.floor(Number(e.target.value))) || DEFAULT_SEED })}
+            disabled={disabled}
+            className="bg-slate-800 text-fg rounded px-2 py-1 border border-fg/20 w-20"
+          />
+        </label>
+      </div>
+      <p className="text-slate-400 text-xs">
+        {local ? t('largeFile.destinationLocal') : t('largeFile.destinationServer')}
+      </p>
+    </div>
+  );
+};
+
+export default LargeFileOptions;
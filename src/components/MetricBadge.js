@@ -0,0 +1,26 @@
+import React from 'react';
+import useI18n from '../hooks/useI18n';
+
+// Etiqueta "exacto" / "estimado" de una métrica en el modo de archivo grande.
+// Sin sampling (análisis del archivo completo) no se muestra nada.
+const MetricBadge = ({ sampling, metric }) => {
+  const { t, formatNumber } = useI18n();
+
+  if (!sampling) {
+    return null;
+  }
+
+  const exact = sampling.exact_metrics.includes(metric);
+  return (
+    <span
+      title={exact ? t('largeFile.exactTitle') : t('largeFile.estimatedTitle', { count: formatNumber(sampling.sample_size) })}
+      className={`ml-2 inline-block align-middle rounded px-1.5 py-0.5 text-xs font-medium border ${
+        exact ? 'bg-green-500/10 text-green-300 border-green-500/40' : 'bg-amber-500/10 text-amber-300 border-amber-500/40'
+      }`}
+    >
+      {exact ? t('largeFile.exact') : t('largeFile.estimated')}
+    </span>
+  );
+};
+
+export default MetricBadge;
@@ -0,0 +1,280 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { RefreshCw, AlertTriangle } from 'lucide-react';
+import { OUTLIER_METHODS, getOutlierMethod, detectOutliers, normalizeOutlierResult, summarizeFromStatistics } from '../services/outliers';
+import { isNumericType } from '../services/columns';
+import { createRandom, createReservoir } from '../services/sampling';
+import { getColumnOutliers } from '../services/api';
+import useUrlParams from '../hooks/useUrlParams';
+import useTheme from '../hooks/useTheme';
+import useI18n from '../hooks/useI18n';
+
+const PLOT_WIDTH = 600;
+const PLOT_HEIGHT = 170;
+const PADDING = 24;
+const BOX_Y = 40;
+const BOX_HEIGHT = 36;
+const STRIP_Y = 110;
+const MAX_POINTS = 400;
+
+// Columna, método y umbral van en la URL para que un enlace muestre el mismo gráfico
+const VIEW_DEFAULTS = { outlier: '', method: 'iqr', threshold: '' };
+
+// Columnas numéricas: las de column_statistics más las que el backend marcó con atípicos
+const getNumericColumns = (datasetInfo) => {
+  const fromStats = Object.entries(datasetInfo.column_statistics || {})
+    .filter(([, stats]) => isNumericType(stats?.dtype))
+    .map(([column]) => column);
+  const fromOutliers = (datasetInfo.outliers?.columns_with_outliers || []).map((entry) => entry.column);
+  return [...new Set([...fromOutliers, ...fromStats])];
+};
+
+// Muestra reproducible de puntos para el strip plot
+const samplePoints = (values, size, seed) => {
+  const reservoir = createReservoir(size, createRandom(seed));
+  values.forEach((value) => reservoir.add(value));
+  return reservoir.items();
+};
+
+const BoxStripPlot = ({ result, inliers }) => {
+  const { chart } = useTheme();
+  const { t, formatNumber: format } = useI18n();
+  const formatNumber = (value) => format(value, { maximumFractionDigits: 3 });
+  const { summary, lowerBound, upperBound, outliers } = result;
+  if (!summary) {
+    return <p className="text-slate-400 text-sm">{t('outliers.noQuartiles')}</p>;
+  }
+
+  const candidates = [summary.min, summary.max, lowerBound, upperBound, outliers[0], outliers[outliers.length - 1]].filter((value) => value != null && isFinite(value));
+  let low = Math.min(...candidates);
+  let high = Math.max(...candidates);
+  if (low === high) {
+    low -= 1;
+    high += 1;
+  }
+  const scale = (value) => PADDING + ((value - low) / (high - low)) * (PLOT_WIDTH - PADDING * 2);
+  const ticks = Array.from({ length: 5 }, (_, index) => low + ((high - low) * index) / 4);
+  const jitter = createRandom(7);
+  const shownOutliers = outliers.length > MAX_POINTS ? samplePoints(outliers, MAX_POINTS, 11) : outliers;
+
+  return (
+    <svg
+      data-chart-svg
+      viewBox={`0 0 ${PLOT_WIDTH} ${PLOT_HEIGHT}`}
+      width="100%"
+      role="img"
+      aria-label={t('outliers.plotLabel')}
+    >
+      {/* Límites de detección */}
+      {[lowerBound, upperBound].map((bound, index) => bound != null && isFinite(bound) && (
+        <g key={index}>
+          <line x1={scale(bound)} x2={scale(bound)} y1={16} y2={STRIP_Y + 24} stroke={chart.bad} strokeDasharray="4 3" />
+          <text x={scale(bound)} y={12} textAnchor="middle" fill={chart.bad} fontSize={10}>
+            {t(index === 0 ? 'outliers.lowerShort' : 'outliers.upperShort', { value: formatNumber(bound) })}
+          </text>
+        </g>
+      ))}
+
+      {/* Caja y bigotes */}
+      <line x1={scale(summary.whiskerLow)} x2={scale(summary.q1)} y1={BOX_Y + BOX_HEIGHT / 2} y2={BOX_Y + BOX_HEIGHT / 2} stroke={chart.axis} />
+      <line x1={scale(summary.q3)} x2={scale(summary.whiskerHigh)} y1={BOX_Y + BOX_HEIGHT / 2} y2={BOX_Y + BOX_HEIGHT / 2} stroke={chart.axis} />
+      {[summary.whiskerLow, summary.whiskerHigh].map((value, index) => (
+        <line key={index} x1={scale(value)} x2={scale(value)} y1={BOX_Y + 8} y2={BOX_Y + BOX_HEIGHT - 8} stroke={chart.axis} />
+      ))}
+      <rect
+        x={scale(summary.q1)}
+        y={BOX_Y}
+        width={Math.max(1, scale(summary.q3) - scale(summary.q1))}
+        height={BOX_HEIGHT}
+        fill={chart.primary}
+        fillOpacity={0.35}
+        stroke={chart.primary}
+      >
+        <title>{t('outliers.box', { q1: formatNumber(summary.q1), median: formatNumber(summary.median), q3: formatNumber(summary.q3) })}</title>
+      </rect>
+      <line x1={scale(summary.median)} x2={scale(summary.median)} y1={BOX_Y} y2={BOX_Y + BOX_HEIGHT} stroke={chart.text} strokeWidth={2} />
+
+      {/* Strip plot: muestra de valores normales y todos los atípicos (hasta MAX_POINTS) */}
+      {inliers.map((value, index) => (
+        <circle key={`in-${index}`} cx={scale(value)} cy={STRIP_Y + (jitter() - 0.5) * 20} r={2} fill={chart.info} fillOpacity={0.5} />
+      ))}
+      {shownOutliers.map((value, index) => (
+        <circle key={`out-${index}`} cx={scale(value)} cy={STRIP_Y + (jitter() - 0.5) * 20} r={3} fill={chart.highlight}>
+          <title>{formatNumber(value)}</title>
+        </circle>
+      ))}
+
+      {/* Eje */}
+      <line x1={PADDING} x2={PLOT_WIDTH - PADDING} y1={PLOT_HEIGHT - 22} y2={PLOT_HEIGHT - 22} stroke={chart.faint} />
+      {ticks.map((tick) => (
+        <text key={tick} x={scale(tick)} y={PLOT_HEIGHT - 8} textAnchor="middle" fill={chart.axis} fontSize={10}>
+          {formatNumber(tick)}
+        </text>
+      ))}
+    </svg>
+  );
+};
+
+const OutlierInspector = ({ datasetInfo, analysisId = null, loadValues = null }) => {
+  const { t, translateError, formatNumber: format, formatPercent } = useI18n();
+  const formatNumber = (value) => format(value, { maximumFractionDigits: 3 });
+  const columns = useMemo(() => getNumericColumns(datasetInfo), [datasetInfo]);
+  const [view, updateView] = useUrlParams(VIEW_DEFAULTS);
+  const column = columns.includes(view.outlier) ? view.outlier : columns[0] || '';
+  const method = getOutlierMethod(view.method).id;
+  const threshold = view.threshold === '' || isNaN(Number(view.threshold))
+    ? getOutlierMethod(method).defaultThreshold
+    : Number(view.threshold);
+  const setColumn = (next) => updateView({ outlier: next });
+  const setThreshold = (next) => updateView({ threshold: next });
+  const [values, setValues] = useState({ column: null, data: null, loading: false, error: null });
+  const [remote, setRemote] = useState({ data: null, loading: false, error: null });
+
+  // Con el archivo disponible, la detección se recalcula en el navegador
+  useEffect(() => {
+    if (!loadValues || !column) {
+      setValues({ column: null, data: null, loading: false, error: null });
+      return undefined;
+    }
+    const request = loadValues(column);
+    setValues({ column, data: null, loading: true, error: null });
+    request
+      .then((data) => setValues({ column, data, loading: false, error: null }))
+      .catch((err) => err.name !== 'AbortError' && setValues({ column, data: null, loading: false, error: err }));
+    return () => request.cancel?.();
+  }, [loadValues, column]);
+
+  // Sin archivo, se piden los parámetros nuevos al backend (con una pequeña espera para el slider)
+  useEffect(() => {
+    if (loadValues || !analysisId || !column) {
+      setRemote({ data: null, loading: false, error: null });
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      setRemote((current) => ({ ...current, loading: true, error: null }));
+      getColumnOutliers(analysisId, column, { method, threshold })
+        .then((data) => !cancelled && setRemote({ data: normalizeOutlierResult(data), loading: false, error: null }))
+        .catch((err) => !cancelled && setRemote({ data: null, loading: false, error: err }));
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [loadValues, analysisId, column, method, threshold]);
+
+  const clientSide = values.column === column && values.data != null;
+
+  const result = useMemo(() => {
+    if (clientSide) return detectOutliers(values.data, { method, threshold });
+    if (remote.data) return remote.data;
+    const entry = (datasetInfo.outliers?.columns_with_outliers || []).find((item) => item.column === column);
+    return summarizeFromStatistics(entry, datasetInfo.column_statistics?.[column]);
+  }, [clientSide, values.data, method, threshold, remote.data, datasetInfo, column]);
+
+  const inliers = useMemo(() => {
+    if (!clientSide) return [];
+    const within = Array.from(values.data).filter((value) => value >= result.lowerBound && value <= result.upperBound);
+    return samplePoints(within, MAX_POINTS, 42);
+  }, [clientSide, values.data, result.lowerBound, result.upperBound]);
+
+  if (columns.length === 0) {
+    return <p className="text-slate-400 text-sm">{t('outliers.noColumns')}</p>;
+  }
+
+  const methodInfo = getOutlierMethod(method);
+  const canTune = clientSide || Boolean(analysisId);
+  const totalRows = datasetInfo.basic_info?.total_rows;
+  const rowShare = totalRows ? (result.count / totalRows) * 100 : result.percentage;
+  const loading = values.loading || remote.loading;
+  const error = values.error || remote.error;
+
+  const changeMethod = (id) => {
+    updateView({ method: id, threshold: null });
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-4 mb-3 text-sm text-slate-300">
+        <label className="flex items-center space-x-2">
+          <span>{t('outliers.column')}</span>
+          <select
+            value={column}
+            onChange={(e) => setColumn(e.target.value)}
+            className="bg-slate-800 text-fg rounded-lg px-2 py-1 border border-fg/20"
+          >
+            {columns.map((name) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center space-x-2">
+          <span>{t('outliers.method')}</span>
+          <select
+            value={method}
+            onChange={(e) => changeMethod(e.target.value)}
+            disabled={!canTune}
+            className="bg-slate-800 text-fg rounded-lg px-2 py-1 border border-fg/20 disabled:opacity-50"
+          >
+            {OUTLIER_METHODS.map((option) => (
+              <option key={option.id} value={option.id}>{t(`outliers.methods.${option.id}`)}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center space-x-2">
+          <span>{t(`outliers.parameters.${method}`, { value: format(threshold, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) })}</span>
+          <input
+            type="range"
+            min={methodInfo.min}
+            max={methodInfo.max}
+            step={methodInfo.step}
+            value={threshold}
+            onChange={(e) => setThreshold(Number(e.target.value))}
+            disabled={!canTune}
+            className="accent-cyan-500 disabled:opacity-50"
+          />
+        </label>
+        {loading && <RefreshCw className="w-4 h-4 animate-spin" />}
+      </div>
+
+      {error && (
+        <div className="flex items-center space-x-2 text-red-300 text-sm mb-3">
+          <AlertTriangle className="w-4 h-4" />
+          <span>{t('outliers.fallback', { error: translateError(error) })}</span>
+        </div>
+      )}
+
+      <BoxStripPlot result={result} inliers={inliers} />
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-4">
+        <div className="bg-fg/5 rounded-lg p-3">
+          <div className="text-slate-400 text-xs">{t('outliers.count')}</div>
+          <div className="text-2xl font-bold text-yellow-400">{format(result.count)}</div>
+        </div>
+        <div className="bg-fg/5 rounded-lg p-3">
+          <div className="text-slate-400 text-xs">{t('outliers.rowShare')}</div>
+          <div className="text-2xl font-bold text-fg">{formatPercent(rowShare)}</div>
+        </div>
+        <div className="bg-fg/5 rounded-lg p-3">
+          <div className="text-slate-400 text-xs">{t('outliers.lower')}</div>
+          <div className="text-lg font-medium text-fg">{formatNumber(result.lowerBound)}</div>
+        </div>
+        <div className="bg-fg/5 rounded-lg p-3">
+          <div className="text-slate-400 text-xs">{t('outliers.upper')}</div>
+          <div className="text-lg font-medium text-fg">{formatNumber(result.upperBound)}</div>
+        </div>
+      </div>
+
+      {!canTune && (
+        <p className="text-slate-400 text-xs mt-3">{t('outliers.originalBounds')}</p>
+      )}
+      {clientSide && result.outliers.length > 0 && (
+        <p className="text-slate-400 text-xs mt-3">
+          {t('outliers.values', { values: result.outliers.slice(0, 12).map(formatNumber).join(', ') })}
+          {result.outliers.length > 12 && ` ${t('outliers.more', { more: format(result.outliers.length - 12) })}`}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default OutlierInspector;
@@ -0,0 +1,58 @@
+import React from 'react';
+import { ShieldCheck, ShieldAlert } from 'lucide-react';
+import useI18n from '../hooks/useI18n';
+
+// Sección de datos personales del análisis (summarizePii): qué columnas se detectaron y
+// cómo se enmascararon antes de enviarlas a la API
+const PiiReport = ({ pii }) => {
+  const { t, formatPercent } = useI18n();
+
+  if (!pii) {
+    return null;
+  }
+
+  return (
+    <section className="bg-fg/10 backdrop-blur-lg rounded-xl p-6 border border-fg/20 mb-6">
+      <h3 className="text-xl font-semibold text-fg mb-2 flex items-center">
+        {pii.columns.length > 0 ? <ShieldAlert className="w-6 h-6 mr-2 text-amber-300" /> : <ShieldCheck className="w-6 h-6 mr-2 text-green-400" />}
+        {t('pii.title')}
+      </h3>
+      {pii.columns.length === 0 ? (
+        <p className="text-slate-300 text-sm">{t('pii.none')}</p>
+      ) : (
+        <>
+          <p className="text-slate-300 text-sm mb-4">{pii.masked ? t('pii.maskedNote') : t('pii.localNote')}</p>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-slate-400 text-left border-b border-fg/10">
+                  <th className="py-2 pr-4 font-medium">{t('pii.columns.column')}</th>
+                  <th className="py-2 pr-4 font-medium">{t('pii.columns.type')}</th>
+                  <th className="py-2 pr-4 font-medium text-right">{t('pii.columns.matched')}</th>
+                  <th className="py-2 font-medium">{t('pii.columns.action')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {pii.columns.map((entry, index) => (
+                  <tr key={index} className="border-b border-fg/5">
+                    <td className="py-2 pr-4 text-fg">{entry.column}</td>
+                    <td className="py-2 pr-4 text-slate-300">
+                      {t(`pii.types.${entry.type}`)}
+                      {entry.by_header && <span className="text-slate-400 text-xs"> · {t('pii.byHeader')}</span>}
+                    </td>
+                    <td className="py-2 pr-4 text-slate-300 text-right">{formatPercent(entry.percentage)}</td>
+                    <td className={`py-2 ${entry.action === 'keep' && pii.masked ? 'text-amber-300' : 'text-slate-300'}`}>
+                      {t(`pii.actions.${entry.action}`)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </section>
+  );
+};
+
+export default PiiReport;
@@ -0,0 +1,81 @@
+import React from 'react';
+import { ShieldAlert, ShieldCheck } from 'lucide-react';
+import useI18n from '../hooks/useI18n';
+import { MASKING_ACTIONS } from '../services/pii';
+
+// Revisión de los datos personales detectados en la vista previa antes de subir el archivo:
+// una acción por columna (plan de pii.js). El análisis no empieza hasta confirmar.
+const PiiReview = ({ plan, onChange, reviewed, onConfirm, disabled = false }) => {
+  const { t, formatPercent } = useI18n();
+
+  const changeAction = (index, action) => {
+    onChange(plan.map((entry) => (entry.index === index ? { ...entry, action } : entry)));
+  };
+
+  return (
+    <div className="mt-3 bg-amber-500/10 border border-amber-500/40 rounded-lg p-3 text-left text-sm text-slate-300 space-y-2">
+      <p className="flex items-center text-amber-200 font-medium">
+        <ShieldAlert className="w-4 h-4 mr-2" />
+        {t('pii.reviewTitle', { count: plan.length })}
+      </p>
+      <p className="text-slate-400 text-xs">{t('pii.reviewHint')}</p>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-slate-400 text-left border-b border-fg/10">
+              <th className="py-1 pr-3 font-medium">{t('pii.columns.column')}</th>
+              <th className="py-1 pr-3 font-medium">{t('pii.columns.type')}</th>
+              <th className="py-1 pr-3 font-medium">{t('pii.columns.example')}</th>
+              <th className="py-1 font-medium">{t('pii.columns.action')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {plan.map((entry) => (
+              <tr key={entry.index} className="border-b border-fg/5">
+                <td className="py-1 pr-3 text-fg">{entry.column}</td>
+                <td className="py-1 pr-3">
+                  {t(`pii.types.${entry.type}`)}
+                  <span className="block text-slate-400 text-xs">
+                    {t('pii.matched', { percent: formatPercent(entry.percentage) })}
+                    {entry.byHeader && ` · ${t('pii.byHeader')}`}
+                  </span>
+                </td>
+                <td className="py-1 pr-3 font-mono text-xs">{entry.example}</td>
+                <td className="py-1">
+                  <select
+                    value={entry.action}
+                    onChange={(e) => changeAction(entry.index, e.target.value)}
+                    disabled={disabled}
+                    aria-label={t('pii.actionFor', { column: entry.column })}
+                    className="bg-slate-800 text-fg rounded-lg px-2 py-1 border border-fg/20"
+                  >
+                    {MASKING_ACTIONS.map((action) => (
+                      <option key={action} value={action}>{t(`pii.actions.${action}`)}</option>
+                    ))}
+                  </select>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {reviewed ? (
+        <p className="flex items-center text-green-400 text-xs">
+          <ShieldCheck className="w-4 h-4 mr-1" />
+          {t('pii.confirmed')}
+        </p>
+      ) : (
+        <button
+          onClick={onConfirm}
+          disabled={disabled}
+          className="flex items-center space-x-1 bg-amber-600 hover:bg-amber-700 text-white px-3 py-1 rounded-lg disabled:opacity-50"
+        >
+          <ShieldCheck className="w-4 h-4" />
+          <span>{t('pii.confirm')}</span>
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default PiiReview;
@@ -0,0 +1,226 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { ShieldCheck, Plus, Trash2, Download, Upload, CheckCircle, XCircle, HelpCircle, AlertTriangle, RefreshCw } from 'lucide-react';
+import {
+  RULE_TYPES,
+  getRuleType,
+  createRule,
+  describeRule,
+  validateRule,
+  evaluateRulesOnAnalysis,
+  summarizeByColumn,
+  loadRuleSet,
+  saveRuleSet,
+  exportRuleSet,
+  parseRuleSet,
+} from '../services/rules';
+import { evaluateRulesLocally } from '../services/localEngine';
+import { downloadFile } from '../services/report';
+import useI18n from '../hooks/useI18n';
+
+const STATUS_STYLES = {
+  pass: { icon: CheckCircle, className: 'text-green-400' },
+  fail: { icon: XCircle, className: 'text-red-400' },
+  unknown: { icon: HelpCircle, className: 'text-slate-400' },
+  error: { icon: AlertTriangle, className: 'text-yellow-400' },
+};
+
+// Convierte los campos del formulario en parámetros de la regla
+const parseParams = (type, inputs) => Object.fromEntries(getRuleType(type).params.map(({ key, type: kind }) => {
+  const raw = inputs[key] ?? '';
+  if (kind === 'number') return [key, raw === '' ? null : Number(raw)];
+  if (kind === 'list') return [key, raw.split(',').map((value) => value.trim()).filter(Boolean)];
+  return [key, raw];
+}));
+
+const QualityRules = ({ datasetInfo, file = null, datasetName }) => {
+  const i18n = useI18n();
+  const { t, translateError, translateMessage } = i18n;
+  const columns = Object.keys(datasetInfo.column_statistics || {});
+  const [rules, setRules] = useState(() => loadRuleSet(datasetName));
+  const [draft, setDraft] = useState({ type: 'unique', column: columns[0] || '', inputs: {} });
+  const [formError, setFormError] = useState(null);
+  const [fileResults, setFileResults] = useState({ data: null, loading: false, error: null });
+  const importRef = useRef(null);
+
+  useEffect(() => {
+    setRules(loadRuleSet(datasetName));
+  }, [datasetName]);
+
+  useEffect(() => {
+    if (!columns.includes(draft.column)) {
+      setDraft((current) => ({ ...current, column: columns[0] || '' }));
+    }
+  }, [columns, draft.column]);
+
+  const updateRules = (next) => {
+    setRules(next);
+    saveRuleSet(datasetName, next);
+  };
+
+  // Con el archivo disponible las reglas se evalúan fila a fila; si no, con las estadísticas
+  useEffect(() => {
+    if (!file || rules.length === 0) {
+      setFileResults({ data: null, loading: false, error: null });
+      return undefined;
+    }
+    const request = evaluateRulesLocally(file, rules);
+    setFileResults({ data: null, loading: true, error: null });
+    request
+      .then((data) => setFileResults({ data, loading: false, error: null }))
+      .catch((err) => err.name !== 'AbortError' && setFileResults({ data: null, loading: false, error: err }));
+    return () => request.cancel();
+  }, [file, rules]);
+
+  const analysisResults = useMemo(() => evaluateRulesOnAnalysis(datasetInfo, rules), [datasetInfo, rules]);
+  const results = fileResults.data || analysisResults;
+  const byColumn = useMemo(() => summarizeByColumn(results), [results]);
+  const passed = results.filter((item) => item.status === 'pass').length;
+
+  const addRule = () => {
+    const rule = createRule(draft.type, draft.column, parseParams(draft.type, draft.inputs));
+    const invalid = validateRule(rule);
+    if (invalid) {
+      setFormError(invalid);
+      return;
+    }
+    setFormError(null);
+    updateRules([...rules, rule]);
+    setDraft({ ...draft, inputs: {} });
+  };
+
+  const importRules = async (event) => {
+    const [selected] = event.target.files;
+    event.target.value = '';
+    if (!selected) return;
+    try {
+      updateRules(parseRuleSet(await selected.text()));
+      setFormError(null);
+    } catch (err) {
+      setFormError(err);
+    }
+  };
+
+  const ruleType = getRuleType(draft.type);
+  const inputClass = 'bg-slate-800 text-fg rounded-lg px-2 py-1 border border-fg/20';
+
+  return (
+    <div className="mt-8 bg-fg/10 backdrop-blur-lg rounded-xl p-6 border border-fg/20">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h3 className="text-xl font-semibold text-fg flex items-center">
+          <ShieldCheck className="w-6 h-6 mr-2" />
+          {t('rules.title')}
+          <span className="text-slate-400 text-sm font-normal ml-2">({datasetName})</span>
+        </h3>
+        <div className="flex items-center gap-2 text-sm">
+          <input ref={importRef} type="file" accept=".json,application/json" onChange={importRules} className="hidden" />
+          <button
+            onClick={() => importRef.current?.click()}
+            className="flex items-center space-x-1 bg-fg/10 hover:bg-fg/20 text-fg rounded-lg px-3 py-1"
+          >
+            <Upload className="w-4 h-4" />
+            <span>{t('rules.import.button')}</span>
+          </button>
+          <button
+            onClick={() => downloadFile(exportRuleSet(datasetName, rules), `reglas_${datasetName}.json`, 'application/json')}
+            disabled={rules.length === 0}
+            className="flex items-center space-x-1 bg-fg/10 hover:bg-fg/20 disabled:opacity-40 text-fg rounded-lg px-3 py-1"
+          >
+            <Download className="w-4 h-4" />
+            <span>{t('rules.export')}</span>
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <select
+          value={draft.type}
+          onChange={(e) => setDraft({ ...draft, type: e.target.value, inputs: {} })}
+          className={inputClass}
+        >
+          {RULE_TYPES.map((type) => (
+            <option key={type.id} value={type.id}>{t(`rules.types.${type.id}`)}</option>
+          ))}
+        </select>
+        <select value={draft.column} onChange={(e) => setDraft({ ...draft, column: e.target.value })} className={inputClass}>
+          {columns.map((column) => (
+            <option key={column} value={column}>{column}</option>
+          ))}
+        </select>
+        {ruleType.params.map((param) => (
+          <input
+            key={param.key}
+            type={param.type === 'number' ? 'number' : 'text'}
+            value={draft.inputs[param.key] ?? ''}
+            onChange={(e) => setDraft({ ...draft, inputs: { ...draft.inputs, [param.key]: e.target.value } })}
+            placeholder={t(`rules.params.${draft.type}.${param.key}`)}
+            className={`${inputClass} ${param.type === 'number' ? 'w-24' : 'w-56'}`}
+          />
+        ))}
+        <button
+          onClick={addRule}
+          className="flex items-center space-x-1 bg-purple-600 hover:bg-purple-700 text-white rounded-lg px-3 py-1"
+        >
+          <Plus className="w-4 h-4" />
+          <span>{t('rules.add')}</span>
+        </button>
+      </div>
+      {formError && <p className="text-red-300 text-sm mt-2">{translateError(formError)}</p>}
+
+      {rules.length === 0 ? (
+        <p className="text-slate-400 text-sm mt-4">{t('rules.empty')}</p>
+      ) : (
+        <>
+          <div className="flex flex-wrap items-center gap-3 mt-4 text-sm text-slate-300">
+            <span className="text-fg font-medium">{t('rules.passed', { passed, count: results.length })}</span>
+            <span className="text-slate-400">
+              {fileResults.data ? t('rules.evaluatedOnFile') : t('rules.evaluatedOnAnalysis')}
+            </span>
+            {fileResults.loading && <RefreshCw className="w-4 h-4 animate-spin" />}
+            {fileResults.error && <span className="text-red-300">{translateError(fileResults.error)}</span>}
+          </div>
+
+          <div className="flex flex-wrap gap-2 mt-3">
+            {Object.entries(byColumn).map(([column, counts]) => (
+              <span
+                key={column}
+                className={`text-xs rounded-full px-3 py-1 border ${counts.fail > 0 ? 'border-red-500/40 bg-red-500/10 text-red-300' : 'border-green-500/40 bg-green-500/10 text-green-300'}`}
+              >
+                {column}: {counts.pass}/{counts.pass + counts.fail + counts.unknown + counts.error}
+              </span>
+            ))}
+          </div>
+
+          <ul className="mt-3 space-y-2">
+            {results.map(({ rule, status, message, examples }) => {
+              const style = STATUS_STYLES[status];
+              const Icon = style.icon;
+              return (
+                <li key={rule.id} className="flex items-start justify-between gap-2 bg-fg/5 rounded-lg px-3 py-2 text-sm">
+                  <div className="flex items-start space-x-2">
+                    <Icon className={`w-4 h-4 mt-0.5 ${style.className}`} title={t(`rules.status.${status}`)} />
+                    <div>
+                      <div className="text-fg">{describeRule(rule, i18n)}</div>
+                      <div className="text-slate-400 text-xs">
+                        {translateMessage(message)}
+                        {examples.length > 0 && ` · ${t('rules.examples', { examples: examples.join(', ') })}`}
+                      </div>
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => updateRules(rules.filter((item) => item.id !== rule.id))}
+                    className="text-slate-300 hover:text-red-300"
+                    title={t('rules.remove')}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default QualityRules;
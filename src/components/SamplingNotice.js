@@ -0,0 +1,39 @@
+import React from 'react';
+import { Layers } from 'lucide-react';
+import useI18n from '../hooks/useI18n';
+
+// Aviso del modo de archivo grande (sampling de applyExactCounts): qué muestra se analizó,
+// con qué semilla y qué métricas se calcularon sobre todas las filas
+const SamplingNotice = ({ sampling }) => {
+  const { t, formatNumber } = useI18n();
+
+  if (!sampling) {
+    return null;
+  }
+
+  return (
+    <div className="bg-blue-500/10 border border-blue-500/40 rounded-lg p-4 mb-6 text-sm">
+      <div className="flex items-start space-x-3">
+        <Layers className="w-5 h-5 text-blue-300 mt-0.5 flex-shrink-0" />
+        <div>
+          <p className="text-blue-200 font-medium">
+            {t('largeFile.notice', {
+              method: t(`largeFile.methodNames.${sampling.method}`),
+              sample: formatNumber(sampling.sample_size),
+              total: formatNumber(sampling.total_rows),
+              seed: sampling.seed,
+            })}
+          </p>
+          {sampling.strata_column && (
+            <p className="text-blue-300 mt-1">
+              {t('largeFile.strata', { column: sampling.strata_column, count: sampling.strata_count })}
+            </p>
+          )}
+          <p className="text-slate-300 mt-1">{t('largeFile.exactList')}</p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SamplingNotice;
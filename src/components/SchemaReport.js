@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { FileWarning, ChevronDown, ChevronUp } from 'lucide-react';
+import { hasSchemaProblems } from '../services/analysisSchema';
+import useI18n from '../hooks/useI18n';
+
+const MAX_VISIBLE_ISSUES = 20;
+
+// Aviso con el reporte de validación de la respuesta (schema_report de formatAnalysisData):
+// versión desconocida, secciones descartadas y elementos inválidos
+const SchemaReport = ({ report }) => {
+  const [expanded, setExpanded] = useState(false);
+  const { t } = useI18n();
+
+  if (!hasSchemaProblems(report)) {
+    return null;
+  }
+
+  const typeLabel = (type) => t(`schema.types.${type}`);
+  const visibleIssues = report.issues.slice(0, MAX_VISIBLE_ISSUES);
+
+  return (
+    <div className="bg-yellow-500/10 border border-yellow-500/40 rounded-lg p-4 mb-6 text-sm">
+      <div className="flex items-start justify-between gap-3">
+        <div className="flex items-start space-x-3">
+          <FileWarning className="w-5 h-5 text-yellow-400 mt-0.5 flex-shrink-0" />
+          <div>
+            <p className="text-yellow-200 font-medium">{t('schema.title')}</p>
+            {report.unknownVersion && (
+              <p className="text-yellow-300 mt-1">{t('schema.unknownVersion', { version: report.version })}</p>
+            )}
+            {report.invalidSections.length > 0 && (
+              <p className="text-yellow-300 mt-1">
+                {t('schema.invalidSections', {
+                  count: report.invalidSections.length,
+                  sections: report.invalidSections.map((section) => t(`schema.sections.${section}`)).join(', '),
+                })}
+              </p>
+            )}
+            {report.issues.length > report.invalidSections.length && (
+              <p className="text-yellow-300 mt-1">{t('schema.issueCount', { count: report.issues.length })}</p>
+            )}
+          </div>
+        </div>
+        {report.issues.length > 0 && (
+          <button
+            onClick={() => setExpanded((current) => !current)}
+            aria-expanded={expanded}
+            className="flex items-center space-x-1 bg-fg/10 hover:bg-fg/20 text-fg rounded-lg px-3 py-1 shrink-0"
+          >
+            {expanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+            <span>{expanded ? t('schema.hideDetails') : t('schema.showDetails')}</span>
+          </button>
+        )}
+      </div>
+
+      {expanded && (
+        <ul className="mt-3 space-y-1 text-xs font-mono text-slate-300 max-h-60 overflow-y-auto">
+          {visibleIssues.map((issue, index) => (
+            <li key={index} className={issue.severity === 'error' ? 'text-red-300' : 'text-slate-300'}>
+              {t(issue.severity === 'error' ? 'schema.issue' : 'schema.droppedIssue', {
+                path: issue.path,
+                expected: typeLabel(issue.expected),
+                received: typeLabel(issue.received),
+              })}
+            </li>
+          ))}
+          {report.issues.length > visibleIssues.length && (
+            <li>{t('schema.moreIssues', { count: report.issues.length - visibleIssues.length })}</li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SchemaReport;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import useI18n from '../hooks/useI18n';
+
+// Tarjeta que ocupa el lugar de una sección que no se pudo mostrar
+const SectionFallback = ({ title, error, className }) => {
+  const { t } = useI18n();
+
+  return (
+    <div role="alert" className={`bg-fg/10 backdrop-blur-lg rounded-xl p-6 border border-yellow-500/40 ${className}`}>
+      <h3 className="text-xl font-semibold text-fg mb-2 flex items-center">
+        <AlertTriangle className="w-6 h-6 mr-2 text-yellow-400" />
+        {title || t('schema.section')}
+      </h3>
+      <p className="text-yellow-200 text-sm">{error ? t('schema.renderError') : t('schema.invalidSection')}</p>
+      {error && <p className="text-slate-400 text-xs mt-2 font-mono break-words">{error.message}</p>}
+    </div>
+  );
+};
+
+// Límite de errores de una sección: si sus datos no son válidos (invalid) o falla al
+// renderizarse, se muestra un aviso en su lugar y el resto del dashboard sigue visible.
+// Cambiar resetKey (p. ej. al cargar otro análisis) vuelve a intentar el renderizado.
+class SectionBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    console.error(`Error al mostrar la sección ${this.props.title || ''}:`, error, info.componentStack);
+  }
+
+  componentDidUpdate(prevProps) {
+    if (this.state.error && prevProps.resetKey !== this.props.resetKey) {
+      this.setState({ error: null });
+    }
+  }
+
+  render() {
+    const { title, invalid = false, className = '', children } = this.props;
+    if (invalid || this.state.error) {
+      return <SectionFallback title={title} error={this.state.error} className={className} />;
+    }
+    return children;
+  }
+}
+
+export default SectionBoundary;
@@ -0,0 +1,87 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { checkAPIHealth } from '../services/api';
+import {
+  HEALTH_DEFAULTS,
+  initialHealthState,
+  applyHealthResult,
+  nextHealthDelay,
+  isConnectionFailure,
+} from '../services/health';
+
+const HEALTH_TIMEOUT = 10000; // Un servidor dormido no responde; mejor volver a intentar pronto
+
+// Monitor de conexión en segundo plano: consulta /health/ con espera creciente mientras
+// la API no responde y vuelve a marcarla como disponible en cuanto contesta
+const useApiHealth = (options = HEALTH_DEFAULTS) => {
+  const [health, setHealth] = useState(initialHealthState);
+  const [nextCheck, setNextCheck] = useState(null);
+  const stateRef = useRef(initialHealthState);
+  const timerRef = useRef(null);
+  const controllerRef = useRef(null);
+  const optionsRef = useRef(options);
+  optionsRef.current = options;
+
+  const update = useCallback((result) => {
+    const next = applyHealthResult(stateRef.current, result, optionsRef.current);
+    stateRef.current = next;
+    setHealth(next);
+    return next;
+  }, []);
+
+  const check = useCallback(async () => {
+    clearTimeout(timerRef.current);
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    const started = performance.now();
+    let next;
+    try {
+      const data = await checkAPIHealth({ signal: controller.signal, timeout: HEALTH_TIMEOUT });
+      next = update({ ok: true, latency: Math.round(performance.now() - started), data });
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      next = update({ ok: false, error: err });
+    }
+
+    const delay = nextHealthDelay(next, optionsRef.current);
+    setNextCheck(Date.now() + delay);
+    timerRef.current = setTimeout(check, delay);
+  }, [update]);
+
+  // Las peticiones normales también informan: un éxito confirma la conexión y un
+  // fallo de red adelanta la siguiente consulta
+  const reportSuccess = useCallback(() => {
+    if (stateRef.current.status !== 'online') {
+      update({ ok: true, latency: stateRef.current.latency });
+    }
+  }, [update]);
+
+  const reportFailure = useCallback((error) => {
+    if (isConnectionFailure(error)) {
+      check();
+    }
+  }, [check]);
+
+  useEffect(() => {
+    check();
+    // Al recuperar la red o volver a la pestaña se consulta sin esperar al temporizador
+    const recheck = () => {
+      if (document.visibilityState === 'visible' && stateRef.current.status !== 'online') {
+        check();
+      }
+    };
+    window.addEventListener('online', recheck);
+    document.addEventListener('visibilitychange', recheck);
+    return () => {
+      clearTimeout(timerRef.current);
+      controllerRef.current?.abort();
+      window.removeEventListener('online', recheck);
+      document.removeEventListener('visibilitychange', recheck);
+    };
+  }, [check]);
+
+  return { ...health, nextCheck, checkNow: check, reportSuccess, reportFailure };
+};
+
+export default useApiHealth;
@@ -0,0 +1,111 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { uploadAndAnalyzeDataset, formatAnalysisData } from '../services/api';
+import { analyzeDatasetLocally } from '../services/localEngine';
+import { ensureCsvFile } from '../services/conversion';
+import { summarizePii, requiresMasking } from '../services/pii';
+import { maskFileForUpload } from '../services/piiEngine';
+import { NetworkError } from '../services/client/errors';
+import { BATCH_CONCURRENCY, runWithConcurrency, selectBatchFiles } from '../services/batch';
+
+let nextKey = 1;
+
+// El motor local solo lee CSV: Excel, JSON y Parquet se convierten antes
+const analyzeLocally = async (file, signal) => analyzeDatasetLocally(await ensureCsvFile(file, { signal }), { signal });
+
+// Análisis de varios archivos a la vez con concurrencia limitada. Cada archivo tiene su
+// estado ('pending', 'uploading', 'analyzing', 'completed', 'failed', 'cancelled').
+const useBatchAnalysis = () => {
+  const [items, setItems] = useState([]);
+  const [skipped, setSkipped] = useState([]); // Archivos de la carpeta con formato no soportado
+  const [running, setRunning] = useState(false);
+  const controllerRef = useRef(null);
+
+  const updateItem = useCallback((key, changes) => {
+    setItems((current) => current.map((item) => (item.key === key ? { ...item, ...changes } : item)));
+  }, []);
+
+  // local: analizar en el navegador (API caída o elegido por el usuario)
+  const start = useCallback(async (files, { local = false, concurrency = BATCH_CONCURRENCY } = {}) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    const { signal } = controller;
+
+    const { supported, skipped: ignored } = selectBatchFiles(files);
+    const entries = supported.map((file) => ({
+      key: `lote-${nextKey++}`,
+      file,
+      name: file.webkitRelativePath || file.name,
+      status: 'pending',
+      progress: 0,
+      local,
+      datasetInfo: null,
+      error: null,
+    }));
+    setItems(entries);
+    setSkipped(ignored);
+    setRunning(entries.length > 0);
+
+    await runWithConcurrency(entries, concurrency, async ({ key, file }) => {
+      if (signal.aborted) {
+        updateItem(key, { status: 'cancelled' });
+        return;
+      }
+      updateItem(key, { status: local ? 'analyzing' : 'uploading' });
+
+      try {
+        let result;
+        let pii = null;
+        if (local) {
+          result = await analyzeLocally(file, signal);
+        } else {
+          // Sin revisión por archivo, los datos personales se enmascaran con las acciones propuestas
+          const masked = await maskFileForUpload(file, { signal });
+          pii = summarizePii(masked.plan, { masked: requiresMasking(masked.plan) });
+          try {
+            result = await uploadAndAnalyzeDataset(masked.file, file.name, {
+              signal,
+              onProgress: (progress) => updateItem(key, { progress, status: progress < 100 ? 'uploading' : 'analyzing' }),
+            });
+          } catch (err) {
+            if (!(err instanceof NetworkError)) {
+              throw err;
+            }
+            // Igual que con un solo archivo: sin API se recurre al motor local
+            updateItem(key, { status: 'analyzing', local: true });
+            pii = null;
+            result = await analyzeLocally(file, signal);
+          }
+        }
+        const datasetInfo = formatAnalysisData(result);
+        updateItem(key, { status: 'completed', progress: 100, datasetInfo: pii ? { ...datasetInfo, pii } : datasetInfo });
+      } catch (err) {
+        updateItem(key, err.name === 'AbortError' ? { status: 'cancelled' } : { status: 'failed', error: err });
+      }
+    });
+
+    if (controllerRef.current === controller) {
+      controllerRef.current = null;
+      setRunning(false);
+    }
+  }, [updateItem]);
+
+  // Los archivos en curso se abortan y los pendientes ya no empiezan
+  const cancel = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  const clear = useCallback(() => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+    setItems([]);
+    setSkipped([]);
+    setRunning(false);
+  }, []);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  return { items, skipped, running, start, cancel, clear };
+};
+
+export default useBatchAnalysis;
@@ -0,0 +1,27 @@
+import React, { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
+import { loadLanguage, saveLanguage, createI18n } from '../services/i18n';
+
+const I18nContext = createContext(null);
+
+// Idioma de la interfaz; la elección del selector se guarda en este navegador
+export const I18nProvider = ({ children }) => {
+  const [language, setLanguageState] = useState(() => loadLanguage());
+
+  const setLanguage = useCallback((next) => {
+    saveLanguage(next);
+    setLanguageState(next);
+  }, []);
+
+  // Lectores de pantalla y el corrector del navegador usan el idioma del documento
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  const value = useMemo(() => ({ language, setLanguage, ...createI18n(language) }), [language, setLanguage]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+const useI18n = () => useContext(I18nContext);
+
+export default useI18n;
@@ -0,0 +1,126 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import {
+  createAnalysisJob,
+  watchAnalysisJob,
+  cancelAnalysisJob,
+  getAnalysisDetail,
+} from '../services/api';
+import { estimateEta, isTerminalStatus } from '../services/jobs';
+
+let nextKey = 1;
+
+// Cola de trabajos de análisis en el servidor: cada archivo se sube, recibe un job id y
+// se sigue hasta que termina. Varios trabajos avanzan a la vez.
+const useJobQueue = () => {
+  const [jobs, setJobs] = useState([]);
+  const controllersRef = useRef(new Map());
+
+  const updateJob = useCallback((key, changes) => {
+    setJobs((current) => current.map((job) => (job.key === key ? { ...job, ...changes } : job)));
+  }, []);
+
+  const run = useCallback(async (key, file, name) => {
+    const controller = new AbortController();
+    controllersRef.current.set(key, controller);
+    const { signal } = controller;
+
+    try {
+      const created = await createAnalysisJob(file, name, {
+        signal,
+        onProgress: (uploadProgress) => updateJob(key, { uploadProgress }),
+      });
+      const startedAt = Date.now();
+      updateJob(key, { ...created, startedAt, uploadProgress: 100 });
+
+      const final = await watchAnalysisJob(created.jobId, {
+        signal,
+        onUpdate: (job) => updateJob(key, {
+          ...job,
+          eta: job.eta ?? estimateEta(job.progress, startedAt),
+        }),
+      });
+
+      // Algunos backends solo devuelven el id del análisis al terminar
+      let result = final.result;
+      if (final.status === 'completed' && !result && final.analysisId != null) {
+        result = await getAnalysisDetail(final.analysisId);
+      }
+      updateJob(key, {
+        ...final,
+        result,
+        error: final.status === 'failed' ? final.error || { code: 'jobs.failedOnServer' } : null,
+        finishedAt: new Date().toISOString(),
+      });
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        updateJob(key, { status: 'cancelled' });
+      } else {
+        updateJob(key, { status: 'failed', error: err.message ? err : { code: 'jobs.processError' } });
+      }
+    } finally {
+      controllersRef.current.delete(key);
+    }
+  }, [updateJob]);
+
+  // name es el nombre del dataset si el archivo que se sube no es el original (p. ej. el CSV enmascarado)
+  const submit = useCallback((file, { name = file.name } = {}) => {
+    const key = `trabajo-${nextKey++}`;
+    setJobs((current) => [{
+      key,
+      file,
+      name,
+      jobId: null,
+      status: 'uploading',
+      uploadProgress: 0,
+      progress: null,
+      eta: null,
+      partial: null,
+      result: null,
+      analysisId: null,
+      error: null,
+      startedAt: null,
+      finishedAt: null,
+    }, ...current]);
+    run(key, file, name);
+    return key;
+  }, [run]);
+
+  // Detiene el seguimiento y pide al servidor que descarte el trabajo
+  const cancel = useCallback((job) => {
+    controllersRef.current.get(job.key)?.abort();
+    if (job.jobId && !isTerminalStatus(job.status)) {
+      cancelAnalysisJob(job.jobId).catch((err) => console.warn('No se pudo cancelar el trabajo:', err.message));
+    }
+    updateJob(job.key, { status: 'cancelled' });
+  }, [updateJob]);
+
+  const retry = useCallback((job) => {
+    updateJob(job.key, {
+      jobId: null,
+      status: 'uploading',
+      uploadProgress: 0,
+      progress: null,
+      eta: null,
+      partial: null,
+      result: null,
+      error: null,
+      finishedAt: null,
+    });
+    run(job.key, job.file, job.name);
+  }, [run, updateJob]);
+
+  const dismiss = useCallback((job) => {
+    controllersRef.current.get(job.key)?.abort();
+    setJobs((current) => current.filter((item) => item.key !== job.key));
+  }, []);
+
+  // Al desmontar se deja de consultar; los trabajos siguen en el servidor
+  useEffect(() => {
+    const controllers = controllersRef.current;
+    return () => controllers.forEach((controller) => controller.abort());
+  }, []);
+
+  return { jobs, submit, cancel, retry, dismiss };
+};
+
+export default useJobQueue;
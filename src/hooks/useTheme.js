@@ -0,0 +1,35 @@
+import React, { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
+import { loadAppearance, saveAppearance, getChartTheme } from '../services/theme';
+
+const ThemeContext = createContext(null);
+
+// Tema y paleta de la interfaz; la elección se guarda en este navegador
+export const ThemeProvider = ({ children }) => {
+  const [appearance, setAppearanceState] = useState(() => loadAppearance());
+
+  const setAppearance = useCallback((changes) => {
+    setAppearanceState((current) => {
+      const next = { ...current, ...changes };
+      saveAppearance(next);
+      return next;
+    });
+  }, []);
+
+  // Las variables de color de index.css dependen de data-theme en <html>
+  useEffect(() => {
+    document.documentElement.dataset.theme = appearance.theme;
+  }, [appearance.theme]);
+
+  const value = useMemo(() => ({
+    ...appearance,
+    setTheme: (theme) => setAppearance({ theme }),
+    setColorBlind: (colorBlind) => setAppearance({ colorBlind }),
+    chart: getChartTheme(appearance.theme, appearance.colorBlind),
+  }), [appearance, setAppearance]);
+
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+};
+
+const useTheme = () => useContext(ThemeContext);
+
+export default useTheme;
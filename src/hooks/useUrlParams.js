@@ -0,0 +1,18 @@
+import { useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { readParams, applyParamChanges } from '../services/urlState';
+
+// Estado sincronizado con la URL. defaults debe ser una constante del módulo.
+// update acepta varios cambios a la vez para no pisar un parámetro con otro.
+const useUrlParams = (defaults) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const values = readParams(searchParams, defaults);
+
+  const update = useCallback((changes) => {
+    setSearchParams((current) => applyParamChanges(current, changes, defaults), { replace: true });
+  }, [defaults, setSearchParams]);
+
+  return [values, update];
+};
+
+export default useUrlParams;
@@ -0,0 +1,58 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getAnalysesList, uploadAndAnalyzeDataset, formatAnalysisData } from '../services/api';
+import { getWorkspaceStore, maskingVariant } from '../services/workspaceStore';
+import { applyExactCounts } from '../services/streamProfile';
+import { summarizePii, requiresMasking } from '../services/pii';
+import { maskPiiInFile } from '../services/piiEngine';
+
+// Sincroniza el almacenamiento local con /analyses/ cada vez que la API vuelve a estar en
+// línea: guarda una copia del historial y sube los análisis hechos en el navegador mientras
+// no había conexión (si su archivo o su muestra siguen guardados), con los datos personales
+// enmascarados como se revisaron o, si no hubo revisión, con las acciones propuestas.
+const useWorkspaceSync = (status) => {
+  const [sync, setSync] = useState({ running: false, lastSync: null, uploaded: 0, error: null });
+  const runningRef = useRef(false);
+
+  const syncNow = useCallback(async () => {
+    if (runningRef.current) return;
+    runningRef.current = true;
+    setSync((current) => ({ ...current, running: true, error: null }));
+    const store = getWorkspaceStore();
+
+    try {
+      await store.cacheRemote('list', await getAnalysesList());
+
+      let uploaded = 0;
+      for (const entry of await store.listPendingSync()) {
+        const recent = await store.getRecentFile(entry.key);
+        const source = entry.sampleFile || recent?.file;
+        if (!source) continue;
+
+        const masked = await maskPiiInFile(source, entry.masking);
+        const formatted = formatAnalysisData(await uploadAndAnalyzeDataset(masked.file, entry.name));
+        const exact = entry.profile ? applyExactCounts(formatted, entry.profile, { fileSize: entry.size }) : formatted;
+        await store.markSynced(entry.key, {
+          datasetInfo: { ...exact, pii: summarizePii(masked.plan, { masked: requiresMasking(masked.plan) }) },
+          variant: `${entry.variant.replace(/^local:/, 'api:')}${maskingVariant(masked.plan)}`,
+        });
+        uploaded++;
+      }
+      setSync({ running: false, lastSync: new Date().toISOString(), uploaded, error: null });
+    } catch (err) {
+      console.error('Error al sincronizar el almacenamiento local:', err);
+      setSync((current) => ({ ...current, running: false, error: err.message ? err : { code: 'storage.syncError' } }));
+    } finally {
+      runningRef.current = false;
+    }
+  }, []);
+
+  useEffect(() => {
+    if (status === 'online') {
+      syncNow();
+    }
+  }, [status, syncNow]);
+
+  return { ...sync, syncNow };
+};
+
+export default useWorkspaceSync;
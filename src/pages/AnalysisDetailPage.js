@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams, useOutletContext } from 'react-router-dom';
+import { ArrowLeft, RefreshCw, AlertTriangle } from 'lucide-react';
+import AnalysisResults from '../components/AnalysisResults';
+import { getAnalysisDetail, formatAnalysisData } from '../services/api';
+import { normalizeAnalysisSummary } from '../services/history';
+import { getWorkspaceStore } from '../services/workspaceStore';
+import useI18n from '../hooks/useI18n';
+
+// Análisis guardado en la API, accesible por enlace en /analyses/:id
+const AnalysisDetailPage = () => {
+  const { id } = useParams();
+  const { health, comparison, pinForComparison } = useOutletContext();
+  const { t, translateError, formatDate } = useI18n();
+  // cachedAt: fecha de la copia local mostrada cuando la API no responde
+  const [state, setState] = useState({ loading: true, error: null, datasetInfo: null, summary: null, cachedAt: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    setState({ loading: true, error: null, datasetInfo: null, summary: null, cachedAt: null });
+    const store = getWorkspaceStore();
+
+    const show = (result, cachedAt = null) => setState({
+      loading: false,
+      error: null,
+      datasetInfo: formatAnalysisData(result),
+      summary: normalizeAnalysisSummary({ ...result, id: result.id ?? id }),
+      cachedAt,
+    });
+
+    getAnalysisDetail(id)
+      .then((result) => {
+        if (!cancelled) {
+          show(result);
+          store.cacheRemote(id, result).catch((err) => console.warn('No se pudo guardar la copia del análisis:', err));
+        }
+      })
+      .catch(async (err) => {
+        const cached = await store.getRemote(id).catch(() => null);
+        if (cancelled) return;
+        if (cached) {
+          show(cached.data, cached.cachedAt);
+          return;
+        }
+        console.error('Error al cargar el análisis:', err);
+        setState({ loading: false, error: err, datasetInfo: null, summary: null, cachedAt: null });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  return (
+    <>
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+        <Link to="/history" className="flex items-center space-x-2 text-slate-300 hover:text-fg text-sm">
+          <ArrowLeft className="w-4 h-4" />
+          <span>{t('detail.back')}</span>
+        </Link>
+        {state.summary && (
+          <div className="text-right">
+            <h2 className="text-2xl font-semibold text-fg">{state.summary.name}</h2>
+            {state.summary.date && <p className="text-slate-400 text-sm">{formatDate(state.summary.date)}</p>}
+          </div>
+        )}
+      </div>
+
+      {state.loading && (
+        <div className="flex items-center justify-center space-x-2 text-slate-300 py-12">
+          <RefreshCw className="w-5 h-5 animate-spin" />
+          <span>{t('detail.loading', { id })}</span>
+        </div>
+      )}
+
+      {state.error && (
+        <div className="bg-red-500/20 border border-red-500/50 rounded-lg p-4 mb-6">
+          <div className="flex items-start space-x-3">
+            <AlertTriangle className="w-5 h-5 text-red-400 mt-0.5 flex-shrink-0" />
+            <div className="flex-1">
+              <p className="text-red-200 font-medium">{t('detail.error', { id })}</p>
+              <p className="text-red-300 text-sm mt-1">{translateError(state.error)}</p>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {state.cachedAt && (
+        <p className="text-amber-300 text-sm mb-4">{t('detail.offlineCopy', { date: formatDate(state.cachedAt) })}</p>
+      )}
+
+      {state.datasetInfo && (
+        <AnalysisResults
+          datasetInfo={state.datasetInfo}
+          savedAnalysis={state.summary}
+          apiStatus={health.status}
+          comparison={comparison}
+          onPin={pinForComparison}
+        />
+      )}
+    </>
+  );
+};
+
+export default AnalysisDetailPage;
@@ -0,0 +1,147 @@
+import React, { useState, useEffect } from 'react';
+import { useOutletContext } from 'react-router-dom';
+import { GitCompare, Link, Check, RefreshCw } from 'lucide-react';
+import AnalysisComparison from '../components/AnalysisComparison';
+import { getAnalysesList, getAnalysisDetail, formatAnalysisData } from '../services/api';
+import { extractAnalysesList, normalizeAnalysisSummary } from '../services/history';
+import useUrlParams from '../hooks/useUrlParams';
+import { buildShareUrl } from '../services/urlState';
+import useI18n from '../hooks/useI18n';
+
+// ?a=<id>&b=<id> elige análisis guardados; sin ellos se usan los fijados en esta sesión
+const VIEW_DEFAULTS = { a: '', b: '' };
+
+const SLOTS = [
+  { key: 'a', pinned: 'base', label: 'A' },
+  { key: 'b', pinned: 'target', label: 'B' },
+];
+
+const ComparePage = () => {
+  const { health, comparison, swapComparison, clearComparison } = useOutletContext();
+  const [view, updateView] = useUrlParams(VIEW_DEFAULTS);
+  const [analyses, setAnalyses] = useState([]);
+  const [loaded, setLoaded] = useState({}); // Análisis descargados por id
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const { t, translateError } = useI18n();
+  const online = health.status === 'online';
+
+  useEffect(() => {
+    if (!online) return;
+    getAnalysesList()
+      .then((response) => setAnalyses(extractAnalysesList(response).map(normalizeAnalysisSummary)))
+      .catch((err) => console.error('Error al obtener el historial:', err));
+  }, [online]);
+
+  // Descargar los análisis de la URL que todavía no estén cargados
+  useEffect(() => {
+    [view.a, view.b]
+      .filter((id) => id && !loaded[id])
+      .forEach((id) => {
+        setLoaded((current) => ({ ...current, [id]: { loading: true } }));
+        getAnalysisDetail(id)
+          .then((result) => {
+            const summary = normalizeAnalysisSummary({ ...result, id: result.id ?? id });
+            setLoaded((current) => ({
+              ...current,
+              [id]: { id, label: summary.name, data: formatAnalysisData(result) },
+            }));
+          })
+          .catch((err) => {
+            setError({ id, error: err });
+            setLoaded((current) => ({ ...current, [id]: { failed: true } }));
+          });
+      });
+  }, [view.a, view.b, loaded]);
+
+  const resolve = (slot) => (view[slot.key] ? loaded[view[slot.key]] : comparison[slot.pinned]) || null;
+  const base = resolve(SLOTS[0]);
+  const target = resolve(SLOTS[1]);
+  const ready = base?.data && target?.data;
+  const loading = [base, target].some((entry) => entry?.loading);
+  const shareIds = [base?.id, target?.id];
+
+  const swap = () => {
+    updateView({ a: view.b, b: view.a });
+    swapComparison();
+  };
+
+  const close = () => {
+    updateView({ a: null, b: null });
+    clearComparison();
+  };
+
+  const copyShareLink = async () => {
+    const params = new URLSearchParams({ a: shareIds[0], b: shareIds[1] });
+    await navigator.clipboard.writeText(buildShareUrl('/compare', params));
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <>
+      <div className="bg-fg/10 backdrop-blur-lg rounded-xl p-6 border border-fg/20 mb-8">
+        <h3 className="text-xl font-semibold text-fg mb-4 flex items-center">
+          <GitCompare className="w-6 h-6 mr-2" />
+          {t('compare.title')}
+        </h3>
+        <div className="flex flex-wrap items-center gap-4 text-sm text-slate-300">
+          {SLOTS.map((slot) => (
+            <label key={slot.key} className="flex items-center space-x-2">
+              <span>{slot.label}:</span>
+              <select
+                value={view[slot.key]}
+                onChange={(e) => updateView({ [slot.key]: e.target.value })}
+                disabled={!online && !view[slot.key]}
+                className="bg-slate-800 text-fg rounded-lg px-2 py-1 border border-fg/20 max-w-xs"
+              >
+                <option value="">
+                  {comparison[slot.pinned] ? t('compare.pinned', { label: comparison[slot.pinned].label }) : t('compare.none')}
+                </option>
+                {view[slot.key] && !analyses.some((entry) => String(entry.id) === view[slot.key]) && (
+                  <option value={view[slot.key]}>{t('compare.analysisId', { id: view[slot.key] })}</option>
+                )}
+                {analyses.map((entry) => (
+                  <option key={entry.id} value={entry.id}>{entry.name}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+          {loading && <RefreshCw className="w-4 h-4 animate-spin" />}
+          {ready && shareIds.every((id) => id != null) && (
+            <button
+              onClick={copyShareLink}
+              className="flex items-center space-x-1 bg-fg/10 hover:bg-fg/20 text-fg px-3 py-1 rounded-lg"
+              title={t('share.compareTitle')}
+            >
+              {copied ? <Check className="w-4 h-4 text-green-400" /> : <Link className="w-4 h-4" />}
+              <span>{copied ? t('share.copied') : t('share.copy')}</span>
+            </button>
+          )}
+        </div>
+        {!online && (
+          <p className="text-slate-400 text-xs mt-3">
+            {t('compare.offline')}
+          </p>
+        )}
+        {error && (
+          <p className="text-red-300 text-sm mt-3">
+            {t('compare.loadError', { id: error.id, error: translateError(error.error) })}
+          </p>
+        )}
+      </div>
+
+      {ready ? (
+        <AnalysisComparison base={base} target={target} onSwap={swap} onClose={close} />
+      ) : (
+        !loading && (
+          <p className="text-center text-slate-400">
+            {t('compare.empty')}
+          </p>
+        )
+      )}
+    </>
+  );
+};
+
+export default ComparePage;
@@ -0,0 +1,18 @@
+import React from 'react';
+import { useNavigate, useOutletContext } from 'react-router-dom';
+import AnalysisHistory from '../components/AnalysisHistory';
+
+// Historial de análisis; cada entrada abre su vista de detalle en /analyses/:id
+const HistoryPage = () => {
+  const navigate = useNavigate();
+  const { health } = useOutletContext();
+
+  return (
+    <AnalysisHistory
+      onSelect={(entry) => navigate(`/analyses/${entry.id}`)}
+      disabled={health.status !== 'online'}
+    />
+  );
+};
+
+export default HistoryPage;
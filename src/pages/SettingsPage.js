@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { useOutletContext } from 'react-router-dom';
+import { Settings, KeyRound, Server, Upload, Save, Check } from 'lucide-react';
+import { AUTH_TYPES, DEFAULT_SETTINGS } from '../services/settings';
+import useI18n from '../hooks/useI18n';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:8000/api';
+
+const inputClass = 'bg-slate-800 text-fg rounded-lg px-2 py-1 border border-fg/20 w-full';
+
+const Checkbox = ({ checked, onChange, children }) => (
+  <label className="flex items-center space-x-2 text-slate-300 text-sm cursor-pointer">
+    <input
+      type="checkbox"
+      checked={checked}
+      onChange={(e) => onChange(e.target.checked)}
+      className="accent-emerald-500"
+    />
+    <span>{children}</span>
+  </label>
+);
+
+// Ajustes guardados en este navegador: credenciales, backend simulado y opciones de subida
+const SettingsPage = () => {
+  const { settings, updateSettings } = useOutletContext();
+  const [draft, setDraft] = useState(settings);
+  const [saved, setSaved] = useState(false);
+  const { t } = useI18n();
+
+  const change = (key, value) => {
+    setDraft((current) => ({ ...current, [key]: value }));
+    setSaved(false);
+  };
+
+  const save = () => {
+    updateSettings(draft);
+    setSaved(true);
+  };
+
+  return (
+    <div className="bg-fg/10 backdrop-blur-lg rounded-xl p-6 border border-fg/20">
+      <h3 className="text-xl font-semibold text-fg mb-6 flex items-center">
+        <Settings className="w-6 h-6 mr-2" />
+        {t('settings.title')}
+      </h3>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+        <section className="space-y-3">
+          <h4 className="text-lg font-medium text-fg flex items-center">
+            <Server className="w-5 h-5 mr-2" />
+            {t('settings.connection')}
+          </h4>
+          <p className="text-slate-400 text-sm">
+            {t('settings.apiUrl')}: <span className="text-fg font-mono">{API_URL}</span>
+          </p>
+          <Checkbox checked={draft.useMockBackend} onChange={(value) => change('useMockBackend', value)}>
+            {t('settings.mockBackend')}
+          </Checkbox>
+        </section>
+
+        <section className="space-y-3">
+          <h4 className="text-lg font-medium text-fg flex items-center">
+            <KeyRound className="w-5 h-5 mr-2" />
+            {t('settings.credentials')}
+          </h4>
+          <label className="block text-slate-300 text-sm space-y-1">
+            <span>{t('settings.authType')}</span>
+            <select
+              value={draft.authType}
+              onChange={(e) => change('authType', e.target.value)}
+              className={inputClass}
+            >
+              {AUTH_TYPES.map((type) => (
+                <option key={type} value={type}>{t(`settings.authTypes.${type}`)}</option>
+              ))}
+            </select>
+          </label>
+          {draft.authType === 'bearer' && (
+            <label className="block text-slate-300 text-sm space-y-1">
+              <span>{t('settings.token')}</span>
+              <input
+                type="password"
+                value={draft.token}
+                onChange={(e) => change('token', e.target.value)}
+                autoComplete="off"
+                className={inputClass}
+              />
+            </label>
+          )}
+          {draft.authType === 'apiKey' && (
+            <>
+              <label className="block text-slate-300 text-sm space-y-1">
+                <span>{t('settings.apiKey')}</span>
+                <input
+                  type="password"
+                  value={draft.apiKey}
+                  onChange={(e) => change('apiKey', e.target.value)}
+                  autoComplete="off"
+                  className={inputClass}
+                />
+              </label>
+              <label className="block text-slate-300 text-sm space-y-1">
+                <span>{t('settings.apiKeyHeader')}</span>
+                <input
+                  type="text"
+                  value={draft.apiKeyHeader}
+                  onChange={(e) => change('apiKeyHeader', e.target.value)}
+                  placeholder={DEFAULT_SETTINGS.apiKeyHeader}
+                  className={inputClass}
+                />
+              </label>
+            </>
+          )}
+          <p className="text-slate-400 text-xs">
+            {t('settings.credentialsHint')}
+          </p>
+        </section>
+
+        <section className="space-y-3">
+          <h4 className="text-lg font-medium text-fg flex items-center">
+            <Upload className="w-5 h-5 mr-2" />
+            {t('settings.uploadDefaults')}
+          </h4>
+          <Checkbox checked={draft.chunkedUpload} onChange={(value) => change('chunkedUpload', value)}>
+            {t('settings.chunkedUpload')}
+          </Checkbox>
+          <Checkbox checked={draft.backgroundJob} onChange={(value) => change('backgroundJob', value)}>
+            {t('settings.backgroundJob')}
+          </Checkbox>
+          <Checkbox checked={draft.forceLocal} onChange={(value) => change('forceLocal', value)}>
+            {t('settings.forceLocal')}
+          </Checkbox>
+          <Checkbox checked={draft.largeFileMode} onChange={(value) => change('largeFileMode', value)}>
+            {t('settings.largeFileMode')}
+          </Checkbox>
+        </section>
+      </div>
+
+      <div className="flex items-center justify-end gap-3 mt-8">
+        <button
+          onClick={() => setDraft(DEFAULT_SETTINGS)}
+          className="bg-fg/10 hover:bg-fg/20 text-fg px-4 py-2 rounded-lg text-sm"
+        >
+          {t('settings.reset')}
+        </button>
+        <button
+          onClick={save}
+          className="flex items-center space-x-2 bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg text-sm"
+        >
+          {saved ? <Check className="w-4 h-4" /> : <Save className="w-4 h-4" />}
+          <span>{saved ? t('settings.saved') : t('settings.save')}</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsPage;
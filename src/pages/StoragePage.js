@@ -0,0 +1,236 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useOutletContext } from 'react-router-dom';
+import { HardDrive, RefreshCw, Download, Trash2, FolderOpen, Cloud, CloudOff } from 'lucide-react';
+import { getWorkspaceStore } from '../services/workspaceStore';
+import { downloadFile } from '../services/report';
+import useI18n from '../hooks/useI18n';
+
+// Estado de un análisis guardado respecto a /analyses/
+const syncStatus = (entry) => {
+  if (entry.remoteId != null) return 'synced';
+  if (entry.pendingSync) return 'pending';
+  return 'localOnly';
+};
+
+// Gestión del almacenamiento local (ruta /storage): análisis guardados, archivos recientes,
+// espacio usado, sincronización con la API, exportación y borrado
+const StoragePage = () => {
+  const navigate = useNavigate();
+  const { health, workspaceSync } = useOutletContext();
+  const { t, translateError, formatDate, formatFileSize, formatNumber } = useI18n();
+  const [analyses, setAnalyses] = useState([]);
+  const [recentFiles, setRecentFiles] = useState([]);
+  const [usage, setUsage] = useState(null); // { usage, quota } de navigator.storage
+  const [confirmingClear, setConfirmingClear] = useState(false);
+  const [error, setError] = useState(null);
+  const store = getWorkspaceStore();
+
+  const refresh = useCallback(async () => {
+    try {
+      const [savedAnalyses, savedFiles] = await Promise.all([store.listAnalyses(), store.listRecentFiles()]);
+      setAnalyses(savedAnalyses);
+      setRecentFiles(savedFiles);
+      if (navigator.storage?.estimate) {
+        setUsage(await navigator.storage.estimate());
+      }
+    } catch (err) {
+      console.error('Error al leer el almacenamiento local:', err);
+      setError({ code: 'storage.readError' });
+    }
+  }, [store]);
+
+  // Al terminar una sincronización los estados de los análisis cambian
+  useEffect(() => {
+    if (!workspaceSync.running) {
+      refresh();
+    }
+  }, [refresh, workspaceSync.running]);
+
+  // El dashboard abre el análisis actual del espacio de trabajo al montarse
+  const openAnalysis = async (entry) => {
+    await store.setPreference('workspace', { currentKey: entry.key });
+    navigate('/');
+  };
+
+  const removeAnalysis = async (entry) => {
+    await store.deleteAnalysis(entry.key);
+    refresh();
+  };
+
+  const removeRecentFile = async (entry) => {
+    await store.deleteRecentFile(entry.key);
+    refresh();
+  };
+
+  const exportCache = async () => {
+    const data = await store.exportWorkspace();
+    downloadFile(JSON.stringify(data, null, 2), `espacio_de_trabajo_${data.exported_at.slice(0, 10)}.json`, 'application/json');
+  };
+
+  const clearAll = async () => {
+    await store.clear();
+    setConfirmingClear(false);
+    refresh();
+  };
+
+  return (
+    <div className="bg-fg/10 backdrop-blur-lg rounded-xl p-6 border border-fg/20">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+        <h3 className="text-xl font-semibold text-fg flex items-center">
+          <HardDrive className="w-6 h-6 mr-2" />
+          {t('storage.title')}
+        </h3>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <button
+            onClick={workspaceSync.syncNow}
+            disabled={health.status !== 'online' || workspaceSync.running}
+            className="flex items-center space-x-1 bg-fg/10 hover:bg-fg/20 text-fg px-3 py-1 rounded-lg disabled:opacity-50"
+          >
+            <RefreshCw className={`w-4 h-4 ${workspaceSync.running ? 'animate-spin' : ''}`} />
+            <span>{t('storage.syncNow')}</span>
+          </button>
+          <button
+            onClick={exportCache}
+            className="flex items-center space-x-1 bg-fg/10 hover:bg-fg/20 text-fg px-3 py-1 rounded-lg"
+          >
+            <Download className="w-4 h-4" />
+            <span>{t('storage.export')}</span>
+          </button>
+          {confirmingClear ? (
+            <>
+              <button
+                onClick={clearAll}
+                className="flex items-center space-x-1 bg-red-600 hover:bg-red-700 text-white px-3 py-1 rounded-lg"
+              >
+                <Trash2 className="w-4 h-4" />
+                <span>{t('storage.confirmClear')}</span>
+              </button>
+              <button
+                onClick={() => setConfirmingClear(false)}
+                className="bg-fg/10 hover:bg-fg/20 text-fg px-3 py-1 rounded-lg"
+              >
+                {t('common.cancel')}
+              </button>
+            </>
+          ) : (
+            <button
+              onClick={() => setConfirmingClear(true)}
+              className="flex items-center space-x-1 bg-red-600/70 hover:bg-red-600 text-white px-3 py-1 rounded-lg"
+            >
+              <Trash2 className="w-4 h-4" />
+              <span>{t('storage.clear')}</span>
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="text-slate-300 text-sm space-y-1 mb-6">
+        {usage && (
+          <p>{t('storage.usage', { used: formatFileSize(usage.usage), quota: formatFileSize(usage.quota) })}</p>
+        )}
+        <p>
+          {workspaceSync.lastSync
+            ? t('storage.lastSync', { date: formatDate(workspaceSync.lastSync), count: workspaceSync.uploaded })
+            : t('storage.neverSynced')}
+        </p>
+        {workspaceSync.error && <p className="text-red-300">{translateError(workspaceSync.error)}</p>}
+        {error && <p className="text-red-300">{translateError(error)}</p>}
+      </div>
+
+      <section className="mb-8">
+        <h4 className="text-lg font-medium text-fg mb-3">{t('storage.analyses')}</h4>
+        {analyses.length === 0 ? (
+          <p className="text-slate-400 text-sm">{t('storage.noAnalyses')}</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-slate-400 text-left border-b border-fg/10">
+                  <th className="py-2 pr-4 font-medium">{t('storage.columns.name')}</th>
+                  <th className="py-2 pr-4 font-medium">{t('storage.columns.saved')}</th>
+                  <th className="py-2 pr-4 font-medium text-right">{t('storage.columns.rows')}</th>
+                  <th className="py-2 pr-4 font-medium">{t('storage.columns.status')}</th>
+                  <th className="py-2 font-medium sr-only">{t('storage.columns.actions')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {analyses.map((entry) => {
+                  const status = syncStatus(entry);
+                  return (
+                    <tr key={entry.key} className="border-b border-fg/5">
+                      <td className="py-2 pr-4 text-fg">
+                        {entry.name}
+                        <span className="block text-slate-400 text-xs">
+                          {formatFileSize(entry.size)} · {t(`storage.variants.${entry.variant.startsWith('local') ? 'local' : 'api'}`)}
+                          {entry.datasetInfo.sampling && ` · ${t('storage.sampled')}`}
+                        </span>
+                      </td>
+                      <td className="py-2 pr-4 text-slate-300">{formatDate(entry.savedAt)}</td>
+                      <td className="py-2 pr-4 text-slate-300 text-right">
+                        {formatNumber(entry.datasetInfo.basic_info?.total_rows)}
+                      </td>
+                      <td className="py-2 pr-4">
+                        <span className={`flex items-center space-x-1 ${status === 'pending' ? 'text-amber-300' : 'text-slate-300'}`}>
+                          {status === 'localOnly' ? <CloudOff className="w-4 h-4" /> : <Cloud className="w-4 h-4" />}
+                          <span>{t(`storage.status.${status}`, { id: entry.remoteId })}</span>
+                        </span>
+                      </td>
+                      <td className="py-2 text-right whitespace-nowrap">
+                        <button
+                          onClick={() => openAnalysis(entry)}
+                          className="text-slate-300 hover:text-fg p-1"
+                          title={t('storage.open')}
+                          aria-label={t('storage.open')}
+                        >
+                          <FolderOpen className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => removeAnalysis(entry)}
+                          className="text-slate-300 hover:text-red-300 p-1"
+                          title={t('storage.remove')}
+                          aria-label={t('storage.remove')}
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+
+      <section>
+        <h4 className="text-lg font-medium text-fg mb-3">{t('storage.recentFiles')}</h4>
+        {recentFiles.length === 0 ? (
+          <p className="text-slate-400 text-sm">{t('storage.noRecentFiles')}</p>
+        ) : (
+          <ul className="space-y-2 text-sm">
+            {recentFiles.map((entry) => (
+              <li key={entry.key} className="flex items-center justify-between bg-fg/5 rounded-lg px-3 py-2">
+                <div>
+                  <p className="text-fg">{entry.name}</p>
+                  <p className="text-slate-400 text-xs">
+                    {formatFileSize(entry.size)} · {formatDate(entry.openedAt)} · {entry.file ? t('storage.contentStored') : t('storage.metadataOnly')}
+                  </p>
+                </div>
+                <button
+                  onClick={() => removeRecentFile(entry)}
+                  className="text-slate-300 hover:text-red-300 p-1"
+                  title={t('storage.remove')}
+                  aria-label={t('storage.remove')}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default StoragePage;
@@ -0,0 +1,238 @@
+// src/services/analysisSchema.js
+// Contrato del resultado de un análisis entre el backend (o el motor local) y la UI.
+// El payload declara schema_version; las versiones anteriores pasan por adaptadores de
+// migración y después cada sección se valida por separado. Una sección inválida se
+// reemplaza por su valor por defecto y queda anotada en el reporte, de modo que la UI
+// puede mostrar el resto y explicar qué falló.
+
+export const ANALYSIS_SCHEMA_VERSION = 2;
+
+// Los payloads sin schema_version son de backends anteriores al contrato
+const LEGACY_VERSION = 1;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const describeValue = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+// Un validador recibe (valor, ruta) y devuelve { value, issues }. Los problemas 'error'
+// invalidan el valor; los 'warning' corresponden a elementos descartados de una lista.
+const valid = (value) => ({ value, issues: [] });
+const invalid = (path, expected, value) => ({
+  value: undefined,
+  issues: [{ path, expected, received: describeValue(value), severity: 'error' }],
+});
+const hasErrors = (issues) => issues.some((issue) => issue.severity === 'error');
+
+// Acepta números enviados como texto ("1200"), habituales en backends que serializan a mano
+const number = (value, path) => {
+  const parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return typeof parsed === 'number' && Number.isFinite(parsed) ? valid(parsed) : invalid(path, 'number', value);
+};
+
+const string = (value, path) => (typeof value === 'string' ? valid(value) : invalid(path, 'string', value));
+
+const numberOrString = (value, path) => (typeof value === 'string' ? valid(value) : number(value, path));
+
+const optional = (validator, fallback) => (value, path) => (value == null ? valid(value ?? fallback) : validator(value, path));
+
+const object = (shape) => (value, path) => {
+  if (!isObject(value)) {
+    return invalid(path, 'object', value);
+  }
+  const result = { ...value };
+  const issues = [];
+  Object.entries(shape).forEach(([key, validator]) => {
+    const checked = validator(value[key], `${path}.${key}`);
+    issues.push(...checked.issues);
+    if (checked.value === undefined) {
+      delete result[key];
+    } else {
+      result[key] = checked.value;
+    }
+  });
+  return hasErrors(issues) ? { value: undefined, issues } : { value: result, issues };
+};
+
+// Los elementos inválidos se descartan sin invalidar la lista completa
+const keepValid = (checked) => ({
+  keep: !hasErrors(checked.issues),
+  issues: checked.issues.map((issue) => ({ ...issue, severity: 'warning' })),
+});
+
+const arrayOf = (item) => (value, path) => {
+  if (!Array.isArray(value)) {
+    return invalid(path, 'array', value);
+  }
+  const result = [];
+  const issues = [];
+  value.forEach((entry, index) => {
+    const checked = item(entry, `${path}[${index}]`);
+    const { keep, issues: entryIssues } = keepValid(checked);
+    issues.push(...entryIssues);
+    if (keep) result.push(checked.value);
+  });
+  return { value: result, issues };
+};
+
+const recordOf = (item) => (value, path) => {
+  if (!isObject(value)) {
+    return invalid(path, 'object', value);
+  }
+  const result = {};
+  const issues = [];
+  Object.entries(value).forEach(([key, entry]) => {
+    const checked = item(entry, `${path}.${key}`);
+    const { keep, issues: entryIssues } = keepValid(checked);
+    issues.push(...entryIssues);
+    if (keep) result[key] = checked.value;
+  });
+  return { value: result, issues };
+};
+
+// basic_info.columns admite nombres o { name, dtype }
+const columnEntry = (value, path) => (isObject(value) ? object({ name: string })(value, path) : string(value, path));
+
+const recommendationList = optional(arrayOf(object({ description: string })), []);
+
+// Secciones del contrato con su validador y el valor que se usa si faltan o son inválidas
+export const ANALYSIS_SECTIONS = {
+  basic_info: {
+    validate: object({
+      total_rows: number,
+      total_columns: number,
+      file_size: optional(numberOrString),
+      data_types: optional(recordOf(number), {}),
+      columns: optional(arrayOf(columnEntry)),
+    }),
+    fallback: { total_rows: null, total_columns: null, file_size: null, data_types: {} },
+  },
+  missing_data: {
+    validate: object({
+      columns_with_missing: optional(arrayOf(object({ column: string, percentage: number, count: optional(number) })), []),
+      total_missing_percentage: number,
+    }),
+    fallback: { columns_with_missing: [], total_missing_percentage: 0 },
+  },
+  duplicates: {
+    validate: object({
+      total_duplicates: number,
+      percentage: number,
+      columns_contributing: optional(arrayOf(string), []),
+    }),
+    fallback: { total_duplicates: 0, percentage: 0, columns_contributing: [] },
+  },
+  data_quality: {
+    validate: recordOf(number),
+    fallback: { completeness: 0, consistency: 0, validity: 0, uniqueness: 0 },
+  },
+  outliers: {
+    validate: object({
+      columns_with_outliers: optional(arrayOf(object({ column: string, percentage: optional(number), outlier_count: optional(number) })), []),
+    }),
+    fallback: { columns_with_outliers: [] },
+  },
+  correlation_matrix: {
+    validate: arrayOf(object({ var1: string, var2: string, correlation: number })),
+    fallback: [],
+  },
+  column_statistics: {
+    validate: recordOf(object({
+      dtype: optional(string),
+      null_count: optional(number),
+      null_percentage: optional(number),
+      unique_count: optional(number),
+    })),
+    fallback: {},
+  },
+  recommendations: {
+    validate: object({ critical: recommendationList, moderate: recommendationList, optional: recommendationList }),
+    fallback: { critical: [], moderate: [], optional: [] },
+  },
+};
+
+// Los backends anteriores enviaban el tipo de columna como type/data_type y las
+// correlaciones como matriz anidada { col1: { col2: r } } (DataFrame.corr().to_dict())
+const migrateLegacy = (payload) => {
+  const migrated = { ...payload };
+
+  if (isObject(payload.column_statistics)) {
+    migrated.column_statistics = Object.fromEntries(
+      Object.entries(payload.column_statistics).map(([column, stats]) => [
+        column,
+        isObject(stats) && stats.dtype == null && (stats.type ?? stats.data_type) != null
+          ? { ...stats, dtype: stats.type ?? stats.data_type }
+          : stats,
+      ])
+    );
+  }
+
+  if (isObject(payload.correlation_matrix)) {
+    const columns = Object.keys(payload.correlation_matrix);
+    migrated.correlation_matrix = columns.flatMap((var1, row) => columns.slice(row + 1)
+      .map((var2) => ({ var1, var2, correlation: payload.correlation_matrix[var1]?.[var2] }))
+      .filter(({ correlation }) => typeof correlation === 'number'));
+  }
+
+  return migrated;
+};
+
+// Adaptadores de migración: MIGRATIONS[n] convierte un payload de la versión n a la n + 1
+const MIGRATIONS = {
+  1: migrateLegacy,
+};
+
+const readVersion = (payload) => {
+  const version = payload.schema_version ?? LEGACY_VERSION;
+  return Number.isInteger(Number(version)) ? Number(version) : null;
+};
+
+// Migra y valida un payload. Devuelve los datos saneados (con valores por defecto en las
+// secciones inválidas) y un reporte: { version, migratedFrom, unknownVersion, invalidSections, issues }.
+// Solo lanza si el payload ni siquiera es un objeto.
+export const parseAnalysisPayload = (payload) => {
+  if (!isObject(payload)) {
+    throw new TypeError(`Se esperaba un objeto con el análisis y se recibió ${describeValue(payload)}`);
+  }
+
+  const version = readVersion(payload);
+  let data = payload;
+  let current = version;
+  while (current != null && current < ANALYSIS_SCHEMA_VERSION && MIGRATIONS[current]) {
+    data = MIGRATIONS[current](data);
+    current += 1;
+  }
+  // Versiones futuras o sin adaptador se validan con el contrato actual como mejor esfuerzo
+  const unknownVersion = current !== ANALYSIS_SCHEMA_VERSION;
+
+  const result = { ...data, schema_version: ANALYSIS_SCHEMA_VERSION };
+  const issues = [];
+  const invalidSections = [];
+  Object.entries(ANALYSIS_SECTIONS).forEach(([section, { validate, fallback }]) => {
+    const checked = validate(data[section], section);
+    issues.push(...checked.issues.map((issue) => ({ ...issue, section })));
+    if (checked.value === undefined) {
+      invalidSections.push(section);
+      result[section] = fallback;
+    } else {
+      result[section] = checked.value;
+    }
+  });
+
+  return {
+    data: result,
+    report: {
+      version: payload.schema_version ?? null,
+      migratedFrom: version != null && version < ANALYSIS_SCHEMA_VERSION && !unknownVersion ? version : null,
+      unknownVersion,
+      invalidSections,
+      issues,
+    },
+  };
+};
+
+// true si el reporte tiene algo que mostrar al usuario
+export const hasSchemaProblems = (report) => Boolean(report && (report.unknownVersion || report.issues.length > 0));
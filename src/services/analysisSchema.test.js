@@ -0,0 +1,85 @@
+import { ANALYSIS_SCHEMA_VERSION, parseAnalysisPayload, hasSchemaProblems } from './analysisSchema';
+import { analyzeCsvText } from './localAnalysis';
+
+const validPayload = () => ({
+  schema_version: ANALYSIS_SCHEMA_VERSION,
+  basic_info: { total_rows: 3, total_columns: 2, file_size: '1 KB', data_types: { int64: 1, object: 1 }, columns: ['id', 'ciudad'] },
+  missing_data: { columns_with_missing: [{ column: 'ciudad', count: 1, percentage: 33.3 }], total_missing_percentage: 16.7 },
+  duplicates: { total_duplicates: 0, percentage: 0, columns_contributing: [] },
+  data_quality: { completeness: 83.3, consistency: 100, validity: 100, uniqueness: 100 },
+  outliers: { columns_with_outliers: [] },
+  correlation_matrix: [],
+  column_statistics: { id: { dtype: 'int64', null_count: 0 }, ciudad: { dtype: 'object', null_count: 1 } },
+  recommendations: { critical: [], moderate: [{ type: 'missing_values', description: 'Imputar ciudad' }], optional: [] },
+});
+
+test('acepta un payload de la versión actual sin problemas', () => {
+  const { data, report } = parseAnalysisPayload(validPayload());
+
+  expect(data.basic_info.total_rows).toBe(3);
+  expect(report).toEqual({ version: ANALYSIS_SCHEMA_VERSION, migratedFrom: null, unknownVersion: false, invalidSections: [], issues: [] });
+  expect(hasSchemaProblems(report)).toBe(false);
+});
+
+test('el resultado del motor local cumple el contrato', () => {
+  const { report } = parseAnalysisPayload(analyzeCsvText('id,monto,ciudad\n1,10,Lima\n2,,Quito\n3,30,Lima\n'));
+
+  expect(report.issues).toEqual([]);
+});
+
+test('migra los payloads sin versión desde el formato anterior', () => {
+  const { schema_version: _, ...legacy } = validPayload();
+  legacy.column_statistics = { id: { type: 'int64' }, ciudad: { data_type: 'object' } };
+  legacy.correlation_matrix = { a: { a: 1, b: 0.8 }, b: { a: 0.8, b: 1 } };
+
+  const { data, report } = parseAnalysisPayload(legacy);
+
+  expect(report.migratedFrom).toBe(1);
+  expect(report.issues).toEqual([]);
+  expect(data.schema_version).toBe(ANALYSIS_SCHEMA_VERSION);
+  expect(data.column_statistics.id.dtype).toBe('int64');
+  expect(data.column_statistics.ciudad.dtype).toBe('object');
+  expect(data.correlation_matrix).toEqual([{ var1: 'a', var2: 'b', correlation: 0.8 }]);
+});
+
+test('reemplaza las secciones inválidas por sus valores por defecto y las reporta', () => {
+  const payload = validPayload();
+  payload.basic_info = { total_rows: 'muchas', total_columns: 2 };
+  delete payload.duplicates;
+
+  const { data, report } = parseAnalysisPayload(payload);
+
+  expect(report.invalidSections).toEqual(['basic_info', 'duplicates']);
+  expect(report.issues).toContainEqual({
+    section: 'basic_info', path: 'basic_info.total_rows', expected: 'number', received: 'string', severity: 'error',
+  });
+  expect(report.issues).toContainEqual({
+    section: 'duplicates', path: 'duplicates', expected: 'object', received: 'undefined', severity: 'error',
+  });
+  expect(data.basic_info.data_types).toEqual({});
+  expect(data.duplicates.columns_contributing).toEqual([]);
+  expect(data.missing_data.total_missing_percentage).toBe(16.7);
+});
+
+test('descarta elementos inválidos de una lista sin invalidar la sección y convierte números en texto', () => {
+  const payload = validPayload();
+  payload.basic_info.total_rows = '1200';
+  payload.missing_data.columns_with_missing.push({ column: 'monto', percentage: null });
+
+  const { data, report } = parseAnalysisPayload(payload);
+
+  expect(data.basic_info.total_rows).toBe(1200);
+  expect(data.missing_data.columns_with_missing.map(({ column }) => column)).toEqual(['ciudad']);
+  expect(report.invalidSections).toEqual([]);
+  expect(report.issues).toEqual([
+    { section: 'missing_data', path: 'missing_data.columns_with_missing[1].percentage', expected: 'number', received: 'null', severity: 'warning' },
+  ]);
+});
+
+test('marca las versiones desconocidas y rechaza lo que no es un objeto', () => {
+  const { report } = parseAnalysisPayload({ ...validPayload(), schema_version: 99 });
+
+  expect(report.unknownVersion).toBe(true);
+  expect(hasSchemaProblems(report)).toBe(true);
+  expect(() => parseAnalysisPayload('<html>Bad gateway</html>')).toThrow(TypeError);
+});
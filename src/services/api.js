@@ -1,79 +1,85 @@
 // src/services/api.js
-import axios from 'axios';
+import { isSupportedFileName } from './formats/extensions';
+import { ensureCsvFile } from './conversion';
+import { createApiClient, getAuthFromEnv, wait } from './client/httpClient';
+import { ApiError, ValidationError, NetworkError, TimeoutError, ServerError, CancelError } from './client/errors';
+import { normalizeJob, isTerminalStatus, pollDelay } from './jobs';
+import { ANALYSIS_SECTIONS, parseAnalysisPayload } from './analysisSchema';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:8000/api';
 
-export const uploadAndAnalyze = async (file, name) => {
-  const formData = new FormData();
-  formData.append('file', file);
-  formData.append('name', name);
+// Cliente único: errores tipados (./client/errors), reintentos con espera exponencial
+// y autenticación tomada de REACT_APP_API_TOKEN o REACT_APP_API_KEY
+const apiClient = createApiClient({
+  baseURL: API_BASE_URL,
+  timeout: 30000, // 30 segundos timeout para análisis de datasets grandes
+  auth: getAuthFromEnv(),
+});
 
-  const response = await fetch(`${API_BASE_URL}/upload/`, {
-    method: 'POST',
-    body: formData,
-  });
+// Cambia las credenciales en tiempo de ejecución: { type: 'bearer', token } o { type: 'apiKey', key, header }.
+// null vuelve a las de las variables de entorno.
+export const setApiAuth = (auth) => apiClient.setAuth(auth ?? getAuthFromEnv());
 
-  if (!response.ok) {
-    const errorData = await response.json();
-    throw new Error(errorData.error || 'Error al analizar el dataset');
+// Sustituye la red por el backend simulado en memoria. El módulo se carga en la primera
+// petición para no incluir el análisis local en el bundle principal.
+// Los datos simulados se conservan si se desactiva y se vuelve a activar.
+let mockAdapter = null;
+export const enableMockBackend = (options) => {
+  if (!mockAdapter) {
+    let adapter = null;
+    mockAdapter = async (config) => {
+      if (!adapter) {
+        const { createMockBackend, createMockAdapter } = await import('./client/mockBackend');
+        adapter = createMockAdapter(createMockBackend(options));
+      }
+      return adapter(config);
+    };
   }
-
-  return response.json();
+  apiClient.setAdapter(mockAdapter);
 };
 
-export const getAnalyses = async () => {
-  const response = await fetch(`${API_BASE_URL}/analyses/`);
-  return response.json();
+const MOCK_FROM_ENV = process.env.REACT_APP_USE_MOCK_API === 'true';
+
+// Vuelve a la red, salvo que el backend simulado venga activado desde .env
+export const disableMockBackend = () => {
+  if (!MOCK_FROM_ENV) {
+    apiClient.setAdapter(null);
+  }
 };
 
-// Configurar axios con interceptors para manejo de errores
-const apiClient = axios.create({
-  baseURL: API_BASE_URL,
-  timeout: 30000, // 30 segundos timeout para análisis de datasets grandes
-  headers: {
-    'Content-Type': 'application/json',
+if (MOCK_FROM_ENV) {
+  enableMockBackend();
+}
+
+// Valida el archivo y lo convierte a CSV si hace falta
+const prepareUpload = async (inputFile, { sheet, signal }) => {
+  if (!inputFile) {
+    throw new ValidationError('No se proporcionó archivo', { code: 'errors.noFile' });
   }
-});
 
-// Interceptor para manejar errores globalmente
-apiClient.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    console.error('API Error:', error);
-    
-    if (error.response) {
-      // El servidor respondió con un código de error
-      throw new Error(error.response.data.error || `Error ${error.response.status}: ${error.response.statusText}`);
-    } else if (error.request) {
-      // La petición se hizo pero no hubo respuesta
-      throw new Error('No se pudo conectar con el servidor. Verifica que la API esté ejecutándose.');
-    } else {
-      // Error en la configuración de la petición
-      throw new Error('Error en la configuración de la petición');
-    }
+  if (!isSupportedFileName(inputFile.name)) {
+    throw new ValidationError('Formato no soportado. Usa CSV, TSV, Excel, JSON o Parquet', { code: 'errors.unsupportedFormat' });
   }
-);
 
-// Función para subir archivo y obtener análisis
-export const uploadAndAnalyzeDataset = async (file, name = null) => {
-  try {
-    // Validar archivo
-    if (!file) {
-      throw new Error('No se proporcionó archivo');
-    }
+  const file = await ensureCsvFile(inputFile, { sheet, signal });
 
-    if (!file.name.toLowerCase().endsWith('.csv')) {
-      throw new Error('Solo se admiten archivos CSV');
-    }
+  if (file.size > 50 * 1024 * 1024) { // 50MB limit
+    throw new ValidationError('El archivo es demasiado grande. Máximo 50MB', { code: 'errors.fileTooLarge', params: { max: '50 MB' } });
+  }
+  return file;
+};
 
-    if (file.size > 50 * 1024 * 1024) { // 50MB limit
-      throw new Error('El archivo es demasiado grande. Máximo 50MB');
-    }
+// Función para subir archivo y obtener análisis
+// options.onProgress recibe el porcentaje subido (0-100) y options.signal permite cancelar.
+// Los formatos distintos de CSV se convierten antes de subir (options.sheet para Excel).
+export const uploadAndAnalyzeDataset = async (inputFile, name = null, { onProgress, signal, sheet } = {}) => {
+  try {
+    const file = await prepareUpload(inputFile, { sheet, signal });
 
     // Crear FormData
     const formData = new FormData();
     formData.append('file', file);
-    formData.append('name', name || file.name);
+    formData.append('name', name || inputFile.name);
 
     console.log('Enviando archivo para análisis:', file.name);
 
@@ -82,10 +88,13 @@ export const uploadAndAnalyzeDataset = async (file, name = null) => {
       headers: {
         'Content-Type': 'multipart/form-data',
       },
-      // Callback para progreso de upload (opcional)
+      signal,
       onUploadProgress: (progressEvent) => {
-        const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-        console.log(`Upload progress: ${percentCompleted}%`);
+        const total = progressEvent.total || file.size;
+        const percentCompleted = Math.round((progressEvent.loaded * 100) / total);
+        if (onProgress) {
+          onProgress(Math.min(percentCompleted, 100));
+        }
       }
     });
 
@@ -98,12 +107,224 @@ export const uploadAndAnalyzeDataset = async (file, name = null) => {
   }
 };
 
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024; // 5MB por parte
+const CHUNK_RETRY_BASE_DELAY = 1000;
+
+// Clave para recordar subidas interrumpidas del mismo archivo. Si lo que se sube se genera
+// en cada intento (p. ej. el CSV enmascarado), la clave se toma del archivo original y
+// variant distingue las versiones generadas.
+export const getResumeKey = (file, variant = '') => `chunked-upload:${file.name}:${file.size}:${file.lastModified}${variant}`;
+
+// Sube una parte; el cliente reintenta con espera exponencial si falla
+const uploadChunk = (uploadId, index, blob, { maxRetries, signal, onChunkProgress }) => {
+  const formData = new FormData();
+  formData.append('chunk', blob);
+  formData.append('index', index);
+
+  return apiClient.put(`/upload/chunked/${uploadId}/`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+    signal,
+    onUploadProgress: (progressEvent) => onChunkProgress(progressEvent.loaded),
+    retry: {
+      retries: maxRetries,
+      baseDelay: CHUNK_RETRY_BASE_DELAY,
+      shouldRetry: (error) => error instanceof NetworkError || error instanceof TimeoutError || error instanceof ServerError,
+      onRetry: () => onChunkProgress(0),
+    },
+  });
+};
+
+// Subida por partes reanudable: si se interrumpe, la siguiente llamada con el
+// mismo archivo (o la misma resumeKey de getResumeKey) continúa desde las partes
+// que el servidor ya recibió
+export const uploadDatasetInChunks = async (inputFile, name = null, {
+  chunkSize = DEFAULT_CHUNK_SIZE,
+  maxRetries = 3,
+  onProgress,
+  signal,
+  sheet,
+  resumeKey = getResumeKey(inputFile),
+} = {}) => {
+  const file = await prepareUpload(inputFile, { sheet, signal });
+
+  const totalChunks = Math.max(1, Math.ceil(file.size / chunkSize));
+  let uploadId = localStorage.getItem(resumeKey);
+  let received = [];
+
+  if (uploadId) {
+    try {
+      const status = await apiClient.get(`/upload/chunked/${uploadId}/`, { signal });
+      received = status.data.received_chunks || [];
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+      // La sesión expiró en el servidor; empezar de nuevo
+      uploadId = null;
+      received = [];
+    }
+  }
+
+  if (!uploadId) {
+    const init = await apiClient.post('/upload/chunked/', {
+      name: name || inputFile.name,
+      file_name: file.name,
+      file_size: file.size,
+      total_chunks: totalChunks,
+      chunk_size: chunkSize,
+    }, { signal });
+    uploadId = init.data.upload_id;
+    localStorage.setItem(resumeKey, uploadId);
+  }
+
+  const receivedSet = new Set(received);
+  let uploadedBytes = 0;
+  for (let index = 0; index < totalChunks; index++) {
+    if (receivedSet.has(index)) {
+      uploadedBytes += Math.min(chunkSize, file.size - index * chunkSize);
+    }
+  }
+
+  const reportProgress = (currentChunkBytes) => {
+    if (onProgress) {
+      onProgress(Math.min(100, Math.round(((uploadedBytes + currentChunkBytes) * 100) / (file.size || 1))));
+    }
+  };
+  reportProgress(0);
+
+  for (let index = 0; index < totalChunks; index++) {
+    if (receivedSet.has(index)) {
+      continue;
+    }
+    const start = index * chunkSize;
+    const blob = file.slice(start, Math.min(start + chunkSize, file.size));
+
+    await uploadChunk(uploadId, index, blob, { maxRetries, signal, onChunkProgress: reportProgress });
+    uploadedBytes += blob.size;
+    reportProgress(0);
+  }
+
+  // Todas las partes recibidas: pedir al servidor que ensamble y analice
+  const response = await apiClient.post(`/upload/chunked/${uploadId}/complete/`, {}, { signal });
+  localStorage.removeItem(resumeKey);
+  return response.data;
+};
+
+const JOB_UPLOAD_TIMEOUT = 5 * 60 * 1000; // La subida puede tardar; el análisis ya no bloquea la petición
+
+// Crea un trabajo de análisis: el servidor responde en cuanto recibe el archivo
+// con { job_id, status } y el análisis continúa en segundo plano
+export const createAnalysisJob = async (inputFile, name = null, { onProgress, signal, sheet } = {}) => {
+  const file = await prepareUpload(inputFile, { sheet, signal });
+
+  const formData = new FormData();
+  formData.append('file', file);
+  formData.append('name', name || inputFile.name);
+
+  const response = await apiClient.post('/jobs/', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+    timeout: JOB_UPLOAD_TIMEOUT,
+    signal,
+    onUploadProgress: (progressEvent) => {
+      const total = progressEvent.total || file.size;
+      if (onProgress) {
+        onProgress(Math.min(100, Math.round((progressEvent.loaded * 100) / (total || 1))));
+      }
+    },
+  });
+  return normalizeJob(response.data);
+};
+
+// Estado de un trabajo: { jobId, status, progress, eta, partial, result, analysisId, error }
+export const getAnalysisJob = async (jobId, { signal } = {}) => {
+  const response = await apiClient.get(`/jobs/${jobId}/`, { signal });
+  return normalizeJob(response.data);
+};
+
+export const cancelAnalysisJob = async (jobId) => {
+  const response = await apiClient.delete(`/jobs/${jobId}/`, { retry: false });
+  return normalizeJob(response.data);
+};
+
+// Recibe los estados por Server-Sent Events; si la conexión falla antes de terminar
+// se rechaza para que watchAnalysisJob siga con consultas periódicas
+const streamJobEvents = (jobId, { onUpdate, signal }) => new Promise((resolve, reject) => {
+  const source = new EventSource(`${API_BASE_URL}/jobs/${jobId}/events/`);
+  const close = () => {
+    source.close();
+    signal?.removeEventListener('abort', abort);
+  };
+  const abort = () => {
+    close();
+    reject(new CancelError());
+  };
+  signal?.addEventListener('abort', abort, { once: true });
+
+  source.onmessage = (event) => {
+    const job = normalizeJob(JSON.parse(event.data));
+    onUpdate(job);
+    if (isTerminalStatus(job.status)) {
+      close();
+      resolve(job);
+    }
+  };
+  source.onerror = () => {
+    close();
+    reject(new NetworkError('Se perdió la conexión de eventos del trabajo', { code: 'errors.jobEventsLost' }));
+  };
+});
+
+// Sigue un trabajo hasta que termina y resuelve con su estado final.
+// events: true usa SSE (REACT_APP_JOB_EVENTS=true) y vuelve a consultas periódicas si falla.
+// EventSource no puede enviar cabeceras: con credenciales configuradas solo se consulta.
+export const watchAnalysisJob = async (jobId, {
+  onUpdate = () => {},
+  signal,
+  events = process.env.REACT_APP_JOB_EVENTS === 'true',
+} = {}) => {
+  if (events && typeof EventSource !== 'undefined' && !apiClient.getAuth()) {
+    try {
+      return await streamJobEvents(jobId, { onUpdate, signal });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+      console.warn('Eventos del trabajo no disponibles, consultando periódicamente:', error.message);
+    }
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    const job = await getAnalysisJob(jobId, { signal });
+    onUpdate(job);
+    if (isTerminalStatus(job.status)) {
+      return job;
+    }
+    await wait(pollDelay(attempt), signal);
+  }
+};
+
+// Tope de páginas de /analyses/ por si el servidor repite el enlace next
+const MAX_ANALYSES_PAGES = 50;
+
 // Función para obtener lista de análisis previos
-export const getAnalysesList = async () => {
+// name filtra por nombre de dataset si el backend lo admite (la UI vuelve a filtrar).
+// Si DRF pagina la respuesta se siguen los enlaces next y se devuelven todas las entradas
+export const getAnalysesList = async ({ name } = {}) => {
   try {
     console.log('Obteniendo lista de análisis...');
-    const response = await apiClient.get('/analyses/');
-    return response.data;
+    const response = await apiClient.get('/analyses/', { params: name ? { name } : undefined });
+    let page = response.data;
+    if (!page?.next) {
+      return page;
+    }
+    const results = [...(page.results || [])];
+    for (let count = 1; page?.next && count < MAX_ANALYSES_PAGES; count += 1) {
+      // Solo se usa la consulta del enlace: su host puede no ser el que ve el navegador (proxy)
+      const { search } = new URL(page.next, window.location.href);
+      page = (await apiClient.get(`/analyses/${search}`)).data;
+      results.push(...(page?.results || []));
+    }
+    return results;
   } catch (error) {
     console.error('Error al obtener análisis:', error);
     throw error;
@@ -122,10 +343,25 @@ export const getAnalysisDetail = async (analysisId) => {
   }
 };
 
+// Función para volver a detectar atípicos de una columna con otro método en el backend
+// method: 'iqr' | 'zscore' | 'modified_zscore'; threshold: multiplicador o umbral |z|
+export const getColumnOutliers = async (analysisId, column, { method = 'iqr', threshold } = {}) => {
+  try {
+    const response = await apiClient.get(`/analyses/${analysisId}/outliers/`, {
+      params: { column, method, threshold },
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error al detectar valores atípicos:', error);
+    throw error;
+  }
+};
+
 // Función para verificar estado de la API
-export const checkAPIHealth = async () => {
+// Sin reintentos: el monitor de conexión decide cuándo volver a consultar
+export const checkAPIHealth = async ({ signal, timeout } = {}) => {
   try {
-    const response = await apiClient.get('/health/');
+    const response = await apiClient.get('/health/', { retry: false, signal, timeout });
     return response.data;
   } catch (error) {
     console.error('Error en health check:', error);
@@ -134,26 +370,31 @@ export const checkAPIHealth = async () => {
 };
 
 // Función auxiliar para formatear datos del análisis
+// Migra y valida la respuesta contra el contrato de analysisSchema. Las secciones inválidas
+// llegan con valores por defecto y se detallan en schema_report para que la UI las señale.
 export const formatAnalysisData = (rawAnalysis) => {
+  let parsed;
   try {
     // Si el análisis viene con estructura anidada, extraer los datos principales
-    const analysis = rawAnalysis.analysis || rawAnalysis;
-
-    return {
-      basic_info: analysis.basic_info || {},
-      missing_data: analysis.missing_data || { columns_with_missing: [], total_missing_percentage: 0 },
-      duplicates: analysis.duplicates || { total_duplicates: 0, percentage: 0, columns_contributing: [] },
-      data_quality: analysis.data_quality || { completeness: 0, consistency: 0, validity: 0, uniqueness: 0 },
-      outliers: analysis.outliers || { columns_with_outliers: [] },
-      correlation_matrix: analysis.correlation_matrix || [],
-      column_statistics: analysis.column_statistics || {},
-      recommendations: analysis.recommendations || { critical: [], moderate: [], optional: [] },
-      analysis_status: analysis.analysis_status || 'unknown'
-    };
+    parsed = parseAnalysisPayload(rawAnalysis?.analysis || rawAnalysis);
   } catch (error) {
     console.error('Error al formatear datos de análisis:', error);
-    throw new Error('Error al procesar los datos del análisis');
+    throw new ApiError('Error al procesar los datos del análisis', { code: 'errors.invalidAnalysis', cause: error });
   }
+
+  const { data, report } = parsed;
+  if (report.issues.length > 0 || report.unknownVersion) {
+    console.warn('La respuesta del análisis no cumple el esquema:', report);
+  }
+
+  return {
+    ...Object.fromEntries(Object.keys(ANALYSIS_SECTIONS).map((section) => [section, data[section]])),
+    schema_version: data.schema_version,
+    analysis_status: data.analysis_status || 'unknown',
+    source: data.source || 'api', // 'local' si se calculó en el navegador
+    analysis_id: rawAnalysis.id ?? rawAnalysis.analysis_id ?? null,
+    schema_report: report,
+  };
 };
 
 // Función para manejar reconexión automática
@@ -168,8 +409,14 @@ export const testConnection = async () => {
 
 export default {
   uploadAndAnalyzeDataset,
+  uploadDatasetInChunks,
   getAnalysesList,
   getAnalysisDetail,
+  getColumnOutliers,
+  createAnalysisJob,
+  getAnalysisJob,
+  cancelAnalysisJob,
+  watchAnalysisJob,
   checkAPIHealth,
   formatAnalysisData,
   testConnection
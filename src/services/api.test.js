@@ -0,0 +1,128 @@
+import {
+  enableMockBackend,
+  getAnalysesList,
+  getResumeKey,
+  uploadAndAnalyzeDataset,
+  uploadDatasetInChunks,
+  setApiAuth,
+  watchAnalysisJob,
+} from './api';
+import { extractAnalysesList } from './history';
+
+// La conversión usa Web Workers, que jest no carga; los CSV se suben tal cual
+jest.mock('./conversion', () => ({ ensureCsvFile: async (file) => file }));
+
+const csv = ['edad,ciudad', '31,Lima', '45,Quito', '28,Lima', '52,Cusco'].join('\n');
+const createFile = () => new File([csv], 'ventas.csv', { type: 'text/csv', lastModified: 1700000000000 });
+// Tres partes: 20 + 20 + el resto
+const chunkSize = 20;
+const firstChunkPercent = Math.round((chunkSize * 100) / csv.length);
+
+// Corta la subida en cuanto se confirma la primera parte (el progreso dentro de una
+// parte del backend simulado es de un solo byte)
+const interrupt = (file, options = {}) => uploadDatasetInChunks(file, null, {
+  chunkSize,
+  maxRetries: 0,
+  ...options,
+  onProgress: (percent) => {
+    if (percent >= firstChunkPercent) throw new Error('corte');
+  },
+}).catch((error) => error);
+
+// Páginas de dos entradas en /analyses/, como la paginación de DRF
+beforeAll(() => enableMockBackend({ latency: 0, pageSize: 2 }));
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('la clave de reanudación identifica el archivo y la variante', () => {
+  const file = createFile();
+  expect(getResumeKey(file)).toBe(`chunked-upload:ventas.csv:${file.size}:1700000000000`);
+  expect(getResumeKey(file, ':api')).toBe(`${getResumeKey(file)}:api`);
+});
+
+test('reanuda desde las partes recibidas y olvida la subida al terminar', async () => {
+  const file = createFile();
+  expect((await interrupt(file)).message).toBe('corte');
+  expect(localStorage.getItem(getResumeKey(file))).toMatch(/^mock-/);
+
+  const progress = [];
+  const result = await uploadDatasetInChunks(createFile(), null, { chunkSize, onProgress: (percent) => progress.push(percent) });
+
+  // La primera parte no se vuelve a enviar: el progreso empieza donde se cortó
+  expect(progress[0]).toBe(firstChunkPercent);
+  expect(Math.min(...progress)).toBe(firstChunkPercent);
+  expect(progress[progress.length - 1]).toBe(100);
+  expect(result.name).toBe('ventas.csv');
+  expect(result.analysis.basic_info.total_rows).toBe(4);
+  expect(localStorage.getItem(getResumeKey(file))).toBeNull();
+});
+
+test('con resumeKey explícita reanuda aunque el archivo sea otro objeto', async () => {
+  const resumeKey = 'chunked-upload:original.csv:1:1:anonimizado';
+  await interrupt(new File([csv], 'ventas.csv'), { resumeKey });
+
+  const progress = [];
+  await uploadDatasetInChunks(new File([csv], 'ventas.csv'), null, {
+    chunkSize,
+    resumeKey,
+    onProgress: (percent) => progress.push(percent),
+  });
+  expect(progress[0]).toBe(firstChunkPercent);
+  expect(localStorage.getItem(resumeKey)).toBeNull();
+});
+
+test('empieza de nuevo si el servidor ya no conoce la subida guardada', async () => {
+  const file = createFile();
+  localStorage.setItem(getResumeKey(file), 'mock-caducada');
+
+  const progress = [];
+  const result = await uploadDatasetInChunks(file, null, { chunkSize, onProgress: (percent) => progress.push(percent) });
+  expect(progress[0]).toBe(0);
+  expect(result.name).toBe('ventas.csv');
+});
+
+test('con credenciales los trabajos se siguen por consultas y no por EventSource', async () => {
+  // La conexión de eventos falla enseguida y se pasa a consultar el trabajo
+  window.EventSource = jest.fn(function EventSource() {
+    this.close = () => {};
+    setTimeout(() => this.onerror());
+  });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  await expect(watchAnalysisJob('job-desconocido', { events: true })).rejects.toMatchObject({ status: 404 });
+  expect(window.EventSource).toHaveBeenCalledTimes(1);
+
+  setApiAuth({ type: 'bearer', token: 'secreto' });
+  try {
+    await expect(watchAnalysisJob('job-desconocido', { events: true })).rejects.toMatchObject({ status: 404 });
+    expect(window.EventSource).toHaveBeenCalledTimes(1);
+  } finally {
+    setApiAuth(null);
+    delete window.EventSource;
+  }
+});
+
+test('sigue los enlaces next de /analyses/ hasta reunir todas las páginas', async () => {
+  const names = ['enero.csv', 'marzo.csv', 'marzo.csv', 'marzo.csv'];
+  for (const name of names) {
+    await uploadAndAnalyzeDataset(new File([csv], name, { type: 'text/csv' }));
+  }
+
+  const list = await getAnalysesList();
+  expect(Array.isArray(list)).toBe(true);
+  expect(list.map((entry) => entry.name)).toEqual(expect.arrayContaining(names));
+  expect(new Set(list.map((entry) => entry.id)).size).toBe(list.length);
+
+  // El filtro por nombre se conserva en los enlaces next
+  const march = await getAnalysesList({ name: 'marzo.csv' });
+  expect(march.map((entry) => entry.name)).toEqual(['marzo.csv', 'marzo.csv', 'marzo.csv']);
+  // Con una sola página la respuesta de DRF llega tal cual
+  expect(extractAnalysesList(await getAnalysesList({ name: 'enero.csv' })).map((entry) => entry.name)).toEqual(['enero.csv']);
+});
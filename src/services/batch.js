@@ -0,0 +1,198 @@
+// src/services/batch.js
+// Análisis por lotes: varios archivos (p. ej. una carpeta de CSV mensuales) se analizan
+// con concurrencia limitada y al final se resumen juntos: calidad por archivo, peores
+// columnas y qué archivos comparten el esquema.
+import { getOverallQuality } from './history';
+import { getColumnTypes, diffSchemas } from './comparison';
+import { isSupportedFileName } from './formats/extensions';
+
+export const BATCH_CONCURRENCY = 3;
+
+// Ejecuta worker(item, index) con como mucho `limit` tareas a la vez. Nunca rechaza:
+// devuelve un resultado por elemento con la forma de Promise.allSettled.
+export const runWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runNext = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, runNext));
+  return results;
+};
+
+const fileLabel = (file) => file.webkitRelativePath || file.name;
+
+// Separa los archivos soportados (ordenados por ruta para que los meses queden en orden)
+// de los que se ignoran
+export const selectBatchFiles = (files) => {
+  const supported = files
+    .filter((file) => isSupportedFileName(file.name))
+    .sort((a, b) => fileLabel(a).localeCompare(fileLabel(b), undefined, { numeric: true }));
+  const skipped = files.filter((file) => !isSupportedFileName(file.name)).map(fileLabel);
+  return { supported, skipped };
+};
+
+// Lote en la cola de trabajos del servidor: prepare(file) devuelve lo que se sube (el CSV con
+// los datos personales enmascarados) y submit(prepared, { name }) lo encola con el nombre
+// original. Devuelve las rutas de los archivos que no se pudieron preparar ni encolar.
+export const submitBatchJobs = async (files, { prepare, submit, concurrency = BATCH_CONCURRENCY }) => {
+  const { supported } = selectBatchFiles(files);
+  const results = await runWithConcurrency(supported, concurrency, async (file) => submit(await prepare(file), { name: file.name }));
+  return {
+    failed: supported.filter((_, index) => results[index].status === 'rejected').map(fileLabel),
+  };
+};
+
+const readEntries = (reader) => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+const entryToFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+const collectEntry = async (entry) => {
+  if (entry.isFile) {
+    return [await entryToFile(entry)];
+  }
+  if (!entry.isDirectory) {
+    return [];
+  }
+  // readEntries entrega el contenido por tandas hasta devolver una lista vacía
+  const reader = entry.createReader();
+  const files = [];
+  let batch = await readEntries(reader);
+  while (batch.length > 0) {
+    const nested = await Promise.all(batch.map(collectEntry));
+    files.push(...nested.flat());
+    batch = await readEntries(reader);
+  }
+  return files;
+};
+
+// Archivos de un evento drop, recorriendo las carpetas soltadas
+export const collectDroppedFiles = async (dataTransfer) => {
+  const entries = Array.from(dataTransfer.items || [])
+    .map((item) => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+    .filter(Boolean);
+  if (entries.length === 0) {
+    return Array.from(dataTransfer.files || []);
+  }
+  const nested = await Promise.all(entries.map(collectEntry));
+  return nested.flat();
+};
+
+const average = (values) => (values.length === 0 ? 0 : values.reduce((sum, value) => sum + value, 0) / values.length);
+
+// Columnas con más faltantes y atípicos en el conjunto de archivos. Una columna que no
+// aparece como problemática en un archivo cuenta como 0 % en ese archivo.
+const findWorstColumns = (results, limit) => {
+  const columns = new Map();
+  const touch = (column) => {
+    if (!columns.has(column)) {
+      columns.set(column, { column, files: new Set(), missing: new Map(), outliers: new Map() });
+    }
+    return columns.get(column);
+  };
+
+  // Los archivos se identifican por posición: dos carpetas pueden tener el mismo nombre de archivo
+  results.forEach(({ datasetInfo }, index) => {
+    Object.keys(getColumnTypes(datasetInfo)).forEach((column) => touch(column).files.add(index));
+    (datasetInfo.missing_data?.columns_with_missing || []).forEach(({ column, percentage }) => {
+      const entry = touch(column);
+      entry.files.add(index);
+      entry.missing.set(index, percentage || 0);
+    });
+    (datasetInfo.outliers?.columns_with_outliers || []).forEach(({ column, percentage }) => {
+      const entry = touch(column);
+      entry.files.add(index);
+      entry.outliers.set(index, percentage || 0);
+    });
+  });
+
+  return Array.from(columns.values())
+    .map(({ column, files, missing, outliers }) => {
+      const indexes = Array.from(files);
+      const avgMissing = average(indexes.map((index) => missing.get(index) || 0));
+      const avgOutliers = average(indexes.map((index) => outliers.get(index) || 0));
+      return {
+        column,
+        files: indexes.length,
+        affectedFiles: indexes.filter((index) => missing.get(index) || outliers.get(index)).length,
+        avgMissing,
+        maxMissing: Math.max(0, ...missing.values()),
+        avgOutliers,
+        score: avgMissing + avgOutliers,
+      };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.column.localeCompare(b.column))
+    .slice(0, limit);
+};
+
+const schemaSignature = (types) => Object.keys(types).sort().map((column) => `${column}:${types[column]}`).join('|');
+
+// Agrupa los archivos por esquema; el grupo más numeroso es la referencia y cada archivo
+// indica qué columnas le faltan, le sobran o cambiaron de tipo respecto a ella
+const summarizeSchemas = (results) => {
+  const groups = new Map();
+  results.forEach((result) => {
+    const types = getColumnTypes(result.datasetInfo);
+    const signature = schemaSignature(types);
+    if (!groups.has(signature)) {
+      groups.set(signature, { columns: Object.keys(types).length, files: [], datasetInfo: result.datasetInfo });
+    }
+    groups.get(signature).files.push(result.name);
+  });
+
+  const sorted = Array.from(groups.values()).sort((a, b) => b.files.length - a.files.length);
+  const reference = sorted[0]?.datasetInfo || null;
+  const columnSets = results.map(({ datasetInfo }) => Object.keys(getColumnTypes(datasetInfo)));
+  const commonColumns = columnSets.length === 0
+    ? []
+    : columnSets.reduce((common, columns) => common.filter((column) => columns.includes(column)));
+
+  const deviations = results.map(({ datasetInfo }) => {
+    const { added, removed, retyped } = diffSchemas(reference, datasetInfo);
+    return { matches: added.length + removed.length + retyped.length === 0, extra: added, missing: removed, retyped };
+  });
+
+  return {
+    consistent: sorted.length <= 1,
+    commonColumns,
+    groups: sorted.map(({ columns, files }) => ({ columns, files })),
+    deviations,
+  };
+};
+
+// Resumen de los archivos analizados: results = [{ name, datasetInfo }]
+export const summarizeBatch = (results, { worstLimit = 10 } = {}) => {
+  const schema = summarizeSchemas(results);
+  const files = results.map(({ name, datasetInfo }, index) => ({
+    name,
+    quality: getOverallQuality(datasetInfo.data_quality),
+    rows: datasetInfo.basic_info?.total_rows ?? null,
+    columns: datasetInfo.basic_info?.total_columns ?? null,
+    missing: datasetInfo.missing_data?.total_missing_percentage ?? null,
+    duplicates: datasetInfo.duplicates?.percentage ?? null,
+    schema: schema.deviations[index],
+  }));
+  const qualities = files.map(({ quality }) => quality).filter((quality) => quality != null);
+
+  return {
+    files,
+    averageQuality: qualities.length > 0 ? average(qualities) : null,
+    totalRows: files.reduce((sum, { rows }) => sum + (rows || 0), 0),
+    worstColumns: findWorstColumns(results, worstLimit),
+    schema: {
+      consistent: schema.consistent,
+      commonColumns: schema.commonColumns,
+      groups: schema.groups,
+    },
+  };
+};
@@ -0,0 +1,95 @@
+import { runWithConcurrency, selectBatchFiles, submitBatchJobs, summarizeBatch } from './batch';
+
+const analysis = (columns, { quality = 90, rows = 100, missing = [], outliers = [] } = {}) => ({
+  basic_info: { total_rows: rows, total_columns: Object.keys(columns).length },
+  data_quality: { completeness: quality, validity: quality },
+  column_statistics: Object.fromEntries(Object.entries(columns).map(([column, dtype]) => [column, { dtype }])),
+  missing_data: { columns_with_missing: missing },
+  outliers: { columns_with_outliers: outliers },
+});
+
+test('no ejecuta más tareas a la vez que el límite y conserva el orden de los resultados', async () => {
+  let active = 0;
+  let maxActive = 0;
+  const results = await runWithConcurrency([1, 2, 3, 4, 5], 2, async (value) => {
+    active += 1;
+    maxActive = Math.max(maxActive, active);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    active -= 1;
+    if (value === 3) {
+      throw new Error('falló');
+    }
+    return value * 10;
+  });
+
+  expect(maxActive).toBe(2);
+  expect(results.map((result) => result.status)).toEqual(['fulfilled', 'fulfilled', 'rejected', 'fulfilled', 'fulfilled']);
+  expect(results[4].value).toBe(50);
+  expect(results[2].reason.message).toBe('falló');
+});
+
+test('ordena los archivos soportados por ruta e informa de los ignorados', () => {
+  const files = [
+    { name: 'ventas-10.csv', webkitRelativePath: 'ventas/ventas-10.csv' },
+    { name: 'notas.txt', webkitRelativePath: 'ventas/notas.txt' },
+    { name: 'ventas-2.csv', webkitRelativePath: 'ventas/ventas-2.csv' },
+    { name: 'ventas-1.xlsx', webkitRelativePath: '' },
+  ];
+
+  const { supported, skipped } = selectBatchFiles(files);
+
+  expect(supported.map((file) => file.name)).toEqual(['ventas-1.xlsx', 'ventas-2.csv', 'ventas-10.csv']);
+  expect(skipped).toEqual(['ventas/notas.txt']);
+});
+
+test('resume la calidad por archivo y las peores columnas del lote', () => {
+  const summary = summarizeBatch([
+    { name: 'enero.csv', datasetInfo: analysis({ id: 'int64', monto: 'float64' }, { quality: 80, missing: [{ column: 'monto', percentage: 20 }] }) },
+    { name: 'febrero.csv', datasetInfo: analysis({ id: 'int64', monto: 'float64' }, { quality: 100, rows: 50, outliers: [{ column: 'id', percentage: 4 }] }) },
+  ]);
+
+  expect(summary.files.map(({ name, quality }) => [name, quality])).toEqual([['enero.csv', 80], ['febrero.csv', 100]]);
+  expect(summary.averageQuality).toBe(90);
+  expect(summary.totalRows).toBe(150);
+  expect(summary.worstColumns.map(({ column }) => column)).toEqual(['monto', 'id']);
+  expect(summary.worstColumns[0]).toMatchObject({ files: 2, affectedFiles: 1, avgMissing: 10, maxMissing: 20 });
+  expect(summary.schema.consistent).toBe(true);
+});
+
+test('señala los archivos cuyo esquema difiere del mayoritario', () => {
+  const common = { id: 'int64', monto: 'float64', fecha: 'object' };
+  const summary = summarizeBatch([
+    { name: 'enero.csv', datasetInfo: analysis(common) },
+    { name: 'febrero.csv', datasetInfo: analysis(common) },
+    { name: 'marzo.csv', datasetInfo: analysis({ id: 'object', monto: 'float64', canal: 'object' }) },
+  ]);
+
+  expect(summary.schema.consistent).toBe(false);
+  expect(summary.schema.commonColumns).toEqual(['id', 'monto']);
+  expect(summary.schema.groups.map(({ files }) => files)).toEqual([['enero.csv', 'febrero.csv'], ['marzo.csv']]);
+  expect(summary.files[0].schema.matches).toBe(true);
+  expect(summary.files[2].schema).toEqual({
+    matches: false,
+    extra: ['canal'],
+    missing: ['fecha'],
+    retyped: [{ column: 'id', before: 'int64', after: 'object' }],
+  });
+});
+
+test('los lotes en segundo plano solo encolan archivos preparados y con su nombre original', async () => {
+  const files = ['b.xlsx', 'notas.txt', 'a.csv', 'c.csv'].map((name) => ({ name, webkitRelativePath: '' }));
+  const submitted = [];
+  const { failed } = await submitBatchJobs(files, {
+    prepare: async (file) => {
+      if (file.name === 'c.csv') throw new Error('no se pudo enmascarar');
+      return { name: file.name.replace(/\.\w+$/, '.csv'), masked: true };
+    },
+    submit: (prepared, { name }) => submitted.push({ prepared, name }),
+  });
+
+  expect(submitted).toEqual([
+    { prepared: { name: 'a.csv', masked: true }, name: 'a.csv' },
+    { prepared: { name: 'b.csv', masked: true }, name: 'b.xlsx' },
+  ]);
+  expect(failed).toEqual(['c.csv']);
+});
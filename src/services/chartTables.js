@@ -0,0 +1,90 @@
+// src/services/chartTables.js
+// Datos de cada gráfico del resumen en forma de tabla: la vista "ver como tabla" los
+// muestra (y los lee un lector de pantalla) y se pueden copiar a una hoja de cálculo.
+// Cada columna indica su clave en el catálogo de traducciones y cómo formatear el valor.
+
+const column = (key, format = 'text') => ({ key, label: `charts.columns.${key}`, format });
+
+export const dataTypesTable = (datasetInfo) => ({
+  columns: [column('type'), column('count', 'number')],
+  rows: Object.entries(datasetInfo.basic_info?.data_types || {}).map(([type, count]) => ({ type, count })),
+});
+
+// metricLabel traduce el nombre de la métrica igual que en las tarjetas
+export const qualityTable = (datasetInfo, metricLabel = (metric) => metric) => ({
+  columns: [column('metric'), column('score', 'percent')],
+  rows: Object.entries(datasetInfo.data_quality || {}).map(([metric, score]) => ({ metric: metricLabel(metric), score })),
+});
+
+export const missingTable = (datasetInfo) => ({
+  columns: [column('column'), column('missingCount', 'number'), column('percentage', 'percent')],
+  rows: (datasetInfo.missing_data?.columns_with_missing || []).map((entry) => ({
+    column: entry.column,
+    missingCount: entry.count ?? null,
+    percentage: entry.percentage,
+  })),
+});
+
+export const outliersTable = (datasetInfo) => ({
+  columns: [
+    column('column'),
+    column('outlierCount', 'number'),
+    column('percentage', 'percent'),
+    column('lowerBound', 'decimal'),
+    column('upperBound', 'decimal'),
+  ],
+  rows: (datasetInfo.outliers?.columns_with_outliers || []).map((entry) => ({
+    column: entry.column,
+    outlierCount: entry.outlier_count ?? null,
+    percentage: entry.percentage ?? null,
+    lowerBound: entry.lower_bound ?? null,
+    upperBound: entry.upper_bound ?? null,
+  })),
+});
+
+// Pares ordenados de la correlación más fuerte a la más débil
+export const correlationsTable = (datasetInfo) => ({
+  columns: [column('var1'), column('var2'), column('correlation', 'decimal')],
+  rows: (datasetInfo.correlation_matrix || [])
+    .map(({ var1, var2, correlation }) => ({ var1, var2, correlation }))
+    .sort((a, b) => Math.abs(b.correlation) - Math.abs(a.correlation)),
+});
+
+// Calidad de los dos análisis comparados (compareAnalyses): A, B y la diferencia
+export const comparisonQualityTable = (comparison, metricLabel = (metric) => metric) => ({
+  columns: [column('metric'), column('before', 'percent'), column('after', 'percent'), column('delta', 'decimal')],
+  rows: comparison.quality.map(({ metric, before, after, delta }) => ({ metric: metricLabel(metric), before, after, delta })),
+});
+
+// Calidad global de cada archivo del lote (summarizeBatch)
+export const batchQualityTable = (summary) => ({
+  columns: [column('file'), column('quality', 'percent')],
+  rows: summary.files.map(({ name, quality }) => ({ file: name, quality: quality ?? null })),
+});
+
+// Barras del histograma o de los valores más frecuentes de una columna ({ bin, count })
+export const distributionTable = (bars) => ({
+  columns: [column('bin'), column('frequency', 'number')],
+  rows: bars.map(({ bin, count }) => ({ bin, frequency: count })),
+});
+
+// Filas muestreadas del diagrama de dispersión de un par de variables
+export const scatterTable = (points) => ({
+  columns: [column('var1', 'decimal'), column('var2', 'decimal')],
+  rows: points.map(({ x, y }) => ({ var1: x, var2: y })),
+});
+
+// Valor de la métrica elegida en cada ejecución (buildTrendSeries)
+export const trendTable = (series) => ({
+  columns: [column('run'), column('value', 'decimal')],
+  rows: series.map(({ run, value }) => ({ run, value: value ?? null })),
+});
+
+// Texto separado por tabulaciones (se pega en columnas en Excel o Google Sheets). Los
+// números van sin formato para que la hoja de cálculo los reconozca.
+export const tableToTsv = (headers, columns, rows) => {
+  const clean = (value) => (value == null ? '' : String(value).replace(/[\t\r\n]+/g, ' '));
+  return [headers.map(clean), ...rows.map((row) => columns.map(({ key }) => clean(row[key])))]
+    .map((cells) => cells.join('\t'))
+    .join('\n');
+};
@@ -0,0 +1,49 @@
+import {
+  dataTypesTable,
+  qualityTable,
+  missingTable,
+  correlationsTable,
+  comparisonQualityTable,
+  batchQualityTable,
+  distributionTable,
+  scatterTable,
+  trendTable,
+  tableToTsv,
+} from './chartTables';
+
+const datasetInfo = {
+  basic_info: { data_types: { int64: 2, object: 1 } },
+  data_quality: { completeness: 90, validity: 75 },
+  missing_data: { columns_with_missing: [{ column: 'ciudad', count: 3, percentage: 30 }] },
+  correlation_matrix: [
+    { var1: 'a', var2: 'b', correlation: 0.2 },
+    { var1: 'a', var2: 'c', correlation: -0.9 },
+  ],
+};
+
+test('expone los datos de cada gráfico como filas', () => {
+  expect(dataTypesTable(datasetInfo).rows).toEqual([{ type: 'int64', count: 2 }, { type: 'object', count: 1 }]);
+  expect(qualityTable(datasetInfo, (metric) => metric.toUpperCase()).rows[0]).toEqual({ metric: 'COMPLETENESS', score: 90 });
+  expect(missingTable(datasetInfo).rows).toEqual([{ column: 'ciudad', missingCount: 3, percentage: 30 }]);
+  expect(correlationsTable(datasetInfo).rows.map(({ var2 }) => var2)).toEqual(['c', 'b']);
+  expect(missingTable({}).rows).toEqual([]);
+});
+
+test('expone como filas los gráficos de comparación, lotes, columnas y deriva', () => {
+  const comparison = { quality: [{ metric: 'completeness', before: 80, after: 90, delta: 10 }] };
+
+  expect(comparisonQualityTable(comparison).rows).toEqual([{ metric: 'completeness', before: 80, after: 90, delta: 10 }]);
+  expect(batchQualityTable({ files: [{ name: 'a.csv', quality: 88 }, { name: 'b.csv' }] }).rows)
+    .toEqual([{ file: 'a.csv', quality: 88 }, { file: 'b.csv', quality: null }]);
+  expect(distributionTable([{ bin: '0-10', count: 4 }]).rows).toEqual([{ bin: '0-10', frequency: 4 }]);
+  expect(scatterTable([{ x: 1.5, y: 2 }]).rows).toEqual([{ var1: 1.5, var2: 2 }]);
+  expect(trendTable([{ run: 'Actual', value: undefined }]).rows).toEqual([{ run: 'Actual', value: null }]);
+});
+
+test('convierte una tabla en texto separado por tabulaciones', () => {
+  const { columns, rows } = missingTable({
+    missing_data: { columns_with_missing: [{ column: 'nota\tfinal', percentage: 12.5 }] },
+  });
+
+  expect(tableToTsv(['Columna', 'Faltantes', 'Porcentaje'], columns, rows)).toBe('Columna\tFaltantes\tPorcentaje\nnota final\t\t12.5');
+});
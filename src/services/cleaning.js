@@ -0,0 +1,332 @@
+// src/services/cleaning.js
+// Operaciones de limpieza sobre una tabla { headers, rows } de texto. Cada paso es un
+// objeto { type, column, option, value } y un pipeline es una lista ordenada de pasos.
+// Los pasos se aplican en un worker: los errores y detalles son mensajes { code, params }
+// del catálogo de traducciones (cleaning.*).
+import { classifyValue, parseNumber } from './csvParser';
+import { detectOutliers, quantile, getOutlierMethod } from './outliers';
+import { isNumericType } from './columns';
+import { createI18n, DEFAULT_LANGUAGE } from './i18n';
+import { ValidationError } from './client/errors';
+
+// Los nombres visibles están en el catálogo (cleaning.operations y cleaning.options.<operación>)
+export const CLEANING_OPERATIONS = [
+  { id: 'drop_duplicates', column: 'none', options: [] },
+  { id: 'drop_missing', column: 'optional', options: [] },
+  { id: 'impute', column: 'required', options: ['median', 'mean', 'mode', 'constant'] },
+  { id: 'cap_outliers', column: 'required', options: ['iqr', 'zscore', 'modified_zscore'] },
+  { id: 'normalize', column: 'required', options: ['minmax', 'zscore'] },
+  { id: 'encode', column: 'required', options: ['onehot', 'label'] },
+];
+
+// Límite de categorías para one-hot; más columnas harían el CSV inmanejable
+export const MAX_ONE_HOT_CATEGORIES = 50;
+
+export const getOperation = (type) => CLEANING_OPERATIONS.find((operation) => operation.id === type);
+
+// Crea un paso con la opción por defecto de su operación
+export const createStep = (type, column = '', option, value) => {
+  const operation = getOperation(type);
+  const step = { type, column, option: option ?? operation?.options[0] ?? null };
+  if (value !== undefined) step.value = value;
+  else if (type === 'cap_outliers') step.value = getOutlierMethod(step.option).defaultThreshold;
+  return step;
+};
+
+// Descripción legible de un paso
+export const describeStep = ({ type, column, option, value }, { t, formatNumber } = createI18n(DEFAULT_LANGUAGE)) => {
+  const optionLabel = t(`cleaning.options.${type}.${option}`);
+  switch (type) {
+    case 'drop_duplicates':
+      return t('cleaning.describe.dropDuplicates');
+    case 'drop_missing':
+      return column ? t('cleaning.describe.dropMissingColumn', { column }) : t('cleaning.describe.dropMissing');
+    case 'impute':
+      return t(`cleaning.describe.impute.${option}`, { column, value: value ?? '' });
+    case 'cap_outliers':
+      return t('cleaning.describe.capOutliers', { column, method: optionLabel, threshold: formatNumber(value) });
+    case 'normalize':
+      return t('cleaning.describe.normalize', { column, option: optionLabel });
+    case 'encode':
+      return t('cleaning.describe.encode', { column, option: optionLabel });
+    default:
+      return type;
+  }
+};
+
+const cleaningError = (message, code, params) => new ValidationError(message, { code: `cleaning.errors.${code}`, params });
+
+const isMissing = (value) => classifyValue(value == null ? '' : String(value)) === 'vacío';
+
+const formatCell = (value) => String(Number(value.toFixed(6)));
+
+const columnIndex = (headers, column) => {
+  const index = headers.indexOf(column);
+  if (index === -1) {
+    throw cleaningError(`La columna ${column} no existe`, 'missingColumn', { column });
+  }
+  return index;
+};
+
+const columnNumbers = (rows, index) => rows
+  .map((row) => parseNumber(row[index] ?? ''))
+  .filter((value) => !isNaN(value));
+
+const requireNumbers = (numbers, column) => {
+  if (numbers.length === 0) {
+    throw cleaningError(`La columna ${column} no tiene valores numéricos`, 'notNumeric', { column });
+  }
+  return numbers;
+};
+
+// Reemplaza los valores de una columna con mapValue(valor); devuelve filas nuevas y celdas cambiadas
+const mapColumn = (rows, index, mapValue) => {
+  let changed = 0;
+  const mapped = rows.map((row) => {
+    const current = row[index] ?? '';
+    const next = mapValue(current);
+    if (next === current) return row;
+    changed++;
+    const copy = [...row];
+    copy[index] = next;
+    return copy;
+  });
+  return { rows: mapped, changed };
+};
+
+const mostFrequent = (values) => {
+  const counts = new Map();
+  values.forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+  let best = null;
+  counts.forEach((count, value) => {
+    if (best === null || count > best.count) best = { value, count };
+  });
+  return best?.value;
+};
+
+const fillValue = (rows, index, { column, option, value }) => {
+  if (option === 'constant') return String(value ?? '');
+  if (option === 'mode') {
+    const present = rows.map((row) => row[index] ?? '').filter((item) => !isMissing(item));
+    if (present.length === 0) throw cleaningError(`La columna ${column} no tiene valores para calcular la moda`, 'noMode', { column });
+    return mostFrequent(present);
+  }
+  const numbers = requireNumbers(columnNumbers(rows, index), column);
+  if (option === 'mean') {
+    return formatCell(numbers.reduce((sum, number) => sum + number, 0) / numbers.length);
+  }
+  return formatCell(quantile(numbers.sort((a, b) => a - b), 0.5));
+};
+
+const OPERATIONS = {
+  drop_duplicates: ({ headers, rows }) => {
+    const seen = new Set();
+    const kept = rows.filter((row) => {
+      const key = JSON.stringify(row);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    return { table: { headers, rows: kept } };
+  },
+
+  drop_missing: ({ headers, rows }, { column }) => {
+    const indexes = column ? [columnIndex(headers, column)] : headers.map((_, index) => index);
+    const kept = rows.filter((row) => indexes.every((index) => !isMissing(row[index])));
+    return { table: { headers, rows: kept } };
+  },
+
+  impute: ({ headers, rows }, step) => {
+    const index = columnIndex(headers, step.column);
+    const fill = fillValue(rows, index, step);
+    const { rows: mapped, changed } = mapColumn(rows, index, (current) => (isMissing(current) ? fill : current));
+    return { table: { headers, rows: mapped }, changedCells: changed, detail: { code: 'cleaning.details.fill', params: { value: fill } } };
+  },
+
+  cap_outliers: ({ headers, rows }, { column, option, value }) => {
+    const index = columnIndex(headers, column);
+    const numbers = requireNumbers(columnNumbers(rows, index), column);
+    const { lowerBound, upperBound } = detectOutliers(numbers, { method: option, threshold: value });
+    const { rows: mapped, changed } = mapColumn(rows, index, (current) => {
+      const number = parseNumber(current);
+      if (isNaN(number)) return current;
+      if (number < lowerBound) return formatCell(lowerBound);
+      if (number > upperBound) return formatCell(upperBound);
+      return current;
+    });
+    return {
+      table: { headers, rows: mapped },
+      changedCells: changed,
+      detail: { code: 'cleaning.details.bounds', params: { lower: lowerBound, upper: upperBound } },
+    };
+  },
+
+  normalize: ({ headers, rows }, { column, option }) => {
+    const index = columnIndex(headers, column);
+    const numbers = requireNumbers(columnNumbers(rows, index), column);
+    let transform;
+    if (option === 'zscore') {
+      const mean = numbers.reduce((sum, number) => sum + number, 0) / numbers.length;
+      const std = Math.sqrt(numbers.reduce((sum, number) => sum + (number - mean) ** 2, 0) / Math.max(1, numbers.length - 1));
+      transform = (number) => (std === 0 ? 0 : (number - mean) / std);
+    } else {
+      const min = numbers.reduce((low, number) => Math.min(low, number), Infinity);
+      const range = numbers.reduce((high, number) => Math.max(high, number), -Infinity) - min;
+      transform = (number) => (range === 0 ? 0 : (number - min) / range);
+    }
+    const { rows: mapped, changed } = mapColumn(rows, index, (current) => {
+      const number = parseNumber(current);
+      return isNaN(number) ? current : formatCell(transform(number));
+    });
+    return { table: { headers, rows: mapped }, changedCells: changed };
+  },
+
+  encode: ({ headers, rows }, { column, option }) => {
+    const index = columnIndex(headers, column);
+    const categories = [...new Set(rows.map((row) => row[index] ?? '').filter((value) => !isMissing(value)))]
+      .sort((a, b) => a.localeCompare(b));
+
+    if (option === 'label') {
+      const codes = new Map(categories.map((category, code) => [category, String(code)]));
+      const { rows: mapped, changed } = mapColumn(rows, index, (current) => codes.get(current) ?? current);
+      return {
+        table: { headers, rows: mapped },
+        changedCells: changed,
+        detail: { code: 'cleaning.details.categories', params: { count: categories.length } },
+      };
+    }
+
+    if (categories.length > MAX_ONE_HOT_CATEGORIES) {
+      throw cleaningError(`${column} tiene ${categories.length} categorías`, 'tooManyCategories', {
+        column,
+        categories: categories.length,
+        max: MAX_ONE_HOT_CATEGORIES,
+      });
+    }
+    const added = categories.map((category) => `${column}_${category}`);
+    const nextHeaders = [...headers.slice(0, index), ...added, ...headers.slice(index + 1)];
+    const nextRows = rows.map((row) => [
+      ...row.slice(0, index),
+      ...categories.map((category) => (row[index] === category ? '1' : '0')),
+      ...row.slice(index + 1),
+    ]);
+    return { table: { headers: nextHeaders, rows: nextRows }, addedColumns: added, removedColumns: [column] };
+  },
+};
+
+// Aplica un paso y resume su efecto
+export const applyStep = (table, step) => {
+  const operation = OPERATIONS[step.type];
+  if (!operation) {
+    throw cleaningError(`Operación de limpieza desconocida: ${step.type}`, 'unknownOperation', { type: String(step.type) });
+  }
+  const { table: next, changedCells = 0, addedColumns = [], removedColumns = [], detail = null } = operation(table, step);
+  return {
+    table: next,
+    summary: {
+      rowsBefore: table.rows.length,
+      rowsAfter: next.rows.length,
+      rowsRemoved: table.rows.length - next.rows.length,
+      changedCells,
+      addedColumns,
+      removedColumns,
+      detail,
+    },
+  };
+};
+
+// Aplica los pasos en orden. Un paso con error se omite y el resto continúa sobre la tabla anterior;
+// el error queda como mensaje { code, params } (o el texto, si no es de limpieza).
+export const applyPipeline = (table, steps = []) => {
+  const results = [];
+  const finalTable = steps.reduce((current, step) => {
+    try {
+      const { table: next, summary } = applyStep(current, step);
+      results.push({ step, summary, error: null });
+      return next;
+    } catch (error) {
+      results.push({ step, summary: null, error: error.code ? { code: error.code, params: error.params } : error.message });
+      return current;
+    }
+  }, table);
+  return { table: finalTable, results };
+};
+
+const RECOMMENDATION_KEYWORDS = [
+  { type: 'duplicates', pattern: /duplicad/i },
+  { type: 'missing_values', pattern: /faltante|missing|nulo/i },
+  { type: 'outliers', pattern: /atípic|outlier/i },
+  { type: 'normalization', pattern: /normaliz|escal/i },
+  { type: 'encoding', pattern: /encod|codific|categ/i },
+];
+
+const recommendationType = (recommendation) => recommendation.type
+  || RECOMMENDATION_KEYWORDS.find(({ pattern }) => pattern.test(recommendation.description || ''))?.type
+  || null;
+
+// Traduce una recomendación del análisis a pasos de limpieza aplicables
+export const recommendationToSteps = (recommendation, datasetInfo = {}) => {
+  const stats = datasetInfo.column_statistics || {};
+  const numericColumns = Object.keys(stats).filter((column) => isNumericType(stats[column]?.dtype));
+  const { column } = recommendation;
+
+  switch (recommendationType(recommendation)) {
+    case 'duplicates':
+      return [createStep('drop_duplicates')];
+    case 'missing_values': {
+      const columns = column
+        ? [column]
+        : (datasetInfo.missing_data?.columns_with_missing || []).map((entry) => entry.column);
+      if (columns.length === 0) return [createStep('drop_missing')];
+      return columns.map((name) => createStep('impute', name, isNumericType(stats[name]?.dtype) ? 'median' : 'mode'));
+    }
+    case 'outliers': {
+      const columns = column
+        ? [column]
+        : (datasetInfo.outliers?.columns_with_outliers || []).filter((entry) => entry.outlier_count > 0).map((entry) => entry.column);
+      return columns.map((name) => createStep('cap_outliers', name, 'iqr'));
+    }
+    case 'normalization':
+      return (column ? [column] : numericColumns).map((name) => createStep('normalize', name, 'minmax'));
+    case 'encoding': {
+      const columns = column
+        ? [column]
+        : Object.keys(stats).filter((name) => stats[name]?.dtype === 'object' && stats[name]?.unique_count <= 20);
+      return columns.map((name) => createStep('encode', name, 'onehot'));
+    }
+    default:
+      return [];
+  }
+};
+
+// Recomendaciones por prioridad con sus pasos; si el backend no envió una prioridad,
+// se usan las sugerencias genéricas que mostraba el dashboard
+export const buildSuggestions = (datasetInfo = {}, { t, formatNumber, formatPercent } = createI18n(DEFAULT_LANGUAGE)) => {
+  const recommendations = datasetInfo.recommendations || {};
+  const duplicates = datasetInfo.duplicates?.total_duplicates ?? 0;
+  const defaults = {
+    critical: [
+      {
+        type: 'missing_values',
+        description: t('cleaning.defaults.missing', { percent: formatPercent(datasetInfo.missing_data?.total_missing_percentage ?? 0) }),
+      },
+      { type: 'duplicates', description: t('cleaning.defaults.duplicates', { count: duplicates, duplicates: formatNumber(duplicates) }) },
+    ],
+    moderate: [
+      { type: 'outliers', description: t('cleaning.defaults.outliers') },
+      { description: t('cleaning.defaults.consistency') },
+    ],
+    optional: [
+      { type: 'normalization', description: t('cleaning.defaults.normalization') },
+      { type: 'encoding', description: t('cleaning.defaults.encoding') },
+    ],
+  };
+
+  return Object.fromEntries(Object.keys(defaults).map((priority) => [
+    priority,
+    (recommendations[priority] || defaults[priority]).map((recommendation) => ({
+      description: recommendation.description,
+      steps: recommendationToSteps(recommendation, datasetInfo),
+    })),
+  ]));
+};
@@ -0,0 +1,95 @@
+import { applyStep, applyPipeline, createStep, describeStep, recommendationToSteps, buildSuggestions } from './cleaning';
+import { createI18n } from './i18n';
+
+const table = {
+  headers: ['id', 'edad', 'ciudad'],
+  rows: [
+    ['1', '20', 'Lima'],
+    ['2', '', 'Quito'],
+    ['3', '40', ''],
+    ['3', '40', ''],
+    ['4', '500', 'Lima'],
+  ],
+};
+
+test('elimina duplicados y filas con faltantes', () => {
+  const deduplicated = applyStep(table, createStep('drop_duplicates'));
+  expect(deduplicated.summary.rowsRemoved).toBe(1);
+
+  const complete = applyStep(table, createStep('drop_missing'));
+  expect(complete.table.rows.map((row) => row[0])).toEqual(['1', '4']);
+
+  const byColumn = applyStep(table, createStep('drop_missing', 'edad'));
+  expect(byColumn.table.rows).toHaveLength(4);
+});
+
+test('imputa con mediana, moda o constante sin mutar la tabla original', () => {
+  const median = applyStep(table, createStep('impute', 'edad', 'median'));
+  expect(median.table.rows[1][1]).toBe('40');
+  expect(median.summary.changedCells).toBe(1);
+  expect(table.rows[1][1]).toBe('');
+
+  const mode = applyStep(table, createStep('impute', 'ciudad', 'mode'));
+  expect(mode.table.rows[2][2]).toBe('Lima');
+
+  const constant = applyStep(table, createStep('impute', 'ciudad', 'constant', 'N/D'));
+  expect(constant.summary.changedCells).toBe(2);
+});
+
+test('acota atípicos, normaliza y codifica', () => {
+  const capped = applyStep(table, createStep('cap_outliers', 'edad', 'iqr', 1.5));
+  expect(Number(capped.table.rows[4][1])).toBeLessThan(500);
+
+  const normalized = applyStep(table, createStep('normalize', 'id', 'minmax'));
+  expect(normalized.table.rows.map((row) => row[0])).toEqual(['0', '0.333333', '0.666667', '0.666667', '1']);
+
+  const oneHot = applyStep(table, createStep('encode', 'ciudad', 'onehot'));
+  expect(oneHot.table.headers).toEqual(['id', 'edad', 'ciudad_Lima', 'ciudad_Quito']);
+  expect(oneHot.table.rows[2]).toEqual(['3', '40', '0', '0']);
+
+  const label = applyStep(table, createStep('encode', 'ciudad', 'label'));
+  expect(label.table.rows.map((row) => row[2])).toEqual(['0', '1', '', '', '0']);
+});
+
+test('el pipeline continúa cuando un paso falla', () => {
+  const { table: result, results } = applyPipeline(table, [
+    createStep('encode', 'ciudad', 'onehot'),
+    createStep('impute', 'ciudad', 'mode'),
+    createStep('drop_duplicates'),
+  ]);
+  expect(results[1].error).toEqual({ code: 'cleaning.errors.missingColumn', params: { column: 'ciudad' } });
+  expect(results[2].summary.rowsRemoved).toBe(1);
+  expect(result.rows).toHaveLength(4);
+});
+
+test('traduce recomendaciones a pasos', () => {
+  const datasetInfo = {
+    column_statistics: { edad: { dtype: 'float64' }, ciudad: { dtype: 'object', unique_count: 2 } },
+    missing_data: { columns_with_missing: [{ column: 'edad' }, { column: 'ciudad' }] },
+  };
+  expect(recommendationToSteps({ description: 'Tratar valores faltantes' }, datasetInfo)).toEqual([
+    createStep('impute', 'edad', 'median'),
+    createStep('impute', 'ciudad', 'mode'),
+  ]);
+  expect(recommendationToSteps({ type: 'encoding', column: 'ciudad' })).toEqual([createStep('encode', 'ciudad', 'onehot')]);
+
+  const suggestions = buildSuggestions({ ...datasetInfo, recommendations: { critical: [{ type: 'duplicates', description: 'x' }] } });
+  expect(suggestions.critical[0].steps).toEqual([createStep('drop_duplicates')]);
+  expect(suggestions.optional.length).toBeGreaterThan(0);
+});
+
+test('describe los pasos y las sugerencias genéricas en el idioma elegido', () => {
+  const en = createI18n('en');
+  expect(describeStep(createStep('impute', 'edad', 'median'))).toBe('Imputar faltantes de edad con la mediana');
+  expect(describeStep(createStep('cap_outliers', 'edad', 'iqr'), en)).toBe('Cap outliers in edad (IQR, threshold 1.5)');
+  expect(describeStep(createStep('impute', 'ciudad', 'constant', 'N/D'), en)).toBe('Impute missing values in ciudad with "N/D"');
+
+  const suggestions = buildSuggestions({ missing_data: { total_missing_percentage: 12.5 }, duplicates: { total_duplicates: 1200 } }, en);
+  expect(suggestions.critical.map((suggestion) => suggestion.description)).toEqual([
+    'Handle missing values (12.5%)',
+    'Remove duplicates (1,200 records)',
+  ]);
+
+  const { results } = applyPipeline(table, [createStep('encode', 'ciudad', 'label')]);
+  expect(en.translateMessage(results[0].summary.detail)).toBe('2 categories');
+});
@@ -0,0 +1,22 @@
+// src/services/cleaningEngine.js
+import { runWorker } from './workerClient';
+
+const createWorker = () => new Worker(new URL('../workers/cleaning.worker.js', import.meta.url));
+
+// Aplica los pasos al archivo y devuelve las primeras filas, el total y el resumen de cada paso
+export const previewCleaning = (file, steps, { previewRows = 10, signal } = {}) => runWorker(
+  createWorker(),
+  { action: 'preview', file, steps, previewRows },
+  { signal, fallbackError: 'No se pudo aplicar la limpieza' }
+);
+
+// Aplica los pasos y devuelve un File CSV listo para descargar o enviar a uploadAndAnalyzeDataset
+export const exportCleanedFile = async (file, steps, { signal } = {}) => {
+  const csv = await runWorker(
+    createWorker(),
+    { action: 'export', file, steps },
+    { signal, fallbackError: 'No se pudo generar el CSV limpio' }
+  );
+  const baseName = file.name.replace(/\.[^.]+$/, '');
+  return new File([csv], `${baseName}_limpio.csv`, { type: 'text/csv' });
+};
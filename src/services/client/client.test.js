@@ -0,0 +1,190 @@
+import { createApiClient, backoffDelay, getAuthFromEnv } from './httpClient';
+import { createMockBackend, createMockAdapter } from './mockBackend';
+import {
+  toApiError,
+  ApiError,
+  NetworkError,
+  TimeoutError,
+  ValidationError,
+  AuthError,
+  ServerError,
+  CancelError,
+} from './errors';
+
+const axiosError = (status, data = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, data, statusText: 'Error' },
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('clasifica los errores de axios por tipo', () => {
+  expect(toApiError(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' }))).toBeInstanceOf(CancelError);
+  expect(toApiError(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }))).toBeInstanceOf(TimeoutError);
+  expect(toApiError(new Error('Network Error'))).toBeInstanceOf(NetworkError);
+  expect(toApiError(axiosError(401))).toBeInstanceOf(AuthError);
+  expect(toApiError(axiosError(503))).toBeInstanceOf(ServerError);
+  expect(toApiError(axiosError(404, { error: 'No existe' })).message).toBe('No existe');
+
+  const validation = toApiError(axiosError(400, { error: 'Archivo vacío' }));
+  expect(validation).toBeInstanceOf(ValidationError);
+  expect(validation).toBeInstanceOf(ApiError);
+  expect(validation.message).toBe('Archivo vacío');
+  expect(validation.status).toBe(400);
+
+  const decode = toApiError(axiosError(500, { error: "'utf-8' codec can't decode byte 0xe9 in position 12" }));
+  expect(decode).toBeInstanceOf(ValidationError);
+  expect(decode.code).toBe('errors.encoding');
+  expect(decode.status).toBe(500);
+  expect(new CancelError().name).toBe('AbortError');
+});
+
+test('la espera exponencial crece por intento y respeta el máximo', () => {
+  const policy = { baseDelay: 100, maxDelay: 500 };
+  expect(backoffDelay(0, policy, () => 1)).toBe(100);
+  expect(backoffDelay(2, policy, () => 1)).toBe(400);
+  expect(backoffDelay(5, policy, () => 1)).toBe(500);
+  expect(backoffDelay(3, policy, () => 0)).toBe(0);
+});
+
+test('reintenta los 503 y se recupera', async () => {
+  let calls = 0;
+  const adapter = async (config) => {
+    calls += 1;
+    if (calls < 3) throw axiosError(503);
+    return { data: { ok: true }, status: 200, statusText: 'OK', headers: {}, config };
+  };
+  const onRetry = jest.fn();
+  const client = createApiClient({ adapter, retry: { retries: 3, baseDelay: 0, onRetry } });
+
+  const response = await client.get('/health/');
+  expect(response.data).toEqual({ ok: true });
+  expect(calls).toBe(3);
+  expect(onRetry).toHaveBeenCalledTimes(2);
+});
+
+test('no reintenta los POST salvo que la petición lo pida', async () => {
+  let calls = 0;
+  const adapter = async (config) => {
+    calls += 1;
+    if (calls === 1) throw axiosError(504);
+    if (calls === 2) throw new Error('Network Error');
+    return { data: { ok: true }, status: 200, statusText: 'OK', headers: {}, config };
+  };
+  const client = createApiClient({ adapter, retry: { retries: 3, baseDelay: 0 } });
+
+  await expect(client.post('/upload/', {})).rejects.toBeInstanceOf(ServerError);
+  await expect(client.post('/jobs/', {})).rejects.toBeInstanceOf(NetworkError);
+  expect(calls).toBe(2);
+
+  calls = 0;
+  const optIn = await client.post('/upload/chunked/x/complete/', {}, { retry: { shouldRetry: () => true } });
+  expect(optIn.data).toEqual({ ok: true });
+  expect(calls).toBe(3);
+});
+
+test('no reintenta errores de validación ni con retry: false', async () => {
+  let calls = 0;
+  const adapter = async () => {
+    calls += 1;
+    throw axiosError(calls === 1 ? 422 : 503);
+  };
+  const client = createApiClient({ adapter, retry: { retries: 3, baseDelay: 0 } });
+
+  await expect(client.post('/upload/', {})).rejects.toBeInstanceOf(ValidationError);
+  expect(calls).toBe(1);
+
+  await expect(client.get('/health/', { retry: false })).rejects.toBeInstanceOf(ServerError);
+  expect(calls).toBe(2);
+});
+
+test('añade las cabeceras de autenticación', async () => {
+  let headers = null;
+  const adapter = async (config) => {
+    headers = config.headers;
+    return { data: {}, status: 200, statusText: 'OK', headers: {}, config };
+  };
+  const client = createApiClient({ adapter, auth: { type: 'bearer', token: 'abc' } });
+
+  await client.get('/health/');
+  expect(headers.Authorization).toBe('Bearer abc');
+
+  client.setAuth({ type: 'apiKey', key: 'clave' });
+  await client.get('/health/');
+  expect(headers['X-API-Key']).toBe('clave');
+
+  expect(getAuthFromEnv({ REACT_APP_API_TOKEN: 't' })).toEqual({ type: 'bearer', token: 't' });
+  expect(getAuthFromEnv({})).toBeNull();
+});
+
+test('el backend simulado sube, lista y devuelve análisis', async () => {
+  const backend = createMockBackend({ latency: 0, now: () => new Date('2024-03-01T00:00:00Z') });
+  const client = createApiClient({ adapter: createMockAdapter(backend) });
+
+  expect((await client.get('/health/')).data.status).toBe('ok');
+
+  const formData = new FormData();
+  formData.append('file', new File(['id,monto\n1,10\n2,20\n3,\n'], 'ventas.csv', { type: 'text/csv' }));
+  formData.append('name', 'ventas.csv');
+  const onUploadProgress = jest.fn();
+  const upload = await client.post('/upload/', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+    onUploadProgress,
+  });
+
+  expect(upload.status).toBe(201);
+  expect(upload.data.id).toBe(1);
+  expect(upload.data.analysis.basic_info.total_rows).toBe(3);
+  expect(upload.data.analysis.source).toBeUndefined();
+  expect(onUploadProgress).toHaveBeenCalled();
+
+  const list = await client.get('/analyses/', { params: { name: 'ventas.csv' } });
+  expect(list.data).toHaveLength(1);
+  expect(list.data[0]).toMatchObject({ id: 1, name: 'ventas.csv', total_rows: 3, total_columns: 2 });
+  expect((await client.get('/analyses/', { params: { name: 'otro.csv' } })).data).toEqual([]);
+
+  expect((await client.get('/analyses/1/')).data.name).toBe('ventas.csv');
+  await expect(client.get('/analyses/99/')).rejects.toThrow('Análisis no encontrado');
+});
+
+test('el backend simulado falla con 503 y respeta la cancelación', async () => {
+  const failing = createMockBackend({ latency: 0, failureRate: 1 });
+  const client = createApiClient({ adapter: createMockAdapter(failing), retry: { retries: 1, baseDelay: 0 } });
+  await expect(client.get('/health/')).rejects.toBeInstanceOf(ServerError);
+
+  const slow = createApiClient({ adapter: createMockAdapter(createMockBackend({ latency: 1000 })) });
+  const controller = new AbortController();
+  const request = slow.get('/health/', { signal: controller.signal });
+  controller.abort();
+  await expect(request).rejects.toBeInstanceOf(CancelError);
+});
+
+test('el backend simulado procesa trabajos asíncronos', async () => {
+  let clock = new Date('2024-03-01T00:00:00Z').getTime();
+  const backend = createMockBackend({ latency: 0, jobDuration: 1000, now: () => new Date(clock) });
+  const client = createApiClient({ adapter: createMockAdapter(backend) });
+
+  const formData = new FormData();
+  formData.append('file', new File(['a,b\n1,2\n3,4\n'], 'grande.csv', { type: 'text/csv' }));
+  const created = await client.post('/jobs/', formData, { headers: { 'Content-Type': 'multipart/form-data' } });
+  expect(created.status).toBe(202);
+  expect(created.data.status).toBe('queued');
+
+  clock += 600;
+  const running = await client.get(`/jobs/${created.data.job_id}/`);
+  expect(running.data).toMatchObject({ status: 'running', progress: 60 });
+  expect(running.data.partial.rows_processed).toBe(1);
+
+  clock += 600;
+  const done = await client.get(`/jobs/${created.data.job_id}/`);
+  expect(done.data.status).toBe('completed');
+  expect(done.data.result.analysis.basic_info.total_rows).toBe(2);
+  expect((await client.get(`/analyses/${done.data.analysis_id}/`)).data.name).toBe('grande.csv');
+  await expect(client.delete(`/jobs/${created.data.job_id}/`)).rejects.toThrow('El trabajo ya terminó');
+});
@@ -0,0 +1,112 @@
+// src/services/client/errors.js
+// Errores tipados de la capa de API: la UI decide con instanceof en lugar de buscar
+// fragmentos de texto en el mensaje.
+
+// code es la clave del catálogo de traducciones (ver services/i18n.js) y params sus
+// valores; los mensajes enviados por el servidor no tienen code y se muestran tal cual
+export class ApiError extends Error {
+  constructor(message, { status = null, data = null, cause = null, code = null, params = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+    this.cause = cause;
+    this.code = code;
+    this.params = params;
+  }
+}
+
+// Sin mensaje propio se usa el predeterminado de la clase con su clave de traducción
+const withDefault = (message, fallback, code, options = {}) => (message
+  ? [message, options]
+  : [fallback, { code, ...options }]);
+
+// No hubo respuesta: servidor caído, CORS o sin red
+export class NetworkError extends ApiError {
+  constructor(message, options) {
+    super(...withDefault(message, 'No se pudo conectar con el servidor. Verifica que la API esté ejecutándose.', 'errors.network', options));
+    this.name = 'NetworkError';
+  }
+}
+
+export class TimeoutError extends ApiError {
+  constructor(message, options) {
+    super(...withDefault(message, 'El análisis está tomando demasiado tiempo. Intenta con un archivo más pequeño.', 'errors.timeout', options));
+    this.name = 'TimeoutError';
+  }
+}
+
+// Datos rechazados: 400/413/415/422 del servidor o validaciones previas a la petición
+export class ValidationError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ValidationError';
+  }
+}
+
+export class AuthError extends ApiError {
+  constructor(message, options) {
+    super(...withDefault(message, 'No autorizado: revisa el token o la API key configurados.', 'errors.auth', options));
+    this.name = 'AuthError';
+  }
+}
+
+export class ServerError extends ApiError {
+  constructor(message, options) {
+    super(...withDefault(message, 'Error interno del servidor. Revisa la consola del backend para más detalles.', 'errors.server', options));
+    this.name = 'ServerError';
+  }
+}
+
+// Mantiene name = 'AbortError' como los workers y el resto de la UI
+export class CancelError extends ApiError {
+  constructor(message, options) {
+    super(...withDefault(message, 'Carga cancelada por el usuario', 'errors.cancelled', options));
+    this.name = 'AbortError';
+  }
+}
+
+const VALIDATION_STATUSES = [400, 413, 415, 422];
+
+// El backend responde con la excepción de Python (UnicodeDecodeError) cuando el archivo no
+// está en la codificación esperada, a veces como 500; es un problema del archivo, no del servidor
+const DECODE_ERROR = /decode/i;
+
+// Mensaje que envía el backend (Django REST Framework usa error o detail)
+const serverMessage = (data) => {
+  if (!data || typeof data !== 'object') return null;
+  return data.error || data.detail || data.message || null;
+};
+
+// Convierte un error de axios (o de un adaptador) en la clase correspondiente
+export const toApiError = (error) => {
+  if (error instanceof ApiError) return error;
+  if (error?.code === 'ERR_CANCELED' || error?.name === 'CanceledError' || error?.name === 'AbortError') {
+    return new CancelError(undefined, { cause: error });
+  }
+  if (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT') {
+    return new TimeoutError(undefined, { cause: error });
+  }
+
+  const response = error?.response;
+  if (!response) {
+    return new NetworkError(undefined, { cause: error });
+  }
+
+  const { status, data } = response;
+  const message = serverMessage(data);
+  const options = { status, data, cause: error };
+  if (message && DECODE_ERROR.test(message)) {
+    return new ValidationError(message, { ...options, code: 'errors.encoding' });
+  }
+  if (status === 401 || status === 403) return new AuthError(message || undefined, options);
+  if (VALIDATION_STATUSES.includes(status)) {
+    return message
+      ? new ValidationError(message, options)
+      : new ValidationError(`Datos no válidos (${status})`, { ...options, code: 'errors.validation', params: { status } });
+  }
+  if (status >= 500) return new ServerError(undefined, options);
+  return message
+    ? new ApiError(message, options)
+    : new ApiError(`Error ${status}: ${response.statusText || ''}`.trim(), { ...options, code: 'errors.http', params: { status } });
+};
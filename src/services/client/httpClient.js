@@ -0,0 +1,124 @@
+// src/services/client/httpClient.js
+// Cliente HTTP único sobre axios: errores tipados, reintentos con espera exponencial,
+// cabeceras de autenticación y cancelación con AbortSignal.
+import axios from 'axios';
+import { toApiError, CancelError, NetworkError, TimeoutError, ServerError } from './errors';
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+// Reintenta lo que suele pasar mientras el backend arranca en frío, solo en métodos
+// idempotentes: un POST que falla por red, timeout o un 504 del proxy pudo haberse procesado
+// y repetirlo duplicaría el análisis o el trabajo. Una petición puede optar por reintentar
+// con su propio retry.shouldRetry.
+const defaultShouldRetry = (error, config) => {
+  if (!IDEMPOTENT_METHODS.includes((config.method || 'get').toLowerCase())) return false;
+  if (error instanceof NetworkError || error instanceof TimeoutError) return true;
+  if (error instanceof ServerError) return RETRYABLE_STATUSES.includes(error.status);
+  return false;
+};
+
+export const DEFAULT_RETRY = {
+  retries: 2,
+  baseDelay: 500,
+  maxDelay: 8000,
+  shouldRetry: defaultShouldRetry,
+  onRetry: null,
+};
+
+// Espera exponencial con jitter completo: entre 0 y min(maxDelay, baseDelay · 2^intento)
+export const backoffDelay = (attempt, { baseDelay, maxDelay }, random = Math.random) =>
+  Math.round(random() * Math.min(maxDelay, baseDelay * 2 ** attempt));
+
+export const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new CancelError());
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new CancelError());
+  }, { once: true });
+});
+
+// { type: 'bearer', token } o { type: 'apiKey', key, header }
+const authHeaders = (auth) => {
+  if (!auth) return {};
+  if (auth.type === 'bearer' && auth.token) return { Authorization: `Bearer ${auth.token}` };
+  if (auth.type === 'apiKey' && auth.key) return { [auth.header || 'X-API-Key']: auth.key };
+  return {};
+};
+
+// Lee la autenticación de REACT_APP_API_TOKEN o REACT_APP_API_KEY
+export const getAuthFromEnv = (env = process.env) => {
+  if (env.REACT_APP_API_TOKEN) return { type: 'bearer', token: env.REACT_APP_API_TOKEN };
+  if (env.REACT_APP_API_KEY) return { type: 'apiKey', key: env.REACT_APP_API_KEY, header: env.REACT_APP_API_KEY_HEADER };
+  return null;
+};
+
+// Cada petición acepta además retry: false | { retries, baseDelay, maxDelay, shouldRetry, onRetry }
+export const createApiClient = ({ baseURL, timeout = 30000, auth = null, retry = {}, adapter } = {}) => {
+  const instance = axios.create({
+    baseURL,
+    timeout,
+    headers: { 'Content-Type': 'application/json' },
+    ...(adapter ? { adapter } : {}),
+  });
+  const defaultAdapter = instance.defaults.adapter;
+  let credentials = auth;
+
+  instance.interceptors.request.use((config) => {
+    Object.entries(authHeaders(credentials)).forEach(([header, value]) => {
+      config.headers[header] = value;
+    });
+    return config;
+  });
+
+  instance.interceptors.response.use(
+    (response) => response,
+    (error) => {
+      const apiError = toApiError(error);
+      if (!(apiError instanceof CancelError)) {
+        console.error('API Error:', apiError);
+      }
+      throw apiError;
+    }
+  );
+
+  const request = async ({ retry: requestRetry, ...config }) => {
+    const policy = requestRetry === false
+      ? { ...DEFAULT_RETRY, retries: 0 }
+      : { ...DEFAULT_RETRY, ...retry, ...requestRetry };
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await instance.request(config);
+      } catch (error) {
+        if (attempt >= policy.retries || !policy.shouldRetry(error, config)) {
+          throw error;
+        }
+        const delay = backoffDelay(attempt, policy);
+        console.warn(`Reintentando ${config.method?.toUpperCase()} ${config.url} en ${delay} ms (${attempt + 1}/${policy.retries})`);
+        if (policy.onRetry) policy.onRetry(error, attempt + 1);
+        await wait(delay, config.signal);
+      }
+    }
+  };
+
+  return {
+    request,
+    get: (url, config = {}) => request({ ...config, method: 'get', url }),
+    delete: (url, config = {}) => request({ ...config, method: 'delete', url }),
+    post: (url, data, config = {}) => request({ ...config, method: 'post', url, data }),
+    put: (url, data, config = {}) => request({ ...config, method: 'put', url, data }),
+    setAuth: (next) => {
+      credentials = next;
+    },
+    getAuth: () => credentials,
+    // null restaura el adaptador con el que se creó el cliente
+    setAdapter: (next) => {
+      instance.defaults.adapter = next || defaultAdapter;
+    },
+  };
+};
@@ -0,0 +1,242 @@
+// src/services/client/mockBackend.js
+// Backend simulado en memoria con las mismas rutas que Django, para desarrollar y probar
+// la UI sin servidor. Se activa con REACT_APP_USE_MOCK_API=true o con enableMockBackend().
+import { AxiosError, CanceledError } from 'axios';
+import { analyzeCsvText } from '../localAnalysis';
+import { getOverallQuality } from '../history';
+
+const readText = (blob) => {
+  if (typeof blob === 'string') return Promise.resolve(blob);
+  if (typeof blob.text === 'function') return blob.text();
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(blob);
+  });
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new CanceledError());
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new CanceledError());
+  }, { once: true });
+});
+
+// El cuerpo llega como FormData o como JSON ya serializado por axios
+const readField = (body, field) => {
+  if (!body) return null;
+  if (typeof FormData !== 'undefined' && body instanceof FormData) return body.get(field);
+  if (typeof body === 'string') {
+    try {
+      return JSON.parse(body)[field] ?? null;
+    } catch (error) {
+      return null;
+    }
+  }
+  return body[field] ?? null;
+};
+
+const reply = (status, data) => ({ status, data });
+
+// latency en ms; failureRate es la probabilidad de responder 503 (servidor arrancando);
+// jobDuration es lo que tarda en completarse un trabajo de /jobs/; con pageSize /analyses/
+// responde paginado como DRF ({ count, next, previous, results })
+export const createMockBackend = ({
+  latency = 150,
+  failureRate = 0,
+  jobDuration = 4000,
+  pageSize = null,
+  random = Math.random,
+  now = () => new Date(),
+} = {}) => {
+  const analyses = new Map();
+  const uploads = new Map();
+  const jobs = new Map();
+  let nextId = 1;
+
+  const analyzeFile = async (file) => {
+    const { source, ...analysis } = analyzeCsvText(await readText(file), { fileSize: file.size || 0 });
+    return analysis;
+  };
+
+  const saveAnalysis = (name, analysis) => {
+    const entry = { id: nextId++, name, created_at: now().toISOString(), analysis };
+    analyses.set(entry.id, entry);
+    return entry;
+  };
+
+  const storeAnalysis = async (name, file) => saveAnalysis(name || file.name || 'dataset.csv', await analyzeFile(file));
+
+  // El progreso avanza con el reloj: a los jobDuration ms el trabajo termina y se guarda
+  const jobState = (job) => {
+    const base = { job_id: job.id, name: job.name };
+    if (job.cancelled) return { ...base, status: 'cancelled', progress: job.progress };
+    const progress = Math.min(100, Math.round(((now() - job.createdAt) / jobDuration) * 100));
+    if (progress >= 100) {
+      if (!job.entry) job.entry = saveAnalysis(job.name, job.analysis);
+      return { ...base, status: 'completed', progress: 100, analysis_id: job.entry.id, result: job.entry };
+    }
+    const totalRows = job.analysis.basic_info.total_rows;
+    return {
+      ...base,
+      status: progress > 0 ? 'running' : 'queued',
+      progress,
+      eta_seconds: Math.ceil(((100 - progress) / 100) * (jobDuration / 1000)),
+      partial: progress >= 50 ? { rows_processed: Math.round((totalRows * progress) / 100) } : null,
+    };
+  };
+
+  const summary = ({ id, name, created_at, analysis }) => ({
+    id,
+    name,
+    created_at,
+    total_rows: analysis.basic_info.total_rows,
+    total_columns: analysis.basic_info.total_columns,
+    overall_quality: getOverallQuality(analysis.data_quality),
+  });
+
+  const routes = [
+    ['get', /^\/health\/$/, () => reply(200, { status: 'ok', version: 'mock' })],
+
+    ['post', /^\/upload\/$/, async ({ body }) => {
+      const file = readField(body, 'file');
+      if (!file) return reply(400, { error: 'No se proporcionó archivo' });
+      return reply(201, await storeAnalysis(readField(body, 'name'), file));
+    }],
+
+    ['post', /^\/upload\/chunked\/$/, ({ body }) => {
+      const uploadId = `mock-${nextId++}`;
+      uploads.set(uploadId, {
+        name: readField(body, 'name'),
+        fileName: readField(body, 'file_name'),
+        total: Number(readField(body, 'total_chunks')) || 1,
+        chunks: new Map(),
+      });
+      return reply(201, { upload_id: uploadId });
+    }],
+
+    ['get', /^\/upload\/chunked\/([^/]+)\/$/, (_, [uploadId]) => {
+      const upload = uploads.get(uploadId);
+      if (!upload) return reply(404, { error: 'Subida no encontrada' });
+      return reply(200, { upload_id: uploadId, received_chunks: Array.from(upload.chunks.keys()) });
+    }],
+
+    ['put', /^\/upload\/chunked\/([^/]+)\/$/, ({ body }, [uploadId]) => {
+      const upload = uploads.get(uploadId);
+      if (!upload) return reply(404, { error: 'Subida no encontrada' });
+      upload.chunks.set(Number(readField(body, 'index')), readField(body, 'chunk'));
+      return reply(200, { received: upload.chunks.size, total: upload.total });
+    }],
+
+    ['post', /^\/upload\/chunked\/([^/]+)\/complete\/$/, async (_, [uploadId]) => {
+      const upload = uploads.get(uploadId);
+      if (!upload) return reply(404, { error: 'Subida no encontrada' });
+      if (upload.chunks.size < upload.total) {
+        return reply(400, { error: `Faltan partes: ${upload.chunks.size}/${upload.total}` });
+      }
+      const ordered = [...upload.chunks.entries()].sort(([a], [b]) => a - b).map(([, chunk]) => chunk);
+      const file = new Blob(ordered, { type: 'text/csv' });
+      uploads.delete(uploadId);
+      return reply(201, await storeAnalysis(upload.name || upload.fileName, file));
+    }],
+
+    ['post', /^\/jobs\/$/, async ({ body }) => {
+      const file = readField(body, 'file');
+      if (!file) return reply(400, { error: 'No se proporcionó archivo' });
+      const job = {
+        id: `job-${nextId++}`,
+        name: readField(body, 'name') || file.name || 'dataset.csv',
+        createdAt: now(),
+        analysis: await analyzeFile(file),
+        cancelled: false,
+      };
+      jobs.set(job.id, job);
+      return reply(202, jobState(job));
+    }],
+
+    ['get', /^\/jobs\/([^/]+)\/$/, (_, [jobId]) => {
+      const job = jobs.get(jobId);
+      return job ? reply(200, jobState(job)) : reply(404, { error: 'Trabajo no encontrado' });
+    }],
+
+    ['delete', /^\/jobs\/([^/]+)\/$/, (_, [jobId]) => {
+      const job = jobs.get(jobId);
+      if (!job) return reply(404, { error: 'Trabajo no encontrado' });
+      const state = jobState(job);
+      if (state.status === 'completed') return reply(409, { error: 'El trabajo ya terminó' });
+      job.progress = state.progress;
+      job.cancelled = true;
+      return reply(200, jobState(job));
+    }],
+
+    ['get', /^\/analyses\/$/, ({ params }) => {
+      const list = [...analyses.values()]
+        .filter((entry) => !params?.name || entry.name === params.name)
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+        .map(summary);
+      if (!pageSize) return reply(200, list);
+      const page = Math.max(1, Number(params?.page) || 1);
+      const pageUrl = (number) => `http://mock/api/analyses/?${new URLSearchParams({
+        ...(params?.name ? { name: params.name } : {}),
+        page: String(number),
+      })}`;
+      return reply(200, {
+        count: list.length,
+        next: page * pageSize < list.length ? pageUrl(page + 1) : null,
+        previous: page > 1 ? pageUrl(page - 1) : null,
+        results: list.slice((page - 1) * pageSize, page * pageSize),
+      });
+    }],
+
+    ['get', /^\/analyses\/([^/]+)\/$/, (_, [id]) => {
+      const entry = analyses.get(Number(id));
+      return entry ? reply(200, entry) : reply(404, { error: 'Análisis no encontrado' });
+    }],
+  ];
+
+  // Resuelve una petición y devuelve { status, data }
+  const handle = async (method, path, { params, body, signal } = {}) => {
+    await sleep(latency, signal);
+    if (random() < failureRate) {
+      return reply(503, { error: 'Servicio no disponible (fallo simulado)' });
+    }
+    for (const [routeMethod, pattern, handler] of routes) {
+      const match = path.match(pattern);
+      if (match && routeMethod === method.toLowerCase()) {
+        return handler({ params, body, signal }, match.slice(1));
+      }
+    }
+    return reply(404, { error: `Ruta no encontrada: ${method.toUpperCase()} ${path}` });
+  };
+
+  return { handle, analyses, jobs };
+};
+
+// Adaptador de axios que responde con el backend simulado en lugar de la red
+export const createMockAdapter = (backend) => async (config) => {
+  const url = new URL(config.url, 'http://mock');
+  const path = url.pathname.replace(/^\/api/, '');
+  const params = { ...Object.fromEntries(url.searchParams), ...config.params };
+
+  if (config.onUploadProgress && config.data) {
+    const total = config.data instanceof FormData ? readField(config.data, 'file')?.size || 1 : 1;
+    config.onUploadProgress({ loaded: total, total });
+  }
+
+  const { status, data } = await backend.handle(config.method || 'get', path, {
+    params,
+    body: config.data,
+    signal: config.signal,
+  });
+  const response = { data, status, statusText: status < 400 ? 'OK' : 'Error', headers: {}, config, request: null };
+  if (status >= 400) {
+    throw new AxiosError(`Request failed with status code ${status}`, AxiosError.ERR_BAD_RESPONSE, config, null, response);
+  }
+  return response;
+};
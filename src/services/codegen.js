@@ -0,0 +1,236 @@
+// src/services/codegen.js
+// Genera recetas de limpieza como script de pandas o transformación SQL a partir de los
+// mismos pasos { type, column, option, value } que usa el banco de limpieza. Los comentarios
+// del código generado se escriben en el idioma del i18n recibido (codegen.* del catálogo).
+import { describeStep } from './cleaning';
+import { createI18n, DEFAULT_LANGUAGE } from './i18n';
+import { getOutlierMethod } from './outliers';
+import { normalizeTopValues } from './columns';
+import { getColumnTypes } from './comparison';
+
+export const CODE_LANGUAGES = [
+  { id: 'pandas', label: 'pandas', extension: 'py', type: 'text/x-python' },
+  { id: 'sql', label: 'SQL', extension: 'sql', type: 'application/sql' },
+];
+
+// Une los pasos de las recomendaciones elegidas sin repetir pasos idénticos
+export const collectSteps = (suggestions) => {
+  const seen = new Set();
+  return suggestions.flatMap((suggestion) => suggestion.steps).filter((step) => {
+    const key = JSON.stringify(step);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Un salto de línea en un nombre de columna cerraría el comentario y dejaría el resto como código
+const comment = (text) => String(text).replace(/[\r\n]+/g, ' ');
+
+// JSON produce literales de cadena válidos también en Python
+const py = (value) => JSON.stringify(String(value));
+
+const pyColumn = (column) => `df[${py(column)}]`;
+
+const pandasBounds = (column, option, threshold) => {
+  const series = pyColumn(column);
+  if (option === 'zscore') {
+    return [
+      `mean, std = ${series}.mean(), ${series}.std()`,
+      `lower, upper = mean - ${threshold} * std, mean + ${threshold} * std`,
+    ];
+  }
+  if (option === 'modified_zscore') {
+    return [
+      `median = ${series}.median()`,
+      `mad = (${series} - median).abs().median()`,
+      `lower, upper = median - ${threshold} * mad / 0.6745, median + ${threshold} * mad / 0.6745`,
+    ];
+  }
+  return [
+    `q1, q3 = ${series}.quantile(0.25), ${series}.quantile(0.75)`,
+    `lower, upper = q1 - ${threshold} * (q3 - q1), q3 + ${threshold} * (q3 - q1)`,
+  ];
+};
+
+const pandasStep = (step, t) => {
+  const { type, column, option, value } = step;
+  const series = column ? pyColumn(column) : null;
+  switch (type) {
+    case 'drop_duplicates':
+      return ['df = df.drop_duplicates()'];
+    case 'drop_missing':
+      return [column ? `df = df.dropna(subset=[${py(column)}])` : 'df = df.dropna()'];
+    case 'impute': {
+      const fill = {
+        mean: `${series}.mean()`,
+        median: `${series}.median()`,
+        mode: `${series}.mode().iloc[0]`,
+        constant: py(value ?? ''),
+      }[option];
+      return [`${series} = ${series}.fillna(${fill})`];
+    }
+    case 'cap_outliers':
+      return [
+        ...pandasBounds(column, option, value ?? getOutlierMethod(option).defaultThreshold),
+        `${series} = ${series}.clip(lower, upper)`,
+      ];
+    case 'normalize':
+      return option === 'zscore'
+        ? [`${series} = (${series} - ${series}.mean()) / ${series}.std()`]
+        : [`${series} = (${series} - ${series}.min()) / (${series}.max() - ${series}.min())`];
+    case 'encode':
+      return option === 'label'
+        ? [`${series} = ${series}.astype("category").cat.codes.where(${series}.notna())`]
+        : [`df = pd.get_dummies(df, columns=[${py(column)}], prefix=${py(column)}, dtype=int)`];
+    default:
+      return [`# ${comment(t('codegen.unsupported', { type }))}`];
+  }
+};
+
+// Script de pandas listo para ejecutar: lee el CSV, aplica los pasos y guarda el resultado
+export const toPandas = (steps, { fileName = 'dataset.csv', i18n = createI18n(DEFAULT_LANGUAGE) } = {}) => {
+  const outputName = fileName.replace(/\.[^.]+$/, '') + '_limpio.csv';
+  const body = steps.flatMap((step) => ['', `# ${comment(describeStep(step, i18n))}`, ...pandasStep(step, i18n.t)]);
+  return [
+    'import pandas as pd',
+    '',
+    `df = pd.read_csv(${py(fileName)})`,
+    ...body,
+    '',
+    `df.to_csv(${py(outputName)}, index=False)`,
+    `print(f${py(i18n.t('codegen.printSize'))})`,
+    '',
+  ].join('\n');
+};
+
+const sqlIdentifier = (name) => `"${String(name).replace(/"/g, '""')}"`;
+const sqlString = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+const median = (expression, from) => `(SELECT PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY ${expression}) FROM ${from})`;
+
+// Subconsulta de una fila con _lower y _upper según el método de atípicos
+const sqlBounds = (column, option, threshold, from) => {
+  const c = sqlIdentifier(column);
+  if (option === 'zscore') {
+    return `(SELECT AVG(${c}) - ${threshold} * STDDEV_SAMP(${c}) AS _lower, AVG(${c}) + ${threshold} * STDDEV_SAMP(${c}) AS _upper FROM ${from})`;
+  }
+  if (option === 'modified_zscore') {
+    const center = median(c, from);
+    const mad = median(`ABS(${c} - ${center})`, from);
+    return `(SELECT ${center} - ${threshold} * ${mad} / 0.6745 AS _lower, ${center} + ${threshold} * ${mad} / 0.6745 AS _upper)`;
+  }
+  return `(SELECT q1 - ${threshold} * (q3 - q1) AS _lower, q3 + ${threshold} * (q3 - q1) AS _upper FROM (`
+    + `SELECT PERCENTILE_CONT(0.25) WITHIN GROUP (ORDER BY ${c}) AS q1, `
+    + `PERCENTILE_CONT(0.75) WITHIN GROUP (ORDER BY ${c}) AS q3 FROM ${from}) AS quartiles)`;
+};
+
+// SELECT que reemplaza una columna por una expresión y mantiene el resto
+const selectReplacing = (columns, column, expression) => columns
+  .map((name) => (name === column ? `${expression} AS ${sqlIdentifier(name)}` : sqlIdentifier(name)))
+  .join(', ');
+
+// Devuelve { sql, columns } del paso, donde columns son las columnas resultantes
+const sqlStep = (step, columns, from, categoriesOf, t) => {
+  const { type, column, option, value } = step;
+  const c = column ? sqlIdentifier(column) : null;
+  if (column && !columns.includes(column)) {
+    return { sql: `SELECT * FROM ${from} -- ${comment(t('codegen.columnUnavailable', { column }))}`, columns };
+  }
+  switch (type) {
+    case 'drop_duplicates':
+      return { sql: `SELECT DISTINCT * FROM ${from}`, columns };
+    case 'drop_missing': {
+      const targets = column ? [column] : columns;
+      if (targets.length === 0) {
+        return { sql: `SELECT * FROM ${from} -- ${comment(t('codegen.noColumns'))}`, columns };
+      }
+      return {
+        sql: `SELECT * FROM ${from} WHERE ${targets.map((name) => `${sqlIdentifier(name)} IS NOT NULL`).join(' AND ')}`,
+        columns,
+      };
+    }
+    case 'impute': {
+      const fill = {
+        mean: `(SELECT AVG(${c}) FROM ${from})`,
+        median: median(c, from),
+        mode: `(SELECT ${c} FROM ${from} WHERE ${c} IS NOT NULL GROUP BY ${c} ORDER BY COUNT(*) DESC LIMIT 1)`,
+        constant: sqlString(value ?? ''),
+      }[option];
+      return { sql: `SELECT ${selectReplacing(columns, column, `COALESCE(${c}, ${fill})`)} FROM ${from}`, columns };
+    }
+    case 'cap_outliers': {
+      const threshold = value ?? getOutlierMethod(option).defaultThreshold;
+      const capped = `LEAST(GREATEST(${c}, bounds._lower), bounds._upper)`;
+      return {
+        sql: `SELECT ${selectReplacing(columns, column, capped)} FROM ${from} CROSS JOIN ${sqlBounds(column, option, threshold, from)} AS bounds`,
+        columns,
+      };
+    }
+    case 'normalize': {
+      const stats = option === 'zscore'
+        ? `(SELECT AVG(${c}) AS _center, STDDEV_SAMP(${c}) AS _scale FROM ${from})`
+        : `(SELECT MIN(${c}) AS _center, MAX(${c}) - MIN(${c}) AS _scale FROM ${from})`;
+      return {
+        sql: `SELECT ${selectReplacing(columns, column, `(${c} - stats._center) / NULLIF(stats._scale, 0)`)} FROM ${from} CROSS JOIN ${stats} AS stats`,
+        columns,
+      };
+    }
+    case 'encode': {
+      if (option === 'label') {
+        const code = `CASE WHEN ${c} IS NULL THEN NULL ELSE DENSE_RANK() OVER (ORDER BY ${c}) - 1 END`;
+        return { sql: `SELECT ${selectReplacing(columns, column, code)} FROM ${from}`, columns };
+      }
+      const categories = categoriesOf(column);
+      if (categories.length === 0) {
+        return { sql: `SELECT * FROM ${from} -- ${comment(t('codegen.noCategories', { column }))}`, columns };
+      }
+      const dummies = categories.map((category) => ({
+        name: `${column}_${category}`,
+        expression: `CASE WHEN ${c} = ${sqlString(category)} THEN 1 ELSE 0 END`,
+      }));
+      const nextColumns = columns.flatMap((name) => (name === column ? dummies.map((dummy) => dummy.name) : [name]));
+      const select = columns.flatMap((name) => (name === column
+        ? dummies.map((dummy) => `${dummy.expression} AS ${sqlIdentifier(dummy.name)}`)
+        : [sqlIdentifier(name)]));
+      return { sql: `SELECT ${select.join(', ')} FROM ${from}`, columns: nextColumns };
+    }
+    default:
+      return { sql: `SELECT * FROM ${from} -- ${comment(t('codegen.unsupported', { type }))}`, columns };
+  }
+};
+
+// Transformación SQL (dialecto PostgreSQL) encadenando un CTE por paso
+export const toSql = (steps, { tableName = 'dataset', columns = [], columnStatistics = {}, i18n = createI18n(DEFAULT_LANGUAGE) } = {}) => {
+  const categoriesOf = (column) => normalizeTopValues(columnStatistics[column]?.top_values).map((item) => item.value);
+  const ctes = [`paso_0 AS (\n  SELECT * FROM ${sqlIdentifier(tableName)}\n)`];
+  let current = columns;
+
+  steps.forEach((step, index) => {
+    const { sql, columns: nextColumns } = sqlStep(step, current, `paso_${index}`, categoriesOf, i18n.t);
+    current = nextColumns;
+    ctes.push(`-- ${comment(describeStep(step, i18n))}\npaso_${index + 1} AS (\n  ${sql}\n)`);
+  });
+
+  return [
+    `-- ${i18n.t('codegen.nullsNote')}`,
+    `WITH ${ctes.join(',\n')}`,
+    `SELECT * FROM paso_${steps.length};`,
+    '',
+  ].join('\n');
+};
+
+// Genera el código para el lenguaje elegido a partir de un análisis formateado
+export const generateCleaningCode = (language, steps, datasetInfo = {}, { fileName = 'dataset.csv', i18n } = {}) => {
+  if (language === 'sql') {
+    const tableName = fileName.replace(/\.[^.]+$/, '').replace(/\W+/g, '_') || 'dataset';
+    return toSql(steps, {
+      tableName,
+      // Sin column_statistics (respuestas resumidas) las columnas salen de basic_info.columns
+      columns: Object.keys(getColumnTypes(datasetInfo)),
+      columnStatistics: datasetInfo.column_statistics || {},
+      i18n,
+    });
+  }
+  return toPandas(steps, { fileName, i18n });
+};
@@ -0,0 +1,60 @@
+import { collectSteps, generateCleaningCode, toPandas, toSql } from './codegen';
+import { createStep } from './cleaning';
+
+const steps = [
+  createStep('drop_duplicates'),
+  createStep('impute', 'edad', 'median'),
+  createStep('cap_outliers', 'ingreso', 'iqr', 1.5),
+  createStep('encode', 'ciudad', 'onehot'),
+];
+
+test('une los pasos de varias recomendaciones sin repetir', () => {
+  const collected = collectSteps([
+    { steps: [createStep('drop_duplicates')] },
+    { steps: [createStep('drop_duplicates'), createStep('normalize', 'edad', 'minmax')] },
+  ]);
+  expect(collected).toHaveLength(2);
+});
+
+test('genera un script de pandas con los nombres de columna', () => {
+  const code = toPandas(steps, { fileName: 'ventas.csv' });
+  expect(code).toContain('df = pd.read_csv("ventas.csv")');
+  expect(code).toContain('df = df.drop_duplicates()');
+  expect(code).toContain('df["edad"] = df["edad"].fillna(df["edad"].median())');
+  expect(code).toContain('df["ingreso"] = df["ingreso"].clip(lower, upper)');
+  expect(code).toContain('pd.get_dummies(df, columns=["ciudad"], prefix="ciudad", dtype=int)');
+  expect(code).toContain('df.to_csv("ventas_limpio.csv", index=False)');
+});
+
+test('genera CTEs SQL que mantienen y expanden las columnas', () => {
+  const sql = toSql(steps, {
+    tableName: 'ventas',
+    columns: ['edad', 'ingreso', 'ciudad'],
+    columnStatistics: { ciudad: { top_values: { Lima: 3, "O'Higgins": 1 } } },
+  });
+  expect(sql).toContain('SELECT * FROM "ventas"');
+  expect(sql).toContain('SELECT DISTINCT * FROM paso_0');
+  expect(sql).toContain('COALESCE("edad", (SELECT PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY "edad") FROM paso_1)) AS "edad"');
+  expect(sql).toContain('LEAST(GREATEST("ingreso", bounds._lower), bounds._upper) AS "ingreso"');
+  expect(sql).toContain(`CASE WHEN "ciudad" = 'O''Higgins' THEN 1 ELSE 0 END AS "ciudad_O'Higgins"`);
+  expect(sql.trim().endsWith('SELECT * FROM paso_4;')).toBe(true);
+});
+
+test('no genera un WHERE vacío ni deja saltos de línea dentro de los comentarios', () => {
+  const sql = toSql([createStep('drop_missing'), createStep('impute', 'edad\nDROP TABLE x', 'mean')], { columns: [] });
+  expect(sql).not.toMatch(/WHERE\s*\n/);
+  expect(sql).toContain('SELECT * FROM paso_0 -- Sin columnas conocidas');
+  expect(sql.split('\n').filter((line) => line.startsWith('DROP TABLE'))).toEqual([]);
+
+  const code = toPandas([createStep('drop_missing', 'nota\nimport os')]);
+  expect(code.split('\n').filter((line) => line.startsWith('import os'))).toEqual([]);
+});
+
+test('el SQL toma las columnas de basic_info cuando no hay column_statistics', () => {
+  const sql = generateCleaningCode('sql', [createStep('impute', 'edad', 'mean')], {
+    basic_info: { columns: ['edad', { name: 'ciudad', dtype: 'object' }] },
+  }, { fileName: 'ventas.csv' });
+  expect(sql).toContain('SELECT * FROM "ventas"');
+  expect(sql).toContain('"ciudad"');
+  expect(sql).toContain('AS "edad"');
+});
@@ -0,0 +1,106 @@
+// src/services/columns.js
+import { createI18n, DEFAULT_LANGUAGE } from './i18n';
+
+const firstDefined = (...values) => values.find((value) => value !== undefined && value !== null);
+
+const NUMERIC_TYPES = ['int', 'float', 'number', 'numeric', 'double', 'decimal'];
+
+export const isNumericType = (dtype) =>
+  NUMERIC_TYPES.some((type) => String(dtype || '').toLowerCase().includes(type));
+
+// Convierte top_values/value_counts (objeto o arreglo) a [{ value, count }]
+export const normalizeTopValues = (topValues) => {
+  if (!topValues) {
+    return [];
+  }
+  if (Array.isArray(topValues)) {
+    return topValues.map((item) =>
+      Array.isArray(item) ? { value: String(item[0]), count: item[1] } : { value: String(item.value), count: item.count }
+    );
+  }
+  return Object.entries(topValues).map(([value, count]) => ({ value, count }));
+};
+
+// Normaliza las estadísticas de una columna a un formato común para la UI
+export const normalizeColumnStats = (column, stats = {}, totalRows = 0) => {
+  const nullCount = firstDefined(stats.null_count, stats.missing_count, stats.missing);
+  const nullPercentage = firstDefined(
+    stats.null_percentage,
+    stats.missing_percentage,
+    nullCount != null && totalRows ? (nullCount / totalRows) * 100 : null
+  );
+  const dtype = firstDefined(stats.dtype, stats.type, stats.data_type, 'unknown');
+
+  return {
+    column,
+    dtype,
+    numeric: isNumericType(dtype),
+    nullCount: nullCount ?? null,
+    nullPercentage: nullPercentage ?? null,
+    unique: firstDefined(stats.unique_count, stats.unique, stats.nunique) ?? null,
+    min: firstDefined(stats.min) ?? null,
+    max: firstDefined(stats.max) ?? null,
+    mean: firstDefined(stats.mean) ?? null,
+    std: firstDefined(stats.std) ?? null,
+    topValues: normalizeTopValues(firstDefined(stats.top_values, stats.value_counts, stats.most_frequent)),
+    histogram: stats.histogram || null,
+  };
+};
+
+// Devuelve todas las columnas de un análisis formateado
+export const getColumnRows = (analysis) => {
+  const totalRows = analysis.basic_info?.total_rows || 0;
+  return Object.entries(analysis.column_statistics || {}).map(([column, stats]) =>
+    normalizeColumnStats(column, stats, totalRows)
+  );
+};
+
+// Ordena las filas de columnas; los valores nulos quedan siempre al final
+export const sortColumnRows = (rows, sortBy, direction = 'asc') => {
+  const factor = direction === 'asc' ? 1 : -1;
+  return [...rows].sort((a, b) => {
+    const left = a[sortBy];
+    const right = b[sortBy];
+    if (left == null && right == null) return 0;
+    if (left == null) return 1;
+    if (right == null) return -1;
+    if (typeof left === 'number' && typeof right === 'number') {
+      return (left - right) * factor;
+    }
+    return String(left).localeCompare(String(right)) * factor;
+  });
+};
+
+// Convierte el histograma del backend ({ counts, bin_edges } o [{ bin, count }]) a datos de recharts;
+// los límites de cada intervalo se formatean en el idioma del i18n recibido
+export const getHistogramData = (histogram, { formatNumber } = createI18n(DEFAULT_LANGUAGE)) => {
+  if (!histogram) {
+    return [];
+  }
+  if (Array.isArray(histogram)) {
+    return histogram.map((item) => ({ bin: String(item.bin ?? item.range ?? item.label), count: item.count }));
+  }
+  const counts = histogram.counts || [];
+  const edges = histogram.bin_edges || histogram.bins || [];
+  return counts.map((count, index) => {
+    const start = edges[index];
+    const end = edges[index + 1];
+    const label = typeof start === 'number' && typeof end === 'number'
+      ? `${formatNumber(start)}–${formatNumber(end)}`
+      : String(start ?? index);
+    return { bin: label, count };
+  });
+};
+
+// Reúne las entradas de faltantes, atípicos y correlaciones de una columna
+export const getColumnContext = (analysis, column) => ({
+  missing: (analysis.missing_data?.columns_with_missing || []).find((item) => item.column === column) || null,
+  outliers: (analysis.outliers?.columns_with_outliers || []).find((item) => item.column === column) || null,
+  correlations: (analysis.correlation_matrix || [])
+    .filter((pair) => pair.var1 === column || pair.var2 === column)
+    .map((pair) => ({
+      other: pair.var1 === column ? pair.var2 : pair.var1,
+      correlation: pair.correlation,
+    }))
+    .sort((a, b) => Math.abs(b.correlation) - Math.abs(a.correlation)),
+});
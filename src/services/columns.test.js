@@ -0,0 +1,91 @@
+import {
+  isNumericType,
+  normalizeTopValues,
+  normalizeColumnStats,
+  getColumnRows,
+  sortColumnRows,
+  getHistogramData,
+  getColumnContext,
+} from './columns';
+import { createI18n } from './i18n';
+
+const analysis = {
+  basic_info: { total_rows: 200 },
+  column_statistics: {
+    edad: { dtype: 'float64', missing_count: 10, unique_count: 40, min: 18, max: 90, mean: 41.5, std: 12 },
+    ciudad: { type: 'object', null_percentage: 0, nunique: 3, value_counts: { Lima: 120, Quito: 80 } },
+    alta: { data_type: 'datetime64', min: '2020-01-01', max: '2024-12-31' },
+  },
+  missing_data: { columns_with_missing: [{ column: 'edad', count: 10, percentage: 5 }] },
+  outliers: { columns_with_outliers: [{ column: 'edad', outlier_count: 4 }] },
+  correlation_matrix: [
+    { var1: 'edad', var2: 'ingreso', correlation: 0.3 },
+    { var1: 'gasto', var2: 'edad', correlation: -0.8 },
+    { var1: 'ingreso', var2: 'gasto', correlation: 0.9 },
+  ],
+};
+
+test('reconoce los tipos numéricos de pandas y de la API', () => {
+  expect(['int64', 'Float32', 'numeric', 'DECIMAL(10,2)'].every(isNumericType)).toBe(true);
+  expect(['object', 'datetime64', 'bool', undefined].some(isNumericType)).toBe(false);
+});
+
+test('normaliza los valores frecuentes en sus tres formas', () => {
+  const expected = [{ value: 'Lima', count: 2 }, { value: '1', count: 1 }];
+  expect(normalizeTopValues({ Lima: 2, 1: 1 })).toEqual([{ value: '1', count: 1 }, { value: 'Lima', count: 2 }]);
+  expect(normalizeTopValues([['Lima', 2], [1, 1]])).toEqual(expected);
+  expect(normalizeTopValues([{ value: 'Lima', count: 2 }, { value: 1, count: 1 }])).toEqual(expected);
+  expect(normalizeTopValues(null)).toEqual([]);
+});
+
+test('unifica los nombres alternativos de las estadísticas y calcula el porcentaje de nulos', () => {
+  expect(normalizeColumnStats('edad', analysis.column_statistics.edad, 200)).toEqual({
+    column: 'edad',
+    dtype: 'float64',
+    numeric: true,
+    nullCount: 10,
+    nullPercentage: 5,
+    unique: 40,
+    min: 18,
+    max: 90,
+    mean: 41.5,
+    std: 12,
+    topValues: [],
+    histogram: null,
+  });
+  const [, ciudad, alta] = getColumnRows(analysis);
+  expect(ciudad).toMatchObject({ dtype: 'object', numeric: false, nullPercentage: 0, unique: 3, topValues: [{ value: 'Lima', count: 120 }, { value: 'Quito', count: 80 }] });
+  expect(alta).toMatchObject({ dtype: 'datetime64', nullCount: null, nullPercentage: null, min: '2020-01-01' });
+  expect(normalizeColumnStats('x').dtype).toBe('unknown');
+});
+
+test('ordena por número o texto y deja los vacíos al final en ambos sentidos', () => {
+  const rows = getColumnRows(analysis);
+  expect(sortColumnRows(rows, 'column').map((row) => row.column)).toEqual(['alta', 'ciudad', 'edad']);
+  expect(sortColumnRows(rows, 'unique', 'desc').map((row) => row.column)).toEqual(['edad', 'ciudad', 'alta']);
+  expect(sortColumnRows(rows, 'unique', 'asc').map((row) => row.column)).toEqual(['ciudad', 'edad', 'alta']);
+  expect(rows.map((row) => row.column)).toEqual(['edad', 'ciudad', 'alta']);
+});
+
+test('convierte los histogramas del backend con intervalos en el idioma elegido', () => {
+  const histogram = { counts: [3, 5], bin_edges: [0, 1250.5, 2500] };
+  expect(getHistogramData(histogram, createI18n('en'))).toEqual([
+    { bin: '0–1,250.5', count: 3 },
+    { bin: '1,250.5–2,500', count: 5 },
+  ]);
+  expect(getHistogramData([{ range: '0-10', count: 2 }, { label: 'otros', count: 1 }])).toEqual([
+    { bin: '0-10', count: 2 },
+    { bin: 'otros', count: 1 },
+  ]);
+  expect(getHistogramData({ counts: [4], bins: ['A'] })).toEqual([{ bin: 'A', count: 4 }]);
+  expect(getHistogramData(null)).toEqual([]);
+});
+
+test('reúne el contexto de una columna con las correlaciones más fuertes primero', () => {
+  expect(getColumnContext(analysis, 'edad')).toEqual({
+    missing: { column: 'edad', count: 10, percentage: 5 },
+    outliers: { column: 'edad', outlier_count: 4 },
+    correlations: [{ other: 'gasto', correlation: -0.8 }, { other: 'ingreso', correlation: 0.3 }],
+  });
+  expect(getColumnContext({}, 'edad')).toEqual({ missing: null, outliers: null, correlations: [] });
+});
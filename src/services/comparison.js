@@ -0,0 +1,114 @@
+// src/services/comparison.js
+import { getOverallQuality } from './history';
+
+const delta = (before, after) => {
+  const a = typeof before === 'number' ? before : null;
+  const b = typeof after === 'number' ? after : null;
+  return {
+    before: a,
+    after: b,
+    delta: a != null && b != null ? b - a : null,
+  };
+};
+
+// Obtiene el tipo de cada columna a partir de column_statistics o basic_info
+export const getColumnTypes = (analysis) => {
+  const types = {};
+  Object.entries(analysis.column_statistics || {}).forEach(([column, stats]) => {
+    types[column] = stats?.dtype || stats?.type || stats?.data_type || 'unknown';
+  });
+  (analysis.basic_info?.columns || []).forEach((column) => {
+    const name = typeof column === 'string' ? column : column.name;
+    if (name && !(name in types)) {
+      types[name] = column.dtype || 'unknown';
+    }
+  });
+  return types;
+};
+
+// Une dos listas por columna calculando la diferencia del campo indicado
+const diffByColumn = (beforeList = [], afterList = [], field) => {
+  const before = new Map(beforeList.map((item) => [item.column, item]));
+  const after = new Map(afterList.map((item) => [item.column, item]));
+  const columns = Array.from(new Set([...before.keys(), ...after.keys()]));
+
+  return columns.map((column) => ({
+    column,
+    ...delta(before.get(column)?.[field] ?? 0, after.get(column)?.[field] ?? 0),
+  }));
+};
+
+const pairKey = ({ var1, var2 }) => [var1, var2].sort().join(' ↔ ');
+
+const diffCorrelations = (beforeList = [], afterList = []) => {
+  const before = new Map(beforeList.map((pair) => [pairKey(pair), pair.correlation]));
+  const after = new Map(afterList.map((pair) => [pairKey(pair), pair.correlation]));
+  const pairs = Array.from(new Set([...before.keys(), ...after.keys()]));
+
+  return pairs.map((pair) => ({
+    pair,
+    ...delta(before.get(pair), after.get(pair)),
+  }));
+};
+
+// Detecta columnas añadidas, eliminadas o con cambio de tipo
+export const diffSchemas = (base, target) => {
+  const baseTypes = getColumnTypes(base);
+  const targetTypes = getColumnTypes(target);
+
+  const added = Object.keys(targetTypes).filter((column) => !(column in baseTypes));
+  const removed = Object.keys(baseTypes).filter((column) => !(column in targetTypes));
+  const retyped = Object.keys(targetTypes)
+    .filter((column) => column in baseTypes && baseTypes[column] !== targetTypes[column])
+    .map((column) => ({ column, before: baseTypes[column], after: targetTypes[column] }));
+
+  return { added, removed, retyped };
+};
+
+// Solo las métricas presentes en ambos lados: una métrica nueva cambiaría la calidad
+// global aunque ninguna de las comunes se haya movido
+const pickQuality = (dataQuality, metrics) => Object.fromEntries(metrics.map((metric) => [metric, dataQuality[metric]]));
+
+// Compara dos análisis formateados (salida de formatAnalysisData)
+export const compareAnalyses = (base, target) => {
+  const metrics = Array.from(new Set([
+    ...Object.keys(base.data_quality || {}),
+    ...Object.keys(target.data_quality || {}),
+  ]));
+  const shared = metrics.filter((metric) => typeof base.data_quality?.[metric] === 'number'
+    && typeof target.data_quality?.[metric] === 'number');
+
+  return {
+    quality: [
+      ...metrics.map((metric) => ({
+        metric,
+        ...delta(base.data_quality?.[metric], target.data_quality?.[metric]),
+      })),
+      {
+        metric: 'overall',
+        ...delta(
+          getOverallQuality(pickQuality(base.data_quality || {}, shared)),
+          getOverallQuality(pickQuality(target.data_quality || {}, shared))
+        ),
+      },
+    ],
+    rows: delta(base.basic_info?.total_rows, target.basic_info?.total_rows),
+    totalMissing: delta(
+      base.missing_data?.total_missing_percentage,
+      target.missing_data?.total_missing_percentage
+    ),
+    missing: diffByColumn(
+      base.missing_data?.columns_with_missing,
+      target.missing_data?.columns_with_missing,
+      'percentage'
+    ),
+    duplicates: delta(base.duplicates?.total_duplicates, target.duplicates?.total_duplicates),
+    outliers: diffByColumn(
+      base.outliers?.columns_with_outliers,
+      target.outliers?.columns_with_outliers,
+      'outlier_count'
+    ),
+    correlations: diffCorrelations(base.correlation_matrix, target.correlation_matrix),
+    schema: diffSchemas(base, target),
+  };
+};
@@ -0,0 +1,90 @@
+import { compareAnalyses, diffSchemas, getColumnTypes } from './comparison';
+
+const base = {
+  basic_info: { total_rows: 100, columns: ['id', { name: 'notas' }] },
+  data_quality: { completeness: 90, validity: 80 },
+  column_statistics: {
+    id: { dtype: 'int64' },
+    monto: { dtype: 'float64' },
+    region: { type: 'object' },
+  },
+  missing_data: {
+    total_missing_percentage: 4,
+    columns_with_missing: [{ column: 'monto', percentage: 10 }, { column: 'region', percentage: 2 }],
+  },
+  duplicates: { total_duplicates: 5 },
+  outliers: { columns_with_outliers: [{ column: 'monto', outlier_count: 3 }] },
+  correlation_matrix: [
+    { var1: 'id', var2: 'monto', correlation: 0.2 },
+    { var1: 'monto', var2: 'region', correlation: -0.4 },
+  ],
+};
+
+const target = {
+  basic_info: { total_rows: 120 },
+  data_quality: { completeness: 95, validity: 80, uniqueness: 60 },
+  column_statistics: {
+    id: { dtype: 'object' },
+    monto: { dtype: 'float64' },
+    canal: { dtype: 'object' },
+  },
+  missing_data: {
+    total_missing_percentage: 1,
+    columns_with_missing: [{ column: 'monto', percentage: 4 }, { column: 'canal', percentage: 1 }],
+  },
+  duplicates: { total_duplicates: 5 },
+  outliers: { columns_with_outliers: [] },
+  correlation_matrix: [{ var1: 'monto', var2: 'id', correlation: 0.5 }],
+};
+
+test('obtiene los tipos de column_statistics y completa con basic_info', () => {
+  expect(getColumnTypes(base)).toEqual({ id: 'int64', monto: 'float64', region: 'object', notas: 'unknown' });
+});
+
+test('detecta columnas añadidas, eliminadas y con otro tipo', () => {
+  expect(diffSchemas(base, target)).toEqual({
+    added: ['canal'],
+    removed: ['region', 'notas'],
+    retyped: [{ column: 'id', before: 'int64', after: 'object' }],
+  });
+  expect(diffSchemas(base, base)).toEqual({ added: [], removed: [], retyped: [] });
+});
+
+test('calcula las diferencias de calidad, filas, faltantes y duplicados', () => {
+  const comparison = compareAnalyses(base, target);
+
+  expect(comparison.quality).toEqual([
+    { metric: 'completeness', before: 90, after: 95, delta: 5 },
+    { metric: 'validity', before: 80, after: 80, delta: 0 },
+    { metric: 'uniqueness', before: null, after: 60, delta: null },
+    // La global solo promedia las métricas comunes (completeness y validity)
+    { metric: 'overall', before: 85, after: 87.5, delta: 2.5 },
+  ]);
+  expect(comparison.rows).toEqual({ before: 100, after: 120, delta: 20 });
+  expect(comparison.totalMissing).toEqual({ before: 4, after: 1, delta: -3 });
+  expect(comparison.duplicates).toEqual({ before: 5, after: 5, delta: 0 });
+});
+
+test('une las columnas y los pares de ambos análisis contando como cero lo que falta', () => {
+  const comparison = compareAnalyses(base, target);
+
+  expect(comparison.missing).toEqual([
+    { column: 'monto', before: 10, after: 4, delta: -6 },
+    { column: 'region', before: 2, after: 0, delta: -2 },
+    { column: 'canal', before: 0, after: 1, delta: 1 },
+  ]);
+  expect(comparison.outliers).toEqual([{ column: 'monto', before: 3, after: 0, delta: -3 }]);
+  // El par se identifica sin importar el orden de las variables
+  expect(comparison.correlations).toEqual([
+    { pair: 'id ↔ monto', before: 0.2, after: 0.5, delta: 0.5 - 0.2 },
+    { pair: 'monto ↔ region', before: -0.4, after: null, delta: null },
+  ]);
+});
+
+test('tolera análisis sin secciones', () => {
+  const comparison = compareAnalyses({}, {});
+  expect(comparison.quality).toEqual([{ metric: 'overall', before: null, after: null, delta: null }]);
+  expect(comparison.missing).toEqual([]);
+  expect(comparison.correlations).toEqual([]);
+  expect(comparison.schema).toEqual({ added: [], removed: [], retyped: [] });
+});
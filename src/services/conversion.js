@@ -0,0 +1,27 @@
+// src/services/conversion.js
+import { runWorker } from './workerClient';
+import { isCsvFileName, toCsvFileName } from './formats/extensions';
+
+const createWorker = () => new Worker(new URL('../workers/formatConversion.worker.js', import.meta.url));
+
+// Detecta el formato del archivo y, si es Excel, sus hojas
+export const inspectInputFile = (file) => runWorker(
+  createWorker(),
+  { action: 'inspect', file },
+  { fallbackError: 'No se pudo reconocer el formato del archivo' }
+);
+
+// Convierte Excel, JSON, Parquet o TSV a un File CSV que acepta /upload/
+export const convertToCsvFile = async (file, { sheet = null, signal } = {}) => {
+  const csv = await runWorker(
+    createWorker(),
+    { action: 'convert', file, sheet },
+    { signal, fallbackError: 'No se pudo convertir el archivo a CSV' }
+  );
+  return new File([csv], toCsvFileName(file.name, sheet), { type: 'text/csv' });
+};
+
+// Devuelve el mismo archivo si ya es CSV; si no, lo convierte
+export const ensureCsvFile = (file, options = {}) => (
+  isCsvFileName(file.name) ? Promise.resolve(file) : convertToCsvFile(file, options)
+);
@@ -0,0 +1,100 @@
+// src/services/correlation.js
+import { createI18n, DEFAULT_LANGUAGE } from './i18n';
+
+// Construye la matriz N×N a partir de la lista de pares { var1, var2, correlation }
+export const buildCorrelationMatrix = (pairs = []) => {
+  const variables = [];
+  const seen = new Set();
+  pairs.forEach(({ var1, var2 }) => {
+    [var1, var2].forEach((variable) => {
+      if (!seen.has(variable)) {
+        seen.add(variable);
+        variables.push(variable);
+      }
+    });
+  });
+
+  const index = new Map(variables.map((variable, position) => [variable, position]));
+  const values = variables.map((_, row) => variables.map((__, column) => (row === column ? 1 : null)));
+  pairs.forEach(({ var1, var2, correlation }) => {
+    const row = index.get(var1);
+    const column = index.get(var2);
+    values[row][column] = correlation;
+    values[column][row] = correlation;
+  });
+
+  return { variables, values };
+};
+
+// Orden de hojas de un clustering jerárquico aglomerativo (enlace promedio, distancia 1 - |r|)
+export const clusterOrder = (values) => {
+  const distance = (a, b) => {
+    const correlation = values[a][b];
+    return correlation == null ? 1 : 1 - Math.abs(correlation);
+  };
+
+  const averageDistance = (left, right) => {
+    let total = 0;
+    left.forEach((a) => right.forEach((b) => { total += distance(a, b); }));
+    return total / (left.length * right.length);
+  };
+
+  let clusters = values.map((_, position) => [position]);
+  while (clusters.length > 1) {
+    let best = { i: 0, j: 1, distance: Infinity };
+    for (let i = 0; i < clusters.length; i++) {
+      for (let j = i + 1; j < clusters.length; j++) {
+        const average = averageDistance(clusters[i], clusters[j]);
+        if (average < best.distance) {
+          best = { i, j, distance: average };
+        }
+      }
+    }
+    const merged = [...clusters[best.i], ...clusters[best.j]];
+    clusters = clusters.filter((_, position) => position !== best.i && position !== best.j);
+    clusters.push(merged);
+  }
+  return clusters[0] || [];
+};
+
+// Reordena variables y valores según el modo elegido: 'original', 'alphabetical' o 'cluster'
+export const orderMatrix = ({ variables, values }, mode = 'original') => {
+  let order = variables.map((_, position) => position);
+  if (mode === 'alphabetical') {
+    order.sort((a, b) => variables[a].localeCompare(variables[b]));
+  } else if (mode === 'cluster') {
+    order = clusterOrder(values);
+  }
+  return {
+    variables: order.map((position) => variables[position]),
+    values: order.map((row) => order.map((column) => values[row][column])),
+  };
+};
+
+const NEGATIVE = [236, 72, 153]; // pink-500
+const NEUTRAL = [30, 41, 59]; // slate-800
+const POSITIVE = [6, 182, 212]; // cyan-500
+
+const mix = (from, to, amount) => from.map((channel, position) => Math.round(channel + (to[position] - channel) * amount));
+
+// Escala divergente: rosa (-1) → gris oscuro (0) → cian (+1)
+export const divergingColor = (value) => {
+  if (value == null || isNaN(value)) return `rgb(${NEUTRAL.join(',')})`;
+  const clamped = Math.max(-1, Math.min(1, value));
+  const color = clamped < 0 ? mix(NEUTRAL, NEGATIVE, -clamped) : mix(NEUTRAL, POSITIVE, clamped);
+  return `rgb(${color.join(',')})`;
+};
+
+const STRENGTHS = [
+  { min: 0.8, key: 'veryStrong' },
+  { min: 0.6, key: 'strong' },
+  { min: 0.4, key: 'moderate' },
+  { min: 0.2, key: 'weak' },
+];
+
+// Describe la fuerza de una correlación en palabras (correlation.describe del catálogo)
+export const describeCorrelation = (value, { t } = createI18n(DEFAULT_LANGUAGE)) => {
+  const strength = STRENGTHS.find((item) => Math.abs(value) >= item.min);
+  if (!strength) return t('correlation.describe.none');
+  return t(`correlation.describe.${strength.key}.${value >= 0 ? 'positive' : 'negative'}`);
+};
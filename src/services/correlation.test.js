@@ -0,0 +1,64 @@
+import { buildCorrelationMatrix, clusterOrder, orderMatrix, divergingColor, describeCorrelation } from './correlation';
+import { createI18n } from './i18n';
+
+// a-c y b-d están muy correlacionadas entre sí y poco con el resto
+const pairs = [
+  { var1: 'd', var2: 'b', correlation: 0.85 },
+  { var1: 'a', var2: 'b', correlation: 0.1 },
+  { var1: 'a', var2: 'c', correlation: -0.9 },
+  { var1: 'a', var2: 'd', correlation: 0.1 },
+  { var1: 'c', var2: 'b', correlation: 0.1 },
+];
+
+test('arma la matriz simétrica en el orden de aparición con la diagonal en 1', () => {
+  expect(buildCorrelationMatrix(pairs)).toEqual({
+    variables: ['d', 'b', 'a', 'c'],
+    values: [
+      [1, 0.85, 0.1, null],
+      [0.85, 1, 0.1, 0.1],
+      [0.1, 0.1, 1, -0.9],
+      [null, 0.1, -0.9, 1],
+    ],
+  });
+  expect(buildCorrelationMatrix()).toEqual({ variables: [], values: [] });
+});
+
+test('el clustering agrupa las variables más correlacionadas sin importar el signo', () => {
+  const { values } = buildCorrelationMatrix(pairs);
+  expect(clusterOrder(values)).toEqual([2, 3, 0, 1]);
+  expect(clusterOrder([])).toEqual([]);
+});
+
+test('reordena variables y valores según el modo', () => {
+  const matrix = buildCorrelationMatrix(pairs);
+  expect(orderMatrix(matrix)).toEqual(matrix);
+
+  const alphabetical = orderMatrix(matrix, 'alphabetical');
+  expect(alphabetical.variables).toEqual(['a', 'b', 'c', 'd']);
+  expect(alphabetical.values[0]).toEqual([1, 0.1, -0.9, 0.1]);
+
+  const clustered = orderMatrix(matrix, 'cluster');
+  expect(clustered.variables).toEqual(['a', 'c', 'd', 'b']);
+  expect(clustered.values[2]).toEqual([0.1, null, 1, 0.85]);
+});
+
+test('la escala divergente va de rosa a cian pasando por el neutro', () => {
+  expect(divergingColor(-1)).toBe('rgb(236,72,153)');
+  expect(divergingColor(0)).toBe('rgb(30,41,59)');
+  expect(divergingColor(1)).toBe('rgb(6,182,212)');
+  expect(divergingColor(0.5)).toBe('rgb(18,112,136)');
+  expect(divergingColor(3)).toBe(divergingColor(1));
+  expect(divergingColor(null)).toBe(divergingColor(0));
+  expect(divergingColor(NaN)).toBe(divergingColor(0));
+});
+
+test('describe la fuerza y el signo de la correlación en el idioma elegido', () => {
+  expect(describeCorrelation(0.85)).toBe('Muy fuerte positiva');
+  expect(describeCorrelation(-0.6)).toBe('Fuerte negativa');
+  expect(describeCorrelation(0.1)).toBe('Sin correlación relevante');
+
+  const english = createI18n('en');
+  expect(describeCorrelation(-0.45, english)).toBe('Moderate negative');
+  expect(describeCorrelation(0.2, english)).toBe('Weak positive');
+  expect(describeCorrelation(-0.19, english)).toBe('No relevant correlation');
+});
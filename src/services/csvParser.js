@@ -0,0 +1,283 @@
+// src/services/csvParser.js
+// Utilidades puras para inspeccionar un CSV en el navegador antes de subirlo.
+import { detectPii } from './pii';
+
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+// Busca el primer byte que rompe la codificación UTF-8; devuelve -1 si es válida
+export const findInvalidUtf8Offset = (bytes) => {
+  let i = 0;
+  while (i < bytes.length) {
+    const byte = bytes[i];
+    let extra = 0;
+    if (byte <= 0x7f) extra = 0;
+    else if (byte >= 0xc2 && byte <= 0xdf) extra = 1;
+    else if (byte >= 0xe0 && byte <= 0xef) extra = 2;
+    else if (byte >= 0xf0 && byte <= 0xf4) extra = 3;
+    else return i;
+
+    // Una secuencia cortada al final del bloque leído no es un error
+    for (let j = 1; j <= extra && i + j < bytes.length; j++) {
+      if ((bytes[i + j] & 0xc0) !== 0x80) {
+        return i;
+      }
+    }
+    i += extra + 1;
+  }
+  return -1;
+};
+
+// Detecta la codificación a partir del BOM y de la validez UTF-8; label es un mensaje
+// { code } de preview.encodings para mostrarlo en el idioma de la interfaz
+export const detectEncoding = (bytes) => {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return { encoding: 'utf-8', label: { code: 'preview.encodings.utf8Bom' }, bomLength: 3, invalidOffset: -1 };
+  }
+  if ((bytes[0] === 0xff && bytes[1] === 0xfe) || (bytes[0] === 0xfe && bytes[1] === 0xff)) {
+    return { encoding: 'utf-16', label: { code: 'preview.encodings.utf16' }, bomLength: 2, invalidOffset: 0 };
+  }
+  const invalidOffset = findInvalidUtf8Offset(bytes);
+  if (invalidOffset === -1) {
+    return { encoding: 'utf-8', label: { code: 'preview.encodings.utf8' }, bomLength: 0, invalidOffset };
+  }
+  return { encoding: 'windows-1252', label: { code: 'preview.encodings.windows1252' }, bomLength: 0, invalidOffset };
+};
+
+// Elige el delimitador que produce un número de campos más constante y mayor a 1
+export const detectDelimiter = (text, sampleLines = 20) => {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== '').slice(0, sampleLines);
+  let best = { delimiter: ',', score: -Infinity };
+
+  CANDIDATE_DELIMITERS.forEach((delimiter) => {
+    const counts = lines.map((line) => countFields(line, delimiter));
+    if (counts.length === 0 || counts[0] < 2) {
+      return;
+    }
+    const consistent = counts.filter((count) => count === counts[0]).length / counts.length;
+    const score = consistent * 100 + counts[0];
+    if (score > best.score) {
+      best = { delimiter, score };
+    }
+  });
+
+  return best.delimiter;
+};
+
+const countFields = (line, delimiter) => {
+  let count = 1;
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') inQuotes = !inQuotes;
+    else if (char === delimiter && !inQuotes) count++;
+  }
+  return count;
+};
+
+// Parser CSV con comillas (RFC 4180). Llama a onRow(campos, númeroDeFila) por cada registro
+// y se detiene si onRow devuelve false.
+export const parseCsv = (text, delimiter, onRow) => {
+  let field = '';
+  let row = [];
+  let inQuotes = false;
+  let rowNumber = 0;
+  let stopped = false;
+
+  const endRow = () => {
+    row.push(field);
+    field = '';
+    // Ignorar líneas completamente vacías
+    if (!(row.length === 1 && row[0] === '')) {
+      rowNumber++;
+      if (onRow(row, rowNumber) === false) {
+        stopped = true;
+      }
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < text.length && !stopped; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n') {
+      endRow();
+    } else if (char === '\r') {
+      if (text[i + 1] !== '\n') endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (!stopped && (field !== '' || row.length > 0)) {
+    endRow();
+  }
+  return rowNumber;
+};
+
+const TYPE_PATTERNS = {
+  integer: /^[-+]?\d+$/,
+  float: /^[-+]?(\d+([.,]\d*)?|[.,]\d+)([eE][-+]?\d+)?$/,
+  boolean: /^(true|false|yes|no|si|sí|verdadero|falso)$/i,
+  date: /^(\d{4}-\d{1,2}-\d{1,2}([ T]\d{1,2}:\d{2}(:\d{2})?)?|\d{1,2}[/-]\d{1,2}[/-]\d{2,4})$/,
+};
+
+// Clasifica un valor individual; se usa para medir la consistencia de tipos
+export const classifyValue = (value) => {
+  const trimmed = String(value).trim();
+  if (trimmed === '') return 'vacío';
+  if (TYPE_PATTERNS.integer.test(trimmed)) return 'entero';
+  if (TYPE_PATTERNS.float.test(trimmed)) return 'decimal';
+  if (TYPE_PATTERNS.boolean.test(trimmed)) return 'booleano';
+  if (TYPE_PATTERNS.date.test(trimmed)) return 'fecha';
+  return 'texto';
+};
+
+// Convierte un valor numérico aceptando coma decimal; devuelve NaN si no es número
+export const parseNumber = (value) => {
+  const trimmed = String(value).trim();
+  if (!TYPE_PATTERNS.float.test(trimmed)) {
+    return NaN;
+  }
+  return Number(trimmed.replace(',', '.'));
+};
+
+// Infiere el tipo de una columna a partir de sus valores no vacíos
+export const inferColumnType = (values) => {
+  const present = values.map((value) => value.trim()).filter((value) => value !== '');
+  if (present.length === 0) {
+    return 'vacío';
+  }
+  const matchesAll = (pattern) => present.every((value) => pattern.test(value));
+
+  if (matchesAll(TYPE_PATTERNS.integer)) return 'entero';
+  if (matchesAll(TYPE_PATTERNS.float)) return 'decimal';
+  if (matchesAll(TYPE_PATTERNS.boolean)) return 'booleano';
+  if (matchesAll(TYPE_PATTERNS.date)) return 'fecha';
+  return 'texto';
+};
+
+// La primera fila es encabezado si no tiene valores numéricos mientras alguna columna de datos sí
+export const detectHeaderRow = (firstRow, dataRows) => {
+  if (dataRows.length === 0) {
+    return true;
+  }
+  const firstRowHasNumbers = firstRow.some((value) => TYPE_PATTERNS.float.test(value.trim()));
+  if (firstRowHasNumbers) {
+    return false;
+  }
+  return firstRow.some((_, index) => {
+    const type = inferColumnType(dataRows.map((row) => row[index] ?? ''));
+    return type !== 'texto' && type !== 'vacío';
+  }) || new Set(firstRow).size === firstRow.length;
+};
+
+// Construye la vista previa y la lista de problemas a partir del texto decodificado. Los
+// problemas traen message como { code, params } (preview.issues del catálogo).
+export const buildCsvPreview = (text, { previewRows = 20, typeSampleRows = 1000, encoding = null } = {}) => {
+  const delimiter = detectDelimiter(text);
+  const sample = [];
+  const raggedRows = [];
+  let expectedFields = null;
+
+  const totalRecords = parseCsv(text, delimiter, (fields, rowNumber) => {
+    if (expectedFields === null) {
+      expectedFields = fields.length;
+    } else if (fields.length !== expectedFields) {
+      raggedRows.push({ row: rowNumber, fields: fields.length });
+    }
+    if (sample.length < typeSampleRows + 1) {
+      sample.push(fields);
+    }
+  });
+
+  const firstRow = sample[0] || [];
+  const hasHeader = detectHeaderRow(firstRow, sample.slice(1, 50));
+  const headers = hasHeader
+    ? firstRow.map((value) => value.trim())
+    : firstRow.map((_, index) => `columna_${index + 1}`);
+  const dataRows = hasHeader ? sample.slice(1) : sample;
+
+  const columnTypes = headers.map((header, index) => ({
+    column: header,
+    type: inferColumnType(dataRows.map((row) => row[index] ?? '')),
+  }));
+
+  const issues = [];
+
+  if (encoding && encoding.invalidOffset !== -1) {
+    issues.push({
+      type: 'encoding',
+      severity: 'error',
+      message: encoding.encoding === 'utf-16'
+        ? { code: 'preview.issues.utf16' }
+        : { code: 'preview.issues.invalidUtf8', params: { offset: encoding.invalidOffset } },
+    });
+  }
+
+  if (hasHeader) {
+    const emptyHeaders = headers
+      .map((header, index) => (header === '' ? index + 1 : null))
+      .filter((index) => index !== null);
+    if (emptyHeaders.length > 0) {
+      issues.push({
+        type: 'empty_header',
+        severity: 'warning',
+        message: { code: 'preview.issues.emptyHeaders', params: { columns: emptyHeaders } },
+      });
+    }
+
+    const seen = {};
+    headers.forEach((header) => {
+      if (header !== '') seen[header] = (seen[header] || 0) + 1;
+    });
+    const duplicated = Object.keys(seen).filter((header) => seen[header] > 1);
+    if (duplicated.length > 0) {
+      issues.push({
+        type: 'duplicate_header',
+        severity: 'warning',
+        message: { code: 'preview.issues.duplicateHeaders', params: { columns: duplicated } },
+      });
+    }
+  }
+
+  if (raggedRows.length > 0) {
+    const tooMany = raggedRows.some(({ fields }) => fields > expectedFields);
+    const examples = raggedRows.slice(0, 5).map(({ row, fields }) => ({ code: 'preview.issues.raggedRow', params: { row, count: fields } }));
+    issues.push({
+      type: 'ragged_rows',
+      // pandas falla al tokenizar filas con más campos que el encabezado
+      severity: tooMany ? 'error' : 'warning',
+      message: {
+        code: 'preview.issues.raggedRows',
+        params: { count: raggedRows.length, expected: expectedFields, rows: raggedRows.length > 5 ? [...examples, '…'] : examples },
+      },
+    });
+  }
+
+  return {
+    delimiter,
+    hasHeader,
+    headers,
+    columnTypes,
+    rows: dataRows.slice(0, previewRows),
+    totalRows: hasHeader ? Math.max(0, totalRecords - 1) : totalRecords,
+    issues,
+    // Columnas con datos personales en las filas leídas, para revisarlas antes de subir el archivo
+    pii: detectPii(headers, dataRows),
+  };
+};
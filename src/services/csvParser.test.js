@@ -0,0 +1,71 @@
+import {
+  findInvalidUtf8Offset,
+  detectEncoding,
+  detectDelimiter,
+  parseCsv,
+  inferColumnType,
+  buildCsvPreview,
+} from './csvParser';
+import { createI18n } from './i18n';
+
+const bytesOf = (text) => Uint8Array.from(Buffer.from(text, 'utf-8'));
+
+test('detecta UTF-8 válido y bytes Latin-1', () => {
+  expect(findInvalidUtf8Offset(bytesOf('nombre,año\nJosé,2020'))).toBe(-1);
+  expect(detectEncoding(Uint8Array.from([0x61, 0x2c, 0xf1, 0x6f])).invalidOffset).toBe(2);
+  expect(detectEncoding(Uint8Array.from([0xef, 0xbb, 0xbf, 0x61])).bomLength).toBe(3);
+});
+
+test('detecta el delimitador más consistente', () => {
+  expect(detectDelimiter('a;b;c\n1;2;3\n4;5;6')).toBe(';');
+  expect(detectDelimiter('a\tb\n1\t2')).toBe('\t');
+  expect(detectDelimiter('a,b\n"1,5",2')).toBe(',');
+});
+
+test('parsea campos entre comillas con saltos de línea', () => {
+  const rows = [];
+  parseCsv('a,b\r\n"x, ""y""","linea\nnueva"\n', ',', (fields) => rows.push(fields));
+  expect(rows).toEqual([['a', 'b'], ['x, "y"', 'linea\nnueva']]);
+});
+
+test('infiere tipos de columna', () => {
+  expect(inferColumnType(['1', '2', ''])).toBe('entero');
+  expect(inferColumnType(['1.5', '2'])).toBe('decimal');
+  expect(inferColumnType(['2024-01-02', '2024-02-03'])).toBe('fecha');
+  expect(inferColumnType(['true', 'false'])).toBe('booleano');
+  expect(inferColumnType(['a', '1'])).toBe('texto');
+});
+
+test('reporta filas irregulares y encabezados duplicados o vacíos', () => {
+  const preview = buildCsvPreview('id,nombre,nombre,\n1,a,b,c\n2,a,b,c,d\n3,a\n');
+  const types = preview.issues.map((issue) => issue.type);
+
+  expect(preview.hasHeader).toBe(true);
+  expect(preview.totalRows).toBe(3);
+  expect(types).toEqual(['empty_header', 'duplicate_header', 'ragged_rows']);
+  expect(preview.issues.find((issue) => issue.type === 'ragged_rows').severity).toBe('error');
+});
+
+test('los problemas y la codificación se muestran en el idioma de la interfaz', () => {
+  const { issues } = buildCsvPreview('id,nombre,nombre,\n1,a,b,c\n2,a,b,c,d\n3,a\n');
+  const spanish = createI18n('es');
+  const english = createI18n('en');
+
+  expect(issues.map((issue) => spanish.translateMessage(issue.message))).toEqual([
+    'Encabezados vacíos en las columnas: 4',
+    'Nombres de columna duplicados: nombre',
+    '2 filas no tienen 4 campos: fila 3 (5 campos), fila 4 (2 campos)',
+  ]);
+  expect(english.translateMessage(issues[2].message)).toBe('2 rows do not have 4 fields: row 3 (5 fields), row 4 (2 fields)');
+
+  const latin1 = detectEncoding(Uint8Array.from([0x61, 0x2c, 0xf1, 0x6f]));
+  expect(english.translateMessage(latin1.label)).toBe('Not UTF-8 (probably Latin-1/Windows-1252)');
+  expect(english.translateMessage(buildCsvPreview('a,b\n', { encoding: latin1 }).issues[0].message))
+    .toBe('The file contains bytes that are not UTF-8 (byte 2). Save it with UTF-8 encoding.');
+});
+
+test('genera nombres de columna cuando no hay encabezado', () => {
+  const preview = buildCsvPreview('1,2\n3,4\n');
+  expect(preview.hasHeader).toBe(false);
+  expect(preview.headers).toEqual(['columna_1', 'columna_2']);
+});
@@ -0,0 +1,150 @@
+// src/services/drift.js
+// Deriva de esquema y estadísticas entre ejecuciones sucesivas del mismo dataset (mismo name).
+import { diffSchemas } from './comparison';
+import { getOverallQuality } from './history';
+import { normalizeTopValues } from './columns';
+import { createI18n, DEFAULT_LANGUAGE } from './i18n';
+
+// nullRate: puntos porcentuales; meanShift: desviaciones estándar de la línea base;
+// categoryShift: distancia de variación total entre distribuciones de categorías (0 a 1)
+export const DEFAULT_DRIFT_THRESHOLDS = { nullRate: 5, meanShift: 0.5, categoryShift: 0.2 };
+
+export const MAX_DRIFT_RUNS = 8;
+
+// Ejecuciones anteriores con el mismo nombre, de la más reciente a la más antigua.
+// before limita a las anteriores a esa fecha (al revisar un análisis antiguo del historial).
+// excludeLatest descarta la más reciente: una subida recién hecha sin id ya figura en
+// /analyses/ y no puede ser su propia línea base.
+export const findPreviousRuns = (summaries, name, { excludeId = null, before = null, excludeLatest = false } = {}) => summaries
+  .filter((summary) => summary.name === name && summary.id !== excludeId)
+  .filter((summary) => !before || !summary.date || new Date(summary.date) < new Date(before))
+  .sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0))
+  .slice(excludeLatest ? 1 : 0)
+  .slice(0, MAX_DRIFT_RUNS - 1);
+
+const nullRateOf = (analysis, column) => {
+  const stats = analysis.column_statistics?.[column];
+  if (stats?.null_percentage != null) return Number(stats.null_percentage);
+  const missing = (analysis.missing_data?.columns_with_missing || []).find((entry) => entry.column === column);
+  return missing ? Number(missing.percentage) : 0;
+};
+
+// Distancia de variación total entre dos distribuciones de top_values
+const categoryDistance = (before, after) => {
+  const toShares = (topValues) => {
+    const items = normalizeTopValues(topValues);
+    const total = items.reduce((sum, { count }) => sum + count, 0);
+    return new Map(items.map(({ value, count }) => [value, total ? count / total : 0]));
+  };
+  const a = toShares(before);
+  const b = toShares(after);
+  if (a.size === 0 || b.size === 0) return null;
+  const keys = new Set([...a.keys(), ...b.keys()]);
+  let distance = 0;
+  keys.forEach((key) => {
+    distance += Math.abs((a.get(key) || 0) - (b.get(key) || 0));
+  });
+  return distance / 2;
+};
+
+// Mensaje { code, params } del catálogo (drift.warnings.*); los números van sin formato
+const message = (type, params) => ({ code: `drift.warnings.${type}`, params });
+
+// Advertencias de deriva del análisis actual frente a la línea base
+export const detectDrift = (baseline, current, thresholds = DEFAULT_DRIFT_THRESHOLDS) => {
+  const warnings = [];
+  const schema = diffSchemas(baseline, current);
+
+  schema.removed.forEach((column) => warnings.push({
+    type: 'removed', column, severity: 'critical', message: message('removed', { column }),
+  }));
+  schema.added.forEach((column) => warnings.push({
+    type: 'added', column, severity: 'moderate', message: message('added', { column }),
+  }));
+  schema.retyped.forEach(({ column, before, after }) => warnings.push({
+    type: 'retyped', column, severity: 'critical', message: message('retyped', { column, before, after }), before, after,
+  }));
+
+  const shared = Object.keys(current.column_statistics || {})
+    .filter((column) => column in (baseline.column_statistics || {}));
+
+  shared.forEach((column) => {
+    const before = baseline.column_statistics[column];
+    const after = current.column_statistics[column];
+
+    const nullBefore = nullRateOf(baseline, column);
+    const nullAfter = nullRateOf(current, column);
+    if (Math.abs(nullAfter - nullBefore) > thresholds.nullRate) {
+      warnings.push({
+        type: 'null_rate',
+        column,
+        severity: nullAfter > nullBefore ? 'critical' : 'moderate',
+        message: message('nullRate', { column, before: nullBefore, after: nullAfter }),
+        before: nullBefore,
+        after: nullAfter,
+      });
+    }
+
+    if (typeof before.mean === 'number' && typeof after.mean === 'number') {
+      // Sin desviación en la línea base se usa el cambio relativo
+      const scale = before.std > 0 ? before.std : Math.abs(before.mean) || 1;
+      const shift = Math.abs(after.mean - before.mean) / scale;
+      if (shift > thresholds.meanShift) {
+        warnings.push({
+          type: 'mean_shift',
+          column,
+          severity: 'moderate',
+          message: message('meanShift', { column, before: before.mean, after: after.mean, shift }),
+          before: before.mean,
+          after: after.mean,
+        });
+      }
+    }
+
+    const distance = categoryDistance(before.top_values, after.top_values);
+    if (distance != null && distance > thresholds.categoryShift) {
+      warnings.push({
+        type: 'category_shift',
+        column,
+        severity: 'moderate',
+        message: message('categoryShift', { column, percent: distance * 100 }),
+        before: null,
+        after: distance,
+      });
+    }
+  });
+
+  return warnings;
+};
+
+// Métricas disponibles para la tendencia: globales y por columna (nulos y media)
+export const getTrendMetrics = (runs, { t } = createI18n(DEFAULT_LANGUAGE)) => {
+  const metrics = ['rows', 'quality', 'missing', 'duplicates'].map((id) => ({ id, label: t(`drift.metrics.${id}`) }));
+  const columns = new Set(runs.flatMap((run) => Object.keys(run.data.column_statistics || {})));
+  columns.forEach((column) => {
+    metrics.push({ id: `null:${column}`, label: t('drift.metrics.null', { column }) });
+    if (runs.some((run) => typeof run.data.column_statistics?.[column]?.mean === 'number')) {
+      metrics.push({ id: `mean:${column}`, label: t('drift.metrics.mean', { column }) });
+    }
+  });
+  return metrics;
+};
+
+const metricValue = (analysis, metric) => {
+  if (metric === 'rows') return analysis.basic_info?.total_rows ?? null;
+  if (metric === 'quality') return getOverallQuality(analysis.data_quality);
+  if (metric === 'missing') return analysis.missing_data?.total_missing_percentage ?? null;
+  if (metric === 'duplicates') return analysis.duplicates?.total_duplicates ?? null;
+  const [kind, ...rest] = metric.split(':');
+  const column = rest.join(':');
+  if (!(column in (analysis.column_statistics || {}))) return null;
+  if (kind === 'null') return nullRateOf(analysis, column);
+  if (kind === 'mean') return analysis.column_statistics[column].mean ?? null;
+  return null;
+};
+
+// Serie [{ run, value }] de una métrica a lo largo de las ejecuciones (de la más antigua a la actual)
+export const buildTrendSeries = (runs, metric) => runs.map((run) => ({
+  run: run.label,
+  value: metricValue(run.data, metric),
+}));
@@ -0,0 +1,71 @@
+import { findPreviousRuns, detectDrift, getTrendMetrics, buildTrendSeries } from './drift';
+import { createI18n } from './i18n';
+
+const baseline = {
+  basic_info: { total_rows: 100 },
+  data_quality: { completeness: 90, validity: 80 },
+  column_statistics: {
+    id: { dtype: 'int64', null_percentage: 0 },
+    monto: { dtype: 'float64', null_percentage: 1, mean: 100, std: 10 },
+    estado: { dtype: 'object', null_percentage: 0, top_values: { A: 50, B: 50 } },
+    region: { dtype: 'object', null_percentage: 0 },
+  },
+};
+
+const current = {
+  basic_info: { total_rows: 120 },
+  data_quality: { completeness: 70, validity: 80 },
+  column_statistics: {
+    id: { dtype: 'object', null_percentage: 0 },
+    monto: { dtype: 'float64', null_percentage: 12, mean: 108, std: 10 },
+    estado: { dtype: 'object', null_percentage: 0, top_values: { A: 90, B: 5, C: 5 } },
+    canal: { dtype: 'object', null_percentage: 0 },
+  },
+};
+
+test('busca ejecuciones anteriores con el mismo nombre', () => {
+  const summaries = [
+    { id: 1, name: 'ventas.csv', date: '2024-01-01' },
+    { id: 2, name: 'otro.csv', date: '2024-01-08' },
+    { id: 3, name: 'ventas.csv', date: '2024-01-15' },
+    { id: 4, name: 'ventas.csv', date: '2024-01-22' },
+  ];
+  expect(findPreviousRuns(summaries, 'ventas.csv', { excludeId: 4 }).map((run) => run.id)).toEqual([3, 1]);
+  expect(findPreviousRuns(summaries, 'ventas.csv', { before: '2024-01-15' }).map((run) => run.id)).toEqual([1]);
+  // Una subida sin id es la ejecución más reciente del historial
+  expect(findPreviousRuns(summaries, 'ventas.csv', { excludeLatest: true }).map((run) => run.id)).toEqual([3, 1]);
+  expect(findPreviousRuns(summaries, 'otro.csv', { excludeLatest: true })).toEqual([]);
+});
+
+test('detecta cambios de esquema, nulos, medias y categorías', () => {
+  const warnings = detectDrift(baseline, current);
+  const byType = (type) => warnings.filter((warning) => warning.type === type).map((warning) => warning.column);
+
+  expect(byType('removed')).toEqual(['region']);
+  expect(byType('added')).toEqual(['canal']);
+  expect(byType('retyped')).toEqual(['id']);
+  expect(byType('null_rate')).toEqual(['monto']);
+  expect(byType('mean_shift')).toEqual(['monto']);
+  expect(byType('category_shift')).toEqual(['estado']);
+
+  expect(detectDrift(baseline, current, { nullRate: 20, meanShift: 1, categoryShift: 0.5 })
+    .filter((warning) => ['null_rate', 'mean_shift', 'category_shift'].includes(warning.type))).toEqual([]);
+});
+
+test('construye series de tendencia por métrica', () => {
+  const runs = [{ label: 'ene', data: baseline }, { label: 'Actual', data: current }];
+  expect(getTrendMetrics(runs).map((metric) => metric.id)).toContain('mean:monto');
+  expect(getTrendMetrics(runs, createI18n('en')).find((metric) => metric.id === 'mean:monto').label).toBe('Mean of monto');
+  expect(buildTrendSeries(runs, 'quality')).toEqual([{ run: 'ene', value: 85 }, { run: 'Actual', value: 75 }]);
+  expect(buildTrendSeries(runs, 'null:region')).toEqual([{ run: 'ene', value: 0 }, { run: 'Actual', value: null }]);
+});
+
+test('las advertencias son mensajes del catálogo con los valores sin formato', () => {
+  const warning = detectDrift(baseline, current).find((item) => item.type === 'retyped');
+  expect(warning.message).toEqual({
+    code: 'drift.warnings.retyped',
+    params: { column: 'id', before: warning.before, after: warning.after },
+  });
+  const en = createI18n('en');
+  expect(en.translateMessage(warning.message)).toBe(`id changed type: ${warning.before} → ${warning.after}`);
+});
@@ -0,0 +1,35 @@
+// src/services/formats/csv.js
+import { detectDelimiter, parseCsv } from '../csvParser';
+import { decodeText } from './text';
+import { FORMAT_EXTENSIONS } from './extensions';
+
+// Lee texto delimitado; si no se indica delimitador se detecta automáticamente
+export const readDelimited = (buffer, delimiter = null) => {
+  const text = decodeText(buffer);
+  const records = [];
+  parseCsv(text, delimiter || detectDelimiter(text), (fields) => {
+    records.push(fields);
+  });
+
+  const [headers = [], ...rows] = records;
+  return { headers: headers.map((header) => header.trim()), rows };
+};
+
+export const csvFormat = {
+  id: 'csv',
+  label: 'CSV',
+  extensions: FORMAT_EXTENSIONS.csv,
+  detect: () => false, // Formato por defecto para texto delimitado
+  read: async (buffer) => readDelimited(buffer),
+};
+
+export const tsvFormat = {
+  id: 'tsv',
+  label: 'TSV',
+  extensions: FORMAT_EXTENSIONS.tsv,
+  detect: (bytes) => {
+    const firstLine = new TextDecoder().decode(bytes.subarray(0, 4096)).split(/\r?\n/)[0];
+    return firstLine.includes('\t') && detectDelimiter(firstLine) === '\t';
+  },
+  read: async (buffer) => readDelimited(buffer, '\t'),
+};
@@ -0,0 +1,32 @@
+// src/services/formats/excel.js
+import * as XLSX from 'xlsx';
+import { cellToString } from './text';
+import { FORMAT_EXTENSIONS } from './extensions';
+
+const readWorkbook = (buffer, options = {}) => XLSX.read(new Uint8Array(buffer), { type: 'array', ...options });
+
+export const excelFormat = {
+  id: 'excel',
+  label: 'Excel',
+  extensions: FORMAT_EXTENSIONS.excel,
+  // ZIP (xlsx) o documento OLE2 (xls)
+  detect: (bytes) =>
+    (bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04) ||
+    (bytes[0] === 0xd0 && bytes[1] === 0xcf && bytes[2] === 0x11 && bytes[3] === 0xe0),
+  listSheets: async (buffer) => readWorkbook(buffer, { bookSheets: true }).SheetNames,
+  read: async (buffer, { sheet } = {}) => {
+    const workbook = readWorkbook(buffer, { cellDates: true });
+    const sheetName = sheet || workbook.SheetNames[0];
+    const worksheet = workbook.Sheets[sheetName];
+    if (!worksheet) {
+      throw new Error(`La hoja "${sheetName}" no existe en el archivo`);
+    }
+
+    const [headers = [], ...rows] = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: null, blankrows: false });
+    const width = headers.length;
+    return {
+      headers: headers.map((header, index) => cellToString(header).trim() || `Unnamed: ${index}`),
+      rows: rows.map((row) => Array.from({ length: width }, (_, index) => cellToString(row[index]))),
+    };
+  },
+};
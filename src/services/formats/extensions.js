@@ -0,0 +1,31 @@
+// src/services/formats/extensions.js
+// Extensiones por formato. Se mantiene separado de los lectores para que validar un
+// nombre de archivo no cargue xlsx ni hyparquet en el bundle principal.
+
+export const FORMAT_EXTENSIONS = {
+  csv: ['.csv'],
+  tsv: ['.tsv', '.tab'],
+  json: ['.json', '.ndjson', '.jsonl'],
+  excel: ['.xlsx', '.xlsm', '.xls'],
+  parquet: ['.parquet', '.pq'],
+};
+
+export const getExtension = (name) => {
+  const dot = name.lastIndexOf('.');
+  return dot === -1 ? '' : name.slice(dot).toLowerCase();
+};
+
+export const getSupportedExtensions = () => Object.values(FORMAT_EXTENSIONS).flat();
+
+// Valor para el atributo accept del <input type="file">
+export const getAcceptAttribute = () => getSupportedExtensions().join(',');
+
+export const isSupportedFileName = (name) => getSupportedExtensions().includes(getExtension(name));
+
+export const isCsvFileName = (name) => FORMAT_EXTENSIONS.csv.includes(getExtension(name));
+
+// Nombre del CSV convertido: ventas.xlsx + hoja "Enero" -> ventas_Enero.csv
+export const toCsvFileName = (name, sheet = null) => {
+  const base = name.replace(/\.[^.]+$/, '');
+  return `${base}${sheet ? `_${sheet.replace(/[^\w-]+/g, '_')}` : ''}.csv`;
+};
@@ -0,0 +1,72 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  detectFormat,
+  inspectDataset,
+  readTable,
+  tableToCsv,
+  toCsvFileName,
+  isSupportedFileName,
+} from './index';
+
+const fixture = (name) => {
+  // Copiar a un ArrayBuffer del entorno de prueba (jsdom usa otro realm que Node)
+  return Uint8Array.from(fs.readFileSync(path.join(__dirname, '__fixtures__', name))).buffer;
+};
+
+const EXPECTED_ROWS = [
+  ['1', 'Ana', '31', 'true'],
+  ['2', 'Luis', '', 'false'],
+  ['3', 'María', '45', 'true'],
+];
+
+test.each([
+  ['sample.csv', 'csv'],
+  ['sample.tsv', 'tsv'],
+  ['sample.json', 'json'],
+  ['sample.ndjson', 'json'],
+  ['sample.xlsx', 'excel'],
+  ['sample.parquet', 'parquet'],
+])('detecta el formato de %s', (name, expected) => {
+  expect(detectFormat(name, fixture(name)).id).toBe(expected);
+});
+
+test('detecta el formato por contenido cuando la extensión no coincide', () => {
+  expect(detectFormat('export.dat', fixture('sample.parquet')).id).toBe('parquet');
+  expect(detectFormat('export.txt', fixture('sample.xlsx')).id).toBe('excel');
+});
+
+test.each(['sample.csv', 'sample.tsv', 'sample.ndjson', 'sample.xlsx', 'sample.parquet'])(
+  'lee %s como tabla de texto',
+  async (name) => {
+    const table = await readTable(name, fixture(name));
+    expect(table.headers).toEqual(['id', 'nombre', 'edad', 'activo']);
+    expect(table.rows).toEqual(EXPECTED_ROWS);
+  }
+);
+
+test('aplana objetos anidados en JSON', async () => {
+  const table = await readTable('sample.json', fixture('sample.json'));
+  expect(table.headers).toEqual(['id', 'nombre', 'edad', 'activo', 'direccion.ciudad']);
+  expect(table.rows[2]).toEqual(['3', 'María', '45', 'true', 'Bogotá']);
+});
+
+test('lista las hojas de Excel y lee la hoja elegida', async () => {
+  const buffer = fixture('sample.xlsx');
+  const info = await inspectDataset('sample.xlsx', buffer);
+  expect(info.sheets).toEqual(['Clientes', 'Ventas']);
+
+  const table = await readTable('sample.xlsx', buffer, { sheet: 'Ventas' });
+  expect(table).toEqual({ headers: ['mes', 'ventas'], rows: [['enero', '100'], ['febrero', '150']] });
+});
+
+test('serializa la tabla a CSV escapando comillas y comas', () => {
+  const csv = tableToCsv({ headers: ['a', 'b'], rows: [['1,5', 'dijo "hola"']] });
+  expect(csv).toBe('a,b\n"1,5","dijo ""hola"""');
+  expect(toCsvFileName('ventas 2024.xlsx', 'Hoja 1')).toBe('ventas 2024_Hoja_1.csv');
+});
+
+test('acepta solo extensiones registradas', () => {
+  expect(isSupportedFileName('datos.XLSX')).toBe(true);
+  expect(isSupportedFileName('datos.pdf')).toBe(false);
+});
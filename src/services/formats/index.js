@@ -0,0 +1,47 @@
+// src/services/formats/index.js
+// Capa de formatos de entrada: cada formato declara extensiones, una detección por
+// contenido y un lector que devuelve una tabla { headers, rows } de texto.
+import { csvFormat, tsvFormat } from './csv';
+import { jsonFormat } from './json';
+import { excelFormat } from './excel';
+import { parquetFormat } from './parquet';
+import { FORMAT_EXTENSIONS, getExtension } from './extensions';
+
+export * from './extensions';
+export { tableToCsv } from './text';
+
+// El orden importa: la detección por contenido prueba los formatos binarios primero
+const FORMATS = [parquetFormat, excelFormat, jsonFormat, tsvFormat, csvFormat];
+
+// Registra un formato adicional; sus extensiones pasan a ser aceptadas por la UI y la API
+export const registerFormat = (format) => {
+  FORMATS.splice(FORMATS.length - 1, 0, format);
+  FORMAT_EXTENSIONS[format.id] = format.extensions;
+};
+
+export const getFormats = () => [...FORMATS];
+
+// Detecta el formato por extensión y, si no coincide con el contenido, por firma de bytes
+export const detectFormat = (name, buffer) => {
+  const bytes = new Uint8Array(buffer.slice(0, 4096));
+  const byExtension = FORMATS.find((format) => format.extensions.includes(getExtension(name)));
+  const byContent = FORMATS.find((format) => format.detect(bytes));
+
+  if (byExtension && (!byContent || byContent === byExtension || byExtension.id === 'csv')) {
+    // Un .csv con tabuladores sigue siendo texto delimitado; se respeta la extensión
+    return byExtension;
+  }
+  return byContent || byExtension || csvFormat;
+};
+
+// Devuelve el formato detectado y, para libros de Excel, la lista de hojas
+export const inspectDataset = async (name, buffer) => {
+  const format = detectFormat(name, buffer);
+  return {
+    format: format.id,
+    label: format.label,
+    sheets: format.listSheets ? await format.listSheets(buffer) : [],
+  };
+};
+
+export const readTable = async (name, buffer, options = {}) => detectFormat(name, buffer).read(buffer, options);
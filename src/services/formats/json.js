@@ -0,0 +1,56 @@
+// src/services/formats/json.js
+import { decodeText, objectsToTable } from './text';
+import { FORMAT_EXTENSIONS } from './extensions';
+
+// Aplana objetos anidados con claves separadas por punto: { a: { b: 1 } } -> { 'a.b': 1 }
+export const flattenObject = (object, prefix = '', target = {}) => {
+  Object.entries(object).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flattenObject(value, path, target);
+    } else {
+      target[path] = value;
+    }
+  });
+  return target;
+};
+
+// Extrae los registros de un arreglo JSON, de { data | results | records: [...] } o de NDJSON
+export const parseJsonRecords = (text) => {
+  const trimmed = text.trim();
+  try {
+    const parsed = JSON.parse(trimmed);
+    if (Array.isArray(parsed)) return parsed;
+    const nested = parsed.data || parsed.results || parsed.records || parsed.rows;
+    if (Array.isArray(nested)) return nested;
+    return [parsed];
+  } catch (error) {
+    // Si no es un único documento JSON, intentar NDJSON (un objeto por línea)
+    return trimmed
+      .split(/\r?\n/)
+      .filter((line) => line.trim() !== '')
+      .map((line, index) => {
+        try {
+          return JSON.parse(line);
+        } catch (lineError) {
+          throw new Error(`JSON inválido en la línea ${index + 1}`);
+        }
+      });
+  }
+};
+
+export const jsonFormat = {
+  id: 'json',
+  label: 'JSON / NDJSON',
+  extensions: FORMAT_EXTENSIONS.json,
+  detect: (bytes) => {
+    const start = new TextDecoder().decode(bytes.subarray(0, 64)).trimStart();
+    return start.startsWith('[') || start.startsWith('{');
+  },
+  read: async (buffer) => {
+    const records = parseJsonRecords(decodeText(buffer));
+    return objectsToTable(records.map((record) => (
+      record && typeof record === 'object' && !Array.isArray(record) ? flattenObject(record) : { value: record }
+    )));
+  },
+};
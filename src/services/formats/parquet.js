@@ -0,0 +1,14 @@
+// src/services/formats/parquet.js
+import { parquetReadObjects } from 'hyparquet';
+import { objectsToTable } from './text';
+import { FORMAT_EXTENSIONS } from './extensions';
+
+const MAGIC = [0x50, 0x41, 0x52, 0x31]; // "PAR1"
+
+export const parquetFormat = {
+  id: 'parquet',
+  label: 'Parquet',
+  extensions: FORMAT_EXTENSIONS.parquet,
+  detect: (bytes) => MAGIC.every((byte, index) => bytes[index] === byte),
+  read: async (buffer) => objectsToTable(await parquetReadObjects({ file: buffer })),
+};
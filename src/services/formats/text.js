@@ -0,0 +1,46 @@
+// src/services/formats/text.js
+import { detectEncoding } from '../csvParser';
+
+// Decodifica un ArrayBuffer respetando BOM y recurriendo a Windows-1252 si no es UTF-8
+export const decodeText = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  const encoding = detectEncoding(bytes);
+  return new TextDecoder(encoding.encoding).decode(bytes.subarray(encoding.bomLength));
+};
+
+// Convierte cualquier valor de celda a texto; null/undefined quedan como celda vacía
+export const cellToString = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return isNaN(value) ? '' : value.toISOString();
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Construye una tabla { headers, rows } a partir de objetos, uniendo todas las claves
+export const objectsToTable = (objects) => {
+  const headers = [];
+  const seen = new Set();
+  objects.forEach((object) => {
+    Object.keys(object).forEach((key) => {
+      if (!seen.has(key)) {
+        seen.add(key);
+        headers.push(key);
+      }
+    });
+  });
+
+  return {
+    headers,
+    rows: objects.map((object) => headers.map((header) => cellToString(object[header]))),
+  };
+};
+
+const escapeCsvField = (value) => (
+  /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value
+);
+
+// Serializa una tabla a CSV (coma, UTF-8) tal como lo espera /upload/
+export const tableToCsv = ({ headers, rows }) => [headers, ...rows]
+  .map((row) => row.map((value) => escapeCsvField(String(value ?? ''))).join(','))
+  .join('\n');
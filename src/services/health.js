@@ -0,0 +1,69 @@
+// src/services/health.js
+// Estado de conexión con la API a partir de consultas periódicas a /health/.
+// Distingue un backend dormido (Render y similares tardan hasta un minuto en arrancar)
+// de uno caído, para esperar sin mandar al usuario al análisis local.
+import { NetworkError, TimeoutError, ServerError } from './client/errors';
+
+// 'unknown' solo antes de la primera respuesta
+export const HEALTH_STATUSES = ['unknown', 'online', 'waking', 'offline'];
+
+export const HEALTH_DEFAULTS = {
+  onlineInterval: 30000, // Con la API disponible basta una consulta cada 30 s
+  wakingInterval: 3000,
+  offlineBaseDelay: 5000,
+  offlineMaxDelay: 60000,
+  wakeWindow: 90000, // Tras 90 s sin respuesta el servidor se da por caído
+  slowLatency: 5000, // Una respuesta más lenta indica que el servidor acaba de despertar
+};
+
+export const initialHealthState = {
+  status: 'unknown',
+  latency: null,
+  version: null,
+  lastChecked: null,
+  failures: 0,
+  wakingSince: null,
+  error: null,
+  wokeUp: false, // true en la primera respuesta tras esperar a que el servidor despierte
+};
+
+// 502/503/504 y los timeouts son típicos de un servidor arrancando; un rechazo de
+// conexión u otro error indica que no hay nada escuchando
+export const isWakingFailure = (error) => error instanceof TimeoutError
+  || (error instanceof ServerError && [502, 503, 504].includes(error.status));
+
+export const getHealthVersion = (data) => data?.version || data?.api_version || null;
+
+// Aplica el resultado de una consulta: { ok, latency, data, error, at }
+export const applyHealthResult = (state, { ok, latency = null, data = null, error = null, at = Date.now() }, options = HEALTH_DEFAULTS) => {
+  if (ok) {
+    return {
+      status: 'online',
+      latency,
+      version: getHealthVersion(data) ?? state.version,
+      lastChecked: at,
+      failures: 0,
+      wakingSince: null,
+      error: null,
+      wokeUp: state.status === 'waking' || (state.status === 'unknown' && latency != null && latency > options.slowLatency),
+    };
+  }
+
+  const failures = state.failures + 1;
+  const base = { ...state, lastChecked: at, failures, error: error?.message || 'Sin respuesta', wokeUp: false };
+  const wakingSince = state.wakingSince ?? at;
+  if (isWakingFailure(error) && at - wakingSince < options.wakeWindow) {
+    return { ...base, status: 'waking', wakingSince };
+  }
+  return { ...base, status: 'offline', wakingSince: null };
+};
+
+// Espera hasta la próxima consulta según el estado
+export const nextHealthDelay = (state, options = HEALTH_DEFAULTS) => {
+  if (state.status === 'online') return options.onlineInterval;
+  if (state.status === 'waking') return options.wakingInterval;
+  return Math.min(options.offlineMaxDelay, options.offlineBaseDelay * 2 ** Math.max(0, state.failures - 1));
+};
+
+// Un error de red en cualquier petición sirve como indicio para el monitor
+export const isConnectionFailure = (error) => error instanceof NetworkError || isWakingFailure(error);
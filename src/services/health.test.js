@@ -0,0 +1,46 @@
+import { initialHealthState, applyHealthResult, nextHealthDelay, isConnectionFailure, HEALTH_DEFAULTS } from './health';
+import { NetworkError, TimeoutError, ServerError, ValidationError } from './client/errors';
+
+test('marca la API disponible con latencia y versión', () => {
+  const state = applyHealthResult(initialHealthState, { ok: true, latency: 120, data: { status: 'ok', version: '1.4' }, at: 1000 });
+  expect(state).toMatchObject({ status: 'online', latency: 120, version: '1.4', lastChecked: 1000, failures: 0, wokeUp: false });
+  expect(nextHealthDelay(state)).toBe(HEALTH_DEFAULTS.onlineInterval);
+});
+
+test('detecta un servidor dormido y su despertar', () => {
+  let state = applyHealthResult(initialHealthState, { ok: false, error: new ServerError(undefined, { status: 503 }), at: 0 });
+  expect(state.status).toBe('waking');
+  expect(state.wakingSince).toBe(0);
+  expect(nextHealthDelay(state)).toBe(HEALTH_DEFAULTS.wakingInterval);
+
+  state = applyHealthResult(state, { ok: false, error: new TimeoutError(), at: 20000 });
+  expect(state).toMatchObject({ status: 'waking', wakingSince: 0, failures: 2 });
+
+  state = applyHealthResult(state, { ok: true, latency: 300, data: {}, at: 25000 });
+  expect(state).toMatchObject({ status: 'online', wokeUp: true, wakingSince: null });
+
+  // Una primera respuesta muy lenta también indica un arranque en frío
+  const slow = applyHealthResult(initialHealthState, { ok: true, latency: 40000, data: {} });
+  expect(slow.wokeUp).toBe(true);
+});
+
+test('pasa a desconectada si no despierta o no hay servidor', () => {
+  const waking = applyHealthResult(initialHealthState, { ok: false, error: new TimeoutError(), at: 0 });
+  const expired = applyHealthResult(waking, { ok: false, error: new TimeoutError(), at: HEALTH_DEFAULTS.wakeWindow + 1 });
+  expect(expired.status).toBe('offline');
+
+  let state = applyHealthResult(initialHealthState, { ok: false, error: new NetworkError(), at: 0 });
+  expect(state.status).toBe('offline');
+  expect(nextHealthDelay(state)).toBe(5000);
+  state = applyHealthResult(state, { ok: false, error: new NetworkError(), at: 1 });
+  state = applyHealthResult(state, { ok: false, error: new NetworkError(), at: 2 });
+  expect(nextHealthDelay(state)).toBe(20000);
+  expect(nextHealthDelay({ ...state, failures: 10 })).toBe(HEALTH_DEFAULTS.offlineMaxDelay);
+});
+
+test('solo los fallos de conexión afectan al monitor', () => {
+  expect(isConnectionFailure(new NetworkError())).toBe(true);
+  expect(isConnectionFailure(new ServerError(undefined, { status: 502 }))).toBe(true);
+  expect(isConnectionFailure(new ServerError(undefined, { status: 500 }))).toBe(false);
+  expect(isConnectionFailure(new ValidationError('Archivo vacío'))).toBe(false);
+});
@@ -0,0 +1,66 @@
+// src/services/history.js
+
+// Calcula la calidad global como promedio de las métricas de data_quality
+export const getOverallQuality = (dataQuality) => {
+  const scores = Object.values(dataQuality || {}).filter((value) => typeof value === 'number');
+  if (scores.length === 0) {
+    return null;
+  }
+  return scores.reduce((sum, value) => sum + value, 0) / scores.length;
+};
+
+// Normaliza una entrada de /analyses/ a un resumen común para la UI
+export const normalizeAnalysisSummary = (entry) => {
+  const analysis = entry.analysis || entry.analysis_results || entry;
+  const basicInfo = analysis.basic_info || {};
+
+  return {
+    id: entry.id,
+    name: entry.name || entry.file_name || `Análisis ${entry.id}`,
+    date: entry.created_at || entry.uploaded_at || entry.date || null,
+    rows: basicInfo.total_rows ?? entry.total_rows ?? null,
+    columns: basicInfo.total_columns ?? entry.total_columns ?? null,
+    quality: entry.overall_quality ?? getOverallQuality(analysis.data_quality),
+  };
+};
+
+// La API puede devolver un arreglo plano o una respuesta paginada de DRF
+export const extractAnalysesList = (response) => {
+  if (Array.isArray(response)) {
+    return response;
+  }
+  return response?.results || response?.analyses || [];
+};
+
+const SORTERS = {
+  date: (a, b) => new Date(a.date || 0) - new Date(b.date || 0),
+  name: (a, b) => a.name.localeCompare(b.name),
+  rows: (a, b) => (a.rows ?? -1) - (b.rows ?? -1),
+  columns: (a, b) => (a.columns ?? -1) - (b.columns ?? -1),
+  quality: (a, b) => (a.quality ?? -1) - (b.quality ?? -1),
+};
+
+export const HISTORY_SORT_FIELDS = Object.keys(SORTERS);
+
+// Filtra por nombre y ordena los resúmenes del historial
+export const filterAndSortAnalyses = (summaries, { search = '', sortBy = 'date', direction = 'desc' } = {}) => {
+  const term = search.trim().toLowerCase();
+  const sorter = SORTERS[sortBy] || SORTERS.date;
+
+  return summaries
+    .filter((summary) => !term || summary.name.toLowerCase().includes(term))
+    .sort((a, b) => (direction === 'asc' ? sorter(a, b) : sorter(b, a)));
+};
+
+// Devuelve la página solicitada junto con el total de páginas
+export const paginate = (items, page, pageSize) => {
+  const totalPages = Math.max(1, Math.ceil(items.length / pageSize));
+  const currentPage = Math.min(Math.max(1, page), totalPages);
+  const start = (currentPage - 1) * pageSize;
+
+  return {
+    items: items.slice(start, start + pageSize),
+    page: currentPage,
+    totalPages,
+  };
+};
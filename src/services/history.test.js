@@ -0,0 +1,54 @@
+import { getOverallQuality, normalizeAnalysisSummary, extractAnalysesList, filterAndSortAnalyses, paginate } from './history';
+
+const summaries = [
+  { id: 1, name: 'ventas.csv', date: '2024-01-10', rows: 500, columns: 8, quality: 92 },
+  { id: 2, name: 'clientes.csv', date: '2024-03-02', rows: null, columns: 4, quality: 71.5 },
+  { id: 3, name: 'VentasDiciembre.csv', date: '2023-12-31', rows: 1200, columns: 8, quality: null },
+];
+
+test('la calidad global promedia solo las métricas numéricas', () => {
+  expect(getOverallQuality({ completeness: 90, validity: 80, notes: 'n/a' })).toBe(85);
+  expect(getOverallQuality({})).toBeNull();
+  expect(getOverallQuality(undefined)).toBeNull();
+});
+
+test('normaliza las entradas de /analyses/ con o sin el análisis anidado', () => {
+  expect(normalizeAnalysisSummary({
+    id: 7,
+    file_name: 'ventas.csv',
+    uploaded_at: '2024-01-10T09:00:00Z',
+    analysis_results: { basic_info: { total_rows: 500, total_columns: 8 }, data_quality: { completeness: 90, validity: 70 } },
+  })).toEqual({ id: 7, name: 'ventas.csv', date: '2024-01-10T09:00:00Z', rows: 500, columns: 8, quality: 80 });
+
+  expect(normalizeAnalysisSummary({ id: 8, total_rows: 10, total_columns: 2, overall_quality: 55 })).toEqual({
+    id: 8, name: 'Análisis 8', date: null, rows: 10, columns: 2, quality: 55,
+  });
+});
+
+test('acepta listas planas y respuestas paginadas', () => {
+  expect(extractAnalysesList([{ id: 1 }])).toEqual([{ id: 1 }]);
+  expect(extractAnalysesList({ count: 1, results: [{ id: 2 }] })).toEqual([{ id: 2 }]);
+  expect(extractAnalysesList({ analyses: [{ id: 3 }] })).toEqual([{ id: 3 }]);
+  expect(extractAnalysesList(null)).toEqual([]);
+});
+
+test('filtra por nombre sin distinguir mayúsculas y ordena por el campo elegido', () => {
+  const ids = (options) => filterAndSortAnalyses([...summaries], options).map((summary) => summary.id);
+
+  expect(ids()).toEqual([2, 1, 3]);
+  expect(ids({ search: ' VENTAS ' })).toEqual([1, 3]);
+  expect(ids({ sortBy: 'name', direction: 'asc' })).toEqual([2, 1, 3]);
+  // Los valores desconocidos quedan al final en orden descendente
+  expect(ids({ sortBy: 'rows' })).toEqual([3, 1, 2]);
+  expect(ids({ sortBy: 'quality', direction: 'asc' })).toEqual([3, 2, 1]);
+  expect(ids({ sortBy: 'desconocido' })).toEqual(ids({ sortBy: 'date' }));
+});
+
+test('pagina y ajusta la página pedida al rango disponible', () => {
+  const items = Array.from({ length: 12 }, (_, index) => index + 1);
+
+  expect(paginate(items, 2, 5)).toEqual({ items: [6, 7, 8, 9, 10], page: 2, totalPages: 3 });
+  expect(paginate(items, 9, 5)).toEqual({ items: [11, 12], page: 3, totalPages: 3 });
+  expect(paginate(items, 0, 5).page).toBe(1);
+  expect(paginate([], 1, 5)).toEqual({ items: [], page: 1, totalPages: 1 });
+});
@@ -0,0 +1,141 @@
+// src/services/i18n.js
+// Traducciones y formato dependiente del idioma. Los textos viven en catálogos por
+// idioma (locales/) con claves anidadas: t('upload.select'), t('jobs.remaining', { eta }).
+import es from './locales/es';
+import en from './locales/en';
+
+export const LANGUAGES = [
+  { id: 'es', label: 'Español', locale: 'es-ES' },
+  { id: 'en', label: 'English', locale: 'en-US' },
+];
+
+export const DEFAULT_LANGUAGE = 'es';
+
+export const CATALOGS = { es, en };
+
+const LANGUAGE_KEY = 'app-language';
+
+export const getLocale = (language) =>
+  (LANGUAGES.find((entry) => entry.id === language) || LANGUAGES[0]).locale;
+
+// Idioma guardado o, la primera vez, el del navegador si está disponible
+export const loadLanguage = (storage = localStorage, browserLanguage = navigator.language) => {
+  const stored = storage.getItem(LANGUAGE_KEY);
+  if (CATALOGS[stored]) return stored;
+  const browser = String(browserLanguage || '').slice(0, 2).toLowerCase();
+  return CATALOGS[browser] ? browser : DEFAULT_LANGUAGE;
+};
+
+export const saveLanguage = (language, storage = localStorage) => {
+  storage.setItem(LANGUAGE_KEY, language);
+};
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+
+// Sustituye {nombre} por params.nombre; las entradas { one, other } eligen la forma según params.count
+export const translate = (language, key, params = {}) => {
+  let entry = lookup(CATALOGS[language], key);
+  if (entry === undefined && language !== DEFAULT_LANGUAGE) {
+    entry = lookup(CATALOGS[DEFAULT_LANGUAGE], key);
+  }
+  if (entry === undefined) return key;
+  if (typeof entry === 'object') {
+    const form = new Intl.PluralRules(getLocale(language)).select(params.count ?? 0);
+    entry = entry[form] ?? entry.other;
+  }
+  return String(entry).replace(/\{(\w+)\}/g, (match, name) => (params[name] == null ? match : String(params[name])));
+};
+
+export const createTranslator = (language) => (key, params) => translate(language, key, params);
+
+// Los errores de la API traen code (clave del catálogo) y params; si el mensaje viene
+// del servidor no hay code y se muestra tal cual
+export const describeError = (t, error, fallbackKey = 'errors.generic') => {
+  if (!error) return null;
+  if (typeof error === 'string') return error;
+  if (error.code) return t(error.code, error.params || {});
+  return error.message || t(fallbackKey);
+};
+
+// Las métricas de calidad que no estén en el catálogo se muestran con su nombre original
+export const describeQualityMetric = (t, metric) => {
+  const key = `results.metrics.${metric}`;
+  const label = t(key);
+  return label === key ? metric.replace('_', ' ') : label;
+};
+
+const isMissing = (value) => value == null || value === '' || Number.isNaN(Number(value));
+
+export const formatNumber = (value, language, { maximumFractionDigits = 2, ...options } = {}) =>
+  (isMissing(value) ? '—' : new Intl.NumberFormat(getLocale(language), { maximumFractionDigits, ...options }).format(Number(value)));
+
+// value en porcentaje (0-100), como lo devuelve el análisis
+export const formatPercent = (value, language, digits = 1) => (isMissing(value)
+  ? '—'
+  : new Intl.NumberFormat(getLocale(language), {
+    style: 'percent',
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  }).format(Number(value) / 100));
+
+export const formatDate = (value, language) => {
+  if (!value) return '—';
+  const date = new Date(value);
+  if (isNaN(date)) return String(value);
+  return new Intl.DateTimeFormat(getLocale(language), { dateStyle: 'medium', timeStyle: 'short' }).format(date);
+};
+
+export const formatTime = (value, language) => (value
+  ? new Intl.DateTimeFormat(getLocale(language), { timeStyle: 'medium' }).format(new Date(value))
+  : '—');
+
+const SIZE_UNITS = ['B', 'KB', 'MB', 'GB'];
+
+// Los análisis del servidor ya traen el tamaño como texto ("1.2 MB"); se muestra tal cual
+export const formatFileSize = (bytes, language) => {
+  if (typeof bytes !== 'number') return bytes || '—';
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < SIZE_UNITS.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${formatNumber(value, language, { maximumFractionDigits: unit === 0 ? 0 : 2 })} ${SIZE_UNITS[unit]}`;
+};
+
+// Los servicios y los workers no conocen el idioma: devuelven mensajes { code, params } con
+// los valores sin formato. Aquí los números se formatean (percent es un porcentaje 0-100),
+// count se deja tal cual porque elige el plural, los mensajes anidados se traducen y las
+// listas se unen con comas después de localizar cada elemento.
+const localizeValue = (language, key, value) => {
+  if (Array.isArray(value)) return value.map((item) => localizeValue(language, key, item)).join(', ');
+  if (value && typeof value === 'object' && value.code) return describeMessage(language, value);
+  if (typeof value !== 'number' || key === 'count') return value;
+  return key === 'percent' ? formatPercent(value, language) : formatNumber(value, language);
+};
+
+const localizeParams = (language, params = {}) =>
+  Object.fromEntries(Object.entries(params).map(([key, value]) => [key, localizeValue(language, key, value)]));
+
+export const describeMessage = (language, message) => {
+  if (!message) return null;
+  if (typeof message === 'string') return message;
+  return translate(language, message.code, localizeParams(language, message.params));
+};
+
+// Traductor y formateadores ligados a un idioma; es lo que expone useI18n
+export const createI18n = (language) => {
+  const t = createTranslator(language);
+  const translateLocalized = (key, params) => translate(language, key, localizeParams(language, params));
+  return {
+    language,
+    t,
+    translateError: (error, fallbackKey) => describeError(translateLocalized, error, fallbackKey),
+    translateMessage: (message) => describeMessage(language, message),
+    formatNumber: (value, options) => formatNumber(value, language, options),
+    formatPercent: (value, digits) => formatPercent(value, language, digits),
+    formatDate: (value) => formatDate(value, language),
+    formatTime: (value) => formatTime(value, language),
+    formatFileSize: (bytes) => formatFileSize(bytes, language),
+  };
+};
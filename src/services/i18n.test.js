@@ -0,0 +1,74 @@
+import {
+  CATALOGS,
+  translate,
+  loadLanguage,
+  saveLanguage,
+  describeError,
+  describeMessage,
+  createTranslator,
+  formatNumber,
+  formatPercent,
+  formatFileSize,
+} from './i18n';
+import { NetworkError, ValidationError, toApiError } from './client/errors';
+
+const memoryStorage = () => {
+  const data = new Map();
+  return { getItem: (key) => data.get(key) ?? null, setItem: (key, value) => data.set(key, value) };
+};
+
+// Lista de claves hoja de un catálogo ('upload.select', 'jobs.partial.rows', ...)
+const leafKeys = (node, prefix = '') => Object.entries(node).flatMap(([key, value]) => {
+  const path = prefix ? `${prefix}.${key}` : key;
+  const isPlural = value && typeof value === 'object' && 'other' in value;
+  return value && typeof value === 'object' && !isPlural ? leafKeys(value, path) : [path];
+});
+
+test('los catálogos tienen las mismas claves', () => {
+  expect(leafKeys(CATALOGS.en).sort()).toEqual(leafKeys(CATALOGS.es).sort());
+});
+
+test('interpola parámetros, elige plurales y recurre al español', () => {
+  expect(translate('es', 'health.waiting', { seconds: 5 })).toBe('Esperando 5 s');
+  expect(translate('en', 'jobs.partial.columns', { count: 1 })).toBe('1 column');
+  expect(translate('en', 'jobs.partial.columns', { count: 3 })).toBe('3 columns');
+  expect(translate('en', 'clave.inexistente')).toBe('clave.inexistente');
+});
+
+test('recuerda el idioma elegido y detecta el del navegador', () => {
+  const storage = memoryStorage();
+  expect(loadLanguage(storage, 'en-GB')).toBe('en');
+  expect(loadLanguage(storage, 'fr-FR')).toBe('es');
+  saveLanguage('en', storage);
+  expect(loadLanguage(storage, 'es-ES')).toBe('en');
+});
+
+test('traduce los errores de la API por su código', () => {
+  const t = createTranslator('en');
+  expect(describeError(t, new NetworkError())).toMatch(/Could not connect/);
+  expect(describeError(t, toApiError({ response: { status: 422, data: {} } }))).toBe('Invalid data (422)');
+  // El mensaje del servidor no se traduce
+  expect(describeError(t, toApiError({ response: { status: 400, data: { error: 'Columna vacía' } } }))).toBe('Columna vacía');
+  expect(describeError(t, new ValidationError('x', { code: 'errors.fileTooLarge', params: { max: '50 MB' } })))
+    .toBe('The file is too large. Maximum 50 MB');
+  expect(describeError(t, { code: 'upload.noFile' })).toBe('Please select a file');
+  expect(describeError(t, new Error(''))).toBe('An unexpected error occurred');
+});
+
+test('formatea números, porcentajes y tamaños según el idioma', () => {
+  expect(formatNumber(1234567.891, 'en')).toBe('1,234,567.89');
+  expect(formatNumber(1234567.891, 'es')).toBe('1.234.567,89');
+  expect(formatNumber(null, 'es')).toBe('—');
+  expect(formatPercent(12.345, 'en')).toBe('12.3%');
+  expect(formatFileSize(1536, 'en')).toBe('1.5 KB');
+  expect(formatFileSize(5 * 1024 * 1024, 'es')).toBe('5 MB');
+  expect(formatFileSize('1.20 MB', 'en')).toBe('1.20 MB');
+});
+
+test('traduce los mensajes de los servicios formateando sus números', () => {
+  const reason = { code: 'rules.results.observedRange', params: { min: 1000, max: 2500.5 } };
+  expect(describeMessage('en', { code: 'rules.import.invalidRule', params: { column: 'x', reason } }))
+    .toBe('Invalid rule (x): Observed values between 1,000 and 2,500.5');
+  expect(describeMessage('en', { code: 'rules.results.failing', params: { count: 1200, failing: 1200 } })).toBe('1,200 values fail');
+  expect(describeMessage('es', 'Mensaje del servidor')).toBe('Mensaje del servidor');
+});
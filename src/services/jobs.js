@@ -0,0 +1,87 @@
+// src/services/jobs.js
+// Trabajos de análisis asíncronos: la subida devuelve un job id y el estado se consulta
+// hasta que termina. Aquí solo hay funciones puras; las peticiones viven en api.js.
+import { createI18n, DEFAULT_LANGUAGE } from './i18n';
+
+export const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+export const isTerminalStatus = (status) => TERMINAL_STATUSES.includes(status);
+
+// Alias que usan distintos backends de colas (Celery, RQ, etc.)
+const STATUS_ALIASES = {
+  pending: 'queued',
+  received: 'queued',
+  queued: 'queued',
+  started: 'running',
+  processing: 'running',
+  progress: 'running',
+  running: 'running',
+  success: 'completed',
+  done: 'completed',
+  completed: 'completed',
+  failure: 'failed',
+  error: 'failed',
+  failed: 'failed',
+  revoked: 'cancelled',
+  canceled: 'cancelled',
+  cancelled: 'cancelled',
+};
+
+const toNumber = (value) => (value == null || value === '' || isNaN(Number(value)) ? null : Number(value));
+
+// Normaliza la respuesta de /jobs/ y /jobs/:id/ a una forma común para la UI.
+// progress se expresa siempre en porcentaje (0-100).
+export const normalizeJob = (raw) => {
+  const data = raw || {};
+  const status = STATUS_ALIASES[String(data.status || data.state || 'queued').toLowerCase()] || 'queued';
+  let progress = toNumber(data.progress ?? data.percent);
+  if (progress != null && progress > 0 && progress <= 1 && !Number.isInteger(progress)) {
+    progress *= 100;
+  }
+  if (status === 'completed') progress = 100;
+
+  const result = data.result || data.analysis_result || null;
+  return {
+    jobId: data.job_id ?? data.id ?? null,
+    status,
+    progress: progress == null ? null : Math.max(0, Math.min(100, progress)),
+    eta: toNumber(data.eta_seconds ?? data.eta),
+    partial: data.partial || data.partial_result || null,
+    result,
+    analysisId: data.analysis_id ?? result?.id ?? null,
+    error: data.error || (status === 'failed' ? data.message : null) || null,
+  };
+};
+
+// Segundos restantes extrapolando el ritmo desde que empezó el trabajo
+export const estimateEta = (progress, startedAt, now = Date.now()) => {
+  if (startedAt == null || !progress || progress <= 0 || progress >= 100) return null;
+  const elapsed = (now - startedAt) / 1000;
+  return Math.round((elapsed * (100 - progress)) / progress);
+};
+
+export const formatEta = (seconds) => {
+  if (seconds == null) return '—';
+  if (seconds < 60) return `${Math.max(0, Math.round(seconds))} s`;
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.round(seconds % 60);
+  return `${minutes} min ${String(rest).padStart(2, '0')} s`;
+};
+
+// Intervalo entre consultas: empieza rápido y se espacia para trabajos largos
+export const pollDelay = (attempt, { baseDelay = 1000, maxDelay = 10000 } = {}) =>
+  Math.min(maxDelay, Math.round(baseDelay * 1.5 ** attempt));
+
+// Resumen de los resultados parciales que el backend envía mientras analiza
+export const describePartial = (partial, { t, formatNumber, formatPercent } = createI18n(DEFAULT_LANGUAGE)) => {
+  if (!partial) return null;
+  const analysis = partial.analysis || partial;
+  const parts = [];
+  const rows = partial.rows_processed ?? analysis.basic_info?.total_rows;
+  if (rows != null) parts.push(t('jobs.partial.rows', { count: Number(rows), rows: formatNumber(rows) }));
+  const columns = analysis.basic_info?.total_columns;
+  if (columns != null) parts.push(t('jobs.partial.columns', { count: columns }));
+  const missing = analysis.missing_data?.total_missing_percentage;
+  if (missing != null) parts.push(t('jobs.partial.missing', { percent: formatPercent(missing) }));
+  return parts.length > 0 ? parts.join(' · ') : null;
+};
@@ -0,0 +1,41 @@
+import { normalizeJob, isTerminalStatus, estimateEta, formatEta, pollDelay, describePartial } from './jobs';
+
+test('normaliza estados y campos de distintos backends', () => {
+  expect(normalizeJob({ job_id: 'a1', status: 'PENDING' })).toMatchObject({ jobId: 'a1', status: 'queued', progress: null });
+  expect(normalizeJob({ id: 7, state: 'processing', progress: 0.42, eta: '30' })).toMatchObject({
+    jobId: 7, status: 'running', progress: 42, eta: 30,
+  });
+  expect(normalizeJob({ job_id: 'b', status: 'success', result: { id: 12, analysis: {} } })).toMatchObject({
+    status: 'completed', progress: 100, analysisId: 12,
+  });
+  expect(normalizeJob({ status: 'error', message: 'Sin memoria' })).toMatchObject({ status: 'failed', error: 'Sin memoria' });
+  expect(normalizeJob({ status: 'desconocido', progress: 250 }).progress).toBe(100);
+});
+
+test('distingue estados terminales', () => {
+  expect(isTerminalStatus('completed')).toBe(true);
+  expect(isTerminalStatus('cancelled')).toBe(true);
+  expect(isTerminalStatus('running')).toBe(false);
+  expect(isTerminalStatus('uploading')).toBe(false);
+});
+
+test('estima y formatea el tiempo restante', () => {
+  expect(estimateEta(25, 0, 10000)).toBe(30);
+  expect(estimateEta(0, 0, 10000)).toBeNull();
+  expect(estimateEta(50, null)).toBeNull();
+  expect(formatEta(null)).toBe('—');
+  expect(formatEta(42)).toBe('42 s');
+  expect(formatEta(185)).toBe('3 min 05 s');
+});
+
+test('espacia las consultas hasta el máximo', () => {
+  expect(pollDelay(0)).toBe(1000);
+  expect(pollDelay(2)).toBe(2250);
+  expect(pollDelay(20)).toBe(10000);
+});
+
+test('resume los resultados parciales', () => {
+  expect(describePartial(null)).toBeNull();
+  expect(describePartial({ rows_processed: 1500 })).toMatch(/filas procesadas/);
+  expect(describePartial({ basic_info: { total_rows: 10, total_columns: 3 } })).toMatch(/3 columnas/);
+});
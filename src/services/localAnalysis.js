@@ -0,0 +1,357 @@
+// src/services/localAnalysis.js
+// Motor de análisis en JavaScript que reproduce el esquema del backend.
+// Se ejecuta dentro de un Web Worker cuando la API no está disponible.
+import { detectDelimiter, parseCsv, detectHeaderRow, classifyValue, parseNumber } from './csvParser';
+import { createRandom, createReservoir } from './sampling';
+import { quantile, detectOutliers } from './outliers';
+import { ANALYSIS_SCHEMA_VERSION } from './analysisSchema';
+
+const HISTOGRAM_BINS = 10;
+const TOP_VALUES = 10;
+const MAX_CORRELATION_COLUMNS = 30;
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+// Asigna un dtype al estilo de pandas según la clase de todos los valores presentes
+const inferDtype = (classCounts, presentCount) => {
+  if (presentCount === 0) return 'object';
+  const count = (type) => classCounts[type] || 0;
+  if (count('entero') === presentCount) return 'int64';
+  if (count('entero') + count('decimal') === presentCount) return 'float64';
+  if (count('booleano') === presentCount) return 'bool';
+  if (count('fecha') === presentCount) return 'datetime64[ns]';
+  return 'object';
+};
+
+const isNumericDtype = (dtype) => dtype === 'int64' || dtype === 'float64';
+
+const describeColumn = (name, values, totalRows) => {
+  const classCounts = {};
+  const frequencies = new Map();
+  let nullCount = 0;
+
+  values.forEach((raw) => {
+    const value = raw == null ? '' : String(raw);
+    const type = classifyValue(value);
+    if (type === 'vacío') {
+      nullCount++;
+      return;
+    }
+    classCounts[type] = (classCounts[type] || 0) + 1;
+    frequencies.set(value, (frequencies.get(value) || 0) + 1);
+  });
+
+  const presentCount = totalRows - nullCount;
+  const dtype = inferDtype(classCounts, presentCount);
+  const dominant = Math.max(0, ...Object.values(classCounts));
+  // Un entero también es un decimal válido: una columna mixta entero/decimal es consistente
+  const numericCount = (classCounts.entero || 0) + (classCounts.decimal || 0);
+
+  const stats = {
+    dtype,
+    null_count: nullCount,
+    null_percentage: totalRows ? round((nullCount / totalRows) * 100) : 0,
+    unique_count: frequencies.size,
+    consistency: presentCount ? round((Math.max(dominant, numericCount) / presentCount) * 100) : 100,
+  };
+
+  if (isNumericDtype(dtype)) {
+    const numbers = values.map(parseNumber).filter((value) => !isNaN(value));
+    const sorted = [...numbers].sort((a, b) => a - b);
+    const mean = numbers.reduce((sum, value) => sum + value, 0) / (numbers.length || 1);
+    const variance = numbers.length > 1
+      ? numbers.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (numbers.length - 1)
+      : 0;
+
+    Object.assign(stats, {
+      min: sorted[0] ?? null,
+      max: sorted[sorted.length - 1] ?? null,
+      mean: numbers.length ? round(mean, 4) : null,
+      std: numbers.length ? round(Math.sqrt(variance), 4) : null,
+      median: numbers.length ? quantile(sorted, 0.5) : null,
+      q1: numbers.length ? quantile(sorted, 0.25) : null,
+      q3: numbers.length ? quantile(sorted, 0.75) : null,
+      histogram: buildHistogram(sorted),
+    });
+    stats.numbers = numbers;
+  } else {
+    stats.top_values = Object.fromEntries(
+      Array.from(frequencies.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, TOP_VALUES)
+    );
+  }
+
+  return { name, stats };
+};
+
+const buildHistogram = (sorted) => {
+  if (sorted.length === 0) return null;
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const width = (max - min) / HISTOGRAM_BINS || 1;
+  const counts = new Array(HISTOGRAM_BINS).fill(0);
+  const binEdges = Array.from({ length: HISTOGRAM_BINS + 1 }, (_, index) => round(min + index * width, 4));
+
+  sorted.forEach((value) => {
+    const index = Math.min(HISTOGRAM_BINS - 1, Math.floor((value - min) / width));
+    counts[index]++;
+  });
+
+  return { counts, bin_edges: binEdges };
+};
+
+// Atípicos por rango intercuartílico (1.5 × IQR), igual que el backend
+const summarizeOutliers = (column, stats, totalRows) => {
+  const { count, lowerBound, upperBound } = detectOutliers(stats.numbers, { method: 'iqr', threshold: 1.5 });
+
+  return {
+    column,
+    outlier_count: count,
+    percentage: totalRows ? round((count / totalRows) * 100) : 0,
+    lower_bound: round(lowerBound, 4),
+    upper_bound: round(upperBound, 4),
+  };
+};
+
+const pearson = (xs, ys) => {
+  let n = 0;
+  let sumX = 0;
+  let sumY = 0;
+  let sumXY = 0;
+  let sumX2 = 0;
+  let sumY2 = 0;
+  for (let i = 0; i < xs.length; i++) {
+    const x = xs[i];
+    const y = ys[i];
+    if (isNaN(x) || isNaN(y)) continue;
+    n++;
+    sumX += x;
+    sumY += y;
+    sumXY += x * y;
+    sumX2 += x * x;
+    sumY2 += y * y;
+  }
+  const denominator = Math.sqrt((n * sumX2 - sumX ** 2) * (n * sumY2 - sumY ** 2));
+  return n > 1 && denominator ? (n * sumXY - sumX * sumY) / denominator : null;
+};
+
+const buildCorrelations = (numericColumns, rows, headers) => {
+  const columns = numericColumns.slice(0, MAX_CORRELATION_COLUMNS);
+  const series = columns.map((column) => {
+    const index = headers.indexOf(column);
+    return rows.map((row) => parseNumber(row[index] ?? ''));
+  });
+
+  const pairs = [];
+  for (let i = 0; i < columns.length; i++) {
+    for (let j = i + 1; j < columns.length; j++) {
+      const correlation = pearson(series[i], series[j]);
+      if (correlation !== null) {
+        pairs.push({ var1: columns[i], var2: columns[j], correlation: round(correlation, 4) });
+      }
+    }
+  }
+  return pairs.sort((a, b) => Math.abs(b.correlation) - Math.abs(a.correlation));
+};
+
+const countDuplicates = (rows) => {
+  const seen = new Set();
+  const duplicateRows = [];
+  rows.forEach((row, index) => {
+    const key = JSON.stringify(row);
+    if (seen.has(key)) {
+      duplicateRows.push(index);
+    } else {
+      seen.add(key);
+    }
+  });
+  return duplicateRows;
+};
+
+const buildRecommendations = ({ missing, duplicates, outliers, columnStats }) => {
+  const critical = [];
+  const moderate = [];
+  const optional = [];
+
+  missing.forEach(({ column, percentage }) => {
+    const target = percentage > 20 ? critical : moderate;
+    target.push({
+      type: 'missing_values',
+      column,
+      description: `Tratar valores faltantes en ${column} (${percentage}%)`,
+    });
+  });
+
+  if (duplicates.total_duplicates > 0) {
+    critical.push({
+      type: 'duplicates',
+      description: `Eliminar duplicados (${duplicates.total_duplicates} registros)`,
+    });
+  }
+
+  outliers.filter(({ outlier_count: count }) => count > 0).forEach(({ column, outlier_count: count }) => {
+    moderate.push({
+      type: 'outliers',
+      column,
+      description: `Revisar ${count} valores atípicos en ${column}`,
+    });
+  });
+
+  Object.entries(columnStats).forEach(([column, stats]) => {
+    if (isNumericDtype(stats.dtype)) {
+      optional.push({ type: 'normalization', column, description: `Normalizar ${column}` });
+    } else if (stats.dtype === 'object' && stats.unique_count > 1 && stats.unique_count <= 20) {
+      optional.push({ type: 'encoding', column, description: `Codificar variable categórica ${column}` });
+    }
+  });
+
+  return { critical, moderate, optional };
+};
+
+export const formatFileSize = (bytes) => `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+
+// Analiza filas ya parseadas y devuelve la misma estructura que /upload/
+export const analyzeRecords = (headers, rows, { fileSize = 0 } = {}) => {
+  const totalRows = rows.length;
+  const described = headers.map((header, index) =>
+    describeColumn(header, rows.map((row) => row[index] ?? ''), totalRows)
+  );
+
+  const dataTypes = {};
+  described.forEach(({ stats }) => {
+    dataTypes[stats.dtype] = (dataTypes[stats.dtype] || 0) + 1;
+  });
+
+  const totalCells = totalRows * headers.length;
+  const totalMissing = described.reduce((sum, { stats }) => sum + stats.null_count, 0);
+  const columnsWithMissing = described
+    .filter(({ stats }) => stats.null_count > 0)
+    .map(({ name, stats }) => ({ column: name, count: stats.null_count, percentage: stats.null_percentage }));
+
+  const duplicateRows = countDuplicates(rows);
+  const duplicates = {
+    total_duplicates: duplicateRows.length,
+    percentage: totalRows ? round((duplicateRows.length / totalRows) * 100) : 0,
+    // Columnas casi únicas (posibles claves) que aun así tienen valores repetidos
+    columns_contributing: described
+      .filter(({ stats }) => stats.unique_count >= 0.95 * (totalRows - stats.null_count) && stats.unique_count < totalRows - stats.null_count)
+      .map(({ name }) => name),
+  };
+
+  const numericColumns = described.filter(({ stats }) => isNumericDtype(stats.dtype));
+  const outliers = numericColumns.map(({ name, stats }) => summarizeOutliers(name, stats, totalRows));
+  const numericCells = numericColumns.reduce((sum, { stats }) => sum + stats.numbers.length, 0);
+  const totalOutliers = outliers.reduce((sum, { outlier_count: count }) => sum + count, 0);
+
+  const columnStats = {};
+  described.forEach(({ name, stats }) => {
+    const { numbers, ...publicStats } = stats;
+    columnStats[name] = publicStats;
+  });
+
+  const completeness = totalCells ? 100 - (totalMissing / totalCells) * 100 : 100;
+  const consistency = described.length
+    ? described.reduce((sum, { stats }) => sum + stats.consistency, 0) / described.length
+    : 100;
+
+  return {
+    schema_version: ANALYSIS_SCHEMA_VERSION,
+    basic_info: {
+      total_rows: totalRows,
+      total_columns: headers.length,
+      file_size: formatFileSize(fileSize),
+      data_types: dataTypes,
+      columns: headers,
+    },
+    missing_data: {
+      columns_with_missing: columnsWithMissing,
+      total_missing_percentage: totalCells ? round((totalMissing / totalCells) * 100) : 0,
+    },
+    duplicates,
+    data_quality: {
+      completeness: round(completeness),
+      consistency: round(consistency),
+      validity: round(numericCells ? 100 - (totalOutliers / numericCells) * 100 : 100),
+      uniqueness: round(100 - duplicates.percentage),
+    },
+    outliers: {
+      columns_with_outliers: outliers.filter(({ outlier_count: count }) => count > 0),
+    },
+    correlation_matrix: buildCorrelations(numericColumns.map(({ name }) => name), rows, headers),
+    column_statistics: columnStats,
+    recommendations: buildRecommendations({
+      missing: columnsWithMissing,
+      duplicates,
+      outliers,
+      columnStats,
+    }),
+    analysis_status: 'completed',
+    source: 'local',
+  };
+};
+
+// Parsea el texto CSV en encabezados y filas
+export const parseCsvText = (text) => {
+  const delimiter = detectDelimiter(text);
+  const records = [];
+  parseCsv(text, delimiter, (fields) => {
+    records.push(fields);
+  });
+
+  const { headers, hasHeader } = resolveHeaders(records);
+  return { headers, rows: hasHeader ? records.slice(1) : records };
+};
+
+// Nombres de columna a partir de los primeros registros (basta con unos 50): la primera
+// fila si parece un encabezado o nombres genéricos si no
+export const resolveHeaders = (records) => {
+  const firstRow = records[0] || [];
+  const hasHeader = detectHeaderRow(firstRow, records.slice(1, 50));
+  const headers = hasHeader
+    ? firstRow.map((value, index) => value.trim() || `Unnamed: ${index}`)
+    : firstRow.map((_, index) => `columna_${index + 1}`);
+  return { headers, hasHeader };
+};
+
+// Parsea el texto CSV y lo analiza por completo
+export const analyzeCsvText = (text, options = {}) => {
+  const { headers, rows } = parseCsvText(text);
+  return analyzeRecords(headers, rows, options);
+};
+
+// Valores numéricos de una columna, para volver a detectar atípicos con otro método
+export const columnValuesFromText = (text, column) => {
+  const { headers, rows } = parseCsvText(text);
+  const index = headers.indexOf(column);
+  if (index === -1) {
+    throw new Error(`La columna ${column} no está en el archivo`);
+  }
+  return Float64Array.from(
+    rows.map((row) => parseNumber(row[index] ?? '')).filter((value) => !isNaN(value))
+  );
+};
+
+// Muestra reproducible de pares (x, y) numéricos para un diagrama de dispersión
+export const samplePairFromText = (text, var1, var2, { size = 500, seed = 42 } = {}) => {
+  const { headers, rows } = parseCsvText(text);
+  const xIndex = headers.indexOf(var1);
+  const yIndex = headers.indexOf(var2);
+  if (xIndex === -1 || yIndex === -1) {
+    throw new Error(`Las columnas ${var1} y ${var2} no están en el archivo`);
+  }
+
+  const reservoir = createReservoir(size, createRandom(seed));
+  rows.forEach((row) => {
+    const x = parseNumber(row[xIndex] ?? '');
+    const y = parseNumber(row[yIndex] ?? '');
+    if (!isNaN(x) && !isNaN(y)) {
+      reservoir.add({ x, y });
+    }
+  });
+
+  return { points: reservoir.items, total: reservoir.seen, seed };
+};
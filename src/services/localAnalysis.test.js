@@ -0,0 +1,45 @@
+import { analyzeCsvText } from './localAnalysis';
+
+const CSV = [
+  'id,edad,ingreso,ciudad',
+  '1,25,1000,Lima',
+  '2,30,1200,Quito',
+  '3,,1100,Lima',
+  '4,40,1300,Bogotá',
+  '5,35,90000,Lima',
+  '2,30,1200,Quito',
+].join('\n');
+
+test('produce la misma estructura que la respuesta del backend', () => {
+  const result = analyzeCsvText(CSV, { fileSize: CSV.length });
+
+  expect(Object.keys(result)).toEqual(expect.arrayContaining([
+    'basic_info', 'missing_data', 'duplicates', 'data_quality', 'outliers',
+    'correlation_matrix', 'column_statistics', 'recommendations',
+  ]));
+  expect(result.source).toBe('local');
+  expect(result.basic_info).toMatchObject({ total_rows: 6, total_columns: 4 });
+  expect(result.basic_info.data_types).toEqual({ int64: 3, object: 1 });
+});
+
+test('calcula faltantes, duplicados y atípicos', () => {
+  const result = analyzeCsvText(CSV);
+
+  expect(result.missing_data.columns_with_missing).toEqual([
+    { column: 'edad', count: 1, percentage: 16.67 },
+  ]);
+  expect(result.duplicates.total_duplicates).toBe(1);
+  expect(result.outliers.columns_with_outliers.map(({ column }) => column)).toEqual(['ingreso']);
+  expect(result.data_quality.uniqueness).toBeCloseTo(83.33, 2);
+});
+
+test('genera estadísticas por columna y correlaciones', () => {
+  const result = analyzeCsvText(CSV);
+  const edad = result.column_statistics.edad;
+
+  expect(edad).toMatchObject({ dtype: 'int64', null_count: 1, min: 25, max: 40, mean: 32 });
+  expect(edad.histogram.counts.reduce((sum, count) => sum + count, 0)).toBe(5);
+  expect(result.column_statistics.ciudad.top_values).toEqual({ Lima: 3, Quito: 2, 'Bogotá': 1 });
+  expect(result.correlation_matrix[0]).toHaveProperty('var1');
+  expect(result.recommendations.critical.map(({ type }) => type)).toContain('duplicates');
+});
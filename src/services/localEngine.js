@@ -0,0 +1,55 @@
+// src/services/localEngine.js
+import { runWorker } from './workerClient';
+import { toCsvFileName } from './formats/extensions';
+
+const createWorker = () => new Worker(new URL('../workers/localAnalysis.worker.js', import.meta.url));
+
+// Analiza el archivo completamente en el navegador (sin API) dentro de un Web Worker.
+// El resultado tiene la misma forma que la respuesta de /upload/ con source: 'local'.
+export const analyzeDatasetLocally = (file, { signal } = {}) => runWorker(
+  createWorker(),
+  { action: 'analyze', file },
+  { signal, fallbackError: 'Error en el análisis local' }
+);
+
+// Obtiene una muestra de pares (x, y) de dos columnas numéricas del archivo
+export const samplePairLocally = (file, var1, var2, { size = 500, seed = 42, signal } = {}) => runWorker(
+  createWorker(),
+  { action: 'samplePair', file, var1, var2, size, seed },
+  { signal, fallbackError: 'No se pudo muestrear el par de columnas' }
+);
+
+// Obtiene los valores numéricos de una columna del archivo (Float64Array)
+export const columnValuesLocally = (file, column, { signal } = {}) => runWorker(
+  createWorker(),
+  { action: 'columnValues', file, column },
+  { signal, fallbackError: 'No se pudieron leer los valores de la columna' }
+);
+
+// Evalúa las reglas de calidad contra todas las filas del archivo
+export const evaluateRulesLocally = (file, rules, { signal } = {}) => runWorker(
+  createWorker(),
+  { action: 'evaluateRules', file, rules },
+  { signal, fallbackError: 'No se pudieron evaluar las reglas' }
+);
+
+// Modo de archivo grande: recorre el archivo por bloques en un Web Worker, cuenta filas y
+// nulos exactos y devuelve { profile, sampleFile, analysis }. sampleFile es la muestra en
+// CSV, lista para subirla a /upload/; con analyze la muestra también se analiza aquí.
+export const profileLargeFileLocally = async (file, {
+  sampleSize,
+  seed,
+  method,
+  strataColumn,
+  analyze = false,
+  onProgress,
+  signal,
+} = {}) => {
+  const { profile, sampleCsv, analysis } = await runWorker(
+    new Worker(new URL('../workers/streamProfile.worker.js', import.meta.url)),
+    { file, sampleSize, seed, method, strataColumn, analyze },
+    { signal, onProgress, fallbackError: 'No se pudo recorrer el archivo' }
+  );
+  const sampleFile = new File([sampleCsv], toCsvFileName(file.name, 'muestra'), { type: 'text/csv' });
+  return { profile, sampleFile, analysis };
+};
@@ -0,0 +1,812 @@
+// src/services/locales/en.js
+// English catalog; must mirror the keys of es.js
+
+const en = {
+  app: {
+    title: 'Dataset Analysis Dashboard',
+    subtitle: 'Assess the quality of your data and make informed decisions about the treatment it needs',
+    retryConnection: 'Retry Connection',
+    language: 'Language',
+    skipToContent: 'Skip to content',
+    navigation: 'Main navigation',
+    theme: 'Theme',
+    themes: {
+      dark: 'Dark',
+      light: 'Light',
+      contrast: 'High contrast',
+    },
+    colorBlindPalette: 'Use a color-blind-safe chart palette',
+    colorBlindShort: 'Accessible palette',
+  },
+  nav: {
+    upload: 'Analyze',
+    history: 'History',
+    compare: 'Compare',
+    storage: 'Storage',
+    settings: 'Settings',
+  },
+  common: {
+    cancel: 'Cancel',
+    retry: 'Retry',
+    open: 'Open',
+    error: 'Error',
+    closeDetail: 'Close detail',
+  },
+  health: {
+    status: {
+      online: 'API Connected',
+      waking: 'Waking up server...',
+      offline: 'API Disconnected',
+      unknown: 'Checking...',
+    },
+    checked: 'Checked: {time}',
+    waiting: 'Waiting {seconds} s',
+    nextRetry: 'Retrying in {seconds} s',
+    wakingHint: 'The server was asleep and is starting up; analysis will be enabled as soon as it responds.',
+    ready: 'The server is ready.',
+  },
+  upload: {
+    title: 'Upload dataset',
+    select: 'Select File',
+    selectFolder: 'Select Folder',
+    dropHere: 'Drop files or folders to analyze them',
+    recent: 'Recent:',
+    formats: 'CSV, TSV, Excel (.xlsx/.xls), JSON/NDJSON or Parquet',
+    file: 'file',
+    converting: 'Converting {name} to CSV...',
+    sheet: 'Sheet:',
+    sheetName: '(sheet "{sheet}")',
+    convertedFrom: 'Converted from {format}: {name}',
+    analyze: 'Analyze Dataset',
+    analyzing: 'Analyzing...',
+    analyzeLocally: 'Analyze Locally',
+    addToQueue: 'Add to Queue',
+    fixFile: 'Fix the file',
+    reviewPii: 'Review personal data',
+    waitingForApi: 'Waiting for the server...',
+    options: {
+      chunked: 'Chunked upload (retries and resumes on unstable connections)',
+      background: 'Analyze in the background (job queue for large files)',
+      local: 'Analyze in the browser (without sending the file to the API)',
+      largeFile: 'Large-file mode (reads the file in blocks and analyzes a sample)',
+    },
+    progress: {
+      local: 'Analyzing in your browser...',
+      masking: 'Masking personal data...',
+      streaming: 'Reading the file in blocks... {percent}%',
+      uploading: 'Uploading file... {percent}%',
+      server: 'File uploaded. Analyzing on the server...',
+    },
+    noFile: 'Please select a file',
+    cancelled: 'Upload cancelled.',
+    cancelledResumable: 'Upload cancelled. Analyze the same file again to resume the upload.',
+    analysisError: 'Error analyzing the dataset',
+    encodingError: 'Encoding error. Save your CSV file with UTF-8 encoding.',
+    timeoutHint: 'The analysis timed out. Enable "Analyze in the background" to process large files as a job.',
+    readError: 'The file could not be read',
+    sheetError: 'The selected sheet could not be read',
+    largeFileRequired: 'File larger than {max}: it is read in blocks and a sample is analyzed.',
+    offlineHints: {
+      server: 'Check that the Django server is running on port 8000',
+      cors: 'Make sure CORS is configured correctly',
+      console: 'Check the browser console for more details',
+    },
+  },
+  largeFile: {
+    title: 'Sampling',
+    method: 'Method',
+    methods: {
+      reservoir: 'Reservoir (uniform random)',
+      stratified: 'Stratified by column',
+    },
+    methodNames: {
+      reservoir: 'reservoir',
+      stratified: 'stratified',
+    },
+    strataColumn: 'Strata column',
+    sampleSize: 'Sample size',
+    seed: 'Seed',
+    destinationServer: 'Rows and nulls are counted in the browser; only the sample is uploaded to the API.',
+    destinationLocal: 'The whole profile is computed in the browser; the file is not sent.',
+    notice: 'Large file: analysis on a {method} sample of {sample} out of {total} rows (seed {seed}).',
+    strata: 'Strata by "{column}": {count}.',
+    exactList: 'Exact (all rows): rows, columns, size, missing values and completeness. Everything else is estimated from the sample.',
+    exact: 'Exact',
+    estimated: 'Estimated',
+    exactTitle: 'Computed over every row of the file',
+    estimatedTitle: 'Estimated from a sample of {count} rows',
+  },
+  pii: {
+    title: 'Personal Data',
+    reviewTitle: {
+      one: '{count} column seems to contain personal data',
+      other: '{count} columns seem to contain personal data',
+    },
+    reviewHint: 'Choose how to mask each column before the file is sent to the API. Examples are already shown truncated.',
+    columns: {
+      column: 'Column',
+      type: 'Type',
+      example: 'Example',
+      action: 'Action',
+      matched: 'Matches',
+    },
+    types: {
+      email: 'Email address',
+      phone: 'Phone number',
+      national_id: 'National ID',
+      credit_card: 'Credit card',
+      ip_address: 'IP address',
+      name: 'Person name',
+    },
+    actions: {
+      hash: 'Hash (salted SHA-256)',
+      tokenize: 'Tokenize',
+      truncate: 'Truncate',
+      drop: 'Drop column',
+      keep: 'Send unchanged',
+    },
+    matched: '{percent} of values',
+    byHeader: 'by header',
+    actionFor: 'Action for {column}',
+    confirm: 'Confirm and continue',
+    confirmed: 'Review confirmed: the file will be masked before uploading.',
+    none: 'No columns with personal data were detected.',
+    maskedNote: 'These columns were masked in the browser before the file was sent to the API.',
+    localNote: 'The analysis ran in the browser: the data never left this computer.',
+    maskError: 'Personal data could not be masked',
+    batchMaskError: 'Not queued because personal data could not be masked: {files}',
+  },
+  debug: {
+    title: 'Debug info (development only)',
+    apiUrl: 'API URL',
+    apiStatus: 'API status',
+    file: 'Selected file',
+    noFile: 'None',
+  },
+  preview: {
+    title: 'Preview',
+    loading: 'Reading file locally...',
+    error: 'The preview could not be generated: {error}',
+    delimiter: 'Delimiter',
+    delimiters: {
+      comma: 'Comma (,)',
+      semicolon: 'Semicolon (;)',
+      tab: 'Tab',
+      pipe: 'Pipe (|)',
+    },
+    encoding: 'Encoding',
+    encodings: {
+      utf8: 'UTF-8',
+      utf8Bom: 'UTF-8 (with BOM)',
+      utf16: 'UTF-16',
+      windows1252: 'Not UTF-8 (probably Latin-1/Windows-1252)',
+    },
+    issues: {
+      utf16: 'The file is encoded as UTF-16. Save it with UTF-8 encoding.',
+      invalidUtf8: 'The file contains bytes that are not UTF-8 (byte {offset}). Save it with UTF-8 encoding.',
+      emptyHeaders: 'Empty headers in columns: {columns}',
+      duplicateHeaders: 'Duplicate column names: {columns}',
+      raggedRows: {
+        one: '{count} row does not have {expected} fields: {rows}',
+        other: '{count} rows do not have {expected} fields: {rows}',
+      },
+      raggedRow: { one: 'row {row} ({count} field)', other: 'row {row} ({count} fields)' },
+    },
+    header: 'Header',
+    firstRow: 'First row',
+    notDetected: 'Not detected',
+    rowsColumns: 'Rows / Columns',
+    noIssues: 'No format issues detected',
+    partial: 'Only the beginning of the file (large file)',
+    emptyHeader: '(empty)',
+    types: {
+      entero: 'integer',
+      decimal: 'decimal',
+      booleano: 'boolean',
+      fecha: 'date',
+      texto: 'text',
+      vacío: 'empty',
+    },
+  },
+  results: {
+    computedLocally: 'Computed locally in the browser',
+    showingSaved: 'Showing saved analysis:',
+    reportTitle: 'Analysis Report: {name}',
+    pinA: 'Pin as A',
+    pinB: 'Pin as B',
+    basicInfo: 'Basic Information',
+    rows: 'Rows:',
+    columns: 'Columns:',
+    size: 'Size:',
+    dataTypes: 'Data Types',
+    qualityMetrics: 'Quality Metrics',
+    qualityDistribution: 'Quality Distribution',
+    metrics: {
+      completeness: 'Completeness',
+      consistency: 'Consistency',
+      validity: 'Validity',
+      uniqueness: 'Uniqueness',
+      accuracy: 'Accuracy',
+      overall: 'Overall',
+    },
+    missingValues: 'Missing Values',
+    totalMissing: 'Total missing:',
+    duplicates: 'Duplicate Data',
+    ofDataset: '{percent} of the dataset',
+    contributingColumns: 'Contributing Columns:',
+    outliers: 'Outliers',
+    correlations: 'Correlations',
+    recommendations: 'Treatment Recommendations',
+    tabs: {
+      columnas: 'Columns',
+      calidad: 'Rules and Drift',
+      limpieza: 'Cleaning',
+    },
+  },
+  charts: {
+    showTable: 'View as table',
+    showChart: 'View chart',
+    copy: 'Copy table',
+    empty: 'No data',
+    columns: {
+      type: 'Type',
+      count: 'Columns',
+      metric: 'Metric',
+      score: 'Score',
+      column: 'Column',
+      missingCount: 'Missing',
+      percentage: 'Percentage',
+      outlierCount: 'Outliers',
+      lowerBound: 'Lower bound',
+      upperBound: 'Upper bound',
+      var1: 'Variable 1',
+      var2: 'Variable 2',
+      correlation: 'Correlation',
+      before: 'A · Base',
+      after: 'B · Comparison',
+      delta: 'Difference',
+      file: 'File',
+      quality: 'Quality',
+      bin: 'Range or value',
+      frequency: 'Frequency',
+      run: 'Run',
+      value: 'Value',
+    },
+    titles: {
+      comparisonQuality: 'Quality metrics for A and B',
+      batchQuality: 'Quality by file',
+      distribution: 'Distribution of {column}',
+      scatter: '{var1} versus {var2}',
+      trend: 'Trend of {metric}',
+    },
+  },
+  share: {
+    copy: 'Copy link',
+    copied: 'Link copied',
+    viewTitle: 'Copy a link to this view',
+    compareTitle: 'Copy a link to this comparison',
+  },
+  export: {
+    button: 'Export',
+    error: 'The report could not be exported',
+    formats: {
+      pdf: 'PDF',
+      html: 'Self-contained HTML',
+      markdown: 'Markdown (PR)',
+      json: 'JSON (pipelines)',
+    },
+  },
+  jobs: {
+    title: 'Analysis Queue',
+    active: '{active} running of {total}',
+    status: {
+      uploading: 'Uploading',
+      queued: 'Queued',
+      running: 'Analyzing',
+      completed: 'Completed',
+      failed: 'Failed',
+      cancelled: 'Cancelled',
+    },
+    dismiss: 'Remove from queue',
+    remaining: 'Remaining: {eta}',
+    partial: {
+      rows: { one: '{rows} row processed', other: '{rows} rows processed' },
+      columns: { one: '{count} column', other: '{count} columns' },
+      missing: '{percent} missing',
+    },
+    failedOnServer: 'The analysis failed on the server',
+    processError: 'Error processing the job',
+  },
+  batch: {
+    title: 'Batch Analysis',
+    progress: '{done} of {total} finished',
+    clear: 'Clear',
+    skipped: {
+      one: '{count} file with an unsupported format was skipped: {files}',
+      other: '{count} files with an unsupported format were skipped: {files}',
+    },
+    status: {
+      pending: 'Pending',
+      uploading: 'Uploading',
+      analyzing: 'Analyzing',
+      completed: 'Completed',
+      failed: 'Failed',
+      cancelled: 'Cancelled',
+    },
+    local: 'Analyzed in the browser',
+    quality: 'Quality {quality}',
+    summary: {
+      qualityByFile: 'Quality by File',
+      overview: {
+        one: '{count} file · {rows} rows · average quality {quality}',
+        other: '{count} files · {rows} rows · average quality {quality}',
+      },
+      worstColumns: 'Worst Columns in the Batch',
+      noProblems: 'No column has missing values or outliers',
+      column: 'Column',
+      affected: 'Affected files',
+      avgMissing: 'Missing (avg.)',
+      maxMissing: 'Missing (max.)',
+      avgOutliers: 'Outliers (avg.)',
+      schemaConsistent: 'All files share the same schema',
+      schemaDiffers: { one: 'The schema varies: {count} variant', other: 'The schema varies: {count} variants' },
+      commonColumns: { one: '{count} common column', other: '{count} common columns' },
+      missingColumns: 'missing {columns}',
+      extraColumns: 'extra {columns}',
+      retypedColumns: 'changed type {columns}',
+    },
+  },
+  history: {
+    title: 'Analysis History',
+    refresh: 'Refresh history',
+    search: 'Search by name...',
+    ascending: 'Ascending',
+    descending: 'Descending',
+    columns: {
+      name: 'Name',
+      date: 'Date',
+      rows: 'Rows',
+      columns: 'Columns',
+      quality: 'Quality',
+    },
+    offline: 'History is not available without a connection to the API.',
+    offlineCopy: 'No connection to the API: copy saved in this browser on {date}.',
+    loading: 'Loading history...',
+    empty: 'There are no saved analyses.',
+    page: 'Page {page} of {total}',
+    loadError: 'Error fetching the history',
+  },
+  detail: {
+    back: 'Back to history',
+    loading: 'Loading analysis #{id}...',
+    error: 'Analysis #{id} could not be opened',
+    offlineCopy: 'No connection to the API: copy saved in this browser on {date}.',
+  },
+  storage: {
+    title: 'Local Storage',
+    syncNow: 'Sync',
+    export: 'Export JSON',
+    clear: 'Clear',
+    confirmClear: 'Confirm: delete everything',
+    usage: 'Space used: {used} of {quota} available',
+    lastSync: {
+      one: 'Last sync with the API: {date} ({count} analysis uploaded)',
+      other: 'Last sync with the API: {date} ({count} analyses uploaded)',
+    },
+    neverSynced: 'Not synced with the API yet in this session.',
+    analyses: 'Saved analyses',
+    noAnalyses: 'No analyses saved in this browser.',
+    recentFiles: 'Recent files',
+    noRecentFiles: 'No recent files.',
+    columns: {
+      name: 'File',
+      saved: 'Saved',
+      rows: 'Rows',
+      status: 'Status',
+      actions: 'Actions',
+    },
+    variants: {
+      api: 'API',
+      local: 'Browser',
+    },
+    sampled: 'sample',
+    status: {
+      synced: 'Synced (#{id})',
+      pending: 'Waiting to upload',
+      localOnly: 'Only in this browser',
+    },
+    open: 'Open',
+    remove: 'Delete',
+    contentStored: 'content saved',
+    metadataOnly: 'name and size only',
+    servedFromCache: 'Result saved in this browser on {date}; the file has not changed.',
+    pendingNote: 'It will be uploaded to the API when the connection is back.',
+    reanalyze: 'Analyze again',
+    syncError: 'Could not sync with the API',
+    readError: 'Could not read local storage',
+  },
+  compare: {
+    title: 'Choose Analyses',
+    pinned: 'Pinned: {label}',
+    none: 'Not selected',
+    analysisId: 'Analysis #{id}',
+    offline: 'Without a connection to the API only the analyses pinned in this session can be compared.',
+    loadError: 'Analysis #{id} could not be loaded: {error}',
+    empty: 'Choose two analyses from the history or use "Pin as A" and "Pin as B" in the results to compare them.',
+  },
+  cleaning: {
+    priorities: { critical: 'Critical', moderate: 'Moderate', optional: 'Optional' },
+    operations: {
+      drop_duplicates: 'Drop duplicates',
+      drop_missing: 'Drop rows with missing values',
+      impute: 'Impute missing values',
+      cap_outliers: 'Cap outliers',
+      normalize: 'Normalize',
+      encode: 'Encode categorical',
+    },
+    options: {
+      impute: { median: 'Median', mean: 'Mean', mode: 'Mode', constant: 'Constant value' },
+      cap_outliers: { iqr: 'IQR', zscore: 'Z-score', modified_zscore: 'Modified z-score' },
+      normalize: { minmax: 'Min-max (0 to 1)', zscore: 'Standardize (z-score)' },
+      encode: { onehot: 'One-hot', label: 'Label encoding' },
+    },
+    describe: {
+      dropDuplicates: 'Drop duplicate rows',
+      dropMissing: 'Drop rows with any missing value',
+      dropMissingColumn: 'Drop rows without a value in {column}',
+      impute: {
+        median: 'Impute missing values in {column} with the median',
+        mean: 'Impute missing values in {column} with the mean',
+        mode: 'Impute missing values in {column} with the mode',
+        constant: 'Impute missing values in {column} with "{value}"',
+      },
+      capOutliers: 'Cap outliers in {column} ({method}, threshold {threshold})',
+      normalize: 'Normalize {column} ({option})',
+      encode: 'Encode {column} ({option})',
+    },
+    errors: {
+      missingColumn: 'Column {column} does not exist (was it removed by an earlier step?)',
+      notNumeric: 'Column {column} has no numeric values',
+      noMode: 'Column {column} has no values to compute the mode',
+      tooManyCategories: '{column} has {categories} categories; one-hot supports up to {max}',
+      unknownOperation: 'Unknown cleaning operation: {type}',
+    },
+    details: {
+      fill: 'Value used: {value}',
+      bounds: 'Bounds: {lower} to {upper}',
+      categories: { one: '{count} category', other: '{count} categories' },
+    },
+    summary: {
+      rowsRemoved: { one: '{rows} row removed', other: '{rows} rows removed' },
+      changedCells: { one: '{cells} cell changed', other: '{cells} cells changed' },
+      addedColumns: { one: '{count} new column', other: '{count} new columns' },
+      noChanges: 'No changes',
+    },
+    defaults: {
+      missing: 'Handle missing values ({percent})',
+      duplicates: { one: 'Remove duplicates ({duplicates} record)', other: 'Remove duplicates ({duplicates} records)' },
+      outliers: 'Review outliers in numeric columns',
+      consistency: 'Validate data consistency',
+      normalization: 'Normalize numeric columns',
+      encoding: 'Encode categorical variables',
+    },
+    workbench: {
+      pipeline: 'Cleaning pipeline',
+      undo: 'Undo',
+      clear: 'Clear',
+      empty: 'Add recommendations with + or build steps by hand; they are applied in order.',
+      allColumns: 'All columns',
+      threshold: 'Threshold',
+      value: 'Value',
+      addStep: 'Add step',
+      moveUp: 'Move up',
+      moveDown: 'Move down',
+      removeStep: 'Remove step',
+      noFile: 'Select the original file to preview and download the cleaned result.',
+      size: '{rows} rows × {columns} columns (original: {original} rows)',
+      download: 'Download clean CSV',
+      analyze: 'Analyze clean data',
+    },
+    code: {
+      title: 'Cleaning Recipe as Code',
+      include: 'Recommendations to include:',
+      none: 'There are no recommendations that can be turned into code.',
+      copy: 'Copy',
+      copied: 'Copied',
+      download: 'Download .{extension}',
+    },
+  },
+  codegen: {
+    unsupported: 'Unsupported step: {type}',
+    columnUnavailable: 'Column {column} is not available at this step',
+    noColumns: 'No known columns: complete by hand',
+    noCategories: 'No known categories for {column}: complete by hand',
+    nullsNote: 'Missing values must be loaded as NULL (not as empty strings).',
+    printSize: 'Rows: {len(df)}, columns: {len(df.columns)}',
+  },
+  outliers: {
+    column: 'Column:',
+    method: 'Method:',
+    methods: { iqr: 'IQR (interquartile range)', zscore: 'Z-score', modified_zscore: 'Modified z-score (MAD)' },
+    parameters: { iqr: 'Multiplier: {value}', zscore: '|z| threshold: {value}', modified_zscore: '|z| threshold: {value}' },
+    noColumns: 'There are no numeric columns to inspect.',
+    noQuartiles: 'No quartiles are available to draw this column.',
+    plotLabel: 'Box and strip plot of outliers',
+    lowerShort: 'Lower {value}',
+    upperShort: 'Upper {value}',
+    box: 'Q1 {q1} · Median {median} · Q3 {q3}',
+    fallback: '{error}. Showing the bounds from the original analysis.',
+    count: 'Outliers',
+    rowShare: '% of rows',
+    lower: 'Lower bound',
+    upper: 'Upper bound',
+    originalBounds: 'IQR bounds (1.5×) computed in the original analysis. Select the file to change the method.',
+    values: 'Outliers: {values}',
+    more: 'and {more} more',
+  },
+  correlation: {
+    empty: 'There are no correlations between numeric columns.',
+    threshold: '|r| threshold ≥ {value}',
+    absolute: 'Absolute values',
+    order: 'Order:',
+    orders: { original: 'Original', alphabetical: 'Alphabetical', cluster: 'Clustering' },
+    heatmapLabel: 'Correlation heatmap',
+    noValue: 'no data',
+    noFile: 'Select the original file to see the scatter plot of this pair.',
+    sampling: 'Sampling rows...',
+    sample: 'Sample of {shown} out of {total} rows (seed {seed})',
+    describe: {
+      veryStrong: { positive: 'Very strong positive', negative: 'Very strong negative' },
+      strong: { positive: 'Strong positive', negative: 'Strong negative' },
+      moderate: { positive: 'Moderate positive', negative: 'Moderate negative' },
+      weak: { positive: 'Weak positive', negative: 'Weak negative' },
+      none: 'No relevant correlation',
+    },
+  },
+  columns: {
+    title: 'Column Explorer',
+    table: {
+      column: 'Column',
+      dtype: 'Type',
+      nullPercentage: 'Nulls %',
+      unique: 'Unique',
+      min: 'Min',
+      max: 'Max',
+      mean: 'Mean',
+      std: 'Std. Dev.',
+      topValues: 'Top categories',
+    },
+    histogram: 'Histogram',
+    frequency: 'Value frequency',
+    noDistribution: 'The backend did not send a distribution for this column.',
+    missing: 'Missing Values',
+    missingCount: '{records} records ({percent})',
+    noMissing: 'No missing values',
+    outliers: 'Outliers',
+    outlierCount: { one: '{values} value', other: '{values} values' },
+    noOutliers: 'No outliers detected',
+    correlations: 'Correlations',
+    noCorrelations: 'No correlations reported',
+  },
+  drift: {
+    title: 'Drift Between Runs',
+    noRuns: 'There are no previous analyses with this name. Upload the same file again with the next delivery to detect changes.',
+    historyError: 'Could not load the history',
+    baseline: 'Baseline:',
+    previousRuns: { one: '({count} previous run)', other: '({count} previous runs)' },
+    current: 'Current',
+    noDrift: 'No drift from the baseline',
+    thresholds: {
+      nullRate: 'Null jump (pp)',
+      meanShift: 'Mean shift (σ)',
+      categoryShift: 'Category shift (0-1)',
+    },
+    metrics: {
+      rows: 'Rows',
+      quality: 'Overall quality (%)',
+      missing: 'Missing values (%)',
+      duplicates: 'Duplicates',
+      null: 'Nulls in {column} (%)',
+      mean: 'Mean of {column}',
+    },
+    warnings: {
+      removed: 'Column {column} disappeared',
+      added: 'New column {column}',
+      retyped: '{column} changed type: {before} → {after}',
+      nullRate: 'Nulls in {column}: {before}% → {after}%',
+      meanShift: 'Mean of {column}: {before} → {after} ({shift} σ)',
+      categoryShift: 'The category distribution of {column} changed by {percent}',
+    },
+  },
+  comparison: {
+    title: 'Analysis Comparison',
+    swap: 'Swap',
+    close: 'Close comparison',
+    base: 'A · Base',
+    target: 'B · Comparison',
+    rows: '{rows} rows',
+    summary: 'Summary',
+    totalMissing: 'Total missing:',
+    duplicates: 'Duplicates:',
+    schemaChanges: 'Schema Changes',
+    sameSchema: 'Same columns and types in both analyses.',
+    missing: 'Missing Values (%)',
+    noData: 'No data in either analysis.',
+    column: 'Column',
+    pair: 'Pair',
+  },
+  report: {
+    defaultTitle: 'Analysis Report',
+    meta: 'Generated: {date} · Source: {source}',
+    sources: { local: 'Computed locally in the browser', api: 'API' },
+    noData: 'No data',
+    noRecommendations: 'No recommendations',
+    contributingColumn: 'Contributing column: {column}',
+    labels: {
+      rows: 'Rows',
+      columns: 'Columns',
+      size: 'Size',
+      dataType: 'Data type',
+      metric: 'Metric',
+      score: 'Score',
+      totalMissing: 'Total missing',
+      column: 'Column',
+      records: 'Records',
+      percentage: 'Percentage',
+      duplicateRecords: 'Duplicate records',
+      outliers: 'Outliers',
+      var1: 'Variable 1',
+      var2: 'Variable 2',
+      correlation: 'Correlation',
+    },
+  },
+  rules: {
+    title: 'Quality Rules',
+    import: {
+      button: 'Import JSON',
+      invalidJson: 'The file is not valid JSON',
+      noRules: 'The JSON does not contain a list of rules',
+      invalidRule: 'Invalid rule ({column}): {reason}',
+    },
+    export: 'Export JSON',
+    add: 'Add rule',
+    remove: 'Remove rule',
+    empty: 'No rules for this dataset. Rules are saved in this browser under the file name.',
+    passed: { one: '{passed} of {count} rule passes', other: '{passed} of {count} rules pass' },
+    evaluatedOnFile: 'Evaluated against every row of the file',
+    evaluatedOnAnalysis: 'Evaluated with the analysis statistics',
+    examples: 'Examples: {examples}',
+    status: {
+      pass: 'Passes',
+      fail: 'Fails',
+      unknown: 'No data',
+      error: 'Error',
+    },
+    types: {
+      unique: 'Unique values',
+      max_nulls: 'Maximum nulls (%)',
+      range: 'Numeric range',
+      pattern: 'Matches pattern',
+      allowed_values: 'Allowed values',
+    },
+    params: {
+      max_nulls: { max: 'Max. %' },
+      range: { min: 'Min', max: 'Max' },
+      pattern: { pattern: 'Regular expression' },
+      allowed_values: { values: 'Values (comma separated)' },
+    },
+    describe: {
+      unique: '{column} is unique',
+      maxNulls: '{column} has at most {max} nulls',
+      range: '{column} between {min} and {max}',
+      min: '{column} ≥ {min}',
+      max: '{column} ≤ {max}',
+      pattern: '{column} matches /{pattern}/',
+      allowedValues: '{column} in {{values}}',
+    },
+    invalid: {
+      unknownType: 'Unknown rule type: {type}',
+      noColumn: 'The rule needs a column',
+      maxNulls: 'The maximum of nulls must be between 0 and 100',
+      noBounds: 'Enter at least a minimum or a maximum',
+      minAboveMax: 'The minimum cannot exceed the maximum',
+      noPattern: 'Enter a regular expression',
+      badPattern: 'Invalid regular expression: {error}',
+      noValues: 'Enter at least one allowed value',
+    },
+    results: {
+      nullRate: '{percent} nulls',
+      allPass: 'All values pass',
+      failing: { one: '{failing} value fails', other: '{failing} values fail' },
+      missingColumn: 'Column {column} does not exist in the file',
+      noStatistics: 'The analysis has no statistics for {column}',
+      noUniqueCount: 'No unique count in the analysis',
+      allUnique: 'All values are unique',
+      repeated: { one: '{repeated} repeated value', other: '{repeated} repeated values' },
+      noRange: 'No numeric minimum and maximum in the analysis',
+      observedRange: 'Observed values between {min} and {max}',
+      outsideList: { one: '{count} value outside the list', other: '{count} values outside the list' },
+      topValuesOnly: 'The analysis only includes the most frequent values; evaluate with the file',
+      needsFile: 'This rule needs the original file',
+    },
+  },
+  settings: {
+    title: 'Settings',
+    connection: 'Connection',
+    apiUrl: 'API',
+    mockBackend: 'Use the in-memory mock backend (no server)',
+    credentials: 'Credentials',
+    authType: 'Type',
+    authTypes: {
+      none: 'No credentials (or those from .env)',
+      bearer: 'Bearer token',
+      apiKey: 'API key',
+    },
+    token: 'Token',
+    apiKey: 'API key',
+    apiKeyHeader: 'Header',
+    credentialsHint: 'Credentials are stored in this browser and override those from the environment variables.',
+    uploadDefaults: 'File upload (initial values)',
+    chunkedUpload: 'Chunked upload',
+    backgroundJob: 'Analyze in the background',
+    forceLocal: 'Analyze in the browser',
+    largeFileMode: 'Large-file mode (sampling)',
+    reset: 'Reset',
+    save: 'Save',
+    saved: 'Saved',
+  },
+  schema: {
+    title: 'The analysis response does not match the expected schema',
+    unknownVersion: 'Unknown schema version ({version}); validated against the current version',
+    invalidSections: {
+      one: '{count} section is invalid and was left out: {sections}',
+      other: '{count} sections are invalid and were left out: {sections}',
+    },
+    issueCount: { one: '{count} validation issue', other: '{count} validation issues' },
+    showDetails: 'Show details',
+    hideDetails: 'Hide details',
+    issue: '{path}: expected {expected} but got {received}',
+    droppedIssue: '{path}: expected {expected} but got {received} (entry dropped)',
+    moreIssues: { one: '... and {count} more issue', other: '... and {count} more issues' },
+    section: 'Section',
+    invalidSection: 'The response has no valid data for this section.',
+    renderError: 'This section could not be displayed. The rest of the analysis is still available.',
+    sections: {
+      basic_info: 'basic information',
+      missing_data: 'missing values',
+      duplicates: 'duplicates',
+      data_quality: 'quality',
+      outliers: 'outliers',
+      correlation_matrix: 'correlations',
+      column_statistics: 'column statistics',
+      recommendations: 'recommendations',
+    },
+    types: {
+      number: 'a number',
+      string: 'a string',
+      boolean: 'a boolean',
+      object: 'an object',
+      array: 'a list',
+      null: 'null',
+      undefined: 'nothing',
+    },
+  },
+  errors: {
+    generic: 'An unexpected error occurred',
+    network: 'Could not connect to the server. Check that the API is running.',
+    timeout: 'The analysis is taking too long. Try a smaller file.',
+    auth: 'Unauthorized: check the configured token or API key.',
+    server: 'Internal server error. Check the backend console for more details.',
+    cancelled: 'Upload cancelled by the user',
+    validation: 'Invalid data ({status})',
+    http: 'API error {status}',
+    encoding: 'The server could not decode the file',
+    noFile: 'No file was provided',
+    unsupportedFormat: 'Unsupported format. Use CSV, TSV, Excel, JSON or Parquet',
+    fileTooLarge: 'The file is too large. Maximum {max}',
+    jobEventsLost: 'The job event stream was lost',
+    invalidAnalysis: 'Error processing the analysis data',
+  },
+};
+
+export default en;
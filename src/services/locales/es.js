@@ -0,0 +1,812 @@
+// src/services/locales/es.js
+// Catálogo en español (idioma predeterminado; las claves que falten en otros idiomas caen aquí)
+
+const es = {
+  app: {
+    title: 'Dashboard de Análisis de Datasets',
+    subtitle: 'Analiza la calidad de tus datos y toma decisiones informadas sobre el tratamiento necesario',
+    retryConnection: 'Reintentar Conexión',
+    language: 'Idioma',
+    skipToContent: 'Saltar al contenido',
+    navigation: 'Navegación principal',
+    theme: 'Tema',
+    themes: {
+      dark: 'Oscuro',
+      light: 'Claro',
+      contrast: 'Alto contraste',
+    },
+    colorBlindPalette: 'Usar una paleta de gráficos apta para daltonismo',
+    colorBlindShort: 'Paleta accesible',
+  },
+  nav: {
+    upload: 'Analizar',
+    history: 'Historial',
+    compare: 'Comparar',
+    storage: 'Almacenamiento',
+    settings: 'Ajustes',
+  },
+  common: {
+    cancel: 'Cancelar',
+    retry: 'Reintentar',
+    open: 'Abrir',
+    error: 'Error',
+    closeDetail: 'Cerrar detalle',
+  },
+  health: {
+    status: {
+      online: 'API Conectada',
+      waking: 'Despertando servidor...',
+      offline: 'API Desconectada',
+      unknown: 'Verificando...',
+    },
+    checked: 'Comprobado: {time}',
+    waiting: 'Esperando {seconds} s',
+    nextRetry: 'Nuevo intento en {seconds} s',
+    wakingHint: 'El servidor estaba en reposo y está arrancando; el análisis se habilitará en cuanto responda.',
+    ready: 'El servidor ya está listo.',
+  },
+  upload: {
+    title: 'Subir dataset',
+    select: 'Seleccionar Archivo',
+    selectFolder: 'Seleccionar Carpeta',
+    dropHere: 'Suelta los archivos o carpetas para analizarlos',
+    recent: 'Recientes:',
+    formats: 'CSV, TSV, Excel (.xlsx/.xls), JSON/NDJSON o Parquet',
+    file: 'archivo',
+    converting: 'Convirtiendo {name} a CSV...',
+    sheet: 'Hoja:',
+    sheetName: '(hoja "{sheet}")',
+    convertedFrom: 'Convertido desde {format}: {name}',
+    analyze: 'Analizar Dataset',
+    analyzing: 'Analizando...',
+    analyzeLocally: 'Analizar Localmente',
+    addToQueue: 'Añadir a la Cola',
+    fixFile: 'Corrige el archivo',
+    reviewPii: 'Revisa los datos personales',
+    waitingForApi: 'Esperando al servidor...',
+    options: {
+      chunked: 'Subida por partes (reintenta y reanuda en conexiones inestables)',
+      background: 'Analizar en segundo plano (cola de trabajos para archivos grandes)',
+      local: 'Analizar en el navegador (sin enviar el archivo a la API)',
+      largeFile: 'Modo de archivo grande (lee el archivo por bloques y analiza una muestra)',
+    },
+    progress: {
+      local: 'Analizando en tu navegador...',
+      masking: 'Enmascarando datos personales...',
+      streaming: 'Leyendo el archivo por bloques... {percent}%',
+      uploading: 'Subiendo archivo... {percent}%',
+      server: 'Archivo subido. Analizando en el servidor...',
+    },
+    noFile: 'Por favor, selecciona un archivo',
+    cancelled: 'Carga cancelada.',
+    cancelledResumable: 'Carga cancelada. Vuelve a analizar el mismo archivo para reanudar la subida.',
+    analysisError: 'Error al analizar el dataset',
+    encodingError: 'Error de codificación. Guarda tu archivo CSV con codificación UTF-8.',
+    timeoutHint: 'El análisis superó el tiempo de espera. Activa "Analizar en segundo plano" para procesar archivos grandes como trabajo.',
+    readError: 'No se pudo leer el archivo',
+    sheetError: 'No se pudo leer la hoja seleccionada',
+    largeFileRequired: 'Archivo de más de {max}: se lee por bloques y se analiza una muestra.',
+    offlineHints: {
+      server: 'Verifica que el servidor Django esté ejecutándose en puerto 8000',
+      cors: 'Confirma que CORS esté configurado correctamente',
+      console: 'Revisa la consola del navegador para más detalles',
+    },
+  },
+  largeFile: {
+    title: 'Muestreo',
+    method: 'Método',
+    methods: {
+      reservoir: 'Reservorio (aleatorio uniforme)',
+      stratified: 'Estratificado por columna',
+    },
+    methodNames: {
+      reservoir: 'de reservorio',
+      stratified: 'estratificada',
+    },
+    strataColumn: 'Columna de estratos',
+    sampleSize: 'Tamaño de la muestra',
+    seed: 'Semilla',
+    destinationServer: 'Las filas y los nulos se cuentan en el navegador; solo la muestra se sube a la API.',
+    destinationLocal: 'El perfil completo se calcula en el navegador; el archivo no se envía.',
+    notice: 'Archivo grande: análisis sobre una muestra {method} de {sample} de {total} filas (semilla {seed}).',
+    strata: 'Estratos según "{column}": {count}.',
+    exactList: 'Exactas (todas las filas): filas, columnas, tamaño, valores faltantes y completitud. El resto se estima con la muestra.',
+    exact: 'Exacto',
+    estimated: 'Estimado',
+    exactTitle: 'Calculado sobre todas las filas del archivo',
+    estimatedTitle: 'Estimado a partir de una muestra de {count} filas',
+  },
+  pii: {
+    title: 'Datos Personales',
+    reviewTitle: {
+      one: '{count} columna parece contener datos personales',
+      other: '{count} columnas parecen contener datos personales',
+    },
+    reviewHint: 'Elige cómo enmascarar cada columna antes de enviar el archivo a la API. Los ejemplos ya se muestran truncados.',
+    columns: {
+      column: 'Columna',
+      type: 'Tipo',
+      example: 'Ejemplo',
+      action: 'Acción',
+      matched: 'Coincidencias',
+    },
+    types: {
+      email: 'Correo electrónico',
+      phone: 'Teléfono',
+      national_id: 'Documento de identidad',
+      credit_card: 'Tarjeta de crédito',
+      ip_address: 'Dirección IP',
+      name: 'Nombre de persona',
+    },
+    actions: {
+      hash: 'Hash (SHA-256 con sal)',
+      tokenize: 'Tokenizar',
+      truncate: 'Truncar',
+      drop: 'Eliminar columna',
+      keep: 'Enviar sin cambios',
+    },
+    matched: '{percent} de los valores',
+    byHeader: 'por el encabezado',
+    actionFor: 'Acción para {column}',
+    confirm: 'Confirmar y continuar',
+    confirmed: 'Revisión confirmada: el archivo se enmascarará antes de subirlo.',
+    none: 'No se detectaron columnas con datos personales.',
+    maskedNote: 'Estas columnas se enmascararon en el navegador antes de enviar el archivo a la API.',
+    localNote: 'El análisis se hizo en el navegador: los datos no salieron de este equipo.',
+    maskError: 'No se pudieron enmascarar los datos personales',
+    batchMaskError: 'No se enviaron a la cola porque no se pudieron enmascarar: {files}',
+  },
+  debug: {
+    title: 'Información de depuración (solo en desarrollo)',
+    apiUrl: 'URL de la API',
+    apiStatus: 'Estado API',
+    file: 'Archivo seleccionado',
+    noFile: 'Ninguno',
+  },
+  preview: {
+    title: 'Vista Previa',
+    loading: 'Leyendo archivo localmente...',
+    error: 'No se pudo generar la vista previa: {error}',
+    delimiter: 'Delimitador',
+    delimiters: {
+      comma: 'Coma (,)',
+      semicolon: 'Punto y coma (;)',
+      tab: 'Tabulador',
+      pipe: 'Barra vertical (|)',
+    },
+    encoding: 'Codificación',
+    encodings: {
+      utf8: 'UTF-8',
+      utf8Bom: 'UTF-8 (con BOM)',
+      utf16: 'UTF-16',
+      windows1252: 'No UTF-8 (probablemente Latin-1/Windows-1252)',
+    },
+    issues: {
+      utf16: 'El archivo está en UTF-16. Guárdalo con codificación UTF-8.',
+      invalidUtf8: 'El archivo contiene bytes que no son UTF-8 (byte {offset}). Guárdalo con codificación UTF-8.',
+      emptyHeaders: 'Encabezados vacíos en las columnas: {columns}',
+      duplicateHeaders: 'Nombres de columna duplicados: {columns}',
+      raggedRows: {
+        one: '{count} fila no tiene {expected} campos: {rows}',
+        other: '{count} filas no tienen {expected} campos: {rows}',
+      },
+      raggedRow: { one: 'fila {row} ({count} campo)', other: 'fila {row} ({count} campos)' },
+    },
+    header: 'Encabezado',
+    firstRow: 'Primera fila',
+    notDetected: 'No detectado',
+    rowsColumns: 'Filas / Columnas',
+    noIssues: 'No se detectaron problemas de formato',
+    partial: 'Solo el principio del archivo (archivo grande)',
+    emptyHeader: '(vacío)',
+    types: {
+      entero: 'entero',
+      decimal: 'decimal',
+      booleano: 'booleano',
+      fecha: 'fecha',
+      texto: 'texto',
+      vacío: 'vacío',
+    },
+  },
+  results: {
+    computedLocally: 'Calculado localmente en el navegador',
+    showingSaved: 'Mostrando análisis guardado:',
+    reportTitle: 'Reporte de Análisis: {name}',
+    pinA: 'Fijar como A',
+    pinB: 'Fijar como B',
+    basicInfo: 'Información Básica',
+    rows: 'Filas:',
+    columns: 'Columnas:',
+    size: 'Tamaño:',
+    dataTypes: 'Tipos de Datos',
+    qualityMetrics: 'Métricas de Calidad',
+    qualityDistribution: 'Distribución de Calidad',
+    metrics: {
+      completeness: 'Completitud',
+      consistency: 'Consistencia',
+      validity: 'Validez',
+      uniqueness: 'Unicidad',
+      accuracy: 'Exactitud',
+      overall: 'Global',
+    },
+    missingValues: 'Valores Faltantes',
+    totalMissing: 'Total faltante:',
+    duplicates: 'Datos Duplicados',
+    ofDataset: '{percent} del dataset',
+    contributingColumns: 'Columnas Contribuyentes:',
+    outliers: 'Valores Atípicos',
+    correlations: 'Correlaciones',
+    recommendations: 'Recomendaciones de Tratamiento',
+    tabs: {
+      columnas: 'Columnas',
+      calidad: 'Reglas y Deriva',
+      limpieza: 'Limpieza',
+    },
+  },
+  charts: {
+    showTable: 'Ver como tabla',
+    showChart: 'Ver gráfico',
+    copy: 'Copiar tabla',
+    empty: 'Sin datos',
+    columns: {
+      type: 'Tipo',
+      count: 'Columnas',
+      metric: 'Métrica',
+      score: 'Puntuación',
+      column: 'Columna',
+      missingCount: 'Faltantes',
+      percentage: 'Porcentaje',
+      outlierCount: 'Atípicos',
+      lowerBound: 'Límite inferior',
+      upperBound: 'Límite superior',
+      var1: 'Variable 1',
+      var2: 'Variable 2',
+      correlation: 'Correlación',
+      before: 'A · Base',
+      after: 'B · Comparación',
+      delta: 'Diferencia',
+      file: 'Archivo',
+      quality: 'Calidad',
+      bin: 'Intervalo o valor',
+      frequency: 'Frecuencia',
+      run: 'Ejecución',
+      value: 'Valor',
+    },
+    titles: {
+      comparisonQuality: 'Métricas de calidad de A y B',
+      batchQuality: 'Calidad por archivo',
+      distribution: 'Distribución de {column}',
+      scatter: 'Dispersión de {var1} frente a {var2}',
+      trend: 'Tendencia de {metric}',
+    },
+  },
+  share: {
+    copy: 'Copiar enlace',
+    copied: 'Enlace copiado',
+    viewTitle: 'Copiar un enlace a esta vista',
+    compareTitle: 'Copiar un enlace a esta comparación',
+  },
+  export: {
+    button: 'Exportar',
+    error: 'No se pudo exportar el reporte',
+    formats: {
+      pdf: 'PDF',
+      html: 'HTML autocontenido',
+      markdown: 'Markdown (PR)',
+      json: 'JSON (pipelines)',
+    },
+  },
+  jobs: {
+    title: 'Cola de Análisis',
+    active: '{active} en curso de {total}',
+    status: {
+      uploading: 'Subiendo',
+      queued: 'En cola',
+      running: 'Analizando',
+      completed: 'Completado',
+      failed: 'Falló',
+      cancelled: 'Cancelado',
+    },
+    dismiss: 'Quitar de la cola',
+    remaining: 'Restante: {eta}',
+    partial: {
+      rows: { one: '{rows} fila procesada', other: '{rows} filas procesadas' },
+      columns: { one: '{count} columna', other: '{count} columnas' },
+      missing: '{percent} faltantes',
+    },
+    failedOnServer: 'El análisis falló en el servidor',
+    processError: 'Error al procesar el trabajo',
+  },
+  batch: {
+    title: 'Análisis por Lotes',
+    progress: '{done} de {total} terminados',
+    clear: 'Limpiar',
+    skipped: {
+      one: 'Se ignoró {count} archivo con formato no soportado: {files}',
+      other: 'Se ignoraron {count} archivos con formato no soportado: {files}',
+    },
+    status: {
+      pending: 'Pendiente',
+      uploading: 'Subiendo',
+      analyzing: 'Analizando',
+      completed: 'Completado',
+      failed: 'Falló',
+      cancelled: 'Cancelado',
+    },
+    local: 'Analizado en el navegador',
+    quality: 'Calidad {quality}',
+    summary: {
+      qualityByFile: 'Calidad por Archivo',
+      overview: {
+        one: '{count} archivo · {rows} filas · calidad media {quality}',
+        other: '{count} archivos · {rows} filas · calidad media {quality}',
+      },
+      worstColumns: 'Peores Columnas del Lote',
+      noProblems: 'Ninguna columna tiene valores faltantes ni atípicos',
+      column: 'Columna',
+      affected: 'Archivos afectados',
+      avgMissing: 'Faltantes (media)',
+      maxMissing: 'Faltantes (máx.)',
+      avgOutliers: 'Atípicos (media)',
+      schemaConsistent: 'Todos los archivos comparten el esquema',
+      schemaDiffers: { one: 'El esquema varía: {count} variante', other: 'El esquema varía: {count} variantes' },
+      commonColumns: { one: '{count} columna común', other: '{count} columnas comunes' },
+      missingColumns: 'faltan {columns}',
+      extraColumns: 'sobran {columns}',
+      retypedColumns: 'cambian de tipo {columns}',
+    },
+  },
+  history: {
+    title: 'Historial de Análisis',
+    refresh: 'Actualizar historial',
+    search: 'Buscar por nombre...',
+    ascending: 'Ascendente',
+    descending: 'Descendente',
+    columns: {
+      name: 'Nombre',
+      date: 'Fecha',
+      rows: 'Filas',
+      columns: 'Columnas',
+      quality: 'Calidad',
+    },
+    offline: 'El historial no está disponible sin conexión con la API.',
+    offlineCopy: 'Sin conexión con la API: copia guardada en este navegador el {date}.',
+    loading: 'Cargando historial...',
+    empty: 'No hay análisis guardados.',
+    page: 'Página {page} de {total}',
+    loadError: 'Error al obtener el historial',
+  },
+  detail: {
+    back: 'Volver al historial',
+    loading: 'Cargando análisis #{id}...',
+    error: 'No se pudo abrir el análisis #{id}',
+    offlineCopy: 'Sin conexión con la API: copia guardada en este navegador el {date}.',
+  },
+  storage: {
+    title: 'Almacenamiento Local',
+    syncNow: 'Sincronizar',
+    export: 'Exportar JSON',
+    clear: 'Vaciar',
+    confirmClear: 'Confirmar: borrar todo',
+    usage: 'Espacio usado: {used} de {quota} disponibles',
+    lastSync: {
+      one: 'Última sincronización con la API: {date} ({count} análisis subido)',
+      other: 'Última sincronización con la API: {date} ({count} análisis subidos)',
+    },
+    neverSynced: 'Aún no se ha sincronizado con la API en esta sesión.',
+    analyses: 'Análisis guardados',
+    noAnalyses: 'No hay análisis guardados en este navegador.',
+    recentFiles: 'Archivos recientes',
+    noRecentFiles: 'No hay archivos recientes.',
+    columns: {
+      name: 'Archivo',
+      saved: 'Guardado',
+      rows: 'Filas',
+      status: 'Estado',
+      actions: 'Acciones',
+    },
+    variants: {
+      api: 'API',
+      local: 'Navegador',
+    },
+    sampled: 'muestra',
+    status: {
+      synced: 'Sincronizado (#{id})',
+      pending: 'Pendiente de subir',
+      localOnly: 'Solo en este navegador',
+    },
+    open: 'Abrir',
+    remove: 'Eliminar',
+    contentStored: 'contenido guardado',
+    metadataOnly: 'solo nombre y tamaño',
+    servedFromCache: 'Resultado guardado en este navegador el {date}; el archivo no ha cambiado.',
+    pendingNote: 'Se subirá a la API cuando vuelva la conexión.',
+    reanalyze: 'Analizar de nuevo',
+    syncError: 'No se pudo sincronizar con la API',
+    readError: 'No se pudo leer el almacenamiento local',
+  },
+  compare: {
+    title: 'Elegir Análisis',
+    pinned: 'Fijado: {label}',
+    none: 'Sin seleccionar',
+    analysisId: 'Análisis #{id}',
+    offline: 'Sin conexión con la API solo se pueden comparar los análisis fijados en esta sesión.',
+    loadError: 'No se pudo cargar el análisis #{id}: {error}',
+    empty: 'Elige dos análisis del historial o usa "Fijar como A" y "Fijar como B" en los resultados para compararlos.',
+  },
+  cleaning: {
+    priorities: { critical: 'Crítico', moderate: 'Moderado', optional: 'Opcional' },
+    operations: {
+      drop_duplicates: 'Eliminar duplicados',
+      drop_missing: 'Eliminar filas con faltantes',
+      impute: 'Imputar faltantes',
+      cap_outliers: 'Acotar atípicos',
+      normalize: 'Normalizar',
+      encode: 'Codificar categórica',
+    },
+    options: {
+      impute: { median: 'Mediana', mean: 'Media', mode: 'Moda', constant: 'Valor constante' },
+      cap_outliers: { iqr: 'IQR', zscore: 'Z-score', modified_zscore: 'Z-score modificado' },
+      normalize: { minmax: 'Min-max (0 a 1)', zscore: 'Estandarizar (z-score)' },
+      encode: { onehot: 'One-hot', label: 'Label encoding' },
+    },
+    describe: {
+      dropDuplicates: 'Eliminar filas duplicadas',
+      dropMissing: 'Eliminar filas con algún valor faltante',
+      dropMissingColumn: 'Eliminar filas sin valor en {column}',
+      impute: {
+        median: 'Imputar faltantes de {column} con la mediana',
+        mean: 'Imputar faltantes de {column} con la media',
+        mode: 'Imputar faltantes de {column} con la moda',
+        constant: 'Imputar faltantes de {column} con "{value}"',
+      },
+      capOutliers: 'Acotar atípicos de {column} ({method}, umbral {threshold})',
+      normalize: 'Normalizar {column} ({option})',
+      encode: 'Codificar {column} ({option})',
+    },
+    errors: {
+      missingColumn: 'La columna {column} no existe (¿la eliminó un paso anterior?)',
+      notNumeric: 'La columna {column} no tiene valores numéricos',
+      noMode: 'La columna {column} no tiene valores para calcular la moda',
+      tooManyCategories: '{column} tiene {categories} categorías; one-hot admite hasta {max}',
+      unknownOperation: 'Operación de limpieza desconocida: {type}',
+    },
+    details: {
+      fill: 'Valor usado: {value}',
+      bounds: 'Límites: {lower} a {upper}',
+      categories: { one: '{count} categoría', other: '{count} categorías' },
+    },
+    summary: {
+      rowsRemoved: { one: '{rows} fila eliminada', other: '{rows} filas eliminadas' },
+      changedCells: { one: '{cells} celda modificada', other: '{cells} celdas modificadas' },
+      addedColumns: { one: '{count} columna nueva', other: '{count} columnas nuevas' },
+      noChanges: 'Sin cambios',
+    },
+    defaults: {
+      missing: 'Tratar valores faltantes ({percent})',
+      duplicates: { one: 'Eliminar duplicados ({duplicates} registro)', other: 'Eliminar duplicados ({duplicates} registros)' },
+      outliers: 'Revisar outliers en columnas numéricas',
+      consistency: 'Validar consistencia de datos',
+      normalization: 'Normalización de columnas numéricas',
+      encoding: 'Encoding de variables categóricas',
+    },
+    workbench: {
+      pipeline: 'Pipeline de limpieza',
+      undo: 'Deshacer',
+      clear: 'Vaciar',
+      empty: 'Añade recomendaciones con + o construye pasos a mano; se aplican en orden.',
+      allColumns: 'Todas las columnas',
+      threshold: 'Umbral',
+      value: 'Valor',
+      addStep: 'Añadir paso',
+      moveUp: 'Subir',
+      moveDown: 'Bajar',
+      removeStep: 'Quitar paso',
+      noFile: 'Selecciona el archivo original para previsualizar y descargar el resultado de la limpieza.',
+      size: '{rows} filas × {columns} columnas (original: {original} filas)',
+      download: 'Descargar CSV limpio',
+      analyze: 'Analizar datos limpios',
+    },
+    code: {
+      title: 'Receta de Limpieza en Código',
+      include: 'Recomendaciones a incluir:',
+      none: 'No hay recomendaciones que se puedan traducir a código.',
+      copy: 'Copiar',
+      copied: 'Copiado',
+      download: 'Descargar .{extension}',
+    },
+  },
+  codegen: {
+    unsupported: 'Paso no soportado: {type}',
+    columnUnavailable: 'La columna {column} no está disponible en este paso',
+    noColumns: 'Sin columnas conocidas: completar a mano',
+    noCategories: 'Sin categorías conocidas para {column}: completar a mano',
+    nullsNote: 'Los valores faltantes deben estar cargados como NULL (no como cadenas vacías).',
+    printSize: 'Filas: {len(df)}, columnas: {len(df.columns)}',
+  },
+  outliers: {
+    column: 'Columna:',
+    method: 'Método:',
+    methods: { iqr: 'IQR (rango intercuartílico)', zscore: 'Z-score', modified_zscore: 'Z-score modificado (MAD)' },
+    parameters: { iqr: 'Multiplicador: {value}', zscore: 'Umbral |z|: {value}', modified_zscore: 'Umbral |z|: {value}' },
+    noColumns: 'No hay columnas numéricas para inspeccionar.',
+    noQuartiles: 'No hay cuartiles disponibles para dibujar esta columna.',
+    plotLabel: 'Diagrama de caja y puntos de valores atípicos',
+    lowerShort: 'Límite inf. {value}',
+    upperShort: 'Límite sup. {value}',
+    box: 'Q1 {q1} · Mediana {median} · Q3 {q3}',
+    fallback: '{error}. Se muestran los límites del análisis original.',
+    count: 'Atípicos',
+    rowShare: '% de filas',
+    lower: 'Límite inferior',
+    upper: 'Límite superior',
+    originalBounds: 'Límites IQR (1.5×) calculados en el análisis original. Selecciona el archivo para cambiar el método.',
+    values: 'Valores atípicos: {values}',
+    more: 'y {more} más',
+  },
+  correlation: {
+    empty: 'No hay correlaciones entre columnas numéricas.',
+    threshold: 'Umbral |r| ≥ {value}',
+    absolute: 'Valores absolutos',
+    order: 'Orden:',
+    orders: { original: 'Original', alphabetical: 'Alfabético', cluster: 'Clustering' },
+    heatmapLabel: 'Mapa de calor de correlaciones',
+    noValue: 'sin dato',
+    noFile: 'Selecciona el archivo original para ver el diagrama de dispersión de este par.',
+    sampling: 'Muestreando filas...',
+    sample: 'Muestra de {shown} de {total} filas (semilla {seed})',
+    describe: {
+      veryStrong: { positive: 'Muy fuerte positiva', negative: 'Muy fuerte negativa' },
+      strong: { positive: 'Fuerte positiva', negative: 'Fuerte negativa' },
+      moderate: { positive: 'Moderada positiva', negative: 'Moderada negativa' },
+      weak: { positive: 'Débil positiva', negative: 'Débil negativa' },
+      none: 'Sin correlación relevante',
+    },
+  },
+  columns: {
+    title: 'Explorador de Columnas',
+    table: {
+      column: 'Columna',
+      dtype: 'Tipo',
+      nullPercentage: 'Nulos %',
+      unique: 'Únicos',
+      min: 'Mín',
+      max: 'Máx',
+      mean: 'Media',
+      std: 'Desv. Est.',
+      topValues: 'Top categorías',
+    },
+    histogram: 'Histograma',
+    frequency: 'Frecuencia de valores',
+    noDistribution: 'El backend no envió distribución para esta columna.',
+    missing: 'Valores Faltantes',
+    missingCount: '{records} registros ({percent})',
+    noMissing: 'Sin valores faltantes',
+    outliers: 'Valores Atípicos',
+    outlierCount: { one: '{values} valor', other: '{values} valores' },
+    noOutliers: 'Sin atípicos detectados',
+    correlations: 'Correlaciones',
+    noCorrelations: 'Sin correlaciones reportadas',
+  },
+  drift: {
+    title: 'Deriva entre Ejecuciones',
+    noRuns: 'No hay análisis anteriores con este nombre. Vuelve a subir el mismo archivo en la próxima entrega para detectar cambios.',
+    historyError: 'No se pudo obtener el historial',
+    baseline: 'Línea base:',
+    previousRuns: { one: '({count} ejecución anterior)', other: '({count} ejecuciones anteriores)' },
+    current: 'Actual',
+    noDrift: 'Sin deriva respecto a la línea base',
+    thresholds: {
+      nullRate: 'Salto de nulos (pp)',
+      meanShift: 'Cambio de media (σ)',
+      categoryShift: 'Cambio de categorías (0-1)',
+    },
+    metrics: {
+      rows: 'Filas',
+      quality: 'Calidad global (%)',
+      missing: 'Valores faltantes (%)',
+      duplicates: 'Duplicados',
+      null: 'Nulos en {column} (%)',
+      mean: 'Media de {column}',
+    },
+    warnings: {
+      removed: 'La columna {column} desapareció',
+      added: 'Nueva columna {column}',
+      retyped: '{column} cambió de tipo: {before} → {after}',
+      nullRate: 'Nulos en {column}: {before}% → {after}%',
+      meanShift: 'Media de {column}: {before} → {after} ({shift} σ)',
+      categoryShift: 'La distribución de categorías de {column} cambió un {percent}',
+    },
+  },
+  comparison: {
+    title: 'Comparación de Análisis',
+    swap: 'Intercambiar',
+    close: 'Cerrar comparación',
+    base: 'A · Base',
+    target: 'B · Comparación',
+    rows: '{rows} filas',
+    summary: 'Resumen',
+    totalMissing: 'Faltantes totales:',
+    duplicates: 'Duplicados:',
+    schemaChanges: 'Cambios de Esquema',
+    sameSchema: 'Mismas columnas y tipos en ambos análisis.',
+    missing: 'Valores Faltantes (%)',
+    noData: 'Sin datos en ninguno de los análisis.',
+    column: 'Columna',
+    pair: 'Par',
+  },
+  report: {
+    defaultTitle: 'Reporte de Análisis',
+    meta: 'Generado: {date} · Origen: {source}',
+    sources: { local: 'Calculado localmente en el navegador', api: 'API' },
+    noData: 'Sin datos',
+    noRecommendations: 'Sin recomendaciones',
+    contributingColumn: 'Columna contribuyente: {column}',
+    labels: {
+      rows: 'Filas',
+      columns: 'Columnas',
+      size: 'Tamaño',
+      dataType: 'Tipo de dato',
+      metric: 'Métrica',
+      score: 'Puntaje',
+      totalMissing: 'Total faltante',
+      column: 'Columna',
+      records: 'Registros',
+      percentage: 'Porcentaje',
+      duplicateRecords: 'Registros duplicados',
+      outliers: 'Atípicos',
+      var1: 'Variable 1',
+      var2: 'Variable 2',
+      correlation: 'Correlación',
+    },
+  },
+  rules: {
+    title: 'Reglas de Calidad',
+    import: {
+      button: 'Importar JSON',
+      invalidJson: 'El archivo no es un JSON válido',
+      noRules: 'El JSON no contiene una lista de reglas',
+      invalidRule: 'Regla inválida ({column}): {reason}',
+    },
+    export: 'Exportar JSON',
+    add: 'Añadir regla',
+    remove: 'Quitar regla',
+    empty: 'Sin reglas para este dataset. Las reglas se guardan en este navegador con el nombre del archivo.',
+    passed: { one: '{passed} de {count} regla cumple', other: '{passed} de {count} reglas cumplen' },
+    evaluatedOnFile: 'Evaluadas contra todas las filas del archivo',
+    evaluatedOnAnalysis: 'Evaluadas con las estadísticas del análisis',
+    examples: 'Ejemplos: {examples}',
+    status: {
+      pass: 'Cumple',
+      fail: 'Falla',
+      unknown: 'Sin datos',
+      error: 'Error',
+    },
+    types: {
+      unique: 'Valores únicos',
+      max_nulls: 'Máximo de nulos (%)',
+      range: 'Rango numérico',
+      pattern: 'Coincide con patrón',
+      allowed_values: 'Valores permitidos',
+    },
+    params: {
+      max_nulls: { max: 'Máx. %' },
+      range: { min: 'Mín', max: 'Máx' },
+      pattern: { pattern: 'Expresión regular' },
+      allowed_values: { values: 'Valores (separados por coma)' },
+    },
+    describe: {
+      unique: '{column} es única',
+      maxNulls: '{column} tiene como máximo {max} de nulos',
+      range: '{column} entre {min} y {max}',
+      min: '{column} ≥ {min}',
+      max: '{column} ≤ {max}',
+      pattern: '{column} coincide con /{pattern}/',
+      allowedValues: '{column} en {{values}}',
+    },
+    invalid: {
+      unknownType: 'Tipo de regla desconocido: {type}',
+      noColumn: 'La regla necesita una columna',
+      maxNulls: 'El máximo de nulos debe estar entre 0 y 100',
+      noBounds: 'Indica al menos un mínimo o un máximo',
+      minAboveMax: 'El mínimo no puede superar al máximo',
+      noPattern: 'Indica una expresión regular',
+      badPattern: 'Expresión regular inválida: {error}',
+      noValues: 'Indica al menos un valor permitido',
+    },
+    results: {
+      nullRate: '{percent} de nulos',
+      allPass: 'Todos los valores cumplen',
+      failing: { one: '{failing} valor no cumple', other: '{failing} valores no cumplen' },
+      missingColumn: 'La columna {column} no existe en el archivo',
+      noStatistics: 'El análisis no tiene estadísticas de {column}',
+      noUniqueCount: 'Sin conteo de únicos en el análisis',
+      allUnique: 'Todos los valores son únicos',
+      repeated: { one: '{repeated} valor repetido', other: '{repeated} valores repetidos' },
+      noRange: 'Sin mínimo y máximo numéricos en el análisis',
+      observedRange: 'Valores observados entre {min} y {max}',
+      outsideList: { one: '{count} valor fuera de la lista', other: '{count} valores fuera de la lista' },
+      topValuesOnly: 'El análisis solo incluye los valores más frecuentes; evalúa con el archivo',
+      needsFile: 'Esta regla requiere el archivo original',
+    },
+  },
+  settings: {
+    title: 'Ajustes',
+    connection: 'Conexión',
+    apiUrl: 'API',
+    mockBackend: 'Usar el backend simulado en memoria (sin servidor)',
+    credentials: 'Credenciales',
+    authType: 'Tipo',
+    authTypes: {
+      none: 'Sin credenciales (o las de .env)',
+      bearer: 'Token Bearer',
+      apiKey: 'API key',
+    },
+    token: 'Token',
+    apiKey: 'API key',
+    apiKeyHeader: 'Cabecera',
+    credentialsHint: 'Las credenciales se guardan en este navegador y sustituyen a las de las variables de entorno.',
+    uploadDefaults: 'Subida de archivos (valores iniciales)',
+    chunkedUpload: 'Subida por partes',
+    backgroundJob: 'Analizar en segundo plano',
+    forceLocal: 'Analizar en el navegador',
+    largeFileMode: 'Modo de archivo grande (muestreo)',
+    reset: 'Restablecer',
+    save: 'Guardar',
+    saved: 'Guardado',
+  },
+  schema: {
+    title: 'La respuesta del análisis no cumple el esquema esperado',
+    unknownVersion: 'Versión de esquema desconocida ({version}); se validó con la versión actual',
+    invalidSections: {
+      one: '{count} sección no es válida y se omitió: {sections}',
+      other: '{count} secciones no son válidas y se omitieron: {sections}',
+    },
+    issueCount: { one: '{count} problema de validación', other: '{count} problemas de validación' },
+    showDetails: 'Ver detalles',
+    hideDetails: 'Ocultar detalles',
+    issue: '{path}: se esperaba {expected} y llegó {received}',
+    droppedIssue: '{path}: se esperaba {expected} y llegó {received} (elemento descartado)',
+    moreIssues: { one: '... y {count} problema más', other: '... y {count} problemas más' },
+    section: 'Sección',
+    invalidSection: 'La respuesta no trae datos válidos para esta sección.',
+    renderError: 'Esta sección no se pudo mostrar. El resto del análisis sigue disponible.',
+    sections: {
+      basic_info: 'información básica',
+      missing_data: 'valores faltantes',
+      duplicates: 'duplicados',
+      data_quality: 'calidad',
+      outliers: 'outliers',
+      correlation_matrix: 'correlaciones',
+      column_statistics: 'estadísticas por columna',
+      recommendations: 'recomendaciones',
+    },
+    types: {
+      number: 'un número',
+      string: 'un texto',
+      boolean: 'un booleano',
+      object: 'un objeto',
+      array: 'una lista',
+      null: 'null',
+      undefined: 'nada',
+    },
+  },
+  errors: {
+    generic: 'Ocurrió un error inesperado',
+    network: 'No se pudo conectar con el servidor. Verifica que la API esté ejecutándose.',
+    timeout: 'El análisis está tomando demasiado tiempo. Intenta con un archivo más pequeño.',
+    auth: 'No autorizado: revisa el token o la API key configurados.',
+    server: 'Error interno del servidor. Revisa la consola del backend para más detalles.',
+    cancelled: 'Carga cancelada por el usuario',
+    validation: 'Datos no válidos ({status})',
+    http: 'Error {status} de la API',
+    encoding: 'El servidor no pudo decodificar el archivo',
+    noFile: 'No se proporcionó archivo',
+    unsupportedFormat: 'Formato no soportado. Usa CSV, TSV, Excel, JSON o Parquet',
+    fileTooLarge: 'El archivo es demasiado grande. Máximo {max}',
+    jobEventsLost: 'Se perdió la conexión de eventos del trabajo',
+    invalidAnalysis: 'Error al procesar los datos del análisis',
+  },
+};
+
+export default es;
@@ -0,0 +1,114 @@
+// src/services/outliers.js
+
+// Nombre y parámetro de cada método en el catálogo: outliers.methods.<id> y outliers.parameters.<id>
+export const OUTLIER_METHODS = [
+  { id: 'iqr', defaultThreshold: 1.5, min: 0.5, max: 5, step: 0.1 },
+  { id: 'zscore', defaultThreshold: 3, min: 1, max: 6, step: 0.1 },
+  { id: 'modified_zscore', defaultThreshold: 3.5, min: 1, max: 8, step: 0.1 },
+];
+
+export const getOutlierMethod = (id) => OUTLIER_METHODS.find((method) => method.id === id) || OUTLIER_METHODS[0];
+
+export const quantile = (sorted, q) => {
+  if (sorted.length === 0) return NaN;
+  const position = (sorted.length - 1) * q;
+  const base = Math.floor(position);
+  const rest = position - base;
+  return sorted[base + 1] !== undefined
+    ? sorted[base] + rest * (sorted[base + 1] - sorted[base])
+    : sorted[base];
+};
+
+// Límites [inferior, superior] según el método elegido
+const computeBounds = (sorted, method, threshold) => {
+  if (method === 'zscore') {
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+    const std = Math.sqrt(sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / Math.max(1, sorted.length - 1));
+    return [mean - threshold * std, mean + threshold * std];
+  }
+  if (method === 'modified_zscore') {
+    // Iglewicz y Hoaglin: M = 0.6745 (x - mediana) / MAD
+    const median = quantile(sorted, 0.5);
+    const deviations = sorted.map((value) => Math.abs(value - median)).sort((a, b) => a - b);
+    const mad = quantile(deviations, 0.5);
+    const spread = (threshold * mad) / 0.6745;
+    return [median - spread, median + spread];
+  }
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const iqr = q3 - q1;
+  return [q1 - threshold * iqr, q3 + threshold * iqr];
+};
+
+// Detecta atípicos en una lista de números con IQR, z-score o z-score modificado
+export const detectOutliers = (values, { method = 'iqr', threshold } = {}) => {
+  const numbers = Array.from(values).filter((value) => typeof value === 'number' && !isNaN(value));
+  const sorted = numbers.sort((a, b) => a - b);
+  const limit = threshold ?? getOutlierMethod(method).defaultThreshold;
+
+  if (sorted.length === 0) {
+    return { method, threshold: limit, count: 0, percentage: 0, outliers: [], lowerBound: null, upperBound: null, summary: null };
+  }
+
+  const [lowerBound, upperBound] = computeBounds(sorted, method, limit);
+  const outliers = sorted.filter((value) => value < lowerBound || value > upperBound);
+  const inliers = sorted.filter((value) => value >= lowerBound && value <= upperBound);
+
+  return {
+    method,
+    threshold: limit,
+    count: outliers.length,
+    percentage: (outliers.length / sorted.length) * 100,
+    outliers,
+    lowerBound,
+    upperBound,
+    summary: {
+      min: sorted[0],
+      q1: quantile(sorted, 0.25),
+      median: quantile(sorted, 0.5),
+      q3: quantile(sorted, 0.75),
+      max: sorted[sorted.length - 1],
+      // Bigotes: valores extremos dentro de los límites
+      whiskerLow: inliers[0] ?? sorted[0],
+      whiskerHigh: inliers[inliers.length - 1] ?? sorted[sorted.length - 1],
+    },
+  };
+};
+
+// Adapta la respuesta de /analyses/:id/outliers/ a la forma de detectOutliers
+export const normalizeOutlierResult = (raw = {}) => ({
+  method: raw.method || 'iqr',
+  threshold: raw.threshold ?? getOutlierMethod(raw.method).defaultThreshold,
+  count: raw.outlier_count ?? raw.count ?? (raw.outliers || []).length,
+  percentage: raw.percentage ?? 0,
+  outliers: (raw.outliers || raw.outlier_values || []).map(Number).filter((value) => !isNaN(value)),
+  lowerBound: raw.lower_bound ?? raw.lowerBound ?? null,
+  upperBound: raw.upper_bound ?? raw.upperBound ?? null,
+  summary: raw.summary || null,
+});
+
+// Resultado aproximado sin valores: límites del análisis original y cuartiles de column_statistics
+export const summarizeFromStatistics = (entry = {}, stats = {}) => {
+  const summary = stats.q1 != null && stats.q3 != null
+    ? {
+      min: stats.min,
+      q1: stats.q1,
+      median: stats.median ?? stats['50%'] ?? (stats.q1 + stats.q3) / 2,
+      q3: stats.q3,
+      max: stats.max,
+      whiskerLow: Math.max(stats.min ?? -Infinity, entry.lower_bound ?? -Infinity),
+      whiskerHigh: Math.min(stats.max ?? Infinity, entry.upper_bound ?? Infinity),
+    }
+    : null;
+
+  return {
+    method: 'iqr',
+    threshold: 1.5,
+    count: entry.outlier_count ?? 0,
+    percentage: entry.percentage ?? 0,
+    outliers: [],
+    lowerBound: entry.lower_bound ?? null,
+    upperBound: entry.upper_bound ?? null,
+    summary,
+  };
+};
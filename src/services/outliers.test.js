@@ -0,0 +1,40 @@
+import { detectOutliers, normalizeOutlierResult, summarizeFromStatistics } from './outliers';
+
+const values = [10, 11, 12, 12, 13, 13, 14, 15, 15, 16, 200];
+
+test('IQR marca el valor extremo y respeta el multiplicador', () => {
+  const result = detectOutliers(values, { method: 'iqr', threshold: 1.5 });
+  expect(result.outliers).toEqual([200]);
+  expect(result.lowerBound).toBeCloseTo(7.5);
+  expect(result.upperBound).toBeCloseTo(19.5);
+  expect(result.summary.whiskerHigh).toBe(16);
+
+  const loose = detectOutliers(values, { method: 'iqr', threshold: 100 });
+  expect(loose.count).toBe(0);
+});
+
+test('z-score y z-score modificado usan sus umbrales por defecto', () => {
+  const zscore = detectOutliers(values, { method: 'zscore' });
+  expect(zscore.threshold).toBe(3);
+  expect(zscore.outliers).toEqual([200]);
+
+  const modified = detectOutliers(values, { method: 'modified_zscore' });
+  expect(modified.threshold).toBe(3.5);
+  expect(modified.outliers).toEqual([200]);
+});
+
+test('ignora valores no numéricos y listas vacías', () => {
+  expect(detectOutliers([NaN, 'x']).count).toBe(0);
+  expect(detectOutliers([]).summary).toBeNull();
+});
+
+test('normaliza la respuesta del backend y el resumen de estadísticas', () => {
+  const remote = normalizeOutlierResult({ method: 'zscore', outlier_count: 2, outliers: ['5', 9], lower_bound: 1, upper_bound: 4 });
+  expect(remote).toMatchObject({ method: 'zscore', threshold: 3, count: 2, outliers: [5, 9], lowerBound: 1, upperBound: 4 });
+
+  const fallback = summarizeFromStatistics(
+    { outlier_count: 1, percentage: 10, lower_bound: 0, upper_bound: 20 },
+    { min: 2, q1: 5, median: 8, q3: 12, max: 30 }
+  );
+  expect(fallback.summary).toMatchObject({ median: 8, whiskerLow: 2, whiskerHigh: 20 });
+});
@@ -0,0 +1,265 @@
+// src/services/pii.js
+// Detección de datos personales (PII) por columna y enmascarado antes de enviar el archivo a
+// la API. Las columnas se clasifican por el formato de sus valores; los nombres y los
+// documentos sin formato fijo se reconocen además por el encabezado. Todo ocurre en el navegador.
+
+// Los nombres visibles están en el catálogo de traducciones (pii.types y pii.actions)
+export const PII_TYPES = ['email', 'phone', 'national_id', 'credit_card', 'ip_address', 'name'];
+export const MASKING_ACTIONS = ['hash', 'tokenize', 'truncate', 'drop', 'keep'];
+
+// Acción que se propone para cada tipo en la revisión (y la que se aplica en los lotes)
+export const DEFAULT_ACTIONS = {
+  email: 'hash',
+  phone: 'truncate',
+  national_id: 'hash',
+  credit_card: 'truncate',
+  ip_address: 'truncate',
+  name: 'tokenize',
+};
+
+// Proporción de valores no vacíos con el formato del tipo; si el encabezado lo sugiere basta la mitad
+const MIN_MATCH_RATIO = 0.8;
+const HINTED_MATCH_RATIO = 0.5;
+const MAX_SCAN_ROWS = 1000;
+
+// Caracteres hexadecimales que se conservan del SHA-256: 64 bits bastan para no mezclar valores
+const HASH_LENGTH = 16;
+
+const TOKEN_PREFIXES = {
+  email: 'EMAIL',
+  phone: 'TEL',
+  national_id: 'ID',
+  credit_card: 'TARJETA',
+  ip_address: 'IP',
+  name: 'NOMBRE',
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@.]{2,}$/;
+const IPV4_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+const IPV6_PATTERN = /^[0-9a-f]{0,4}(:[0-9a-f]{0,4}){2,7}$/i;
+const PHONE_PATTERN = /^\+?[\d\s().-]+$/;
+const SSN_PATTERN = /^\d{3}-\d{2}-\d{4}$/;
+const CURP_PATTERN = /^[A-Z]{4}\d{6}[HM][A-Z]{5}[A-Z\d]\d$/i;
+const RUT_PATTERN = /^\d{1,2}\.?\d{3}\.?\d{3}-[\dK]$/i;
+const SPANISH_ID_PATTERN = /^([XYZ\d])(\d{7})-?([A-Z])$/i;
+const GENERIC_ID_PATTERN = /^[A-Z]{0,3}[\d.-]{6,14}[A-Z\d]?$/i;
+const PERSON_NAME_PATTERN = /^\p{L}[\p{L}'.-]*(\s+\p{L}[\p{L}'.-]*){0,4}$/u;
+
+const DNI_LETTERS = 'TRWAGMYFPDXBNJZSQVHLCKE';
+
+const digitsOf = (value) => value.replace(/\D/g, '');
+
+// Algoritmo de Luhn de los números de tarjeta
+const passesLuhn = (digits) => {
+  let sum = 0;
+  for (let index = 0; index < digits.length; index++) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+const isCreditCard = (value) => {
+  if (!/^\d[\d -]+\d$/.test(value)) return false;
+  const digits = digitsOf(value);
+  return digits.length >= 13 && digits.length <= 19 && passesLuhn(digits);
+};
+
+const isIpAddress = (value) => {
+  const ipv4 = IPV4_PATTERN.exec(value);
+  if (ipv4) return ipv4.slice(1).every((octet) => Number(octet) <= 255);
+  return IPV6_PATTERN.test(value) && (value.includes('::') || value.split(':').length === 8);
+};
+
+// DNI y NIE españoles (con su letra de control), SSN de EE. UU., CURP de México y RUT de Chile
+const isNationalId = (value) => {
+  const spanish = SPANISH_ID_PATTERN.exec(value);
+  if (spanish) {
+    const prefix = 'XYZ'.indexOf(spanish[1].toUpperCase());
+    const number = Number(`${prefix === -1 ? spanish[1] : prefix}${spanish[2]}`);
+    return DNI_LETTERS[number % 23] === spanish[3].toUpperCase();
+  }
+  return SSN_PATTERN.test(value) || CURP_PATTERN.test(value) || RUT_PATTERN.test(value);
+};
+
+// Sin encabezado que lo indique, un teléfono necesita prefijo internacional o separadores
+// (así no se confunde con importes o identificadores numéricos)
+const isPhone = (value, { plain = false } = {}) => {
+  if (!PHONE_PATTERN.test(value)) return false;
+  const digits = digitsOf(value);
+  if (value.startsWith('+')) return digits.length >= 7 && digits.length <= 15;
+  if (!plain && !/[\s().-]/.test(value)) return false;
+  return digits.length >= (plain ? 7 : 9) && digits.length <= 15;
+};
+
+// Palabras del encabezado sin tildes: "Correo_Electrónico" -> ['correo', 'electronico']
+const headerTokens = (header) => header
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/([a-z])([A-Z])/g, '$1 $2')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+// "nombre_producto" o "company_name" no son nombres de personas
+const NON_PERSON_TOKENS = [
+  'producto', 'product', 'empresa', 'company', 'compania', 'archivo', 'file', 'ciudad', 'city',
+  'pais', 'country', 'categoria', 'category', 'marca', 'brand', 'tienda', 'store', 'calle', 'street',
+  'columna', 'column', 'campo', 'field', 'usuario', 'user', 'host', 'dominio', 'domain',
+];
+
+// Orden de preferencia cuando dos tipos empatan en proporción de coincidencias.
+// hintedMatches amplía los valores aceptados si el encabezado sugiere el tipo.
+const DETECTORS = [
+  { type: 'credit_card', hints: ['tarjeta', 'card', 'cc', 'pan'], matches: isCreditCard },
+  { type: 'email', hints: ['email', 'correo', 'mail', 'e'], matches: (value) => EMAIL_PATTERN.test(value) },
+  { type: 'ip_address', hints: ['ip'], matches: isIpAddress },
+  {
+    type: 'national_id',
+    hints: ['dni', 'nie', 'nif', 'cedula', 'ssn', 'curp', 'rut', 'rfc', 'nss', 'pasaporte', 'passport', 'documento'],
+    matches: isNationalId,
+    hintedMatches: (value) => GENERIC_ID_PATTERN.test(value) && digitsOf(value).length >= 6,
+  },
+  {
+    type: 'phone',
+    hints: ['telefono', 'phone', 'tel', 'movil', 'mobile', 'celular', 'cel', 'whatsapp', 'fax'],
+    matches: isPhone,
+    hintedMatches: (value) => isPhone(value, { plain: true }),
+  },
+  {
+    type: 'name',
+    hints: ['nombre', 'nombres', 'name', 'apellido', 'apellidos', 'surname', 'firstname', 'lastname', 'fullname', 'cliente', 'titular', 'contacto', 'paciente'],
+    matches: null, // Los nombres no tienen un formato reconocible: solo por el encabezado
+    hintedMatches: (value) => PERSON_NAME_PATTERN.test(value) && !/\d/.test(value),
+  },
+];
+
+const hasHint = (tokens, { type, hints }) => {
+  if (type === 'name' && tokens.some((token) => NON_PERSON_TOKENS.includes(token))) return false;
+  // 'e' solo cuenta junto a 'mail' (e_mail)
+  return hints.some((hint) => hint !== 'e' && tokens.includes(hint))
+    || (type === 'email' && tokens.includes('e') && tokens.includes('mail'));
+};
+
+// Versión truncada de un valor: conserva solo la parte menos identificable
+export const truncateValue = (value, type) => {
+  const trimmed = value.trim();
+  switch (type) {
+    case 'email': {
+      const at = trimmed.lastIndexOf('@');
+      return at > 0 ? `${trimmed[0]}***${trimmed.slice(at)}` : '***';
+    }
+    case 'phone':
+      return `***${digitsOf(trimmed).slice(-4)}`;
+    case 'credit_card':
+      return `**** ${digitsOf(trimmed).slice(-4)}`;
+    case 'national_id':
+      return `***${trimmed.replace(/[^\dA-Z]/gi, '').slice(-3)}`;
+    case 'ip_address': {
+      const ipv4 = IPV4_PATTERN.exec(trimmed);
+      return ipv4 ? `${ipv4[1]}.${ipv4[2]}.0.0` : `${trimmed.split(':').slice(0, 3).join(':')}::`;
+    }
+    case 'name':
+      return trimmed.split(/\s+/).map((word) => `${word[0].toUpperCase()}.`).join(' ');
+    default:
+      return `${trimmed.slice(0, 3)}***`;
+  }
+};
+
+// Columnas con datos personales entre las primeras filas: { column, index, type, percentage,
+// byHeader, example }. example ya está truncado para poder mostrarlo en la revisión.
+export const detectPii = (headers, rows, { maxRows = MAX_SCAN_ROWS } = {}) => {
+  const scanned = rows.slice(0, maxRows);
+
+  return headers.flatMap((column, index) => {
+    const values = scanned.map((row) => String(row[index] ?? '').trim()).filter((value) => value !== '');
+    if (values.length === 0) return [];
+    const tokens = headerTokens(column);
+
+    let best = null;
+    DETECTORS.forEach((detector) => {
+      const byHeader = hasHint(tokens, detector);
+      const test = byHeader && detector.hintedMatches
+        ? (value) => Boolean(detector.matches?.(value)) || detector.hintedMatches(value)
+        : detector.matches;
+      if (!test) return;
+
+      const matching = values.filter((value) => test(value));
+      const ratio = matching.length / values.length;
+      if (ratio >= (byHeader ? HINTED_MATCH_RATIO : MIN_MATCH_RATIO) && (!best || ratio > best.ratio)) {
+        best = { type: detector.type, ratio, byHeader, example: matching[0] };
+      }
+    });
+
+    return best
+      ? [{
+        column,
+        index,
+        type: best.type,
+        percentage: Math.round(best.ratio * 1000) / 10,
+        byHeader: best.byHeader,
+        example: truncateValue(best.example, best.type),
+      }]
+      : [];
+  });
+};
+
+// Plan de enmascarado con la acción propuesta para cada columna detectada
+export const createMaskingPlan = (findings) => findings.map((finding) => ({
+  ...finding,
+  action: DEFAULT_ACTIONS[finding.type] || 'hash',
+}));
+
+// true si el plan cambia algo del archivo
+export const requiresMasking = (plan) => Boolean(plan) && plan.some(({ action }) => action !== 'keep');
+
+// SHA-256 en hexadecimal con Web Crypto (disponible en los workers)
+export const sha256Hex = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Los correos se comparan sin distinguir mayúsculas
+const normalizeValue = (value, type) => (type === 'email' ? value.trim().toLowerCase() : value.trim());
+
+// Aplica el plan a una tabla { headers, rows }. hash usa SHA-256 con sal (un mismo valor da el
+// mismo resultado en todos los archivos que se suban con esa sal); tokenize sustituye cada
+// valor distinto por un código correlativo (EMAIL_0001) que solo vale dentro del archivo.
+// Las celdas vacías se conservan para no alterar el conteo de faltantes.
+export const maskTable = async ({ headers, rows }, plan, { salt = '', digest = sha256Hex } = {}) => {
+  const actions = new Map(plan.filter(({ action }) => action !== 'keep').map((entry) => [entry.index, entry]));
+
+  const replacements = new Map();
+  for (const [index, { type, action }] of actions) {
+    if (action !== 'hash' && action !== 'tokenize') continue;
+    const distinct = [...new Set(rows.map((row) => normalizeValue(row[index] ?? '', type)).filter((value) => value !== ''))];
+    const masked = action === 'hash'
+      ? (await Promise.all(distinct.map((value) => digest(`${salt}${value}`)))).map((hex) => hex.slice(0, HASH_LENGTH))
+      : distinct.map((_, position) => `${TOKEN_PREFIXES[type] || 'VALOR'}_${String(position + 1).padStart(4, '0')}`);
+    replacements.set(index, new Map(distinct.map((value, position) => [value, masked[position]])));
+  }
+
+  const maskCell = (value, index) => {
+    const entry = actions.get(index);
+    if (!entry || value.trim() === '') return value;
+    if (entry.action === 'truncate') return truncateValue(value, entry.type);
+    return replacements.get(index).get(normalizeValue(value, entry.type));
+  };
+
+  const kept = headers.map((_, index) => index).filter((index) => actions.get(index)?.action !== 'drop');
+  return {
+    headers: kept.map((index) => headers[index]),
+    rows: rows.map((row) => kept.map((index) => maskCell(row[index] ?? '', index))),
+  };
+};
+
+// Sección pii del análisis: columnas detectadas, la acción elegida y si se aplicó antes de
+// subir el archivo (masked: false si no salió del navegador)
+export const summarizePii = (plan, { masked }) => ({
+  masked,
+  columns: plan.map(({ column, type, percentage, byHeader, action }) => ({ column, type, percentage, by_header: byHeader, action })),
+});
@@ -0,0 +1,68 @@
+import { createHash } from 'crypto';
+import { detectPii, createMaskingPlan, requiresMasking, maskTable, summarizePii, truncateValue } from './pii';
+
+const headers = ['cliente', 'correo', 'telefono', 'dni', 'tarjeta', 'ip', 'importe', 'fecha', 'ciudad', 'nombre_producto'];
+const rows = [
+  ['Ana Pérez', 'ana@correo.es', '+34 600 123 456', '12345678Z', '4111 1111 1111 1111', '192.168.1.20', '12.50', '2024-01-15', 'Lima', 'Mesa Roble'],
+  ['Luis Gómez', 'LUIS@correo.es', '+34 611 222 333', 'X1234567L', '4539 1488 0343 6467', '10.0.0.7', '8', '2024-02-01', 'Quito', 'Silla Pino'],
+  ['Ana Pérez', 'ana@correo.es', '', '12345678Z', '', '10.0.0.8', '3.2', '2024-03-10', 'Lima', 'Mesa Roble'],
+];
+
+// SHA-256 de Node en lugar de Web Crypto, que jsdom no incluye
+const digest = async (text) => createHash('sha256').update(text).digest('hex');
+
+test('detecta las columnas con datos personales por formato y encabezado', () => {
+  const findings = detectPii(headers, rows);
+
+  expect(findings.map(({ column, type }) => [column, type])).toEqual([
+    ['cliente', 'name'],
+    ['correo', 'email'],
+    ['telefono', 'phone'],
+    ['dni', 'national_id'],
+    ['tarjeta', 'credit_card'],
+    ['ip', 'ip_address'],
+  ]);
+  expect(findings[1]).toMatchObject({ index: 1, percentage: 100, byHeader: true, example: 'a***@correo.es' });
+  expect(findings[0].byHeader).toBe(true);
+});
+
+test('sin encabezado reconoce los formatos pero no los nombres', () => {
+  const findings = detectPii(headers.map((_, index) => `columna_${index + 1}`), rows);
+
+  expect(findings.map(({ type }) => type)).toEqual(['email', 'phone', 'national_id', 'credit_card', 'ip_address']);
+  expect(findings.every(({ byHeader }) => !byHeader)).toBe(true);
+});
+
+test('propone una acción por tipo y trunca cada formato', () => {
+  const plan = createMaskingPlan(detectPii(headers, rows));
+
+  expect(plan.map(({ action }) => action)).toEqual(['tokenize', 'hash', 'truncate', 'hash', 'truncate', 'truncate']);
+  expect(requiresMasking(plan)).toBe(true);
+  expect(requiresMasking(plan.map((entry) => ({ ...entry, action: 'keep' })))).toBe(false);
+  expect(truncateValue('+34 600 123 456', 'phone')).toBe('***3456');
+  expect(truncateValue('4111 1111 1111 1111', 'credit_card')).toBe('**** 1111');
+  expect(truncateValue('192.168.1.20', 'ip_address')).toBe('192.168.0.0');
+  expect(truncateValue('Ana María Pérez', 'name')).toBe('A. M. P.');
+});
+
+test('enmascara con hash, tokens, truncado y eliminación conservando los vacíos', async () => {
+  const plan = createMaskingPlan(detectPii(headers, rows))
+    .map((entry) => (entry.type === 'credit_card' ? { ...entry, action: 'drop' } : entry));
+  const masked = await maskTable({ headers, rows }, plan, { salt: 'sal', digest });
+
+  expect(masked.headers).not.toContain('tarjeta');
+  expect(masked.rows[0].slice(0, 3)).toEqual(['NOMBRE_0001', (await digest('salana@correo.es')).slice(0, 16), '***3456']);
+  // El mismo valor (sin distinguir mayúsculas en los correos) da el mismo resultado
+  expect(masked.rows[2][0]).toBe('NOMBRE_0001');
+  expect(masked.rows[1][0]).toBe('NOMBRE_0002');
+  expect(masked.rows[1][1]).toBe((await digest('salluis@correo.es')).slice(0, 16));
+  expect(masked.rows[2][2]).toBe('');
+  expect(masked.rows[0].slice(-4)).toEqual(['12.50', '2024-01-15', 'Lima', 'Mesa Roble']);
+
+  const otherSalt = await maskTable({ headers, rows }, plan, { salt: 'otra', digest });
+  expect(otherSalt.rows[0][1]).not.toBe(masked.rows[0][1]);
+
+  expect(summarizePii(plan, { masked: true }).columns[4]).toEqual({
+    column: 'tarjeta', type: 'credit_card', percentage: 100, by_header: true, action: 'drop',
+  });
+});
@@ -0,0 +1,57 @@
+// src/services/piiEngine.js
+import { runWorker } from './workerClient';
+import { toCsvFileName } from './formats/extensions';
+import { ensureCsvFile } from './conversion';
+import { previewCsvFile } from './preview';
+import { createMaskingPlan, requiresMasking } from './pii';
+import { getWorkspaceStore } from './workspaceStore';
+
+const createWorker = () => new Worker(new URL('../workers/piiMasking.worker.js', import.meta.url));
+
+// Bytes del principio del archivo en los que se buscan datos personales sin plan revisado
+const DETECTION_BYTES = 5 * 1024 * 1024;
+
+// Sal de los hashes de este navegador: se crea una vez y se guarda como preferencia privada
+// (exportWorkspace no la incluye), así un mismo correo da el mismo hash en todos los análisis
+export const getPiiSalt = async () => {
+  const store = getWorkspaceStore();
+  const saved = await store.getPreference('pii');
+  if (saved?.salt) return saved.salt;
+
+  const salt = Array.from(crypto.getRandomValues(new Uint8Array(16)), (byte) => byte.toString(16).padStart(2, '0')).join('');
+  await store.setPreference('pii', { ...saved, salt });
+  return salt;
+};
+
+// Plan con el que se enmascara el archivo: el revisado o, si no hay, las acciones propuestas
+// para las columnas detectadas al principio del archivo. Se resuelve antes de buscar el
+// análisis guardado para buscarlo y guardarlo con la misma variante.
+export const resolveMaskingPlan = async (file, plan, { signal } = {}) => {
+  if (plan) return plan;
+  const { pii } = await previewCsvFile(file, { previewRows: 0, maxBytes: DETECTION_BYTES, signal });
+  return createMaskingPlan(pii);
+};
+
+// Devuelve { file, plan } con el CSV que se puede enviar a la API. Con plan null se detectan
+// las columnas y se aplican las acciones propuestas; si el plan (o el detectado) no cambia
+// nada se devuelve el mismo archivo.
+export const maskPiiInFile = async (file, plan, { signal } = {}) => {
+  if (plan && !requiresMasking(plan)) {
+    return { file, plan };
+  }
+  const result = await runWorker(
+    createWorker(),
+    { file, plan, salt: await getPiiSalt() },
+    { signal, fallbackError: 'No se pudieron enmascarar los datos personales' }
+  );
+  if (!requiresMasking(result.plan)) {
+    return { file, plan: result.plan };
+  }
+  return {
+    file: new File([result.csv], toCsvFileName(file.name), { type: 'text/csv' }),
+    plan: result.plan,
+  };
+};
+
+// Archivos subidos sin revisión (lotes): se convierten a CSV y se enmascaran con las acciones propuestas
+export const maskFileForUpload = async (file, { signal } = {}) => maskPiiInFile(await ensureCsvFile(file, { signal }), null, { signal });
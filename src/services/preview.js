@@ -0,0 +1,10 @@
+// src/services/preview.js
+import { runWorker } from './workerClient';
+
+// Analiza el archivo en un Web Worker y devuelve la vista previa del CSV.
+// Con maxBytes se leen solo los primeros bytes (partial: true en el resultado).
+export const previewCsvFile = (file, { previewRows = 20, maxBytes = null, signal } = {}) => runWorker(
+  new Worker(new URL('../workers/csvPreview.worker.js', import.meta.url)),
+  { file, previewRows, maxBytes },
+  { signal, fallbackError: 'No se pudo leer el archivo' }
+);
@@ -0,0 +1,385 @@
+// src/services/report.js
+// Generación de reportes del análisis actual en PDF, HTML, Markdown y JSON (todo en el navegador).
+// Los textos y números salen ya traducidos y formateados en el idioma del i18n recibido.
+import { DEFAULT_APPEARANCE, getChartTheme } from './theme';
+import { createI18n, describeQualityMetric, DEFAULT_LANGUAGE } from './i18n';
+
+// Modelo intermedio independiente del formato: secciones con resumen, tabla y lista
+export const buildReportModel = (datasetInfo, { title, generatedAt = new Date(), i18n = createI18n(DEFAULT_LANGUAGE) } = {}) => {
+  const { t, language } = i18n;
+  // Algunos valores llegan como texto (p. ej. el tamaño); se muestran tal cual
+  const formatNumber = (value, maximumFractionDigits = 2) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (typeof value !== 'number') return String(value);
+    return i18n.formatNumber(value, { maximumFractionDigits });
+  };
+  const formatPercent = (value) => i18n.formatPercent(value);
+  const source = t(datasetInfo.source === 'local' ? 'report.sources.local' : 'report.sources.api');
+  const {
+    basic_info: basicInfo = {},
+    data_quality: dataQuality = {},
+    missing_data: missingData = {},
+    duplicates = {},
+    outliers = {},
+    correlation_matrix: correlations = [],
+    recommendations = {},
+  } = datasetInfo;
+
+  return {
+    title: title || t('report.defaultTitle'),
+    language,
+    generatedAt: generatedAt.toISOString(),
+    source,
+    meta: t('report.meta', { date: i18n.formatDate(generatedAt), source }),
+    texts: { noData: t('report.noData'), noRecommendations: t('report.noRecommendations') },
+    sections: [
+      {
+        id: 'basic',
+        title: t('results.basicInfo'),
+        summary: [
+          [t('report.labels.rows'), formatNumber(basicInfo.total_rows)],
+          [t('report.labels.columns'), formatNumber(basicInfo.total_columns)],
+          [t('report.labels.size'), basicInfo.file_size || '—'],
+        ],
+        table: {
+          columns: [t('report.labels.dataType'), t('report.labels.columns')],
+          rows: Object.entries(basicInfo.data_types || {}).map(([type, count]) => [type, formatNumber(count)]),
+        },
+      },
+      {
+        id: 'quality',
+        title: t('results.qualityMetrics'),
+        table: {
+          columns: [t('report.labels.metric'), t('report.labels.score')],
+          rows: Object.entries(dataQuality).map(([metric, score]) => [describeQualityMetric(t, metric), formatPercent(score)]),
+        },
+      },
+      {
+        id: 'missing',
+        title: t('results.missingValues'),
+        summary: [[t('report.labels.totalMissing'), formatPercent(missingData.total_missing_percentage)]],
+        table: {
+          columns: [t('report.labels.column'), t('report.labels.records'), t('report.labels.percentage')],
+          rows: (missingData.columns_with_missing || []).map((item) => [
+            item.column, formatNumber(item.count), formatPercent(item.percentage),
+          ]),
+        },
+      },
+      {
+        id: 'duplicates',
+        title: t('results.duplicates'),
+        summary: [
+          [t('report.labels.duplicateRecords'), formatNumber(duplicates.total_duplicates)],
+          [t('report.labels.percentage'), formatPercent(duplicates.percentage)],
+        ],
+        list: (duplicates.columns_contributing || []).map((column) => t('report.contributingColumn', { column })),
+      },
+      {
+        id: 'outliers',
+        title: t('results.outliers'),
+        table: {
+          columns: [t('report.labels.column'), t('report.labels.outliers'), t('report.labels.percentage')],
+          rows: (outliers.columns_with_outliers || []).map((item) => [
+            item.column, formatNumber(item.outlier_count), formatPercent(item.percentage),
+          ]),
+        },
+      },
+      {
+        id: 'correlations',
+        title: t('results.correlations'),
+        table: {
+          columns: [t('report.labels.var1'), t('report.labels.var2'), t('report.labels.correlation')],
+          rows: correlations.map((pair) => [pair.var1, pair.var2, formatNumber(pair.correlation, 3)]),
+        },
+      },
+      {
+        id: 'recommendations',
+        title: t('results.recommendations'),
+        groups: ['critical', 'moderate', 'optional'].map((priority) => ({
+          label: t(`cleaning.priorities.${priority}`),
+          items: (recommendations[priority] || []).map((rec) => rec.description || String(rec)),
+        })),
+      },
+    ],
+  };
+};
+
+// Convierte cada gráfico SVG (recharts o propio) marcado con data-report-chart en una imagen PNG.
+// background es el fondo del tema activo (getChartTheme), el único con el que se leen sus colores.
+export const captureCharts = async (root, { background = getChartTheme(DEFAULT_APPEARANCE.theme).background } = {}) => {
+  if (!root) return {};
+  const containers = Array.from(root.querySelectorAll('[data-report-chart]'));
+  const charts = {};
+
+  for (const container of containers) {
+    const svg = container.querySelector('svg.recharts-surface, svg[data-chart-svg]');
+    if (!svg) continue;
+    const chart = await svgToPng(svg, { background });
+    const section = container.getAttribute('data-report-chart');
+    charts[section] = [...(charts[section] || []), chart];
+  }
+  return charts;
+};
+
+const svgToPng = (svg, { background, scale = 2 }) => new Promise((resolve, reject) => {
+  const { width, height } = svg.getBoundingClientRect();
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+
+  const url = URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(clone)], { type: 'image/svg+xml' }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const context = canvas.getContext('2d');
+    context.fillStyle = background;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+    resolve({ dataUrl: canvas.toDataURL('image/png'), width, height });
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('No se pudo convertir el gráfico a imagen'));
+  };
+  image.src = url;
+});
+
+const escapeMarkdown = (value) => String(value).replace(/\|/g, '\\|');
+
+// Markdown para pull requests: los gráficos se omiten porque GitHub no muestra imágenes data:
+export const toMarkdown = (model) => {
+  const lines = [
+    `# ${model.title}`,
+    '',
+    `_${model.meta}_`,
+    '',
+  ];
+
+  model.sections.forEach((section) => {
+    lines.push(`## ${section.title}`, '');
+    (section.summary || []).forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+    if (section.summary) lines.push('');
+
+    if (section.table) {
+      if (section.table.rows.length === 0) {
+        lines.push(`_${model.texts.noData}_`, '');
+      } else {
+        lines.push(`| ${section.table.columns.join(' | ')} |`);
+        lines.push(`| ${section.table.columns.map(() => '---').join(' | ')} |`);
+        section.table.rows.forEach((row) => lines.push(`| ${row.map(escapeMarkdown).join(' | ')} |`));
+        lines.push('');
+      }
+    }
+
+    (section.list || []).forEach((item) => lines.push(`- ${item}`));
+    if (section.list?.length) lines.push('');
+
+    (section.groups || []).forEach(({ label, items }) => {
+      lines.push(`### ${label}`, '');
+      if (items.length === 0) lines.push(`- ${model.texts.noRecommendations}`);
+      items.forEach((item) => lines.push(`- ${item}`));
+      lines.push('');
+    });
+  });
+
+  return lines.join('\n');
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const HTML_STYLES = `
+  body { font-family: Inter, system-ui, sans-serif; color: #1e293b; max-width: 960px; margin: 2rem auto; padding: 0 1rem; }
+  h1 { color: #581c87; } h2 { color: #6d28d9; border-bottom: 1px solid #e2e8f0; padding-bottom: .25rem; margin-top: 2rem; }
+  .meta { color: #64748b; font-size: .9rem; }
+  table { border-collapse: collapse; width: 100%; margin: .75rem 0; font-size: .9rem; }
+  th, td { border: 1px solid #e2e8f0; padding: .35rem .6rem; text-align: left; }
+  th { background: #f1f5f9; }
+  img { max-width: 100%; border-radius: 8px; margin: .5rem 0; }
+  .groups { display: grid; grid-template-columns: repeat(3, 1fr); gap: 1rem; }
+  .group { border-radius: 8px; padding: .75rem; background: #f8fafc; border: 1px solid #e2e8f0; }
+`;
+
+// HTML autocontenido: estilos en línea y gráficos como imágenes PNG embebidas
+export const toHtml = (model, charts = {}) => {
+  const body = model.sections.map((section) => {
+    const parts = [`<h2>${escapeHtml(section.title)}</h2>`];
+
+    if (section.summary) {
+      parts.push(`<ul>${section.summary.map(([label, value]) =>
+        `<li><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</li>`).join('')}</ul>`);
+    }
+    (charts[section.id] || []).forEach((chart) => {
+      parts.push(`<img src="${chart.dataUrl}" alt="${escapeHtml(section.title)}" />`);
+    });
+    if (section.table) {
+      parts.push(section.table.rows.length === 0 ? `<p class="meta">${escapeHtml(model.texts.noData)}</p>` : `<table>
+        <thead><tr>${section.table.columns.map((column) => `<th>${escapeHtml(column)}</th>`).join('')}</tr></thead>
+        <tbody>${section.table.rows.map((row) =>
+          `<tr>${row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+      </table>`);
+    }
+    if (section.list?.length) {
+      parts.push(`<ul>${section.list.map((item) => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`);
+    }
+    if (section.groups) {
+      parts.push(`<div class="groups">${section.groups.map(({ label, items }) => `<div class="group">
+        <h3>${escapeHtml(label)}</h3>
+        <ul>${(items.length ? items : [model.texts.noRecommendations]).map((item) => `<li>${escapeHtml(item)}</li>`).join('')}</ul>
+      </div>`).join('')}</div>`);
+    }
+    return parts.join('\n');
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(model.language)}">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(model.title)}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(model.title)}</h1>
+<p class="meta">${escapeHtml(model.meta)}</p>
+${body}
+</body>
+</html>`;
+};
+
+// JSON crudo para pipelines: el análisis formateado más metadatos del reporte
+export const toJson = (datasetInfo, model) => JSON.stringify({
+  report: { title: model.title, generated_at: model.generatedAt, source: model.source },
+  analysis: datasetInfo,
+}, null, 2);
+
+// PDF con jsPDF (se carga bajo demanda para no aumentar el bundle principal)
+export const toPdf = async (model, charts = {}) => {
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+  const margin = 40;
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - margin * 2;
+  let y = margin;
+
+  const ensureSpace = (height) => {
+    if (y + height > pageHeight - margin) {
+      doc.addPage();
+      y = margin;
+    }
+  };
+
+  const writeText = (text, { size = 10, bold = false, color = [30, 41, 59], indent = 0 } = {}) => {
+    doc.setFont('helvetica', bold ? 'bold' : 'normal');
+    doc.setFontSize(size);
+    doc.setTextColor(...color);
+    doc.splitTextToSize(String(text), contentWidth - indent).forEach((line) => {
+      ensureSpace(size * 1.4);
+      doc.text(line, margin + indent, y);
+      y += size * 1.4;
+    });
+  };
+
+  const writeTable = ({ columns, rows }) => {
+    const columnWidth = contentWidth / columns.length;
+    const rowHeight = 16;
+    const drawRow = (cells, header) => {
+      ensureSpace(rowHeight);
+      if (header) {
+        doc.setFillColor(241, 245, 249);
+        doc.rect(margin, y - 11, contentWidth, rowHeight, 'F');
+      }
+      doc.setFont('helvetica', header ? 'bold' : 'normal');
+      doc.setFontSize(9);
+      doc.setTextColor(30, 41, 59);
+      cells.forEach((cell, index) => {
+        const text = doc.splitTextToSize(String(cell), columnWidth - 6)[0] || '';
+        doc.text(text, margin + index * columnWidth + 3, y);
+      });
+      y += rowHeight;
+    };
+    drawRow(columns, true);
+    rows.forEach((row) => drawRow(row, false));
+    y += 6;
+  };
+
+  writeText(model.title, { size: 18, bold: true, color: [88, 28, 135] });
+  writeText(model.meta, { size: 9, color: [100, 116, 139] });
+  y += 8;
+
+  model.sections.forEach((section) => {
+    y += 6;
+    writeText(section.title, { size: 13, bold: true, color: [109, 40, 217] });
+    (section.summary || []).forEach(([label, value]) => writeText(`${label}: ${value}`));
+
+    (charts[section.id] || []).forEach((chart) => {
+      const width = Math.min(contentWidth, chart.width);
+      const height = (chart.height / chart.width) * width;
+      ensureSpace(height + 8);
+      doc.addImage(chart.dataUrl, 'PNG', margin, y, width, height);
+      y += height + 8;
+    });
+
+    if (section.table) {
+      if (section.table.rows.length === 0) writeText(model.texts.noData, { color: [100, 116, 139] });
+      else writeTable(section.table);
+    }
+    (section.list || []).forEach((item) => writeText(`• ${item}`, { indent: 8 }));
+    (section.groups || []).forEach(({ label, items }) => {
+      writeText(label, { bold: true });
+      (items.length ? items : [model.texts.noRecommendations]).forEach((item) => writeText(`• ${item}`, { indent: 8 }));
+    });
+  });
+
+  return doc.output('blob');
+};
+
+// Descarga un contenido como archivo desde el navegador
+export const downloadFile = (content, fileName, type) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Nombres en el catálogo: export.formats.<id>
+export const REPORT_FORMATS = [
+  { id: 'pdf', extension: 'pdf', type: 'application/pdf' },
+  { id: 'html', extension: 'html', type: 'text/html' },
+  { id: 'markdown', extension: 'md', type: 'text/markdown' },
+  { id: 'json', extension: 'json', type: 'application/json' },
+];
+
+// Genera y descarga el reporte en el formato indicado, con los textos en el idioma de i18n
+export const exportReport = async (format, datasetInfo, { title, chartsRoot, chartBackground, baseName = 'reporte', i18n } = {}) => {
+  const target = REPORT_FORMATS.find((item) => item.id === format);
+  if (!target) {
+    throw new Error(`Formato de reporte no soportado: ${format}`);
+  }
+
+  const model = buildReportModel(datasetInfo, { title, i18n });
+  const needsCharts = format === 'pdf' || format === 'html';
+  const charts = needsCharts ? await captureCharts(chartsRoot, { background: chartBackground }) : {};
+
+  let content;
+  if (format === 'pdf') content = await toPdf(model, charts);
+  else if (format === 'html') content = toHtml(model, charts);
+  else if (format === 'markdown') content = toMarkdown(model);
+  else content = toJson(datasetInfo, model);
+
+  const safeName = baseName.replace(/\.[^.]+$/, '').replace(/[^\w-]+/g, '_');
+  downloadFile(content, `${safeName}.${target.extension}`, target.type);
+};
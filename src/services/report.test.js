@@ -0,0 +1,70 @@
+import { buildReportModel, toMarkdown, toHtml, toJson } from './report';
+import { createI18n } from './i18n';
+
+const datasetInfo = {
+  basic_info: { total_rows: 1234, total_columns: 3, file_size: '1.2 MB', data_types: { int64: 2, object: 1 } },
+  data_quality: { completeness: 95.5, custom_score: 80 },
+  missing_data: { total_missing_percentage: 2.5, columns_with_missing: [{ column: 'edad', count: 31, percentage: 2.5 }] },
+  duplicates: { total_duplicates: 4, percentage: 0.3, columns_contributing: ['id'] },
+  outliers: { columns_with_outliers: [] },
+  correlation_matrix: [{ var1: 'edad', var2: 'ingreso', correlation: 0.81234 }],
+  recommendations: { critical: [{ description: 'Imputar <edad>' }], moderate: ['Revisar | ingreso'] },
+};
+
+const generatedAt = new Date('2024-05-02T10:30:00Z');
+const model = buildReportModel(datasetInfo, { title: 'Reporte de ventas', generatedAt, i18n: createI18n('en') });
+const section = (id) => model.sections.find((item) => item.id === id);
+
+test('arma las secciones con los textos y números en el idioma elegido', () => {
+  expect(model.sections.map((item) => item.id)).toEqual([
+    'basic', 'quality', 'missing', 'duplicates', 'outliers', 'correlations', 'recommendations',
+  ]);
+  expect(model).toMatchObject({ title: 'Reporte de ventas', language: 'en', generatedAt: '2024-05-02T10:30:00.000Z', source: 'API' });
+  expect(section('basic')).toMatchObject({
+    title: 'Basic Information',
+    summary: [['Rows', '1,234'], ['Columns', '3'], ['Size', '1.2 MB']],
+    table: { columns: ['Data type', 'Columns'], rows: [['int64', '2'], ['object', '1']] },
+  });
+  // Las métricas fuera del catálogo conservan su nombre
+  expect(section('quality').table.rows).toEqual([['Completeness', '95.5%'], ['custom score', '80.0%']]);
+  expect(section('missing').table.rows).toEqual([['edad', '31', '2.5%']]);
+  expect(section('duplicates').list).toEqual(['Contributing column: id']);
+  expect(section('correlations').table.rows).toEqual([['edad', 'ingreso', '0.812']]);
+  expect(section('recommendations').groups).toEqual([
+    { label: 'Critical', items: ['Imputar <edad>'] },
+    { label: 'Moderate', items: ['Revisar | ingreso'] },
+    { label: 'Optional', items: [] },
+  ]);
+});
+
+test('usa el título y el idioma por defecto e indica el análisis local', () => {
+  const local = buildReportModel({ source: 'local' }, { generatedAt });
+  expect(local).toMatchObject({ title: 'Reporte de Análisis', language: 'es', source: 'Calculado localmente en el navegador' });
+  expect(local.meta).toMatch(/^Generado: .+ · Origen: Calculado localmente en el navegador$/);
+  expect(local.sections.find((item) => item.id === 'basic').summary[0]).toEqual(['Filas', '—']);
+});
+
+test('el Markdown escapa las barras de las celdas y marca las secciones vacías', () => {
+  const markdown = toMarkdown(model);
+  expect(markdown).toContain('# Reporte de ventas');
+  expect(markdown).toContain(`_${model.meta}_`);
+  expect(markdown).toContain('| edad | ingreso | 0.812 |');
+  expect(markdown).toContain('## Outliers\n\n_No data_');
+  expect(markdown).toContain('### Optional\n\n- No recommendations');
+  expect(markdown).toContain('- Revisar | ingreso');
+});
+
+test('el HTML declara el idioma, escapa el contenido y embebe los gráficos', () => {
+  const html = toHtml(model, { quality: [{ dataUrl: 'data:image/png;base64,AAA', width: 10, height: 10 }] });
+  expect(html).toContain('<html lang="en">');
+  expect(html).toContain('<li>Imputar &lt;edad&gt;</li>');
+  expect(html).toContain('<img src="data:image/png;base64,AAA" alt="Quality Metrics" />');
+  expect(html).toContain('<p class="meta">No data</p>');
+});
+
+test('el JSON incluye el análisis y los metadatos del reporte', () => {
+  expect(JSON.parse(toJson(datasetInfo, model))).toEqual({
+    report: { title: 'Reporte de ventas', generated_at: '2024-05-02T10:30:00.000Z', source: 'API' },
+    analysis: datasetInfo,
+  });
+});
@@ -0,0 +1,251 @@
+// src/services/rules.js
+// Reglas de calidad específicas de cada dataset. Una regla es { id, type, column, params }
+// y se evalúa contra el archivo (exacto) o contra las estadísticas de un análisis (aproximado).
+// La evaluación exacta corre en un worker, así que los mensajes son { code, params } del
+// catálogo de traducciones (rules.*) y la interfaz los traduce con translateMessage.
+import { classifyValue, parseNumber } from './csvParser';
+import { normalizeTopValues } from './columns';
+import { createI18n, DEFAULT_LANGUAGE } from './i18n';
+import { ValidationError } from './client/errors';
+
+// Los nombres visibles están en el catálogo (rules.types y rules.params.<tipo>.<clave>)
+export const RULE_TYPES = [
+  { id: 'unique', params: [] },
+  { id: 'max_nulls', params: [{ key: 'max', type: 'number' }] },
+  { id: 'range', params: [{ key: 'min', type: 'number' }, { key: 'max', type: 'number' }] },
+  { id: 'pattern', params: [{ key: 'pattern', type: 'text' }] },
+  { id: 'allowed_values', params: [{ key: 'values', type: 'list' }] },
+];
+
+export const RULE_SET_VERSION = 1;
+
+const STORAGE_PREFIX = 'quality-rules:';
+const MAX_EXAMPLES = 5;
+
+export const getRuleType = (type) => RULE_TYPES.find((ruleType) => ruleType.id === type);
+
+export const createRule = (type, column, params = {}) => ({
+  id: `regla_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`,
+  type,
+  column,
+  params,
+});
+
+export const describeRule = ({ type, column, params = {} }, { t, formatNumber, formatPercent } = createI18n(DEFAULT_LANGUAGE)) => {
+  switch (type) {
+    case 'unique':
+      return t('rules.describe.unique', { column });
+    case 'max_nulls':
+      return t('rules.describe.maxNulls', { column, max: formatPercent(params.max) });
+    case 'range': {
+      const min = formatNumber(params.min);
+      const max = formatNumber(params.max);
+      if (params.min != null && params.max != null) return t('rules.describe.range', { column, min, max });
+      return params.min != null ? t('rules.describe.min', { column, min }) : t('rules.describe.max', { column, max });
+    }
+    case 'pattern':
+      return t('rules.describe.pattern', { column, pattern: params.pattern });
+    case 'allowed_values':
+      return t('rules.describe.allowedValues', { column, values: (params.values || []).join(', ') });
+    default:
+      return `${column}: ${type}`;
+  }
+};
+
+const message = (code, params) => ({ code: `rules.${code}`, params });
+
+// Devuelve un mensaje si la regla está incompleta o mal formada
+export const validateRule = (rule) => {
+  const ruleType = getRuleType(rule?.type);
+  if (!ruleType) return message('invalid.unknownType', { type: String(rule?.type) });
+  if (!rule.column) return message('invalid.noColumn');
+  const params = rule.params || {};
+  if (rule.type === 'max_nulls' && !(params.max >= 0 && params.max <= 100)) return message('invalid.maxNulls');
+  if (rule.type === 'range') {
+    if (params.min == null && params.max == null) return message('invalid.noBounds');
+    if (params.min != null && params.max != null && params.min > params.max) return message('invalid.minAboveMax');
+  }
+  if (rule.type === 'pattern') {
+    if (!params.pattern) return message('invalid.noPattern');
+    try {
+      new RegExp(params.pattern);
+    } catch (error) {
+      return message('invalid.badPattern', { error: error.message });
+    }
+  }
+  if (rule.type === 'allowed_values' && !(params.values || []).length) return message('invalid.noValues');
+  return null;
+};
+
+const isMissing = (value) => classifyValue(value == null ? '' : String(value)) === 'vacío';
+
+const result = (rule, status, text, extra = {}) => ({ rule, status, message: text, failing: 0, examples: [], ...extra });
+
+const inRange = (number, { min, max }) => (min == null || number >= min) && (max == null || number <= max);
+
+// Evalúa una regla sobre todos los valores de la columna
+const evaluateOnValues = (rule, values) => {
+  const { type, params = {} } = rule;
+  const present = values.filter((value) => !isMissing(value));
+  const failures = [];
+
+  if (type === 'max_nulls') {
+    const percentage = values.length ? ((values.length - present.length) / values.length) * 100 : 0;
+    const passed = percentage <= params.max;
+    return result(rule, passed ? 'pass' : 'fail', message('results.nullRate', { percent: percentage }), {
+      failing: values.length - present.length,
+      total: values.length,
+    });
+  }
+
+  if (type === 'unique') {
+    const seen = new Set();
+    present.forEach((value) => {
+      if (seen.has(value)) failures.push(value);
+      else seen.add(value);
+    });
+  } else if (type === 'range') {
+    present.forEach((value) => {
+      const number = parseNumber(value);
+      if (isNaN(number) || !inRange(number, params)) failures.push(value);
+    });
+  } else if (type === 'pattern') {
+    const regex = new RegExp(params.pattern);
+    present.forEach((value) => {
+      if (!regex.test(value)) failures.push(value);
+    });
+  } else if (type === 'allowed_values') {
+    const allowed = new Set(params.values);
+    present.forEach((value) => {
+      if (!allowed.has(value.trim())) failures.push(value);
+    });
+  }
+
+  const examples = [...new Set(failures)].slice(0, MAX_EXAMPLES);
+  return result(
+    rule,
+    failures.length === 0 ? 'pass' : 'fail',
+    failures.length === 0
+      ? message('results.allPass')
+      : message('results.failing', { count: failures.length, failing: failures.length }),
+    { failing: failures.length, total: present.length, examples }
+  );
+};
+
+// Evaluación exacta contra una tabla { headers, rows }
+export const evaluateRulesOnTable = ({ headers, rows }, rules = []) => rules.map((rule) => {
+  const invalid = validateRule(rule);
+  if (invalid) return result(rule, 'error', invalid);
+  const index = headers.indexOf(rule.column);
+  if (index === -1) return result(rule, 'error', message('results.missingColumn', { column: rule.column }));
+  return evaluateOnValues(rule, rows.map((row) => row[index] ?? ''));
+});
+
+// Evaluación aproximada con column_statistics; lo que no se puede decidir queda como 'unknown'
+export const evaluateRulesOnAnalysis = (datasetInfo = {}, rules = []) => {
+  const statistics = datasetInfo.column_statistics || {};
+  const totalRows = datasetInfo.basic_info?.total_rows || 0;
+
+  return rules.map((rule) => {
+    const invalid = validateRule(rule);
+    if (invalid) return result(rule, 'error', invalid);
+    const stats = statistics[rule.column];
+    if (!stats) return result(rule, 'error', message('results.noStatistics', { column: rule.column }));
+    const { params = {} } = rule;
+    const nullCount = stats.null_count ?? 0;
+
+    switch (rule.type) {
+      case 'max_nulls': {
+        const percentage = stats.null_percentage ?? (totalRows ? (nullCount / totalRows) * 100 : 0);
+        return result(rule, percentage <= params.max ? 'pass' : 'fail', message('results.nullRate', { percent: Number(percentage) }), { failing: nullCount });
+      }
+      case 'unique': {
+        if (stats.unique_count == null || !totalRows) return result(rule, 'unknown', message('results.noUniqueCount'));
+        const repeated = totalRows - nullCount - stats.unique_count;
+        return repeated <= 0
+          ? result(rule, 'pass', message('results.allUnique'))
+          : result(rule, 'fail', message('results.repeated', { count: repeated, repeated }), { failing: repeated });
+      }
+      case 'range': {
+        if (stats.min == null || stats.max == null || isNaN(Number(stats.min))) {
+          return result(rule, 'unknown', message('results.noRange'));
+        }
+        const passed = inRange(Number(stats.min), params) && inRange(Number(stats.max), params);
+        return result(rule, passed ? 'pass' : 'fail', message('results.observedRange', { min: Number(stats.min), max: Number(stats.max) }));
+      }
+      case 'allowed_values': {
+        const topValues = normalizeTopValues(stats.top_values);
+        const complete = stats.unique_count != null && topValues.length >= stats.unique_count;
+        const allowed = new Set(params.values);
+        const outside = topValues.filter(({ value }) => !allowed.has(value.trim()));
+        if (outside.length > 0) {
+          return result(rule, 'fail', message('results.outsideList', { count: outside.length }), {
+            failing: outside.reduce((sum, { count }) => sum + count, 0),
+            examples: outside.slice(0, MAX_EXAMPLES).map(({ value }) => value),
+          });
+        }
+        return complete
+          ? result(rule, 'pass', message('results.allPass'))
+          : result(rule, 'unknown', message('results.topValuesOnly'));
+      }
+      default:
+        return result(rule, 'unknown', message('results.needsFile'));
+    }
+  });
+};
+
+// Resumen { pass, fail, unknown, error } por columna
+export const summarizeByColumn = (results) => results.reduce((summary, { rule, status }) => {
+  const column = summary[rule.column] || { pass: 0, fail: 0, unknown: 0, error: 0 };
+  column[status] += 1;
+  return { ...summary, [rule.column]: column };
+}, {});
+
+// Clave de almacenamiento: el nombre del dataset sin extensión
+export const getRuleSetName = (fileName = '') => fileName.replace(/\.[^.]+$/, '').trim() || 'dataset';
+
+export const loadRuleSet = (name) => {
+  try {
+    return JSON.parse(localStorage.getItem(`${STORAGE_PREFIX}${name}`)) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export const saveRuleSet = (name, rules) => {
+  if (rules.length === 0) {
+    localStorage.removeItem(`${STORAGE_PREFIX}${name}`);
+  } else {
+    localStorage.setItem(`${STORAGE_PREFIX}${name}`, JSON.stringify(rules));
+  }
+};
+
+export const listRuleSets = () => Object.keys(localStorage)
+  .filter((key) => key.startsWith(STORAGE_PREFIX))
+  .map((key) => key.slice(STORAGE_PREFIX.length));
+
+export const exportRuleSet = (name, rules) => JSON.stringify({ version: RULE_SET_VERSION, dataset: name, rules }, null, 2);
+
+// Acepta { version, dataset, rules } o directamente un arreglo de reglas
+export const parseRuleSet = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new ValidationError('El archivo no es un JSON válido', { code: 'rules.import.invalidJson' });
+  }
+  const rules = Array.isArray(data) ? data : data?.rules;
+  if (!Array.isArray(rules)) {
+    throw new ValidationError('El JSON no contiene una lista de reglas', { code: 'rules.import.noRules' });
+  }
+  return rules.map((rule) => {
+    const invalid = validateRule(rule);
+    if (invalid) {
+      throw new ValidationError(`Regla inválida (${rule?.column || 'sin columna'})`, {
+        code: 'rules.import.invalidRule',
+        params: { column: rule?.column || '—', reason: invalid },
+      });
+    }
+    return { ...createRule(rule.type, rule.column, rule.params || {}), ...(rule.id ? { id: rule.id } : {}) };
+  });
+};
@@ -0,0 +1,99 @@
+import {
+  createRule,
+  validateRule,
+  evaluateRulesOnTable,
+  evaluateRulesOnAnalysis,
+  summarizeByColumn,
+  saveRuleSet,
+  loadRuleSet,
+  exportRuleSet,
+  parseRuleSet,
+  describeRule,
+} from './rules';
+import { createI18n, describeMessage } from './i18n';
+
+const table = {
+  headers: ['id', 'email', 'edad', 'estado', 'monto'],
+  rows: [
+    ['1', 'ana@ejemplo.com', '34', 'A', '10'],
+    ['2', 'luis@ejemplo', '150', 'B', ''],
+    ['2', 'eva@ejemplo.com', '28', 'Z', '30'],
+  ],
+};
+
+test('evalúa cada tipo de regla contra las filas', () => {
+  const results = evaluateRulesOnTable(table, [
+    createRule('unique', 'id'),
+    createRule('pattern', 'email', { pattern: '^[^@]+@[^@]+\\.[a-z]+$' }),
+    createRule('range', 'edad', { min: 0, max: 120 }),
+    createRule('max_nulls', 'monto', { max: 2 }),
+    createRule('allowed_values', 'estado', { values: ['A', 'B', 'C'] }),
+    createRule('unique', 'no_existe'),
+  ]);
+
+  expect(results.map((item) => item.status)).toEqual(['fail', 'fail', 'fail', 'fail', 'fail', 'error']);
+  expect(results[1].examples).toEqual(['luis@ejemplo']);
+  expect(results[2].examples).toEqual(['150']);
+  expect(results[4].failing).toBe(1);
+
+  const summary = summarizeByColumn(results);
+  expect(summary.id).toEqual({ pass: 0, fail: 1, unknown: 0, error: 0 });
+});
+
+test('valida reglas incompletas o con patrones inválidos', () => {
+  expect(describeMessage('es', validateRule(createRule('pattern', 'email', { pattern: '(' })))).toMatch(/inválida/);
+  expect(validateRule(createRule('range', 'edad', { min: 5, max: 1 }))).toEqual({ code: 'rules.invalid.minAboveMax' });
+  expect(validateRule(createRule('range', 'edad', { min: 0, max: null }))).toBeNull();
+});
+
+test('aproxima la evaluación con las estadísticas del análisis', () => {
+  const datasetInfo = {
+    basic_info: { total_rows: 3 },
+    column_statistics: {
+      id: { unique_count: 2, null_count: 0 },
+      edad: { min: 28, max: 150 },
+      estado: { unique_count: 3, top_values: { A: 1, B: 1, Z: 1 } },
+      email: {},
+    },
+  };
+  const results = evaluateRulesOnAnalysis(datasetInfo, [
+    createRule('unique', 'id'),
+    createRule('range', 'edad', { min: 0, max: 120 }),
+    createRule('allowed_values', 'estado', { values: ['A', 'B', 'Z'] }),
+    createRule('pattern', 'email', { pattern: '@' }),
+  ]);
+  expect(results.map((item) => item.status)).toEqual(['fail', 'fail', 'pass', 'unknown']);
+});
+
+test('guarda, exporta e importa conjuntos de reglas', () => {
+  const rules = [createRule('unique', 'id')];
+  saveRuleSet('ventas', rules);
+  expect(loadRuleSet('ventas')).toEqual(rules);
+
+  const imported = parseRuleSet(exportRuleSet('ventas', rules));
+  expect(imported).toEqual(rules);
+  expect(() => parseRuleSet('[{"type":"range","column":"x","params":{}}]')).toThrow(/Regla inválida/);
+  const importError = (() => {
+    try {
+      return parseRuleSet('[{"type":"range","column":"x","params":{}}]');
+    } catch (error) {
+      return error;
+    }
+  })();
+  expect(createI18n('en').translateError(importError)).toBe('Invalid rule (x): Enter at least a minimum or a maximum');
+
+  saveRuleSet('ventas', []);
+  expect(loadRuleSet('ventas')).toEqual([]);
+});
+
+test('describe las reglas y los resultados en el idioma elegido', () => {
+  const [nulls, failing] = evaluateRulesOnTable(table, [
+    createRule('max_nulls', 'monto', { max: 2 }),
+    createRule('range', 'edad', { min: 0, max: 120 }),
+  ]);
+
+  expect(describeRule(failing.rule)).toBe('edad entre 0 y 120');
+  expect(describeRule(nulls.rule, createI18n('en'))).toBe('monto has at most 2.0% nulls');
+  expect(describeMessage('en', nulls.message)).toBe('33.3% nulls');
+  expect(describeMessage('es', failing.message)).toBe('1 valor no cumple');
+});
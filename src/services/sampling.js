@@ -0,0 +1,39 @@
+// src/services/sampling.js
+
+// Generador pseudoaleatorio con semilla (mulberry32) para muestras reproducibles
+export const createRandom = (seed = 42) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Muestreo de reservorio (algoritmo R): conserva `size` elementos uniformes de un flujo
+export const createReservoir = (size, random = createRandom()) => {
+  const items = [];
+  let seen = 0;
+
+  return {
+    add(item) {
+      seen++;
+      if (items.length < size) {
+        items.push(item);
+      } else {
+        const position = Math.floor(random() * seen);
+        if (position < size) {
+          items[position] = item;
+        }
+      }
+    },
+    get items() {
+      return items;
+    },
+    get seen() {
+      return seen;
+    },
+  };
+};
@@ -0,0 +1,42 @@
+// src/services/settings.js
+// Preferencias de la aplicación guardadas en este navegador (página de ajustes)
+
+const SETTINGS_KEY = 'app-settings';
+
+// Los nombres visibles están en el catálogo de traducciones (settings.authTypes)
+export const AUTH_TYPES = ['none', 'bearer', 'apiKey'];
+
+export const DEFAULT_SETTINGS = {
+  authType: 'none',
+  token: '',
+  apiKey: '',
+  apiKeyHeader: 'X-API-Key',
+  useMockBackend: false,
+  chunkedUpload: false,
+  backgroundJob: false,
+  forceLocal: false,
+  largeFileMode: false,
+};
+
+export const loadSettings = (storage = localStorage) => {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(storage.getItem(SETTINGS_KEY) || '{}') };
+  } catch (error) {
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+export const saveSettings = (settings, storage = localStorage) => {
+  storage.setItem(SETTINGS_KEY, JSON.stringify({ ...DEFAULT_SETTINGS, ...settings }));
+};
+
+// Credenciales para setApiAuth; null deja las de las variables de entorno
+export const settingsToAuth = (settings) => {
+  if (settings.authType === 'bearer' && settings.token.trim()) {
+    return { type: 'bearer', token: settings.token.trim() };
+  }
+  if (settings.authType === 'apiKey' && settings.apiKey.trim()) {
+    return { type: 'apiKey', key: settings.apiKey.trim(), header: settings.apiKeyHeader.trim() || 'X-API-Key' };
+  }
+  return null;
+};
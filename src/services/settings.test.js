@@ -0,0 +1,23 @@
+import { loadSettings, saveSettings, settingsToAuth, DEFAULT_SETTINGS } from './settings';
+
+const memoryStorage = () => {
+  const data = new Map();
+  return { getItem: (key) => data.get(key) ?? null, setItem: (key, value) => data.set(key, value) };
+};
+
+test('guarda y recupera los ajustes con valores predeterminados', () => {
+  const storage = memoryStorage();
+  expect(loadSettings(storage)).toEqual(DEFAULT_SETTINGS);
+  saveSettings({ backgroundJob: true }, storage);
+  expect(loadSettings(storage)).toEqual({ ...DEFAULT_SETTINGS, backgroundJob: true });
+  storage.setItem('app-settings', '{roto');
+  expect(loadSettings(storage)).toEqual(DEFAULT_SETTINGS);
+});
+
+test('convierte los ajustes en credenciales', () => {
+  expect(settingsToAuth(DEFAULT_SETTINGS)).toBeNull();
+  expect(settingsToAuth({ ...DEFAULT_SETTINGS, authType: 'bearer', token: ' abc ' })).toEqual({ type: 'bearer', token: 'abc' });
+  expect(settingsToAuth({ ...DEFAULT_SETTINGS, authType: 'apiKey', apiKey: 'k', apiKeyHeader: '' }))
+    .toEqual({ type: 'apiKey', key: 'k', header: 'X-API-Key' });
+  expect(settingsToAuth({ ...DEFAULT_SETTINGS, authType: 'bearer', token: '' })).toBeNull();
+});
@@ -0,0 +1,257 @@
+// src/services/streamProfile.js
+// Modo de archivo grande: el CSV se lee por bloques (File.stream()) sin cargarlo entero.
+// En una sola pasada se cuentan exactamente las filas y los nulos de cada columna y se
+// guarda una muestra reproducible (reservorio o estratificada) que se analiza en el
+// navegador o se sube a /upload/. El resto de métricas se estiman sobre la muestra.
+import { detectDelimiter, parseCsv } from './csvParser';
+import { createRandom, createReservoir } from './sampling';
+import { resolveHeaders, formatFileSize } from './localAnalysis';
+
+export const SAMPLING_METHODS = ['reservoir', 'stratified'];
+
+export const DEFAULT_SAMPLE_SIZE = 10000;
+export const DEFAULT_SEED = 42;
+
+// Métricas calculadas sobre todas las filas; las demás se estiman con la muestra
+export const EXACT_METRICS = ['total_rows', 'total_columns', 'file_size', 'missing_data', 'completeness'];
+
+// Los valores de la columna de estratos a partir de este número comparten un estrato
+const MAX_STRATA = 20;
+const OTHER_STRATUM = '\u0000otros';
+
+// Registros necesarios para decidir si la primera fila es el encabezado
+const HEADER_SAMPLE_RECORDS = 50;
+// Líneas que se esperan antes de elegir el delimitador
+const DELIMITER_SAMPLE_LINES = 20;
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+// Posición siguiente al último fin de registro completo del texto, siguiendo las mismas
+// reglas de comillas que parseCsv. El estado se conserva entre bloques.
+const createBoundaryScanner = (delimiter) => {
+  let inQuotes = false;
+  let atFieldStart = true;
+  let afterClosingQuote = false;
+
+  return (text, from) => {
+    let boundary = 0;
+    for (let i = from; i < text.length; i++) {
+      const char = text[i];
+      if (inQuotes) {
+        if (char === '"') {
+          inQuotes = false;
+          afterClosingQuote = true;
+        }
+        continue;
+      }
+      if (char === '"' && (atFieldStart || afterClosingQuote)) {
+        // Comilla de apertura o comilla escapada ("") dentro de un campo entre comillas
+        inQuotes = true;
+        atFieldStart = false;
+        afterClosingQuote = false;
+        continue;
+      }
+      afterClosingQuote = false;
+      if (char === '\n') {
+        atFieldStart = true;
+        boundary = i + 1;
+      } else if (char === '\r') {
+        atFieldStart = true;
+        // Un \r al final del bloque puede ir seguido de \n en el siguiente
+        if (i + 1 < text.length && text[i + 1] !== '\n') boundary = i + 1;
+      } else {
+        atFieldStart = char === delimiter;
+      }
+    }
+    return boundary;
+  };
+};
+
+// Reordena una copia con Fisher-Yates usando el generador con semilla
+const shuffle = (items, random) => {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+// Perfilador incremental: push(texto) con cada bloque decodificado y finish() al terminar.
+// Con method 'stratified' la muestra conserva la proporción de cada valor de strataColumn.
+export const createStreamProfiler = ({
+  sampleSize = DEFAULT_SAMPLE_SIZE,
+  seed = DEFAULT_SEED,
+  method = 'reservoir',
+  strataColumn = null,
+} = {}) => {
+  if (!SAMPLING_METHODS.includes(method)) {
+    throw new Error(`Método de muestreo desconocido: ${method}`);
+  }
+  if (method === 'stratified' && !strataColumn) {
+    throw new Error('El muestreo estratificado necesita una columna de estratos');
+  }
+
+  const random = createRandom(seed);
+  const reservoir = createReservoir(sampleSize, random);
+  const strata = new Map(); // valor -> reservorio propio
+  let buffer = '';
+  let scanned = 0;
+  let delimiter = null;
+  let scanBoundary = null;
+  let pending = []; // Primeros registros, hasta decidir el encabezado
+  let headers = null;
+  let hasHeader = false;
+  let strataIndex = -1;
+  let nullCounts = [];
+  let totalRows = 0;
+
+  const addToStratum = (fields) => {
+    let key = (fields[strataIndex] ?? '').trim();
+    if (!strata.has(key) && strata.size >= MAX_STRATA) {
+      key = OTHER_STRATUM;
+    }
+    if (!strata.has(key)) {
+      strata.set(key, createReservoir(sampleSize, random));
+    }
+    strata.get(key).add(fields);
+  };
+
+  const countRecord = (fields) => {
+    totalRows++;
+    for (let i = 0; i < headers.length; i++) {
+      const value = fields[i];
+      if (value == null || value.trim() === '') nullCounts[i]++;
+    }
+    if (method === 'stratified') {
+      addToStratum(fields);
+    } else {
+      reservoir.add(fields);
+    }
+  };
+
+  const resolvePending = () => {
+    ({ headers, hasHeader } = resolveHeaders(pending));
+    nullCounts = new Array(headers.length).fill(0);
+    if (method === 'stratified') {
+      strataIndex = headers.indexOf(strataColumn);
+      if (strataIndex === -1) {
+        throw new Error(`La columna ${strataColumn} no está en el archivo`);
+      }
+    }
+    (hasHeader ? pending.slice(1) : pending).forEach(countRecord);
+    pending = null;
+  };
+
+  const onRecord = (fields) => {
+    if (headers) {
+      countRecord(fields);
+      return;
+    }
+    pending.push(fields);
+    if (pending.length > HEADER_SAMPLE_RECORDS) {
+      resolvePending();
+    }
+  };
+
+  // Procesa los registros completos del búfer (todos al final del archivo)
+  const consume = (final) => {
+    if (!delimiter) {
+      const lines = buffer.split(/\r\n?|\n/).length - 1;
+      if (lines < DELIMITER_SAMPLE_LINES && !final) return;
+      delimiter = detectDelimiter(buffer, DELIMITER_SAMPLE_LINES);
+      scanBoundary = createBoundaryScanner(delimiter);
+    }
+
+    const boundary = final ? buffer.length : scanBoundary(buffer, scanned);
+    if (boundary > 0) {
+      parseCsv(buffer.slice(0, boundary), delimiter, onRecord);
+      buffer = buffer.slice(boundary);
+    }
+    scanned = buffer.length;
+  };
+
+  // Muestra final: en la estratificada cada estrato aporta según su peso exacto (al menos una fila)
+  const buildSample = () => {
+    if (method !== 'stratified') {
+      return reservoir.items;
+    }
+    return Array.from(strata.values()).flatMap((stratum) => {
+      const share = Math.max(1, Math.round((sampleSize * stratum.seen) / totalRows));
+      return shuffle(stratum.items, random).slice(0, share);
+    });
+  };
+
+  return {
+    push(text) {
+      buffer += text;
+      consume(false);
+    },
+    finish() {
+      consume(true);
+      if (!headers) {
+        resolvePending();
+      }
+      const sample = buildSample();
+      return {
+        headers,
+        hasHeader,
+        delimiter: delimiter || ',',
+        totalRows,
+        nullCounts: Object.fromEntries(headers.map((header, index) => [header, nullCounts[index]])),
+        sample,
+        sampling: {
+          method,
+          seed,
+          requested_size: sampleSize,
+          sample_size: sample.length,
+          strata_column: method === 'stratified' ? strataColumn : null,
+          strata_count: method === 'stratified' ? strata.size : null,
+          exact_metrics: EXACT_METRICS,
+        },
+      };
+    },
+  };
+};
+
+// Sustituye en un análisis hecho sobre la muestra las métricas que se conocen con exactitud
+// (filas, nulos, completitud) y añade los datos del muestreo para mostrarlos
+export const applyExactCounts = (datasetInfo, { headers, totalRows, nullCounts, sampling }, { fileSize } = {}) => {
+  const totalCells = totalRows * headers.length;
+  const percentOf = (count, total) => (total ? round((count / total) * 100) : 0);
+  const totalMissing = headers.reduce((sum, header) => sum + nullCounts[header], 0);
+
+  const columnStatistics = Object.fromEntries(
+    Object.entries(datasetInfo.column_statistics || {}).map(([column, stats]) => [
+      column,
+      column in nullCounts
+        ? { ...stats, null_count: nullCounts[column], null_percentage: percentOf(nullCounts[column], totalRows) }
+        : stats,
+    ])
+  );
+
+  return {
+    ...datasetInfo,
+    basic_info: {
+      ...datasetInfo.basic_info,
+      total_rows: totalRows,
+      total_columns: headers.length,
+      ...(fileSize != null && { file_size: formatFileSize(fileSize) }),
+    },
+    missing_data: {
+      columns_with_missing: headers
+        .filter((header) => nullCounts[header] > 0)
+        .map((header) => ({ column: header, count: nullCounts[header], percentage: percentOf(nullCounts[header], totalRows) })),
+      total_missing_percentage: percentOf(totalMissing, totalCells),
+    },
+    data_quality: {
+      ...datasetInfo.data_quality,
+      completeness: round(totalCells ? 100 - (totalMissing / totalCells) * 100 : 100),
+    },
+    column_statistics: columnStatistics,
+    sampling: { ...sampling, total_rows: totalRows },
+  };
+};
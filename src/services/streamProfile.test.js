@@ -0,0 +1,73 @@
+import { createStreamProfiler, applyExactCounts } from './streamProfile';
+import { analyzeCsvText, analyzeRecords } from './localAnalysis';
+
+const ciudades = ['Lima', 'Quito', 'Bogotá', 'Lima'];
+const CSV = [
+  'id,nota,ciudad,comentario',
+  ...Array.from({ length: 200 }, (_, index) => [
+    index + 1,
+    index % 7 === 0 ? '' : index % 10,
+    ciudades[index % ciudades.length],
+    index % 25 === 0 ? '"línea uno\nlínea dos, con ""comillas"""' : '',
+  ].join(',')),
+].join('\r\n');
+
+// Alimenta el perfilador con bloques de tamaño fijo, cortando registros y comillas por la mitad
+const profileInChunks = (text, chunkSize, options) => {
+  const profiler = createStreamProfiler(options);
+  for (let start = 0; start < text.length; start += chunkSize) {
+    profiler.push(text.slice(start, start + chunkSize));
+  }
+  return profiler.finish();
+};
+
+test('cuenta filas y nulos exactos aunque los bloques corten registros', () => {
+  const full = analyzeCsvText(CSV);
+
+  [7, 64, 1000, CSV.length].forEach((chunkSize) => {
+    const profile = profileInChunks(CSV, chunkSize, { sampleSize: 50 });
+
+    expect(profile.headers).toEqual(['id', 'nota', 'ciudad', 'comentario']);
+    expect(profile.totalRows).toBe(full.basic_info.total_rows);
+    Object.entries(full.column_statistics).forEach(([column, stats]) => {
+      expect(profile.nullCounts[column]).toBe(stats.null_count);
+    });
+  });
+});
+
+test('la muestra de reservorio es reproducible con la misma semilla', () => {
+  const first = profileInChunks(CSV, 100, { sampleSize: 30, seed: 7 });
+  const second = profileInChunks(CSV, 333, { sampleSize: 30, seed: 7 });
+  const other = profileInChunks(CSV, 100, { sampleSize: 30, seed: 8 });
+
+  expect(first.sample).toHaveLength(30);
+  expect(second.sample).toEqual(first.sample);
+  expect(other.sample).not.toEqual(first.sample);
+  expect(first.sampling).toMatchObject({ method: 'reservoir', seed: 7, sample_size: 30, requested_size: 30 });
+});
+
+test('la muestra estratificada conserva la proporción de cada estrato', () => {
+  const profile = profileInChunks(CSV, 256, { sampleSize: 40, method: 'stratified', strataColumn: 'ciudad' });
+  const counts = {};
+  profile.sample.forEach((row) => {
+    counts[row[2]] = (counts[row[2]] || 0) + 1;
+  });
+
+  expect(counts).toEqual({ Lima: 20, Quito: 10, Bogotá: 10 });
+  expect(profile.sampling).toMatchObject({ method: 'stratified', strata_column: 'ciudad', strata_count: 3 });
+  expect(() => profileInChunks(CSV, 256, { method: 'stratified', strataColumn: 'pais' })).toThrow('pais');
+});
+
+test('el análisis de la muestra recibe las métricas exactas y los datos del muestreo', () => {
+  const profile = profileInChunks(CSV, 500, { sampleSize: 20 });
+  const estimated = analyzeRecords(profile.headers, profile.sample);
+  const result = applyExactCounts(estimated, profile, { fileSize: 3 * 1024 * 1024 });
+
+  expect(result.basic_info).toMatchObject({ total_rows: 200, total_columns: 4, file_size: '3.00 MB' });
+  expect(result.missing_data.columns_with_missing.find(({ column }) => column === 'nota'))
+    .toEqual({ column: 'nota', count: 29, percentage: 14.5 });
+  expect(result.column_statistics.nota.null_count).toBe(29);
+  expect(result.duplicates).toEqual(estimated.duplicates);
+  expect(result.sampling).toMatchObject({ sample_size: 20, total_rows: 200 });
+  expect(result.sampling.exact_metrics).toContain('missing_data');
+});
@@ -0,0 +1,88 @@
+// src/services/theme.js
+// Temas de la interfaz y colores de los gráficos. Las clases de Tailwind cambian con el
+// atributo data-theme (ver index.css); recharts y los SVG propios reciben los colores de
+// getChartTheme porque necesitan valores concretos, también al exportarlos en reportes.
+
+export const THEMES = ['dark', 'light', 'contrast'];
+
+export const DEFAULT_APPEARANCE = { theme: 'dark', colorBlind: false };
+
+const APPEARANCE_KEY = 'app-appearance';
+
+// Paleta de Okabe e Ito: distinguible con los tipos de daltonismo más comunes
+const OKABE_ITO = ['#56B4E9', '#E69F00', '#009E73', '#F0E442', '#0072B2', '#D55E00', '#CC79A7'];
+
+const SERIES = {
+  default: ['#8884d8', '#82ca9d', '#ffc658', '#ff7300', '#00ff88', '#ff0088'],
+  light: ['#6d28d9', '#059669', '#d97706', '#dc2626', '#0891b2', '#db2777'],
+};
+
+// Colores con significado: primary/secondary para series A/B, good/warning/bad para calidad
+const ACCENTS = {
+  dark: { primary: '#8b5cf6', secondary: '#14b8a6', info: '#06b6d4', good: '#22c55e', warning: '#eab308', bad: '#ef4444', highlight: '#fbbf24' },
+  light: { primary: '#7c3aed', secondary: '#0d9488', info: '#0891b2', good: '#16a34a', warning: '#ca8a04', bad: '#dc2626', highlight: '#d97706' },
+  contrast: { primary: '#c4b5fd', secondary: '#5eead4', info: '#67e8f9', good: '#86efac', warning: '#fde047', bad: '#fca5a5', highlight: '#fde047' },
+  colorBlind: { primary: '#0072B2', secondary: '#E69F00', info: '#56B4E9', good: '#009E73', warning: '#E69F00', bad: '#D55E00', highlight: '#F0E442' },
+};
+
+const SURFACES = {
+  dark: { background: '#0f172a', text: '#ffffff', axis: '#cbd5e1', grid: '#ffffff20', faint: '#ffffff40', tooltipBackground: 'rgba(30, 41, 59, 0.9)', tooltipBorder: 'rgba(255, 255, 255, 0.2)' },
+  light: { background: '#ffffff', text: '#0f172a', axis: '#475569', grid: '#0f172a20', faint: '#0f172a40', tooltipBackground: 'rgba(255, 255, 255, 0.95)', tooltipBorder: 'rgba(15, 23, 42, 0.2)' },
+  contrast: { background: '#000000', text: '#ffffff', axis: '#ffffff', grid: '#ffffff60', faint: '#ffffffa0', tooltipBackground: '#000000', tooltipBorder: '#ffffff' },
+};
+
+// Tema guardado o, la primera vez, el que pide el sistema operativo
+export const loadAppearance = (storage = localStorage, matchMedia = window.matchMedia?.bind(window)) => {
+  try {
+    const stored = JSON.parse(storage.getItem(APPEARANCE_KEY));
+    if (stored && THEMES.includes(stored.theme)) {
+      return { theme: stored.theme, colorBlind: Boolean(stored.colorBlind) };
+    }
+  } catch (error) {
+    // Un valor corrupto se ignora y se usan las preferencias del sistema
+  }
+  const prefers = (query) => Boolean(matchMedia && matchMedia(query).matches);
+  if (prefers('(prefers-contrast: more)')) return { ...DEFAULT_APPEARANCE, theme: 'contrast' };
+  if (prefers('(prefers-color-scheme: light)')) return { ...DEFAULT_APPEARANCE, theme: 'light' };
+  return DEFAULT_APPEARANCE;
+};
+
+export const saveAppearance = (appearance, storage = localStorage) => {
+  storage.setItem(APPEARANCE_KEY, JSON.stringify(appearance));
+};
+
+// Colores de los gráficos para un tema y paleta
+export const getChartTheme = (theme, colorBlind = false) => {
+  const surface = SURFACES[theme] || SURFACES.dark;
+  const accents = colorBlind ? ACCENTS.colorBlind : ACCENTS[theme] || ACCENTS.dark;
+  let series = SERIES.default;
+  if (colorBlind) {
+    series = OKABE_ITO;
+  } else if (theme === 'light') {
+    series = SERIES.light;
+  }
+
+  return {
+    ...accents,
+    series,
+    background: surface.background,
+    text: surface.text,
+    axis: surface.axis,
+    grid: surface.grid,
+    faint: surface.faint,
+    tick: { fill: surface.axis },
+    tooltip: {
+      backgroundColor: surface.tooltipBackground,
+      border: `1px solid ${surface.tooltipBorder}`,
+      borderRadius: '8px',
+      color: surface.text,
+    },
+  };
+};
+
+// Color de una puntuación de calidad (0-100) según los mismos umbrales que los iconos
+export const qualityColor = (chart, score) => {
+  if (score >= 90) return chart.good;
+  if (score >= 70) return chart.warning;
+  return chart.bad;
+};
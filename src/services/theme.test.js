@@ -0,0 +1,40 @@
+import { loadAppearance, saveAppearance, getChartTheme, qualityColor, DEFAULT_APPEARANCE } from './theme';
+
+const createStorage = (initial = {}) => {
+  const data = { ...initial };
+  return {
+    getItem: (key) => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = value; },
+  };
+};
+
+const mediaMatching = (...queries) => (query) => ({ matches: queries.includes(query) });
+
+test('guarda el tema y la paleta elegidos', () => {
+  const storage = createStorage();
+  saveAppearance({ theme: 'light', colorBlind: true }, storage);
+
+  expect(loadAppearance(storage, mediaMatching())).toEqual({ theme: 'light', colorBlind: true });
+});
+
+test('sin elección guardada sigue las preferencias del sistema', () => {
+  expect(loadAppearance(createStorage(), mediaMatching())).toEqual(DEFAULT_APPEARANCE);
+  expect(loadAppearance(createStorage(), mediaMatching('(prefers-color-scheme: light)')).theme).toBe('light');
+  expect(loadAppearance(createStorage(), mediaMatching('(prefers-contrast: more)', '(prefers-color-scheme: light)')).theme).toBe('contrast');
+  expect(loadAppearance(createStorage({ 'app-appearance': '{roto' }), mediaMatching()).theme).toBe('dark');
+  expect(loadAppearance(createStorage({ 'app-appearance': '{"theme":"neon"}' }), mediaMatching()).theme).toBe('dark');
+});
+
+test('los colores de los gráficos dependen del tema y de la paleta', () => {
+  const dark = getChartTheme('dark');
+  const light = getChartTheme('light');
+  const colorBlind = getChartTheme('light', true);
+
+  expect(dark.primary).toBe('#8b5cf6');
+  expect(dark.tooltip.color).toBe('#ffffff');
+  expect(light.tooltip.color).toBe('#0f172a');
+  expect([dark.background, light.background]).toEqual(['#0f172a', '#ffffff']);
+  expect(colorBlind.series[0]).toBe('#56B4E9');
+  expect(colorBlind.tooltip).toEqual(light.tooltip);
+  expect([95, 80, 40].map((score) => qualityColor(colorBlind, score))).toEqual(['#009E73', '#E69F00', '#D55E00']);
+});
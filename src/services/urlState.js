@@ -0,0 +1,34 @@
+// src/services/urlState.js
+// Estado de la vista (pestaña, columna, filtros) en la query string, para que un enlace
+// reproduzca lo que se estaba viendo. Los valores predeterminados no se escriben.
+
+// Lee los parámetros con el tipo del valor predeterminado (los números se convierten)
+export const readParams = (searchParams, defaults) => Object.fromEntries(
+  Object.entries(defaults).map(([key, fallback]) => {
+    const raw = searchParams.get(key);
+    if (raw == null) return [key, fallback];
+    if (typeof fallback === 'number') {
+      const parsed = Number(raw);
+      return [key, isNaN(parsed) ? fallback : parsed];
+    }
+    return [key, raw];
+  })
+);
+
+// Nuevos parámetros con los cambios aplicados; conserva los de otros componentes
+export const applyParamChanges = (searchParams, changes, defaults = {}) => {
+  const next = new URLSearchParams(searchParams);
+  Object.entries(changes).forEach(([key, value]) => {
+    if (value == null || value === '' || String(value) === String(defaults[key] ?? '')) {
+      next.delete(key);
+    } else {
+      next.set(key, String(value));
+    }
+  });
+  return next;
+};
+
+export const buildShareUrl = (path, searchParams, origin = window.location.origin) => {
+  const query = new URLSearchParams(searchParams).toString();
+  return `${origin}${path}${query ? `?${query}` : ''}`;
+};
@@ -0,0 +1,19 @@
+import { readParams, applyParamChanges, buildShareUrl } from './urlState';
+
+const DEFAULTS = { tab: 'columnas', page: 1, q: '' };
+
+test('lee los parámetros con el tipo del valor predeterminado', () => {
+  expect(readParams(new URLSearchParams('tab=limpieza&page=3'), DEFAULTS)).toEqual({ tab: 'limpieza', page: 3, q: '' });
+  expect(readParams(new URLSearchParams('page=abc'), DEFAULTS).page).toBe(1);
+});
+
+test('aplica cambios sin escribir los valores predeterminados', () => {
+  const next = applyParamChanges(new URLSearchParams('tab=limpieza&col=edad'), { tab: 'columnas', page: 2, q: '' }, DEFAULTS);
+  expect(next.toString()).toBe('col=edad&page=2');
+  expect(applyParamChanges(next, { col: null }).toString()).toBe('page=2');
+});
+
+test('construye el enlace para compartir', () => {
+  expect(buildShareUrl('/analyses/4', new URLSearchParams('tab=calidad'), 'https://app')).toBe('https://app/analyses/4?tab=calidad');
+  expect(buildShareUrl('/compare', '', 'https://app')).toBe('https://app/compare');
+});
@@ -0,0 +1,49 @@
+// src/services/workerClient.js
+
+// Envía un mensaje a un Web Worker y resuelve con su respuesta ({ ok, result | error }).
+// La promesa expone cancel() y acepta un AbortSignal para terminar el worker antes de tiempo.
+// Los mensajes intermedios { progress } se pasan a onProgress sin resolver la promesa.
+export const runWorker = (worker, message, { signal, onProgress, fallbackError = 'Error en el procesamiento local' } = {}) => {
+  let cancel;
+  let release = () => {};
+
+  const promise = new Promise((resolve, reject) => {
+    // Cada salida termina el worker y suelta el listener de abort, que si no sigue
+    // reteniendo el worker mientras viva la señal (un AbortController compartido)
+    const settle = (finish, value) => {
+      release();
+      worker.terminate();
+      finish(value);
+    };
+
+    worker.onmessage = (event) => {
+      if (event.data.progress !== undefined) {
+        if (onProgress) onProgress(event.data.progress);
+        return;
+      }
+      if (event.data.ok) {
+        settle(resolve, event.data.result);
+      } else {
+        settle(reject, new Error(event.data.error || fallbackError));
+      }
+    };
+    worker.onerror = (event) => {
+      settle(reject, new Error(event.message || fallbackError));
+    };
+
+    cancel = () => {
+      const abortError = new Error('Procesamiento cancelado por el usuario');
+      abortError.name = 'AbortError';
+      settle(reject, abortError);
+    };
+  });
+
+  if (signal) {
+    signal.addEventListener('abort', cancel, { once: true });
+    release = () => signal.removeEventListener('abort', cancel);
+  }
+
+  worker.postMessage(message);
+  promise.cancel = cancel;
+  return promise;
+};
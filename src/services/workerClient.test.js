@@ -0,0 +1,56 @@
+import { runWorker } from './workerClient';
+
+// Worker de prueba: answer() simula la respuesta que enviaría el hilo del worker
+const createWorker = () => {
+  const worker = {
+    postMessage: jest.fn(),
+    terminate: jest.fn(),
+    answer: (data) => worker.onmessage({ data }),
+  };
+  return worker;
+};
+
+test('resuelve con el resultado y pasa el progreso intermedio', async () => {
+  const worker = createWorker();
+  const onProgress = jest.fn();
+  const promise = runWorker(worker, { file: 'ventas.csv' }, { onProgress });
+
+  expect(worker.postMessage).toHaveBeenCalledWith({ file: 'ventas.csv' });
+  worker.answer({ progress: 50 });
+  worker.answer({ ok: true, result: { filas: 4 } });
+
+  await expect(promise).resolves.toEqual({ filas: 4 });
+  expect(onProgress).toHaveBeenCalledWith(50);
+  expect(worker.terminate).toHaveBeenCalledTimes(1);
+});
+
+test('suelta el listener de abort al terminar o al fallar', async () => {
+  const controller = new AbortController();
+  const removeListener = jest.spyOn(controller.signal, 'removeEventListener');
+
+  const done = createWorker();
+  const finished = runWorker(done, {}, { signal: controller.signal });
+  done.answer({ ok: true, result: 1 });
+  await finished;
+
+  const failing = createWorker();
+  const failed = runWorker(failing, {}, { signal: controller.signal });
+  failing.onerror({ message: 'fallo' });
+  await expect(failed).rejects.toThrow('fallo');
+
+  expect(removeListener).toHaveBeenCalledTimes(2);
+  // Abortar después ya no toca los workers terminados
+  controller.abort();
+  expect(done.terminate).toHaveBeenCalledTimes(1);
+  expect(failing.terminate).toHaveBeenCalledTimes(1);
+});
+
+test('cancela con AbortError al abortar la señal', async () => {
+  const controller = new AbortController();
+  const worker = createWorker();
+  const promise = runWorker(worker, {}, { signal: controller.signal });
+
+  controller.abort();
+  await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+  expect(worker.terminate).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,269 @@
+// src/services/workspaceStore.js
+// Almacenamiento local del espacio de trabajo (IndexedDB): resultados de análisis por hash
+// y nombre del archivo, archivos recientes, preferencias de la interfaz y una copia de los
+// análisis de /analyses/ para consultarlos sin conexión. Si IndexedDB no está disponible
+// (p. ej. navegación privada en algunos navegadores) se usa un almacén en memoria.
+
+const DB_NAME = 'dataset-analyzer';
+const DB_VERSION = 1;
+export const STORES = ['analyses', 'recentFiles', 'preferences', 'remote'];
+
+export const WORKSPACE_EXPORT_VERSION = 1;
+
+// Preferencias que nunca se exportan: 'pii' guarda la sal de los hashes de piiEngine y con
+// ella se podrían descifrar por fuerza bruta los correos y documentos enmascarados
+const PRIVATE_PREFERENCES = ['pii'];
+
+// Archivos recientes que se recuerdan; solo los más nuevos guardan el contenido
+const MAX_RECENT_FILES = 10;
+const MAX_STORED_FILES = 3;
+const MAX_STORED_FILE_SIZE = 50 * 1024 * 1024;
+
+// Por encima de este tamaño el hash se calcula con el principio, el final y los metadatos
+const FULL_HASH_LIMIT = 50 * 1024 * 1024;
+const PARTIAL_HASH_BYTES = 4 * 1024 * 1024;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Almacén sobre IndexedDB: cada objeto se guarda con su propiedad key. Si la base de datos
+// no se puede abrir, las operaciones pasan a un almacén en memoria.
+export const createIndexedDbBackend = ({ name = DB_NAME, indexedDB: idb = window.indexedDB } = {}) => {
+  let opening = null;
+  let fallback = null;
+
+  const open = () => {
+    if (!opening) {
+      const request = idb.open(name, DB_VERSION);
+      request.onupgradeneeded = () => {
+        STORES.forEach((store) => {
+          if (!request.result.objectStoreNames.contains(store)) {
+            request.result.createObjectStore(store, { keyPath: 'key' });
+          }
+        });
+      };
+      opening = requestToPromise(request);
+    }
+    return opening;
+  };
+
+  const operation = (method, mode, action) => async (store, ...args) => {
+    let db;
+    try {
+      db = await open();
+    } catch (error) {
+      if (!fallback) {
+        console.warn('IndexedDB no disponible, los datos se guardan solo en memoria:', error);
+        fallback = createMemoryBackend();
+      }
+      return fallback[method](store, ...args);
+    }
+    return requestToPromise(action(db.transaction(store, mode).objectStore(store), ...args));
+  };
+
+  return {
+    get: operation('get', 'readonly', (objects, key) => objects.get(key)),
+    getAll: operation('getAll', 'readonly', (objects) => objects.getAll()),
+    put: operation('put', 'readwrite', (objects, value) => objects.put(value)),
+    delete: operation('delete', 'readwrite', (objects, key) => objects.delete(key)),
+    clear: operation('clear', 'readwrite', (objects) => objects.clear()),
+  };
+};
+
+// Misma interfaz en memoria: respaldo sin IndexedDB y pruebas
+export const createMemoryBackend = () => {
+  const stores = Object.fromEntries(STORES.map((store) => [store, new Map()]));
+  return {
+    get: async (store, key) => stores[store].get(key),
+    getAll: async (store) => [...stores[store].values()],
+    put: async (store, value) => {
+      stores[store].set(value.key, value);
+    },
+    delete: async (store, key) => {
+      stores[store].delete(key);
+    },
+    clear: async (store) => {
+      stores[store].clear();
+    },
+  };
+};
+
+// Huella SHA-256 (hex) del archivo. Los archivos grandes se identifican por su principio,
+// su final, su nombre, su tamaño y su fecha de modificación para no leerlos enteros: un
+// cambio en medio del archivo que conserve el tamaño cambia al menos la fecha.
+export const hashFile = async (file) => {
+  const partial = file.size > FULL_HASH_LIMIT;
+  const parts = partial
+    ? [file.slice(0, PARTIAL_HASH_BYTES), file.slice(-PARTIAL_HASH_BYTES), `${file.name}:${file.size}:${file.lastModified}`]
+    : [file];
+  const data = await new Blob(parts).arrayBuffer();
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  const hex = Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+  return partial ? `parcial-${hex}` : hex;
+};
+
+export const analysisCacheKey = (hash, name) => `${hash}:${name}`;
+
+// Columnas enmascaradas antes de subir el archivo (plan de pii.js), como sufijo de la variante
+export const maskingVariant = (masking) => {
+  const applied = (masking || []).filter(({ action }) => action !== 'keep');
+  return applied.length > 0 ? `:anonimizado:${applied.map(({ index, action }) => `${index}=${action}`).join(',')}` : '';
+};
+
+// Un mismo archivo puede tener varios análisis: en la API o en el navegador, en modo de
+// archivo grande con distintas muestras y con distintas columnas enmascaradas. Solo se
+// reutiliza el de la misma variante.
+export const analysisVariant = ({ engine, sampling = null, masking = null }) => `${sampling
+  ? `${engine}:muestra:${sampling.method}:${sampling.strataColumn || ''}:${sampling.sampleSize}:${sampling.seed}`
+  : `${engine}:completo`}${engine === 'api' ? maskingVariant(masking) : ''}`;
+
+const byNewest = (field) => (a, b) => String(b[field]).localeCompare(String(a[field]));
+
+export const createWorkspaceStore = (backend) => ({
+  async getAnalysis(key) {
+    return (await backend.get('analyses', key)) || null;
+  },
+
+  // Análisis guardado del mismo archivo y variante, o null
+  async findAnalysis({ hash, name, variant }) {
+    const entry = await backend.get('analyses', analysisCacheKey(hash, name));
+    return entry && entry.variant === variant ? entry : null;
+  },
+
+  // pendingSync marca un análisis hecho en el navegador porque la API no respondía:
+  // se vuelve a subir al recuperar la conexión, enmascarado con masking (plan de pii.js).
+  // En modo de archivo grande se guardan también la muestra (sampleFile) y los conteos
+  // exactos (profile de streamProfile).
+  async saveAnalysis({
+    hash, name, size, variant, datasetInfo, sampleFile = null, profile = null, masking = null, pendingSync = false,
+  }) {
+    const entry = {
+      key: analysisCacheKey(hash, name),
+      hash,
+      name,
+      size,
+      variant,
+      datasetInfo,
+      sampleFile,
+      profile,
+      masking,
+      pendingSync,
+      remoteId: datasetInfo.source === 'local' ? null : datasetInfo.analysis_id ?? null,
+      savedAt: new Date().toISOString(),
+    };
+    await backend.put('analyses', entry);
+    return entry;
+  },
+
+  async listAnalyses() {
+    return (await backend.getAll('analyses')).sort(byNewest('savedAt'));
+  },
+
+  async deleteAnalysis(key) {
+    await backend.delete('analyses', key);
+  },
+
+  async listPendingSync() {
+    return (await backend.getAll('analyses')).filter((entry) => entry.pendingSync);
+  },
+
+  async markSynced(key, { datasetInfo, variant }) {
+    const entry = await backend.get('analyses', key);
+    if (!entry) return null;
+    const synced = {
+      ...entry,
+      datasetInfo,
+      variant,
+      pendingSync: false,
+      remoteId: datasetInfo.analysis_id ?? null,
+      syncedAt: new Date().toISOString(),
+    };
+    await backend.put('analyses', synced);
+    return synced;
+  },
+
+  // Recuerda el archivo abierto; el contenido solo se conserva en los más recientes
+  async rememberFile(file, hash) {
+    const key = analysisCacheKey(hash, file.name);
+    await backend.put('recentFiles', {
+      key,
+      hash,
+      name: file.name,
+      size: file.size,
+      type: file.type,
+      openedAt: new Date().toISOString(),
+      file: file.size <= MAX_STORED_FILE_SIZE ? file : null,
+    });
+
+    const recent = (await backend.getAll('recentFiles')).sort(byNewest('openedAt'));
+    await Promise.all(recent.map((entry, index) => {
+      if (index >= MAX_RECENT_FILES) return backend.delete('recentFiles', entry.key);
+      if (index >= MAX_STORED_FILES && entry.file) return backend.put('recentFiles', { ...entry, file: null });
+      return null;
+    }));
+    return key;
+  },
+
+  async getRecentFile(key) {
+    return (await backend.get('recentFiles', key)) || null;
+  },
+
+  async listRecentFiles() {
+    return (await backend.getAll('recentFiles')).sort(byNewest('openedAt'));
+  },
+
+  async deleteRecentFile(key) {
+    await backend.delete('recentFiles', key);
+  },
+
+  async getPreference(name, fallback = null) {
+    const entry = await backend.get('preferences', name);
+    return entry ? entry.value : fallback;
+  },
+
+  async setPreference(name, value) {
+    await backend.put('preferences', { key: name, value });
+  },
+
+  // Copia de las respuestas de /analyses/ ('list' o el id de un análisis)
+  async cacheRemote(key, data) {
+    await backend.put('remote', { key: String(key), data, cachedAt: new Date().toISOString() });
+  },
+
+  async getRemote(key) {
+    return (await backend.get('remote', String(key))) || null;
+  },
+
+  async clear(stores = STORES) {
+    await Promise.all(stores.map((store) => backend.clear(store)));
+  },
+
+  // Copia de seguridad en JSON; no incluye los contenidos de los archivos ni las preferencias privadas
+  async exportWorkspace() {
+    const [analyses, recentFiles, preferences, remote] = await Promise.all(STORES.map((store) => backend.getAll(store)));
+    return {
+      version: WORKSPACE_EXPORT_VERSION,
+      exported_at: new Date().toISOString(),
+      analyses: analyses.map(({ sampleFile, ...entry }) => entry),
+      recent_files: recentFiles.map(({ file, ...entry }) => ({ ...entry, stored: Boolean(file) })),
+      preferences: Object.fromEntries(preferences
+        .filter(({ key }) => !PRIVATE_PREFERENCES.includes(key))
+        .map(({ key, value }) => [key, value])),
+      remote,
+    };
+  },
+});
+
+let workspaceStore = null;
+
+// Almacén compartido de la aplicación (IndexedDB si el navegador lo permite)
+export const getWorkspaceStore = () => {
+  if (!workspaceStore) {
+    workspaceStore = createWorkspaceStore(
+      typeof window !== 'undefined' && window.indexedDB ? createIndexedDbBackend() : createMemoryBackend()
+    );
+  }
+  return workspaceStore;
+};
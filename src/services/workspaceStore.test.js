@@ -0,0 +1,81 @@
+import { createWorkspaceStore, createMemoryBackend, analysisVariant, analysisCacheKey } from './workspaceStore';
+
+const localInfo = { source: 'local', analysis_id: null, basic_info: { total_rows: 3 } };
+const apiInfo = { source: 'api', analysis_id: 17, basic_info: { total_rows: 3 } };
+
+const fakeFile = (name, size = 10) => ({ name, size, type: 'text/csv' });
+
+beforeEach(() => {
+  jest.useFakeTimers('modern');
+  jest.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('la variante distingue motor, muestra y columnas enmascaradas', () => {
+  expect(analysisVariant({ engine: 'api' })).toBe('api:completo');
+  expect(analysisVariant({ engine: 'local', sampling: { method: 'reservoir', sampleSize: 500, seed: 7 } }))
+    .toBe('local:muestra:reservoir::500:7');
+  const masking = [{ index: 2, action: 'hash' }, { index: 4, action: 'keep' }];
+  expect(analysisVariant({ engine: 'api', masking })).toBe('api:completo:anonimizado:2=hash');
+  expect(analysisVariant({ engine: 'local', masking })).toBe('local:completo');
+});
+
+test('reutiliza un análisis solo con el mismo archivo y variante', async () => {
+  const store = createWorkspaceStore(createMemoryBackend());
+  await store.saveAnalysis({ hash: 'abc', name: 'ventas.csv', size: 10, variant: 'api:completo', datasetInfo: apiInfo });
+
+  const found = await store.findAnalysis({ hash: 'abc', name: 'ventas.csv', variant: 'api:completo' });
+  expect(found).toMatchObject({ key: analysisCacheKey('abc', 'ventas.csv'), remoteId: 17, pendingSync: false });
+  expect(await store.findAnalysis({ hash: 'abc', name: 'ventas.csv', variant: 'local:completo' })).toBeNull();
+  expect(await store.findAnalysis({ hash: 'def', name: 'ventas.csv', variant: 'api:completo' })).toBeNull();
+});
+
+test('los análisis pendientes se marcan como sincronizados', async () => {
+  const store = createWorkspaceStore(createMemoryBackend());
+  const entry = await store.saveAnalysis({
+    hash: 'abc', name: 'ventas.csv', size: 10, variant: 'local:completo', datasetInfo: localInfo, pendingSync: true,
+  });
+
+  expect((await store.listPendingSync()).map(({ key }) => key)).toEqual([entry.key]);
+
+  await store.markSynced(entry.key, { datasetInfo: apiInfo, variant: 'api:completo' });
+  expect(await store.listPendingSync()).toEqual([]);
+  expect(await store.getAnalysis(entry.key)).toMatchObject({ remoteId: 17, variant: 'api:completo', datasetInfo: apiInfo });
+});
+
+test('conserva el contenido solo de los archivos más recientes', async () => {
+  const store = createWorkspaceStore(createMemoryBackend());
+  for (let index = 1; index <= 12; index++) {
+    jest.setSystemTime(new Date(Date.UTC(2026, 0, 1, 0, index)));
+    await store.rememberFile(fakeFile(`archivo${index}.csv`), `h${index}`);
+  }
+
+  const recent = await store.listRecentFiles();
+  expect(recent).toHaveLength(10);
+  expect(recent[0].name).toBe('archivo12.csv');
+  expect(recent.filter(({ file }) => file).map(({ name }) => name))
+    .toEqual(['archivo12.csv', 'archivo11.csv', 'archivo10.csv']);
+});
+
+test('exporta el espacio de trabajo sin el contenido de los archivos ni la sal y lo vacía', async () => {
+  const store = createWorkspaceStore(createMemoryBackend());
+  await store.saveAnalysis({ hash: 'abc', name: 'ventas.csv', size: 10, variant: 'api:completo', datasetInfo: apiInfo, sampleFile: {} });
+  await store.rememberFile(fakeFile('ventas.csv'), 'abc');
+  await store.setPreference('workspace', { currentKey: 'abc:ventas.csv' });
+  await store.setPreference('pii', { salt: 'secreta' });
+  await store.cacheRemote('list', [{ id: 17 }]);
+
+  const exported = await store.exportWorkspace();
+  expect(exported.analyses[0]).not.toHaveProperty('sampleFile');
+  expect(exported.recent_files[0]).toMatchObject({ name: 'ventas.csv', stored: true });
+  expect(exported.recent_files[0]).not.toHaveProperty('file');
+  expect(exported.preferences).toEqual({ workspace: { currentKey: 'abc:ventas.csv' } });
+  expect(exported.remote[0]).toMatchObject({ key: 'list', data: [{ id: 17 }] });
+
+  await store.clear();
+  expect(await store.listAnalyses()).toEqual([]);
+  expect(await store.getPreference('workspace', 'vacío')).toBe('vacío');
+});
@@ -3,3 +3,7 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom no expone TextDecoder/TextEncoder; los lectores de formatos los necesitan
+import { TextDecoder, TextEncoder } from 'util';
+Object.assign(globalThis, { TextDecoder, TextEncoder });
@@ -0,0 +1,33 @@
+/* eslint-disable no-restricted-globals */
+// src/workers/cleaning.worker.js
+// Aplica el pipeline de limpieza al archivo completo sin bloquear la interfaz.
+import { decodeText, tableToCsv } from '../services/formats/text';
+import { parseCsvText } from '../services/localAnalysis';
+import { applyPipeline } from '../services/cleaning';
+
+self.onmessage = async (event) => {
+  const { action = 'preview', file, steps, previewRows = 10 } = event.data;
+
+  try {
+    const table = parseCsvText(decodeText(await file.arrayBuffer()));
+    const { table: cleaned, results } = applyPipeline(table, steps);
+
+    if (action === 'export') {
+      self.postMessage({ ok: true, result: tableToCsv(cleaned) });
+      return;
+    }
+
+    self.postMessage({
+      ok: true,
+      result: {
+        headers: cleaned.headers,
+        rows: cleaned.rows.slice(0, previewRows),
+        totalRows: cleaned.rows.length,
+        originalRows: table.rows.length,
+        results,
+      },
+    });
+  } catch (error) {
+    self.postMessage({ ok: false, error: error.message });
+  }
+};
@@ -0,0 +1,31 @@
+/* eslint-disable no-restricted-globals */
+// src/workers/csvPreview.worker.js
+// Lee y analiza el CSV fuera del hilo principal para no bloquear la interfaz.
+import { detectEncoding, buildCsvPreview } from '../services/csvParser';
+
+self.onmessage = async (event) => {
+  const { file, previewRows, maxBytes } = event.data;
+
+  try {
+    // Con maxBytes solo se lee el principio de un archivo grande, hasta la última línea completa
+    const partial = Boolean(maxBytes) && file.size > maxBytes;
+    const bytes = new Uint8Array(await (partial ? file.slice(0, maxBytes) : file).arrayBuffer());
+    const encoding = detectEncoding(bytes);
+    const decoder = new TextDecoder(encoding.encoding);
+    let text = decoder.decode(bytes.subarray(encoding.bomLength));
+    if (partial) {
+      text = text.slice(0, text.lastIndexOf('\n') + 1);
+    }
+
+    self.postMessage({
+      ok: true,
+      result: {
+        ...buildCsvPreview(text, { previewRows, encoding }),
+        encoding: encoding.label,
+        partial,
+      },
+    });
+  } catch (error) {
+    self.postMessage({ ok: false, error: error.message });
+  }
+};
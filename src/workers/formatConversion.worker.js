@@ -0,0 +1,22 @@
+/* eslint-disable no-restricted-globals */
+// src/workers/formatConversion.worker.js
+// Detecta el formato del archivo y lo convierte a CSV fuera del hilo principal.
+import { inspectDataset, readTable, tableToCsv } from '../services/formats';
+
+self.onmessage = async (event) => {
+  const { action, file, sheet } = event.data;
+
+  try {
+    const buffer = await file.arrayBuffer();
+
+    if (action === 'inspect') {
+      self.postMessage({ ok: true, result: await inspectDataset(file.name, buffer) });
+      return;
+    }
+
+    const table = await readTable(file.name, buffer, { sheet });
+    self.postMessage({ ok: true, result: tableToCsv(table) });
+  } catch (error) {
+    self.postMessage({ ok: false, error: error.message });
+  }
+};
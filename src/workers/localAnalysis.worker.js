@@ -0,0 +1,34 @@
+/* eslint-disable no-restricted-globals */
+// src/workers/localAnalysis.worker.js
+// Ejecuta el motor de análisis local sin bloquear la interfaz.
+import { detectEncoding } from '../services/csvParser';
+import { analyzeCsvText, samplePairFromText, columnValuesFromText, parseCsvText } from '../services/localAnalysis';
+import { evaluateRulesOnTable } from '../services/rules';
+
+self.onmessage = async (event) => {
+  const { action = 'analyze', file, var1, var2, column, rules, size, seed } = event.data;
+
+  try {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const encoding = detectEncoding(bytes);
+    const text = new TextDecoder(encoding.encoding).decode(bytes.subarray(encoding.bomLength));
+
+    if (action === 'evaluateRules') {
+      self.postMessage({ ok: true, result: evaluateRulesOnTable(parseCsvText(text), rules) });
+      return;
+    }
+
+    if (action === 'columnValues') {
+      const values = columnValuesFromText(text, column);
+      self.postMessage({ ok: true, result: values }, [values.buffer]);
+      return;
+    }
+
+    const result = action === 'samplePair'
+      ? samplePairFromText(text, var1, var2, { size, seed })
+      : analyzeCsvText(text, { fileSize: file.size });
+    self.postMessage({ ok: true, result });
+  } catch (error) {
+    self.postMessage({ ok: false, error: error.message });
+  }
+};
@@ -0,0 +1,20 @@
+/* eslint-disable no-restricted-globals */
+// src/workers/piiMasking.worker.js
+// Enmascara las columnas con datos personales del archivo completo sin bloquear la interfaz.
+import { decodeText, tableToCsv } from '../services/formats/text';
+import { parseCsvText } from '../services/localAnalysis';
+import { detectPii, createMaskingPlan, maskTable } from '../services/pii';
+
+self.onmessage = async (event) => {
+  const { file, plan, salt } = event.data;
+
+  try {
+    const table = parseCsvText(decodeText(await file.arrayBuffer()));
+    // Sin plan revisado (lotes, sincronización) se aplican las acciones propuestas
+    const applied = plan || createMaskingPlan(detectPii(table.headers, table.rows));
+    const masked = await maskTable(table, applied, { salt });
+    self.postMessage({ ok: true, result: { csv: tableToCsv(masked), plan: applied } });
+  } catch (error) {
+    self.postMessage({ ok: false, error: error.message });
+  }
+};
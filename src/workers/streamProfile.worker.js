@@ -0,0 +1,52 @@
+/* eslint-disable no-restricted-globals */
+// src/workers/streamProfile.worker.js
+// Modo de archivo grande: recorre el archivo por bloques con File.stream() sin cargarlo
+// entero en memoria, cuenta filas y nulos y devuelve la muestra (y su análisis si se pide).
+import { detectEncoding } from '../services/csvParser';
+import { createStreamProfiler } from '../services/streamProfile';
+import { analyzeRecords } from '../services/localAnalysis';
+import { tableToCsv } from '../services/formats/text';
+
+self.onmessage = async (event) => {
+  const { file, sampleSize, seed, method, strataColumn, analyze } = event.data;
+
+  try {
+    const profiler = createStreamProfiler({ sampleSize, seed, method, strataColumn });
+    const reader = file.stream().getReader();
+    let decoder = null;
+    let bytesRead = 0;
+    let lastPercent = -1;
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      // La codificación se decide con el primer bloque; TextDecoder descarta el BOM
+      if (!decoder) {
+        decoder = new TextDecoder(detectEncoding(value).encoding);
+      }
+      profiler.push(decoder.decode(value, { stream: true }));
+
+      bytesRead += value.length;
+      const percent = Math.floor((bytesRead * 100) / (file.size || 1));
+      if (percent !== lastPercent) {
+        lastPercent = percent;
+        self.postMessage({ progress: percent });
+      }
+    }
+    if (decoder) {
+      profiler.push(decoder.decode());
+    }
+
+    const { sample, ...profile } = profiler.finish();
+    self.postMessage({
+      ok: true,
+      result: {
+        profile,
+        sampleCsv: tableToCsv({ headers: profile.headers, rows: sample }),
+        analysis: analyze ? analyzeRecords(profile.headers, sample, { fileSize: file.size }) : null,
+      },
+    });
+  } catch (error) {
+    self.postMessage({ ok: false, error: error.message });
+  }
+};
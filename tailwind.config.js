@@ -1,3 +1,26 @@
+// Tonos que cambian con el tema: su valor RGB es una variable CSS definida en src/index.css
+// por cada data-theme ('dark', 'light', 'contrast')
+const THEMED_SHADES = {
+  slate: [200, 300, 400, 500, 700, 800, 900],
+  purple: [200, 300, 400, 900],
+  red: [200, 300, 400],
+  yellow: [200, 300, 400],
+  green: [200, 300, 400],
+  blue: [200, 300, 400],
+  amber: [200, 300, 400],
+  pink: [200, 300, 400],
+  cyan: [200, 300, 400],
+  teal: [200, 300, 400],
+  orange: [200, 300, 400],
+};
+
+const themedColors = Object.fromEntries(
+  Object.entries(THEMED_SHADES).map(([name, shades]) => [
+    name,
+    Object.fromEntries(shades.map((shade) => [shade, `rgb(var(--${name}-${shade}) / <alpha-value>)`])),
+  ])
+);
+
 /** @type {import('tailwindcss').Config} */
 module.exports = {
   content: [
@@ -6,6 +29,11 @@ module.exports = {
   ],
   theme: {
     extend: {
+      colors: {
+        // Texto principal y capas translúcidas: blanco en los temas oscuros, tinta en el claro
+        fg: 'rgb(var(--fg) / <alpha-value>)',
+        ...themedColors,
+      },
       backgroundImage: {
         'gradient-radial': 'radial-gradient(var(--tw-gradient-stops))',
       },